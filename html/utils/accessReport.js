@@ -0,0 +1,124 @@
+/**
+ * Access report
+ * Lists every account with its direct permissions, role assignments (with the permissions of each
+ * role, including inherited ones) and effective permissions (getAllUserPermissions) for access reviews
+ */
+
+const { getPool } = require('./database');
+const { getAllUserPermissions, getRolePermissions } = require('./permissions');
+const { toCsv } = require('./csv');
+
+const CSV_COLUMNS = ['username', 'displayName', 'status', 'expiresAt', 'role', 'directPermissions', 'roles', 'effectivePermissions'];
+
+/**
+ * Groups rows by a key
+ * @param {Array<Object>} rows - Rows
+ * @param {string} key - Property to group by
+ * @returns {Map} Key => rows
+ */
+function groupBy(rows, key) {
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row[key])) {
+            groups.set(row[key], []);
+        }
+        groups.get(row[key]).push(row);
+    }
+    return groups;
+}
+
+/**
+ * Builds the access report of all accounts, ordered by username
+ * @returns {Promise<Array<Object>>} Accounts { username, displayName, status, expiresAt, role,
+ *          directPermissions, roles: [{ id, name, expiresAt, expired, permissions }], effectivePermissions }
+ */
+async function buildAccessReport() {
+    const pool = getPool();
+    const [users] = await pool.query(
+        `SELECT id, username, display_name AS displayName, role, status, expires_at AS expiresAt
+        FROM users
+        ORDER BY username`
+    );
+    const [directRows] = await pool.query(
+        `SELECT up.user_id AS userId, p.name
+        FROM user_permissions up
+        JOIN permissions p ON up.permission_id = p.id
+        ORDER BY p.name`
+    );
+    const [assignmentRows] = await pool.query(
+        `SELECT ur.user_id AS userId, ur.role_id AS roleId, ur.expires_at AS expiresAt, r.name
+        FROM user_roles ur
+        JOIN roles r ON ur.role_id = r.id
+        ORDER BY r.name`
+    );
+
+    const directByUser = groupBy(directRows, 'userId');
+    const assignmentsByUser = groupBy(assignmentRows, 'userId');
+    const now = Date.now();
+
+    // Permissions per role including inherited ones, loaded once per role
+    const permissionsByRole = new Map();
+    for (const roleId of new Set(assignmentRows.map(row => row.roleId))) {
+        permissionsByRole.set(roleId, (await getRolePermissions(roleId)).sort());
+    }
+
+    const report = [];
+    for (const user of users) {
+        const directPermissions = (directByUser.get(user.id) || []).map(row => row.name);
+        const assignments = assignmentsByUser.get(user.id) || [];
+
+        const effectivePermissions = await getAllUserPermissions({
+            role: user.role,
+            permissions: directPermissions,
+            roles: assignments.map(row => row.roleId),
+            roleAssignments: assignments.map(row => ({ roleId: row.roleId, expiresAt: row.expiresAt }))
+        });
+
+        report.push({
+            username: user.username,
+            displayName: user.displayName,
+            status: user.status,
+            expiresAt: user.expiresAt,
+            role: user.role,
+            directPermissions,
+            roles: assignments.map(row => ({
+                id: row.roleId,
+                name: row.name,
+                expiresAt: row.expiresAt,
+                expired: !!row.expiresAt && new Date(row.expiresAt).getTime() <= now,
+                permissions: permissionsByRole.get(row.roleId)
+            })),
+            effectivePermissions: effectivePermissions.sort()
+        });
+    }
+
+    return report;
+}
+
+/**
+ * Formats the access report as CSV (one line per account, lists separated by " | ")
+ * Roles are written as "name [permissions]" so the origin of each permission stays visible
+ * @param {Array<Object>} report - Result of buildAccessReport
+ * @returns {string} CSV content
+ */
+function accessReportCsv(report) {
+    return toCsv(CSV_COLUMNS, report.map(account => ({
+        ...account,
+        directPermissions: account.directPermissions.join(' | '),
+        roles: account.roles.map(role => {
+            let entry = `${role.name} [${role.permissions.join(', ')}]`;
+            if (role.expired) {
+                entry += ' (abgelaufen)';
+            } else if (role.expiresAt) {
+                entry += ` (bis ${new Date(role.expiresAt).toISOString().split('T')[0]})`;
+            }
+            return entry;
+        }).join(' | '),
+        effectivePermissions: account.effectivePermissions.join(' | ')
+    })));
+}
+
+module.exports = {
+    buildAccessReport,
+    accessReportCsv
+};
@@ -0,0 +1,77 @@
+/**
+ * Account expiry
+ * Deactivates time-limited accounts (users.expires_at) once their expiry date has passed
+ * Expired role assignments (user_roles.expires_at) are ignored by getAllUserPermissions
+ */
+
+const { getPool } = require('./database');
+const { logger, securityLogger } = require('./logger');
+const { recordAuditEvent } = require('./auditLog');
+
+// Interval of the expiry check
+const CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Deactivates all active accounts whose expiry date has passed
+ * Running sessions end through the increased session version
+ * @returns {Promise<number>} Number of deactivated accounts
+ */
+async function deactivateExpiredAccounts() {
+    try {
+        const pool = getPool();
+        const [accounts] = await pool.query(
+            `SELECT id, username, expires_at AS expiresAt
+            FROM users
+            WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= NOW()`
+        );
+
+        let deactivated = 0;
+        for (const account of accounts) {
+            const [result] = await pool.query(
+                `UPDATE users
+                SET status = 'deactivated', deactivated_at = NOW(), updated_at = NOW(),
+                    session_version = session_version + 1
+                WHERE id = ? AND status = 'active'`,
+                [account.id]
+            );
+
+            // Changed concurrently (e.g. by an admin)
+            if (result.affectedRows === 0) {
+                continue;
+            }
+            deactivated++;
+
+            securityLogger.info('Expired account deactivated', {
+                username: account.username,
+                expiresAt: account.expiresAt
+            });
+
+            await recordAuditEvent(null, {
+                action: 'account.expire',
+                targetType: 'user',
+                targetId: account.username,
+                before: { status: 'active', expiresAt: account.expiresAt },
+                after: { status: 'deactivated' }
+            });
+        }
+
+        return deactivated;
+    } catch (error) {
+        logger.error('Error deactivating expired accounts:', { error: error.message });
+        return 0;
+    }
+}
+
+/**
+ * Starts the periodic deactivation of expired accounts
+ * @returns {Object} Interval ID
+ */
+function startPeriodicExpiryCheck() {
+    deactivateExpiredAccounts();
+    return setInterval(deactivateExpiredAccounts, CHECK_INTERVAL);
+}
+
+module.exports = {
+    deactivateExpiredAccounts,
+    startPeriodicExpiryCheck
+};
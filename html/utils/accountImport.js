@@ -0,0 +1,226 @@
+/**
+ * Account import
+ * Creates user accounts from an uploaded CSV file (columns: username, email, displayName, role, roles)
+ * The rows are validated first (dry run); the import itself runs in one transaction
+ * and returns the generated initial passwords once
+ */
+
+const { getPool } = require('./database');
+const { hashPassword } = require('./passwordHasher');
+const { parseCsv, toCsv } = require('./csv');
+const { generateSecurePassword } = require('../../routes/users');
+
+// Maximum number of accounts per import
+const MAX_IMPORT_ROWS = 500;
+
+// Accepted header names (lower case) and the field they fill
+const IMPORT_COLUMNS = {
+    username: 'username',
+    email: 'email',
+    displayname: 'displayName',
+    display_name: 'displayName',
+    role: 'role',
+    roles: 'roles'
+};
+
+// Columns of the credentials sheet
+const CREDENTIAL_COLUMNS = ['username', 'displayName', 'email', 'password'];
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Reads the import rows from CSV content
+ * @param {string} text - CSV content with header line
+ * @returns {Object} { entries } or { error } if the file cannot be imported at all
+ */
+function parseImportCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+
+    if (!header) {
+        return { error: 'Die Datei enthält keine Daten.' };
+    }
+
+    const fields = header.map(name => IMPORT_COLUMNS[name.trim().toLowerCase()]);
+    const unknownColumns = header.filter((name, index) => !fields[index]);
+    if (unknownColumns.length > 0) {
+        return { error: `Unbekannte Spalten: ${unknownColumns.join(', ')}` };
+    }
+    if (!fields.includes('username')) {
+        return { error: 'Die Spalte "username" fehlt.' };
+    }
+    if (rows.length === 0) {
+        return { error: 'Die Datei enthält keine Konten.' };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { error: `Es können höchstens ${MAX_IMPORT_ROWS} Konten auf einmal importiert werden.` };
+    }
+
+    const entries = rows.map((row, index) => {
+        const values = {};
+        fields.forEach((field, column) => {
+            values[field] = (row[column] || '').trim();
+        });
+
+        return {
+            row: index + 1,
+            username: values.username || '',
+            email: values.email || null,
+            displayName: values.displayName || null,
+            role: values.role || null,
+            roles: (values.roles || '').split(/[|,;]/).map(role => role.trim()).filter(Boolean)
+        };
+    });
+
+    return { entries };
+}
+
+/**
+ * Validates the import rows against each other and the database (dry run)
+ * Adds errors (list of messages) and roleIds (resolved role assignments) to every entry
+ * @param {Array<Object>} entries - Entries from parseImportCsv
+ * @returns {Promise<Array<Object>>} Validated entries
+ */
+async function validateImportEntries(entries) {
+    const pool = getPool();
+    const [roleRows] = await pool.query('SELECT id, name FROM roles');
+
+    const usernames = entries.map(entry => entry.username).filter(Boolean);
+    const [existingRows] = usernames.length > 0
+        ? await pool.query('SELECT username FROM users WHERE username IN (?)', [usernames])
+        : [[]];
+    const existing = new Set(existingRows.map(row => row.username.toLowerCase()));
+
+    /**
+     * Finds a role by ID or name (case-insensitive)
+     * @param {string} value - Role ID or name
+     * @returns {Object|undefined} Role row
+     */
+    const findRole = value => roleRows.find(role =>
+        role.id.toLowerCase() === value.toLowerCase() || role.name.toLowerCase() === value.toLowerCase()
+    );
+
+    const seen = new Set();
+
+    return entries.map(entry => {
+        const errors = [];
+        const key = entry.username.toLowerCase();
+
+        if (!entry.username) {
+            errors.push('Benutzername fehlt');
+        } else if (!USERNAME_PATTERN.test(entry.username) || entry.username.length < 3 || entry.username.length > 30) {
+            errors.push('Ungültiger Benutzername (3-30 Zeichen, nur Buchstaben, Ziffern, _ und -)');
+        } else if (seen.has(key)) {
+            errors.push('Benutzername kommt mehrfach in der Datei vor');
+        } else if (existing.has(key)) {
+            errors.push('Benutzername bereits vergeben');
+        }
+        seen.add(key);
+
+        if (entry.email && !EMAIL_PATTERN.test(entry.email)) {
+            errors.push('Ungültige E-Mail-Adresse');
+        }
+        if (entry.displayName && entry.displayName.length > 50) {
+            errors.push('Anzeigename ist länger als 50 Zeichen');
+        }
+
+        let role = 'user';
+        if (entry.role && entry.role.toLowerCase() !== 'user') {
+            const match = findRole(entry.role);
+            if (match) {
+                role = match.name;
+            } else {
+                errors.push(`Unbekannte Rolle: ${entry.role}`);
+            }
+        }
+
+        const roleIds = [];
+        for (const value of entry.roles) {
+            const match = findRole(value);
+            if (!match) {
+                errors.push(`Unbekannte Rolle: ${value}`);
+            } else if (!roleIds.includes(match.id)) {
+                roleIds.push(match.id);
+            }
+        }
+
+        return { ...entry, role, roleIds, errors };
+    });
+}
+
+/**
+ * Creates the accounts of validated entries in one transaction
+ * Every account gets a generated password and has to change it at the first login
+ * @param {Array<Object>} entries - Entries from validateImportEntries (without errors)
+ * @param {string} createdBy - Username of the importing admin
+ * @returns {Promise<Array<Object>>} Credentials { username, displayName, email, password }
+ */
+async function importAccounts(entries, createdBy) {
+    // Hash before the transaction starts so it stays short
+    const credentials = [];
+    for (const entry of entries) {
+        const password = generateSecurePassword();
+        credentials.push({
+            entry,
+            password,
+            passwordHash: await hashPassword(password)
+        });
+    }
+
+    let connection;
+    try {
+        connection = await getPool().getConnection();
+        await connection.beginTransaction();
+
+        for (const { entry, passwordHash } of credentials) {
+            const [result] = await connection.query(
+                `INSERT INTO users (username, password_hash, email, display_name, role, created_by, must_change_password)
+                VALUES (?, ?, ?, ?, ?, ?, TRUE)`,
+                [entry.username, passwordHash, entry.email, entry.displayName, entry.role, createdBy]
+            );
+
+            for (const roleId of entry.roleIds) {
+                await connection.query(
+                    'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
+                    [result.insertId, roleId]
+                );
+            }
+        }
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    return credentials.map(({ entry, password }) => ({
+        username: entry.username,
+        displayName: entry.displayName,
+        email: entry.email,
+        password
+    }));
+}
+
+/**
+ * Builds the credentials sheet (CSV) handed out once after the import
+ * @param {Array<Object>} credentials - Result of importAccounts
+ * @returns {string} CSV content
+ */
+function buildCredentialsCsv(credentials) {
+    // Passwords are written unchanged, a formula prefix would make them unusable
+    return toCsv(CREDENTIAL_COLUMNS, credentials, ['password']);
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    parseImportCsv,
+    validateImportEntries,
+    importAccounts,
+    buildCredentialsCsv
+};
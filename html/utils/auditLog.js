@@ -0,0 +1,258 @@
+/**
+ * Audit log
+ * Stores security relevant changes in the audit_events table (actor, action, target,
+ * state before and after, IP) so they can be searched and exported in the panel
+ */
+
+const { getPool } = require('./database');
+const { logger } = require('./logger');
+const { toCsv } = require('./csv');
+
+// Values of these keys are never stored, only marked as present
+const REDACTED_KEYS = ['password', 'newpassword', 'passwordhash', 'email', 'secret', 'token', 'code', 'codes'];
+const REDACTED_VALUE = '[redacted]';
+
+// Maximum number of rows per page and per CSV export
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = ['id', 'createdAt', 'actorUsername', 'action', 'targetType', 'targetId', 'ip', 'before', 'after'];
+
+/**
+ * Removes sensitive values from a snapshot (recursively)
+ * @param {*} data - Snapshot (object, array or primitive)
+ * @returns {*} Copy without sensitive values
+ */
+function redact(data) {
+    if (Array.isArray(data)) {
+        return data.map(redact);
+    }
+    if (data === null || typeof data !== 'object' || data instanceof Date) {
+        return data;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (value === undefined) {
+            continue;
+        }
+        result[key] = REDACTED_KEYS.includes(key.toLowerCase()) && value !== null
+            ? REDACTED_VALUE
+            : redact(value);
+    }
+    return result;
+}
+
+/**
+ * Serializes a snapshot for the database
+ * @param {*} data - Snapshot
+ * @returns {string|null} JSON or null
+ */
+function serialize(data) {
+    return data === undefined || data === null ? null : JSON.stringify(redact(data));
+}
+
+/**
+ * Records an audit event
+ * Errors are logged and never thrown - the audited action already happened
+ * @param {Object|null} req - Express request (actor and IP are taken from the session), null for system jobs
+ * @param {Object} event - { action, targetType, targetId, before, after, actor: { id, username } (optional) }
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(req, event) {
+    const session = req && req.session;
+    const actor = event.actor || {
+        id: session && session.userId ? session.userId : null,
+        username: session && session.username ? session.username : null
+    };
+
+    try {
+        const pool = getPool();
+        await pool.query(
+            `INSERT INTO audit_events
+                (actor_id, actor_username, action, target_type, target_id, before_data, after_data, ip)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                actor.id || null,
+                actor.username || null,
+                event.action,
+                event.targetType || null,
+                event.targetId !== undefined && event.targetId !== null ? String(event.targetId) : null,
+                serialize(event.before),
+                serialize(event.after),
+                req && req.ip ? req.ip : null
+            ]
+        );
+    } catch (error) {
+        logger.error('Error recording audit event:', { error: error.message, action: event.action });
+    }
+}
+
+/**
+ * Builds the audit snapshot of an account (as returned by getUserByUsername)
+ * @param {Object} user - User object
+ * @returns {Object|null} Snapshot without secrets
+ */
+function accountSnapshot(user) {
+    if (!user) {
+        return null;
+    }
+
+    return {
+        username: user.username,
+        email: user.email,
+        displayName: user.displayName,
+        role: user.role,
+        permissions: user.permissions,
+        roles: user.roles,
+        roleAssignments: user.roleAssignments,
+        teams: user.teams,
+        teamPermissions: user.teamPermissions,
+        mustChangePassword: !!user.mustChangePassword,
+        status: user.status,
+        expiresAt: user.expiresAt
+    };
+}
+
+/**
+ * Builds the WHERE clause for the filters
+ * @param {Object} filters - { actor, action, targetType, targetId, from, to }
+ * @returns {Object} { where, values }
+ */
+function buildFilter(filters) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.actor) {
+        conditions.push('actor_username LIKE ?');
+        values.push(`%${filters.actor}%`);
+    }
+    if (filters.action) {
+        conditions.push('action LIKE ?');
+        values.push(`${filters.action}%`);
+    }
+    if (filters.targetType) {
+        conditions.push('target_type = ?');
+        values.push(filters.targetType);
+    }
+    if (filters.targetId) {
+        conditions.push('target_id = ?');
+        values.push(filters.targetId);
+    }
+    if (filters.from) {
+        conditions.push('created_at >= ?');
+        values.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('created_at <= ?');
+        values.push(filters.to);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        values
+    };
+}
+
+/**
+ * Maps a database row to an event object
+ * @param {Object} row - Row from audit_events
+ * @returns {Object} Event
+ */
+function mapRow(row) {
+    return {
+        id: row.id,
+        createdAt: row.createdAt,
+        actorId: row.actorId,
+        actorUsername: row.actorUsername,
+        action: row.action,
+        targetType: row.targetType,
+        targetId: row.targetId,
+        before: row.beforeData ? JSON.parse(row.beforeData) : null,
+        after: row.afterData ? JSON.parse(row.afterData) : null,
+        ip: row.ip
+    };
+}
+
+const SELECT_COLUMNS = `id, created_at AS createdAt, actor_id AS actorId, actor_username AS actorUsername,
+    action, target_type AS targetType, target_id AS targetId,
+    before_data AS beforeData, after_data AS afterData, ip`;
+
+/**
+ * Lists audit events, newest first
+ * @param {Object} filters - { actor, action, targetType, targetId, from, to }
+ * @param {Object} options - { page, pageSize }
+ * @returns {Promise<Object>} { events, total, page, pageSize }
+ */
+async function listAuditEvents(filters = {}, options = {}) {
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || 50, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const { where, values } = buildFilter(filters);
+
+    const pool = getPool();
+    const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total FROM audit_events ${where}`,
+        values
+    );
+    const [rows] = await pool.query(
+        `SELECT ${SELECT_COLUMNS} FROM audit_events ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?`,
+        [...values, pageSize, (page - 1) * pageSize]
+    );
+
+    return {
+        events: rows.map(mapRow),
+        total,
+        page,
+        pageSize
+    };
+}
+
+/**
+ * Lists the distinct actions and target types (for the filter dropdowns)
+ * @returns {Promise<Object>} { actions, targetTypes }
+ */
+async function getAuditFilterOptions() {
+    const pool = getPool();
+    const [actions] = await pool.query('SELECT DISTINCT action FROM audit_events ORDER BY action');
+    const [targetTypes] = await pool.query(
+        'SELECT DISTINCT target_type AS targetType FROM audit_events WHERE target_type IS NOT NULL ORDER BY target_type'
+    );
+
+    return {
+        actions: actions.map(row => row.action),
+        targetTypes: targetTypes.map(row => row.targetType)
+    };
+}
+
+/**
+ * Exports the filtered audit events as CSV (newest first, at most MAX_EXPORT_ROWS)
+ * @param {Object} filters - { actor, action, targetType, targetId, from, to }
+ * @returns {Promise<string>} CSV content
+ */
+async function exportAuditEventsCsv(filters = {}) {
+    const { where, values } = buildFilter(filters);
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT ${SELECT_COLUMNS} FROM audit_events ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?`,
+        [...values, MAX_EXPORT_ROWS]
+    );
+
+    return toCsv(CSV_COLUMNS, rows.map(row => ({
+        ...mapRow(row),
+        before: row.beforeData,
+        after: row.afterData
+    })));
+}
+
+module.exports = {
+    recordAuditEvent,
+    accountSnapshot,
+    listAuditEvents,
+    getAuditFilterOptions,
+    exportAuditEventsCsv
+};
@@ -0,0 +1,165 @@
+/**
+ * Breached password check
+ * Looks up passwords in a local corpus of SHA-1 hashes in the format of the
+ * Have I Been Pwned range files - no outside service is contacted
+ *
+ * config.breachedPasswords.path points to either
+ * - a directory with one range file per 5-character hash prefix (e.g. 21BD1 or 21BD1.txt)
+ *   with lines "SUFFIX:COUNT"; only the bucket of the password's prefix is read
+ * - a single file with lines "HASH:COUNT", loaded into memory bucketed by prefix (small corpora)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { getPool } = require('./database');
+const { logger } = require('./logger');
+const config = require('./config');
+
+const PREFIX_LENGTH = 5;
+
+// Loaded corpus: { type: 'directory', dir } or { type: 'file', buckets: Map<prefix, Set<suffix>> }
+let corpus = null;
+
+/**
+ * Loads the corpus configured in config.breachedPasswords.path
+ * Without a configured path the check is disabled
+ * @returns {Promise<boolean>} True if a corpus is available
+ */
+async function loadCorpus() {
+    const corpusPath = config.breachedPasswords.path;
+    if (!corpusPath) {
+        corpus = null;
+        return false;
+    }
+
+    try {
+        const stats = await fs.promises.stat(corpusPath);
+
+        if (stats.isDirectory()) {
+            corpus = { type: 'directory', dir: corpusPath };
+            logger.info('Breached password corpus: using range files', { path: corpusPath });
+            return true;
+        }
+
+        const buckets = new Map();
+        const lines = readline.createInterface({
+            input: fs.createReadStream(corpusPath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        let count = 0;
+        for await (const line of lines) {
+            const hash = line.split(':')[0].trim().toUpperCase();
+            if (!/^[0-9A-F]{40}$/.test(hash)) {
+                continue;
+            }
+
+            const prefix = hash.substring(0, PREFIX_LENGTH);
+            if (!buckets.has(prefix)) {
+                buckets.set(prefix, new Set());
+            }
+            buckets.get(prefix).add(hash.substring(PREFIX_LENGTH));
+            count++;
+        }
+
+        corpus = { type: 'file', buckets };
+        logger.info(`Breached password corpus: loaded ${count} hashes`, { path: corpusPath });
+        return true;
+    } catch (error) {
+        corpus = null;
+        logger.error('Error loading breached password corpus:', { error: error.message, path: corpusPath });
+        return false;
+    }
+}
+
+/**
+ * Checks if a corpus is loaded
+ * @returns {boolean} True if passwords are checked against a corpus
+ */
+function isCorpusLoaded() {
+    return corpus !== null;
+}
+
+/**
+ * Reads the hash suffixes of one range file
+ * @param {string} prefix - 5-character hash prefix (upper case)
+ * @returns {Promise<string>} File content, empty if the bucket does not exist
+ */
+async function readRangeFile(prefix) {
+    for (const name of [prefix, `${prefix}.txt`]) {
+        try {
+            return await fs.promises.readFile(path.join(corpus.dir, name), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    return '';
+}
+
+/**
+ * Checks if a password appears in the corpus
+ * @param {string} password - Password (plain text)
+ * @returns {Promise<boolean>} True if the password is known from a breach (false without corpus)
+ */
+async function isPasswordBreached(password) {
+    if (!corpus || typeof password !== 'string' || password.length === 0) {
+        return false;
+    }
+
+    const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+    const prefix = hash.substring(0, PREFIX_LENGTH);
+    const suffix = hash.substring(PREFIX_LENGTH);
+
+    if (corpus.type === 'file') {
+        const bucket = corpus.buckets.get(prefix);
+        return !!bucket && bucket.has(suffix);
+    }
+
+    const content = await readRangeFile(prefix);
+    return content.split('\n').some(line => line.split(':')[0].trim().toUpperCase() === suffix);
+}
+
+/**
+ * Flags a user whose current password was found in the corpus (checked at login)
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function markPasswordBreached(userId) {
+    const pool = getPool();
+    await pool.query(
+        'UPDATE users SET password_breached_at = NOW() WHERE id = ? AND password_breached_at IS NULL',
+        [userId]
+    );
+}
+
+/**
+ * Lists accounts with a flagged password for the admin report
+ * @returns {Promise<Array>} Accounts { username, displayName, breachedAt, mustChangePassword }
+ */
+async function listBreachedAccounts() {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT username, display_name AS displayName, password_breached_at AS breachedAt,
+                must_change_password AS mustChangePassword
+        FROM users
+        WHERE password_breached_at IS NOT NULL
+        ORDER BY password_breached_at DESC`
+    );
+
+    return rows.map(row => ({
+        ...row,
+        mustChangePassword: !!row.mustChangePassword
+    }));
+}
+
+module.exports = {
+    loadCorpus,
+    isCorpusLoaded,
+    isPasswordBreached,
+    markPasswordBreached,
+    listBreachedAccounts
+};
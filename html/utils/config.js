@@ -11,6 +11,8 @@ module.exports = {
         resave: false,
         saveUninitialized: false,
         rolling: true, // Reset expiration on every response
+        store: process.env.SESSION_STORE === 'file' ? 'file' : 'mysql', // 'file' (sessions/ directory) only for development
+        reapInterval: 60 * 60, // Remove expired sessions every hour (seconds)
         cookie: {
             httpOnly: true,
             secure: process.env.NODE_ENV === 'production', // HTTPS only in production
@@ -32,6 +34,50 @@ module.exports = {
         lockout20Attempts: 24 * 60 * 60 * 1000 // 24 hours for 20+ attempts
     },
 
+    // Two-factor authentication (TOTP) configuration
+    twoFactor: {
+        issuer: 'Hive Panel', // Shown in authenticator apps
+        pendingTimeout: 5 * 60 * 1000, // 5 minutes to enter the code after the password step
+        maxVerifyAttempts: 5 // Wrong codes before the pending login is discarded
+    },
+
+    // WebAuthn / passkey configuration
+    webauthn: {
+        rpName: 'Hive Panel', // Shown by the authenticator
+        rpID: process.env.WEBAUTHN_RP_ID || 'localhost', // Domain without protocol and port
+        origin: process.env.WEBAUTHN_ORIGIN || `http://localhost:${process.env.PORT || 3000}`,
+        challengeTimeout: 5 * 60 * 1000 // 5 minutes to complete a ceremony
+    },
+
+    // Outgoing mail (SMTP) configuration
+    // For local testing point SMTP_HOST/SMTP_PORT at a sink such as MailHog or Mailpit (localhost:1025)
+    mail: {
+        enabled: !!process.env.SMTP_HOST,
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true', // true for port 465
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        from: process.env.MAIL_FROM || 'Hive Panel <no-reply@localhost>',
+        appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}` // Base URL for links in emails
+    },
+
+    // Self-service password reset configuration
+    passwordReset: {
+        tokenTtl: 60 * 60 * 1000, // Reset links are valid for 1 hour
+        requestWindowMs: 15 * 60 * 1000,
+        maxRequests: 3 // Reset requests per IP per window
+    },
+
+    // Registration configuration
+    registration: {
+        inviteOnly: process.env.REGISTRATION_INVITE_ONLY === 'true', // Only registrations with an invitation are accepted
+        invitationTtl: 7 * 24 * 60 * 60 * 1000, // Invitations are valid for 7 days unless the admin sets an expiry
+        maxInvitationTtl: 90 * 24 * 60 * 60 * 1000, // Latest allowed expiry of an invitation
+        // Hours until an unverified request is purged (the verification link is valid just as long)
+        unverifiedTtlHours: parseInt(process.env.REGISTRATION_UNVERIFIED_TTL_HOURS, 10) || 48
+    },
+
     // Rate limiting configuration
     rateLimit: {
         windowMs: 15 * 60 * 1000, // 15 minutes
@@ -58,7 +104,27 @@ module.exports = {
         requireLowercase: true,
         requireNumbers: true,
         requireSpecialChars: true,
-        specialChars: '!@#$%^&*()_+-=[]{}|;:,.<>?'
+        specialChars: '!@#$%^&*()_+-=[]{}|;:,.<>?',
+        historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10), // Previous passwords that cannot be reused (0 = no check)
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10) // Forces a password change after this many days (0 = never)
+    },
+
+    // Password hashing (see passwordHasher.js) - changed parameters are applied at the next login
+    passwordHashing: {
+        algorithm: process.env.PASSWORD_HASH_ALGORITHM === 'scrypt' ? 'scrypt' : 'bcrypt',
+        bcryptCost: parseInt(process.env.BCRYPT_COST || '10', 10),
+        scrypt: {
+            N: 16384,
+            r: 8,
+            p: 1,
+            keyLength: 64
+        },
+        pepper: process.env.PASSWORD_PEPPER || null // Server-side secret, never stored in the database
+    },
+
+    // Breached password check (local SHA-1 corpus in the HIBP range format, see breachedPasswords.js)
+    breachedPasswords: {
+        path: process.env.BREACHED_PASSWORDS_PATH || null // Directory of range files or single hash file; empty = disabled
     },
 
     // Force disable permissions system (for debugging only)
@@ -0,0 +1,105 @@
+/**
+ * CSV helpers
+ * Reading uploaded CSV files and writing CSV exports (RFC 4180, comma or semicolon separated)
+ */
+
+/**
+ * Detects the separator from the header line (spreadsheets with German locale write ';')
+ * @param {string} text - CSV content
+ * @returns {string} ',' or ';'
+ */
+function detectSeparator(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const semicolons = headerLine.split(';').length;
+    const commas = headerLine.split(',').length;
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parses CSV content into rows of fields
+ * Quoted fields may contain separators, line breaks and escaped quotes (""); empty lines are skipped
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const separator = detectSeparator(content);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Escapes a value for CSV (also against formula injection in spreadsheets)
+ * @param {*} value - Value
+ * @param {boolean} trusted - Generated value that must stay unchanged (no formula escaping)
+ * @returns {string} CSV field
+ */
+function csvField(value, trusted = false) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (!trusted && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV content from objects
+ * @param {Array<string>} columns - Column names (header line and object keys)
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} trustedColumns - Columns with generated values (e.g. passwords) that must not be altered
+ * @returns {string} CSV content
+ */
+function toCsv(columns, rows, trustedColumns = []) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(row[column], trustedColumns.includes(column))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    csvField,
+    toCsv
+};
@@ -5,6 +5,7 @@
 
 const mysql = require('mysql2/promise');
 const { logger } = require('./logger');
+const { SYSTEM_PERMISSIONS } = require('./permissionCatalog');
 
 // Connection pool
 let pool = null;
@@ -92,6 +93,33 @@ async function testConnection() {
     }
 }
 
+/**
+ * Adds a column to an existing table if it is missing
+ * CREATE TABLE IF NOT EXISTS does not touch tables from older versions,
+ * so new columns on existing tables must be added explicitly.
+ * @param {Object} connection - MySQL connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition (e.g. 'BOOLEAN DEFAULT FALSE')
+ * @returns {Promise<boolean>} True if the column was added
+ */
+async function ensureColumn(connection, table, column, definition) {
+    const [rows] = await connection.query(
+        `SELECT COUNT(*) AS count
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+
+    if (rows[0].count > 0) {
+        return false;
+    }
+
+    await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    logger.info(`Column added: ${table}.${column}`);
+    return true;
+}
+
 /**
  * Creates all required tables if they don't exist
  * @returns {Promise<boolean>} True if successful
@@ -172,6 +200,19 @@ async function createTables() {
         `);
         logger.info('Table created/verified: role_permissions');
 
+        // Create role_parents junction table (role inheritance)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS role_parents (
+                role_id VARCHAR(50) NOT NULL,
+                parent_role_id VARCHAR(50) NOT NULL,
+                PRIMARY KEY (role_id, parent_role_id),
+                INDEX idx_parent_role_id (parent_role_id),
+                FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+                FOREIGN KEY (parent_role_id) REFERENCES roles(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: role_parents');
+
         // Create user_roles junction table
         await connection.query(`
             CREATE TABLE IF NOT EXISTS user_roles (
@@ -184,6 +225,47 @@ async function createTables() {
         `);
         logger.info('Table created/verified: user_roles');
 
+        // Create teams table
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS teams (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                description TEXT DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_by VARCHAR(50) DEFAULT NULL,
+                updated_at TIMESTAMP DEFAULT NULL,
+                updated_by VARCHAR(50) DEFAULT NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: teams');
+
+        // Create team_members junction table
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS team_members (
+                team_id INT NOT NULL,
+                user_id INT NOT NULL,
+                PRIMARY KEY (team_id, user_id),
+                INDEX idx_user_id (user_id),
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: team_members');
+
+        // Create user_team_permissions table (permissions granted only for the members of a team)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_team_permissions (
+                user_id INT NOT NULL,
+                permission_id INT NOT NULL,
+                team_id INT NOT NULL,
+                PRIMARY KEY (user_id, permission_id, team_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+                FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: user_team_permissions');
+
         // Create registration_requests table (for user registration feature)
         await connection.query(`
             CREATE TABLE IF NOT EXISTS registration_requests (
@@ -203,6 +285,11 @@ async function createTables() {
         `);
         logger.info('Table created/verified: registration_requests');
 
+        // Email verification of registration requests (only the SHA-256 hash of the link token is stored)
+        await ensureColumn(connection, 'registration_requests', 'email_verified_at', 'TIMESTAMP NULL DEFAULT NULL');
+        await ensureColumn(connection, 'registration_requests', 'verification_token_hash', 'CHAR(64) DEFAULT NULL UNIQUE');
+        await ensureColumn(connection, 'registration_requests', 'verification_expires_at', 'DATETIME DEFAULT NULL');
+
         // Create absences table (for absence/vacation management)
         await connection.query(`
             CREATE TABLE IF NOT EXISTS absences (
@@ -221,21 +308,209 @@ async function createTables() {
         `);
         logger.info('Table created/verified: absences');
 
-        // Insert default permissions if they don't exist
-        const defaultPermissions = [
-            { name: 'manage_accounts', description: 'Create, edit, and delete user accounts' },
-            { name: 'view_accounts', description: 'View user accounts' },
-            { name: 'manage_roles', description: 'Create, edit, and delete roles' },
-            { name: 'handle_requests', description: 'Approve or reject registration requests' },
-            { name: 'admin_all', description: 'Full administrative access (legacy)' },
-            { name: 'view_absences', description: 'View all absences' },
-            { name: 'manage_absences', description: 'Manage and delete any absences' }
-        ];
-
-        for (const perm of defaultPermissions) {
+        // Two-factor authentication (TOTP) columns
+        await ensureColumn(connection, 'users', 'totp_secret', 'TEXT DEFAULT NULL');
+        await ensureColumn(connection, 'users', 'totp_enabled', 'BOOLEAN DEFAULT FALSE');
+        await ensureColumn(connection, 'users', 'totp_last_used_step', 'BIGINT DEFAULT NULL');
+        await ensureColumn(connection, 'roles', 'require_2fa', 'BOOLEAN DEFAULT FALSE');
+
+        // Create user_recovery_codes table (one-time 2FA recovery codes)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                code_hash CHAR(64) NOT NULL,
+                used_at TIMESTAMP NULL DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: user_recovery_codes');
+
+        // Session generation: sessions created with an older version are rejected
+        await ensureColumn(connection, 'users', 'session_version', 'INT NOT NULL DEFAULT 1');
+
+        // Stable, random user handle for WebAuthn (never the numeric ID)
+        await ensureColumn(connection, 'users', 'webauthn_user_id', 'VARCHAR(64) DEFAULT NULL');
+
+        // Create webauthn_credentials table (passkeys)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS webauthn_credentials (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                credential_id VARCHAR(255) UNIQUE NOT NULL,
+                public_key TEXT NOT NULL,
+                counter BIGINT NOT NULL DEFAULT 0,
+                transports VARCHAR(255) DEFAULT NULL,
+                device_type VARCHAR(32) DEFAULT NULL,
+                backed_up BOOLEAN DEFAULT FALSE,
+                name VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP NULL DEFAULT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: webauthn_credentials');
+
+        // Create password_reset_tokens table (only SHA-256 hashes of the tokens are stored)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                token_hash CHAR(64) UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at TIMESTAMP NULL DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ip VARCHAR(45) DEFAULT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id),
+                INDEX idx_expires_at (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: password_reset_tokens');
+
+        // Create invitations table (single-use registration invites, only SHA-256 hashes of the codes are stored)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS invitations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                token_hash CHAR(64) UNIQUE NOT NULL,
+                email VARCHAR(255) DEFAULT NULL,
+                expires_at DATETIME NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_by VARCHAR(50) NOT NULL,
+                used_at TIMESTAMP NULL DEFAULT NULL,
+                used_by_user_id INT DEFAULT NULL,
+                used_by_username VARCHAR(50) DEFAULT NULL,
+                revoked_at TIMESTAMP NULL DEFAULT NULL,
+                revoked_by VARCHAR(50) DEFAULT NULL,
+                FOREIGN KEY (used_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_created_by (created_by),
+                INDEX idx_expires_at (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: invitations');
+
+        // Create invitation_roles table (roles assigned to the account created with an invitation)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS invitation_roles (
+                invitation_id INT NOT NULL,
+                role_id VARCHAR(50) NOT NULL,
+                PRIMARY KEY (invitation_id, role_id),
+                FOREIGN KEY (invitation_id) REFERENCES invitations(id) ON DELETE CASCADE,
+                FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: invitation_roles');
+
+        // Create login_attempts table (failed logins and lockouts per username and IP)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                identifier_type ENUM('username', 'ip') NOT NULL,
+                identifier VARCHAR(255) NOT NULL,
+                attempt_count INT NOT NULL DEFAULT 0,
+                first_attempt_at DATETIME NOT NULL,
+                last_attempt_at DATETIME NOT NULL,
+                locked_until DATETIME DEFAULT NULL,
+                UNIQUE KEY uniq_identifier (identifier_type, identifier),
+                INDEX idx_locked_until (locked_until)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: login_attempts');
+
+        // Create sessions table (express-session store, see mysqlSessionStore.js)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                session_id VARCHAR(255) PRIMARY KEY,
+                data MEDIUMTEXT NOT NULL,
+                expires_at DATETIME NOT NULL,
+                INDEX idx_expires_at (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: sessions');
+
+        // Create user_sessions table (registry of logged-in sessions per user)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                session_id VARCHAR(255) UNIQUE NOT NULL,
+                user_id INT NOT NULL,
+                ip VARCHAR(45) DEFAULT NULL,
+                user_agent VARCHAR(512) DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_activity_at DATETIME NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id),
+                INDEX idx_last_activity_at (last_activity_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: user_sessions');
+
+        // Time of the last password change (maximum password age)
+        await ensureColumn(connection, 'users', 'password_changed_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP');
+
+        // Set when the current password was found in the breach corpus at login
+        await ensureColumn(connection, 'users', 'password_breached_at', 'DATETIME DEFAULT NULL');
+
+        // Create password_history table (previous password hashes, see passwordHistory.js)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS password_history (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: password_history');
+
+        // Create audit_events table (changes made through the admin and account routes)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                actor_id INT DEFAULT NULL,
+                actor_username VARCHAR(50) DEFAULT NULL,
+                action VARCHAR(64) NOT NULL,
+                target_type VARCHAR(32) DEFAULT NULL,
+                target_id VARCHAR(255) DEFAULT NULL,
+                before_data MEDIUMTEXT DEFAULT NULL,
+                after_data MEDIUMTEXT DEFAULT NULL,
+                ip VARCHAR(45) DEFAULT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created_at (created_at),
+                INDEX idx_actor_username (actor_username),
+                INDEX idx_action (action),
+                INDEX idx_target (target_type, target_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        logger.info('Table created/verified: audit_events');
+
+        // Account status: suspended and deactivated accounts keep their data but cannot log in
+        await ensureColumn(connection, 'users', 'status', "ENUM('active', 'suspended', 'deactivated') NOT NULL DEFAULT 'active'");
+        await ensureColumn(connection, 'users', 'deactivated_at', 'DATETIME DEFAULT NULL');
+
+        // Time-limited accounts and role assignments (see accountExpiry.js)
+        await ensureColumn(connection, 'users', 'expires_at', 'DATETIME DEFAULT NULL');
+        await ensureColumn(connection, 'user_roles', 'expires_at', 'DATETIME DEFAULT NULL');
+
+        // Permission registry: label and category for the admin UI, admin-defined permissions
+        await ensureColumn(connection, 'permissions', 'label', 'VARCHAR(100) DEFAULT NULL');
+        await ensureColumn(connection, 'permissions', 'category', 'VARCHAR(50) DEFAULT NULL');
+        await ensureColumn(connection, 'permissions', 'is_system', 'BOOLEAN DEFAULT FALSE');
+        await ensureColumn(connection, 'permissions', 'created_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+        await ensureColumn(connection, 'permissions', 'created_by', 'VARCHAR(50) DEFAULT NULL');
+
+        // Insert or update the built-in permissions (see permissionCatalog.js)
+        for (const perm of SYSTEM_PERMISSIONS) {
             await connection.query(
-                'INSERT IGNORE INTO permissions (name, description) VALUES (?, ?)',
-                [perm.name, perm.description]
+                `INSERT INTO permissions (name, description, label, category, is_system)
+                VALUES (?, ?, ?, ?, TRUE)
+                ON DUPLICATE KEY UPDATE description = VALUES(description), label = VALUES(label),
+                    category = VALUES(category), is_system = TRUE`,
+                [perm.name, perm.description, perm.label, perm.category]
             );
         }
         logger.info('Default permissions inserted/verified');
@@ -302,6 +577,7 @@ module.exports = {
     createPool,
     testConnection,
     createTables,
+    ensureColumn,
     initializeDatabase,
     closePool
 };
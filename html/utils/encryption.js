@@ -131,6 +131,33 @@ function decrypt(encryptedData) {
     }
 }
 
+/**
+ * Read an email address as stored in the users table
+ * Admin-created and approved accounts store the address in plain text,
+ * the account page stores it encrypted
+ * @param {string} storedEmail - Stored value (plain or encrypted)
+ * @returns {string|null} Plain email address or null if unreadable
+ */
+function decryptEmail(storedEmail) {
+    if (!storedEmail) {
+        return null;
+    }
+    
+    if (storedEmail.includes('@')) {
+        return storedEmail;
+    }
+    
+    if (!isEncryptionConfigured()) {
+        return null;
+    }
+    
+    try {
+        return decrypt(storedEmail);
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Check if encryption is properly configured
  * @returns {boolean} True if encryption is configured
@@ -143,5 +170,6 @@ function isEncryptionConfigured() {
 module.exports = {
     encrypt,
     decrypt,
+    decryptEmail,
     isEncryptionConfigured
 };
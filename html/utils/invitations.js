@@ -0,0 +1,246 @@
+/**
+ * Invitation Utility
+ * Creates, lists, revokes and accepts single-use, time-limited registration invitations
+ * An invitation carries the roles of the new account and optionally a fixed email address
+ *
+ * Codes are signed: "<nonce>.<signature>" with an HMAC-SHA256 of the random nonce keyed with
+ * SESSION_SECRET, so forged codes are refused before any database lookup. Only the SHA-256 hash
+ * of the full code is stored; expiry, single use and revocation are enforced in the database.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('./database');
+const config = require('./config');
+
+/**
+ * Hashes an invitation code for storage and lookup
+ * @param {string} token - Plain invitation code
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Signs an invitation nonce with the app secret
+ * @param {string} nonce - Random nonce (base64url)
+ * @returns {string} Base64url encoded HMAC-SHA256
+ */
+function sign(nonce) {
+    return crypto.createHmac('sha256', config.session.secret).update(nonce).digest('base64url');
+}
+
+/**
+ * Creates a new signed invitation code
+ * @returns {string} "<nonce>.<signature>"
+ */
+function generateSignedCode() {
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    return `${nonce}.${sign(nonce)}`;
+}
+
+/**
+ * Checks the signature of an invitation code
+ * @param {string} token - Plain invitation code
+ * @returns {boolean} True if the code was signed with the app secret
+ */
+function hasValidSignature(token) {
+    const [nonce, signature, ...rest] = String(token).split('.');
+    if (!nonce || !signature || rest.length > 0) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(nonce));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates a new invitation
+ * @param {Object} invitation - { email, roles (role IDs), expiresAt (Date), createdBy }
+ * @returns {Promise<Object>} { id, token } - the plain code is only returned here, never stored
+ */
+async function createInvitation({ email, roles, expiresAt, createdBy }) {
+    const token = generateSignedCode();
+    const connection = await getPool().getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `INSERT INTO invitations (token_hash, email, expires_at, created_by)
+            VALUES (?, ?, ?, ?)`,
+            [hashToken(token), email || null, expiresAt, createdBy]
+        );
+
+        for (const roleId of roles || []) {
+            await connection.query(
+                'INSERT INTO invitation_roles (invitation_id, role_id) VALUES (?, ?)',
+                [result.insertId, roleId]
+            );
+        }
+
+        await connection.commit();
+        return { id: result.insertId, token };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Derives the state of an invitation row
+ * @param {Object} row - Row with usedAt, revokedAt and expired
+ * @returns {string} 'used' | 'revoked' | 'expired' | 'open'
+ */
+function getInvitationStatus(row) {
+    if (row.usedAt) {
+        return 'used';
+    }
+    if (row.revokedAt) {
+        return 'revoked';
+    }
+    return row.expired ? 'expired' : 'open';
+}
+
+/**
+ * Lists all invitations with their roles, newest first
+ * @returns {Promise<Array<Object>>} Invitations (who invited whom: createdBy and usedBy)
+ */
+async function listInvitations() {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT id, email, expires_at AS expiresAt, created_at AS createdAt, created_by AS createdBy,
+                used_at AS usedAt, used_by_username AS usedBy, revoked_at AS revokedAt, revoked_by AS revokedBy,
+                expires_at <= NOW() AS expired
+        FROM invitations
+        ORDER BY created_at DESC, id DESC`
+    );
+    const [roleRows] = await pool.query(
+        `SELECT ir.invitation_id AS invitationId, r.id, r.name
+        FROM invitation_roles ir
+        JOIN roles r ON ir.role_id = r.id
+        ORDER BY r.name`
+    );
+
+    return rows.map(({ expired, ...row }) => ({
+        ...row,
+        status: getInvitationStatus({ ...row, expired }),
+        roles: roleRows
+            .filter(roleRow => roleRow.invitationId === row.id)
+            .map(roleRow => ({ id: roleRow.id, name: roleRow.name }))
+    }));
+}
+
+/**
+ * Revokes an open invitation
+ * @param {number} id - Invitation ID
+ * @param {string} revokedBy - Username of the admin
+ * @returns {Promise<boolean>} True if revoked, false if unknown, used or already revoked
+ */
+async function revokeInvitation(id, revokedBy) {
+    const pool = getPool();
+    const [result] = await pool.query(
+        `UPDATE invitations
+        SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?
+        WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL`,
+        [revokedBy, id]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Looks up an invitation that can still be used
+ * @param {Object} connection - MySQL connection or pool
+ * @param {string} token - Plain invitation code
+ * @returns {Promise<Object|null>} { id, email, createdBy, roles } or null if forged, invalid, used, revoked or expired
+ */
+async function findValidInvitation(connection, token) {
+    if (!hasValidSignature(token)) {
+        return null;
+    }
+
+    const [rows] = await connection.query(
+        `SELECT id, email, created_by AS createdBy
+        FROM invitations
+        WHERE token_hash = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+        LIMIT 1`,
+        [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const [roleRows] = await connection.query(
+        'SELECT role_id AS roleId FROM invitation_roles WHERE invitation_id = ?',
+        [rows[0].id]
+    );
+
+    return { ...rows[0], roles: roleRows.map(row => row.roleId) };
+}
+
+/**
+ * Creates the account of an invitation and marks the invitation as used
+ * The conditional update makes the invitation single-use even under concurrent requests
+ * @param {string} token - Plain invitation code
+ * @param {Object} account - { username, email, passwordHash }
+ * @returns {Promise<Object|null>} { userId, invitation }, or null if the invitation is no longer valid
+ */
+async function acceptInvitation(token, { username, email, passwordHash }) {
+    const connection = await getPool().getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const invitation = await findValidInvitation(connection, token);
+        if (!invitation) {
+            await connection.rollback();
+            return null;
+        }
+
+        // The inviting admin is recorded as creator of the account
+        const [result] = await connection.query(
+            `INSERT INTO users (username, email, password_hash, role, created_by)
+            VALUES (?, ?, ?, 'user', ?)`,
+            [username, email, passwordHash, invitation.createdBy]
+        );
+
+        const [update] = await connection.query(
+            `UPDATE invitations
+            SET used_at = CURRENT_TIMESTAMP, used_by_user_id = ?, used_by_username = ?
+            WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL`,
+            [result.insertId, username, invitation.id]
+        );
+
+        if (update.affectedRows === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        for (const roleId of invitation.roles) {
+            await connection.query(
+                'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
+                [result.insertId, roleId]
+            );
+        }
+
+        await connection.commit();
+        return { userId: result.insertId, invitation };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    createInvitation,
+    listInvitations,
+    revokeInvitation,
+    findValidInvitation,
+    acceptInvitation
+};
@@ -1,135 +1,251 @@
 /**
  * Login attempts tracking
- * Tracks failed login attempts for rate limiting
+ * Tracks failed login attempts per username and per IP address in MySQL,
+ * so lockouts survive restarts and are shared between instances
  */
 
-const { securityLogger } = require('./logger');
+const { logger, securityLogger } = require('./logger');
+const { getPool } = require('./database');
 const config = require('./config');
 
-// In-memory store for login attempts
-// In production, consider using Redis or database
-const loginAttempts = new Map();
-
 // Cleanup interval to remove old entries
 const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
-const MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_AGE_HOURS = 24; // Attempt counters start over after 24 hours
+
+const IDENTIFIER_TYPES = ['username', 'ip'];
 
 /**
- * Records a failed login attempt
- * @param {string} identifier - Username or IP address
- * @returns {Object} Attempt info { attempts: number, lockedUntil: Date|null }
+ * Gets the lockout duration for an attempt count (escalation tiers)
+ * @param {number} count - Number of failed attempts
+ * @returns {number|null} Lockout duration in milliseconds, or null for no lockout
  */
-function recordFailedAttempt(identifier) {
-    const now = Date.now();
-    const attempts = loginAttempts.get(identifier) || {
-        count: 0,
-        firstAttempt: now,
-        lastAttempt: now,
-        lockedUntil: null
-    };
+function getLockoutDuration(count) {
+    if (count >= 20) {
+        return config.loginAttempts.lockout20Attempts;
+    }
+    if (count >= 10) {
+        return config.loginAttempts.lockout10Attempts;
+    }
+    if (count >= 5) {
+        return config.loginAttempts.lockout5Attempts;
+    }
+    return null;
+}
 
-    attempts.count++;
-    attempts.lastAttempt = now;
-
-    // Calculate lockout based on attempt count using config values
-    if (attempts.count >= 5) {
-        let lockoutDuration;
-        if (attempts.count >= 20) {
-            lockoutDuration = config.loginAttempts.lockout20Attempts;
-        } else if (attempts.count >= 10) {
-            lockoutDuration = config.loginAttempts.lockout10Attempts;
-        } else if (attempts.count >= 5) {
-            lockoutDuration = config.loginAttempts.lockout5Attempts;
-        }
-        
-        attempts.lockedUntil = new Date(now + lockoutDuration);
+/**
+ * Records a failed attempt for one identifier
+ * @param {string} type - 'username' or 'ip'
+ * @param {string} identifier - Username or IP address
+ * @returns {Promise<Object>} { attempts: number, lockedUntil: Date|null }
+ */
+async function recordAttempt(type, identifier) {
+    const pool = getPool();
+
+    // Counters older than MAX_AGE_HOURS start over (attempt_count is assigned before first_attempt_at)
+    await pool.query(
+        `INSERT INTO login_attempts (identifier_type, identifier, attempt_count, first_attempt_at, last_attempt_at)
+        VALUES (?, ?, 1, NOW(), NOW())
+        ON DUPLICATE KEY UPDATE
+            attempt_count = IF(first_attempt_at < NOW() - INTERVAL ? HOUR, 1, attempt_count + 1),
+            first_attempt_at = IF(first_attempt_at < NOW() - INTERVAL ? HOUR, NOW(), first_attempt_at),
+            last_attempt_at = NOW()`,
+        [type, identifier, MAX_AGE_HOURS, MAX_AGE_HOURS]
+    );
+
+    const [rows] = await pool.query(
+        'SELECT attempt_count AS count FROM login_attempts WHERE identifier_type = ? AND identifier = ?',
+        [type, identifier]
+    );
+    const count = rows.length > 0 ? rows[0].count : 1;
+
+    const lockoutDuration = getLockoutDuration(count);
+    let lockedUntil = null;
+
+    if (lockoutDuration) {
+        await pool.query(
+            `UPDATE login_attempts
+            SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+            WHERE identifier_type = ? AND identifier = ?`,
+            [Math.ceil(lockoutDuration / 1000), type, identifier]
+        );
+        lockedUntil = new Date(Date.now() + lockoutDuration);
     }
 
-    loginAttempts.set(identifier, attempts);
+    return { attempts: count, lockedUntil };
+}
+
+/**
+ * Records a failed login attempt for the username and the IP address
+ * @param {string} username - Attempted username
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} Attempt info of the username { attempts: number, lockedUntil: Date|null }
+ */
+async function recordFailedAttempt(username, ip) {
+    const userAttempts = await recordAttempt('username', username);
+
+    if (ip) {
+        await recordAttempt('ip', ip);
+    }
 
     securityLogger.warn('Failed login attempt recorded', {
-        identifier,
-        attempts: attempts.count,
-        lockedUntil: attempts.lockedUntil
+        username,
+        ip,
+        attempts: userAttempts.attempts,
+        lockedUntil: userAttempts.lockedUntil
     });
 
-    return {
-        attempts: attempts.count,
-        lockedUntil: attempts.lockedUntil
-    };
+    return userAttempts;
 }
 
 /**
- * Checks if an identifier is locked
- * @param {string} identifier - Username or IP address
- * @returns {Object} Lock status { isLocked: boolean, remainingTime: number|null }
+ * Checks if the username or the IP address is locked
+ * @param {string} username - Attempted username
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} Lock status { isLocked: boolean, remainingTime: number|null, identifierType: string|null }
  */
-function isLocked(identifier) {
-    const attempts = loginAttempts.get(identifier);
-    
-    if (!attempts || !attempts.lockedUntil) {
-        return { isLocked: false, remainingTime: null };
+async function isLocked(username, ip) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT identifier_type AS identifierType,
+                TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS remainingSeconds
+        FROM login_attempts
+        WHERE locked_until > NOW()
+          AND ((identifier_type = 'username' AND identifier = ?)
+               OR (identifier_type = 'ip' AND identifier = ?))
+        ORDER BY locked_until DESC
+        LIMIT 1`,
+        [username || '', ip || '']
+    );
+
+    if (rows.length === 0) {
+        return { isLocked: false, remainingTime: null, identifierType: null };
     }
 
-    const now = Date.now();
-    const lockedUntil = attempts.lockedUntil.getTime();
+    return {
+        isLocked: true,
+        remainingTime: Math.max(1, rows[0].remainingSeconds) * 1000,
+        identifierType: rows[0].identifierType
+    };
+}
 
-    if (now >= lockedUntil) {
-        // Lock expired, remove it
-        attempts.lockedUntil = null;
-        loginAttempts.set(identifier, attempts);
-        return { isLocked: false, remainingTime: null };
+/**
+ * Resets attempts for a username (after a successful login, once all factors passed)
+ * The IP counter only decays by the failed attempts of this username: the user's own typos
+ * no longer count against a shared IP, attempts on other accounts keep counting
+ * @param {string} username - Username
+ * @param {string} ip - Client IP address (optional, only for logins)
+ * @returns {Promise<void>}
+ */
+async function resetAttempts(username, ip = null) {
+    const pool = getPool();
+
+    if (ip) {
+        const attempts = await getAttemptCount(username);
+        if (attempts > 0) {
+            await pool.query(
+                `UPDATE login_attempts
+                SET attempt_count = GREATEST(attempt_count - ?, 0)
+                WHERE identifier_type = 'ip' AND identifier = ?`,
+                [attempts, ip]
+            );
+        }
     }
 
-    const remainingTime = lockedUntil - now;
-    return { isLocked: true, remainingTime };
+    await pool.query(
+        `DELETE FROM login_attempts WHERE identifier_type = 'username' AND identifier = ?`,
+        [username]
+    );
+    securityLogger.info('Login attempts reset', { identifier: username, ip });
 }
 
 /**
- * Resets attempts for an identifier (after successful login)
- * @param {string} identifier - Username or IP address
+ * Gets attempt count for a username
+ * @param {string} username - Username
+ * @returns {Promise<number>} Number of attempts
  */
-function resetAttempts(identifier) {
-    loginAttempts.delete(identifier);
-    securityLogger.info('Login attempts reset', { identifier });
+async function getAttemptCount(username) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT attempt_count AS count FROM login_attempts WHERE identifier_type = 'username' AND identifier = ?`,
+        [username]
+    );
+    return rows.length > 0 ? rows[0].count : 0;
 }
 
 /**
- * Gets attempt count for an identifier
- * @param {string} identifier - Username or IP address
- * @returns {number} Number of attempts
+ * Lists all currently locked identities
+ * @returns {Promise<Array>} Locks { identifierType, identifier, attempts, firstAttemptAt, lastAttemptAt, lockedUntil }
  */
-function getAttemptCount(identifier) {
-    const attempts = loginAttempts.get(identifier);
-    return attempts ? attempts.count : 0;
+async function listLockouts() {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT identifier_type AS identifierType, identifier, attempt_count AS attempts,
+                first_attempt_at AS firstAttemptAt, last_attempt_at AS lastAttemptAt,
+                locked_until AS lockedUntil
+        FROM login_attempts
+        WHERE locked_until > NOW()
+        ORDER BY locked_until DESC`
+    );
+    return rows;
 }
 
 /**
- * Cleans up old entries
+ * Unlocks an identity manually and clears its attempt counter
+ * @param {string} type - 'username' or 'ip'
+ * @param {string} identifier - Username or IP address
+ * @returns {Promise<boolean>} True if an entry was removed
  */
-function cleanup() {
-    const now = Date.now();
-    let cleaned = 0;
-
-    for (const [identifier, attempts] of loginAttempts.entries()) {
-        const age = now - attempts.firstAttempt;
-        if (age > MAX_AGE) {
-            loginAttempts.delete(identifier);
-            cleaned++;
-        }
+async function unlock(type, identifier) {
+    if (!IDENTIFIER_TYPES.includes(type)) {
+        return false;
     }
 
-    if (cleaned > 0) {
-        securityLogger.info(`Cleaned up ${cleaned} old login attempt entries`);
+    const pool = getPool();
+    const [result] = await pool.query(
+        'DELETE FROM login_attempts WHERE identifier_type = ? AND identifier = ?',
+        [type, identifier]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Cleans up old entries that are no longer locked
+ * @returns {Promise<void>}
+ */
+async function cleanup() {
+    try {
+        const pool = getPool();
+        const [result] = await pool.query(
+            `DELETE FROM login_attempts
+            WHERE last_attempt_at < NOW() - INTERVAL ? HOUR
+              AND (locked_until IS NULL OR locked_until < NOW())`,
+            [MAX_AGE_HOURS]
+        );
+
+        if (result.affectedRows > 0) {
+            securityLogger.info(`Cleaned up ${result.affectedRows} old login attempt entries`);
+        }
+    } catch (error) {
+        logger.error('Error cleaning up login attempts:', { error: error.message });
     }
 }
 
-// Start cleanup interval
-setInterval(cleanup, CLEANUP_INTERVAL);
+/**
+ * Starts the periodic cleanup of old login attempt entries
+ * @returns {Object} Interval ID
+ */
+function startPeriodicCleanup() {
+    cleanup();
+    return setInterval(cleanup, CLEANUP_INTERVAL);
+}
 
 module.exports = {
+    IDENTIFIER_TYPES,
     recordFailedAttempt,
     isLocked,
     resetAttempts,
-    getAttemptCount
+    getAttemptCount,
+    listLockouts,
+    unlock,
+    startPeriodicCleanup
 };
@@ -0,0 +1,80 @@
+/**
+ * Mailer utility
+ * Sends emails through the configured SMTP transport (nodemailer)
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('./config');
+const { logger } = require('./logger');
+
+let transporter = null;
+
+/**
+ * Checks if outgoing mail is configured
+ * @returns {boolean} True if an SMTP host is set
+ */
+function isMailConfigured() {
+    return config.mail.enabled;
+}
+
+/**
+ * Gets the (lazily created) SMTP transport
+ * @returns {Object} Nodemailer transport
+ */
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: config.mail.host,
+            port: config.mail.port,
+            secure: config.mail.secure,
+            // Local sinks (MailHog, Mailpit) accept mail without authentication
+            auth: config.mail.user
+                ? { user: config.mail.user, pass: config.mail.password }
+                : undefined
+        });
+    }
+    return transporter;
+}
+
+/**
+ * Sends an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<boolean>} True if the mail was accepted by the SMTP server
+ */
+async function sendMail({ to, subject, text, html }) {
+    if (!isMailConfigured()) {
+        logger.warn('Mail not sent: SMTP is not configured', { subject });
+        return false;
+    }
+
+    try {
+        const info = await getTransporter().sendMail({
+            from: config.mail.from,
+            to,
+            subject,
+            text,
+            html
+        });
+
+        logger.info('Mail sent', { subject, messageId: info.messageId });
+        return true;
+    } catch (error) {
+        logger.error('Error sending mail:', { error: error.message, subject });
+        return false;
+    }
+}
+
+/**
+ * Builds an absolute link into the panel
+ * @param {string} pathWithQuery - Path starting with '/'
+ * @returns {string} Absolute URL
+ */
+function buildAppUrl(pathWithQuery) {
+    return `${config.mail.appUrl.replace(/\/+$/, '')}${pathWithQuery}`;
+}
+
+module.exports = {
+    isMailConfigured,
+    sendMail,
+    buildAppUrl
+};
@@ -0,0 +1,177 @@
+/**
+ * MySQL session store
+ * express-session store on the shared connection pool (sessions table)
+ * Usage: const MySQLStore = require('./mysqlSessionStore')(session);
+ */
+
+const { getPool } = require('./database');
+const { logger } = require('./logger');
+
+// Fallback lifetime for sessions without cookie expiry
+const DEFAULT_TTL = 10 * 60; // 10 minutes in seconds
+
+/**
+ * Creates the store class for the given express-session module
+ * @param {Object} session - express-session module
+ * @returns {Function} MySQLStore class
+ */
+module.exports = function(session) {
+    class MySQLStore extends session.Store {
+        /**
+         * @param {Object} options - { ttl: seconds, reapInterval: seconds }
+         */
+        constructor(options = {}) {
+            super();
+            this.ttl = options.ttl || DEFAULT_TTL;
+            this.reapInterval = options.reapInterval || 60 * 60;
+            this.reapTimer = null;
+        }
+
+        /**
+         * Gets the remaining lifetime of a session in seconds
+         * @param {Object} sess - Session data
+         * @returns {number} TTL in seconds
+         */
+        getTtl(sess) {
+            if (sess && sess.cookie && sess.cookie.expires) {
+                const remaining = Math.ceil((new Date(sess.cookie.expires).getTime() - Date.now()) / 1000);
+                return Math.max(remaining, 1);
+            }
+            return this.ttl;
+        }
+
+        /**
+         * Loads a session that has not expired yet
+         * @param {string} sid - Session ID
+         * @param {Function} callback - (err, session)
+         */
+        get(sid, callback) {
+            getPool().query(
+                'SELECT data FROM sessions WHERE session_id = ? AND expires_at > NOW() LIMIT 1',
+                [sid]
+            ).then(([rows]) => {
+                if (rows.length === 0) {
+                    return callback(null, null);
+                }
+                callback(null, JSON.parse(rows[0].data));
+            }).catch(callback);
+        }
+
+        /**
+         * Stores a session (insert or update)
+         * @param {string} sid - Session ID
+         * @param {Object} sess - Session data
+         * @param {Function} callback - (err)
+         */
+        set(sid, sess, callback = () => {}) {
+            getPool().query(
+                `INSERT INTO sessions (session_id, data, expires_at)
+                VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+                ON DUPLICATE KEY UPDATE data = VALUES(data), expires_at = VALUES(expires_at)`,
+                [sid, JSON.stringify(sess), this.getTtl(sess)]
+            ).then(() => callback(null)).catch(callback);
+        }
+
+        /**
+         * Extends the lifetime of a session without rewriting its data
+         * @param {string} sid - Session ID
+         * @param {Object} sess - Session data
+         * @param {Function} callback - (err)
+         */
+        touch(sid, sess, callback = () => {}) {
+            getPool().query(
+                'UPDATE sessions SET expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE session_id = ?',
+                [this.getTtl(sess), sid]
+            ).then(() => callback(null)).catch(callback);
+        }
+
+        /**
+         * Deletes a session
+         * @param {string} sid - Session ID
+         * @param {Function} callback - (err)
+         */
+        destroy(sid, callback = () => {}) {
+            getPool().query('DELETE FROM sessions WHERE session_id = ?', [sid])
+                .then(() => callback(null))
+                .catch(callback);
+        }
+
+        /**
+         * Gets all active sessions
+         * @param {Function} callback - (err, sessions keyed by session ID)
+         */
+        all(callback) {
+            getPool().query(
+                'SELECT session_id AS sid, data FROM sessions WHERE expires_at > NOW()'
+            ).then(([rows]) => {
+                const sessions = {};
+                for (const row of rows) {
+                    sessions[row.sid] = JSON.parse(row.data);
+                }
+                callback(null, sessions);
+            }).catch(callback);
+        }
+
+        /**
+         * Counts the active sessions
+         * @param {Function} callback - (err, count)
+         */
+        length(callback) {
+            getPool().query(
+                'SELECT COUNT(*) AS count FROM sessions WHERE expires_at > NOW()'
+            ).then(([rows]) => callback(null, rows[0].count)).catch(callback);
+        }
+
+        /**
+         * Deletes all sessions
+         * @param {Function} callback - (err)
+         */
+        clear(callback = () => {}) {
+            getPool().query('DELETE FROM sessions')
+                .then(() => callback(null))
+                .catch(callback);
+        }
+
+        /**
+         * Deletes expired sessions
+         * @returns {Promise<number>} Number of deleted sessions
+         */
+        async reap() {
+            try {
+                const [result] = await getPool().query('DELETE FROM sessions WHERE expires_at <= NOW()');
+
+                if (result.affectedRows > 0) {
+                    logger.info(`Reaped ${result.affectedRows} expired sessions`);
+                }
+                return result.affectedRows;
+            } catch (error) {
+                logger.error('Error reaping expired sessions:', { error: error.message });
+                return 0;
+            }
+        }
+
+        /**
+         * Starts the periodic reaper (call after the database is initialized)
+         * @returns {Object} Interval ID
+         */
+        startReaper() {
+            if (!this.reapTimer) {
+                this.reap();
+                this.reapTimer = setInterval(() => this.reap(), this.reapInterval * 1000);
+            }
+            return this.reapTimer;
+        }
+
+        /**
+         * Stops the periodic reaper
+         */
+        stopReaper() {
+            if (this.reapTimer) {
+                clearInterval(this.reapTimer);
+                this.reapTimer = null;
+            }
+        }
+    }
+
+    return MySQLStore;
+};
@@ -0,0 +1,176 @@
+/**
+ * Password hashing service
+ * Central place for hashing and verifying passwords (config.passwordHashing)
+ *
+ * Stored format: "<algorithm>[+pepper]:<hash>"
+ * - bcrypt:        bcrypt:$2b$10$...
+ * - scrypt:        scrypt:N,r,p$<salt base64>$<key base64>
+ * - "+pepper":     the password was combined with PASSWORD_PEPPER (HMAC-SHA256) before hashing
+ * Plain bcrypt hashes without prefix ($2a$/$2b$) from older versions are still accepted
+ * and upgraded at the next login (see needsRehash)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const bcrypt = require('bcrypt');
+const { logger } = require('./logger');
+const config = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHMS = ['bcrypt', 'scrypt'];
+const PEPPER_SUFFIX = '+pepper';
+
+/**
+ * Applies the server-side pepper to a password
+ * The HMAC keeps the input below bcrypt's 72 byte limit
+ * @param {string} password - Password (plain text)
+ * @returns {string} Peppered password
+ */
+function applyPepper(password) {
+    return crypto.createHmac('sha256', config.passwordHashing.pepper)
+        .update(password, 'utf8')
+        .digest('base64');
+}
+
+/**
+ * Splits a stored hash into its parts
+ * @param {string} storedHash - Hash from the database
+ * @returns {Object|null} { algorithm, peppered, hash }, or null if the format is unknown
+ */
+function parseHash(storedHash) {
+    if (typeof storedHash !== 'string') {
+        return null;
+    }
+
+    // Legacy bcrypt hash without prefix
+    if (/^\$2[aby]\$/.test(storedHash)) {
+        return { algorithm: 'bcrypt', peppered: false, hash: storedHash };
+    }
+
+    const separator = storedHash.indexOf(':');
+    if (separator === -1) {
+        return null;
+    }
+
+    const prefix = storedHash.substring(0, separator);
+    const peppered = prefix.endsWith(PEPPER_SUFFIX);
+    const algorithm = peppered ? prefix.slice(0, -PEPPER_SUFFIX.length) : prefix;
+
+    if (!ALGORITHMS.includes(algorithm)) {
+        return null;
+    }
+
+    return { algorithm, peppered, hash: storedHash.substring(separator + 1) };
+}
+
+/**
+ * Hashes a password with scrypt
+ * @param {string} password - Password (already peppered if enabled)
+ * @returns {Promise<string>} Encoded hash "N,r,p$salt$key"
+ */
+async function scryptHash(password) {
+    const { N, r, p, keyLength } = config.passwordHashing.scrypt;
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+
+    return `${N},${r},${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Verifies a password against an scrypt hash
+ * @param {string} password - Password (already peppered if enabled)
+ * @param {string} encoded - Encoded hash "N,r,p$salt$key"
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function scryptVerify(password, encoded) {
+    const [params, saltBase64, keyBase64] = encoded.split('$');
+    const [N, r, p] = (params || '').split(',').map(value => parseInt(value, 10));
+    if (!N || !r || !p || !saltBase64 || !keyBase64) {
+        return false;
+    }
+
+    const expected = Buffer.from(keyBase64, 'base64');
+    const key = await scrypt(password, Buffer.from(saltBase64, 'base64'), expected.length, {
+        N, r, p, maxmem: 256 * N * r
+    });
+
+    return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Hashes a password with the configured algorithm, cost and pepper
+ * @param {string} password - Password (plain text)
+ * @returns {Promise<string>} Hash for the database
+ */
+async function hashPassword(password) {
+    const { algorithm, bcryptCost, pepper } = config.passwordHashing;
+    const input = pepper ? applyPepper(password) : password;
+    const prefix = algorithm + (pepper ? PEPPER_SUFFIX : '');
+
+    if (algorithm === 'scrypt') {
+        return `${prefix}:${await scryptHash(input)}`;
+    }
+
+    const salt = await bcrypt.genSalt(bcryptCost);
+    return `${prefix}:${await bcrypt.hash(input, salt)}`;
+}
+
+/**
+ * Verifies a password against a stored hash (any supported format)
+ * @param {string} password - Password (plain text)
+ * @param {string} storedHash - Hash from the database
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string') {
+        return false;
+    }
+
+    const parsed = parseHash(storedHash);
+    if (!parsed) {
+        logger.error('Unknown password hash format');
+        return false;
+    }
+
+    if (parsed.peppered && !config.passwordHashing.pepper) {
+        logger.error('Password hash requires PASSWORD_PEPPER, but no pepper is configured');
+        return false;
+    }
+
+    const input = parsed.peppered ? applyPepper(password) : password;
+
+    if (parsed.algorithm === 'scrypt') {
+        return scryptVerify(input, parsed.hash);
+    }
+    return bcrypt.compare(input, parsed.hash);
+}
+
+/**
+ * Checks if a stored hash uses outdated parameters (algorithm, cost or pepper)
+ * @param {string} storedHash - Hash from the database
+ * @returns {boolean} True if the hash should be replaced at the next login
+ */
+function needsRehash(storedHash) {
+    const { algorithm, bcryptCost, pepper, scrypt: scryptParams } = config.passwordHashing;
+    const parsed = parseHash(storedHash);
+
+    if (!parsed || storedHash.startsWith('$')) {
+        return true;
+    }
+    if (parsed.algorithm !== algorithm || parsed.peppered !== !!pepper) {
+        return true;
+    }
+
+    if (algorithm === 'scrypt') {
+        const params = parsed.hash.split('$')[0];
+        return params !== `${scryptParams.N},${scryptParams.r},${scryptParams.p}`;
+    }
+    return bcrypt.getRounds(parsed.hash) !== bcryptCost;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    needsRehash
+};
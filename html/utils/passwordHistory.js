@@ -0,0 +1,103 @@
+/**
+ * Password history
+ * Keeps the previous password hashes per user (config.password.historySize)
+ * so old passwords cannot be reused, and checks the maximum password age
+ */
+
+const { getPool } = require('./database');
+const { verifyPassword } = require('./passwordHasher');
+const config = require('./config');
+
+// Error message for responses with a reused password
+const REUSE_ERROR = 'Dieses Passwort wurde bereits verwendet. Bitte wählen Sie ein anderes Passwort.';
+
+/**
+ * Checks if a password matches the current or one of the stored previous passwords
+ * Always false when the history is disabled (historySize 0)
+ * @param {number} userId - User ID
+ * @param {string} password - New password (plain text)
+ * @param {Object} connection - MySQL connection or pool (defaults to the pool)
+ * @returns {Promise<boolean>} True if the password was used before
+ */
+async function isPasswordReused(userId, password, connection = getPool()) {
+    const historySize = config.password.historySize;
+    if (historySize <= 0) {
+        return false;
+    }
+
+    const [currentRows] = await connection.query(
+        'SELECT password_hash AS passwordHash FROM users WHERE id = ? LIMIT 1',
+        [userId]
+    );
+    const [historyRows] = await connection.query(
+        `SELECT password_hash AS passwordHash FROM password_history
+        WHERE user_id = ?
+        ORDER BY id DESC
+        LIMIT ?`,
+        [userId, historySize]
+    );
+
+    for (const row of [...currentRows, ...historyRows]) {
+        if (await verifyPassword(password, row.passwordHash)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Moves the current password hash of a user into the history
+ * Call before the new hash is written; only the newest historySize entries are kept
+ * @param {Object} connection - MySQL connection (inside the caller's transaction)
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function archiveCurrentPassword(connection, userId) {
+    const historySize = config.password.historySize;
+
+    if (historySize > 0) {
+        await connection.query(
+            `INSERT INTO password_history (user_id, password_hash)
+            SELECT id, password_hash FROM users WHERE id = ?`,
+            [userId]
+        );
+    }
+
+    // MySQL does not allow LIMIT in a subquery of DELETE on the same table
+    const [staleRows] = await connection.query(
+        `SELECT id FROM password_history
+        WHERE user_id = ?
+        ORDER BY id DESC
+        LIMIT 18446744073709551615 OFFSET ?`,
+        [userId, Math.max(historySize, 0)]
+    );
+
+    if (staleRows.length > 0) {
+        await connection.query(
+            'DELETE FROM password_history WHERE id IN (?)',
+            [staleRows.map(row => row.id)]
+        );
+    }
+}
+
+/**
+ * Checks if a password is older than the configured maximum age
+ * @param {Date|string|null} passwordChangedAt - Time of the last password change
+ * @returns {boolean} True if the password has to be changed
+ */
+function isPasswordExpired(passwordChangedAt) {
+    const maxAgeDays = config.password.maxAgeDays;
+    if (!maxAgeDays || maxAgeDays <= 0 || !passwordChangedAt) {
+        return false;
+    }
+
+    const ageMs = Date.now() - new Date(passwordChangedAt).getTime();
+    return ageMs > maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+    REUSE_ERROR,
+    isPasswordReused,
+    archiveCurrentPassword,
+    isPasswordExpired
+};
@@ -0,0 +1,89 @@
+/**
+ * Password policy utility
+ * Validates new passwords against config.password and the breached password corpus
+ */
+
+const config = require('./config');
+const { isCorpusLoaded, isPasswordBreached } = require('./breachedPasswords');
+
+// Error message for responses with policy failures
+const POLICY_ERROR = 'Das Passwort erfüllt nicht die Passwort-Richtlinie.';
+
+// Rule for passwords found in the breach corpus (checked on the server only)
+const BREACHED_RULE = { rule: 'breached', message: 'Nicht aus bekannten Datenlecks' };
+
+/**
+ * Builds the active rules of the configured policy
+ * @returns {Array} Rules { rule, message, test(password) }
+ */
+function getRules() {
+    const policy = config.password;
+    const rules = [
+        {
+            rule: 'minLength',
+            message: `Mindestens ${policy.minLength} Zeichen`,
+            test: value => value.length >= policy.minLength
+        }
+    ];
+
+    if (policy.requireUppercase) {
+        rules.push({ rule: 'uppercase', message: 'Mindestens ein Großbuchstabe', test: value => /[A-Z]/.test(value) });
+    }
+    if (policy.requireLowercase) {
+        rules.push({ rule: 'lowercase', message: 'Mindestens ein Kleinbuchstabe', test: value => /[a-z]/.test(value) });
+    }
+    if (policy.requireNumbers) {
+        rules.push({ rule: 'number', message: 'Mindestens eine Zahl', test: value => /[0-9]/.test(value) });
+    }
+    if (policy.requireSpecialChars) {
+        rules.push({
+            rule: 'specialChar',
+            message: `Mindestens ein Sonderzeichen (${policy.specialChars})`,
+            test: value => [...value].some(char => policy.specialChars.includes(char))
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Gets the policy for clients (rendered as a checklist)
+ * @returns {Object} { minLength, specialChars, rules: [{ rule, message }] }
+ */
+function getPasswordPolicy() {
+    const rules = getRules().map(({ rule, message }) => ({ rule, message }));
+    if (isCorpusLoaded()) {
+        rules.push({ ...BREACHED_RULE });
+    }
+
+    return {
+        minLength: config.password.minLength,
+        specialChars: config.password.specialChars,
+        rules
+    };
+}
+
+/**
+ * Validates a password against the configured policy and the breach corpus
+ * @param {string} password - Password to validate
+ * @returns {Promise<Array>} Violated rules { rule, message }, empty if valid
+ */
+async function validatePasswordPolicy(password) {
+    const value = typeof password === 'string' ? password : '';
+
+    const failures = getRules()
+        .filter(entry => !entry.test(value))
+        .map(({ rule, message }) => ({ rule, message }));
+
+    if (await isPasswordBreached(value)) {
+        failures.push({ ...BREACHED_RULE });
+    }
+
+    return failures;
+}
+
+module.exports = {
+    POLICY_ERROR,
+    getPasswordPolicy,
+    validatePasswordPolicy
+};
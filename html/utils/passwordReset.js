@@ -0,0 +1,90 @@
+/**
+ * Password Reset Utility
+ * Creates and consumes single-use, time-limited password reset tokens
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('./database');
+const config = require('./config');
+
+/**
+ * Hashes a reset token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a new reset token for a user
+ * Older unused tokens of the user are invalidated
+ * @param {number} userId - User ID
+ * @param {string} ip - Requesting IP address
+ * @returns {Promise<string>} Plain token (only sent by email, never stored)
+ */
+async function createResetToken(userId, ip) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const pool = getPool();
+
+    await pool.query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+
+    await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, ip)
+        VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), ?)`,
+        [userId, hashToken(token), Math.floor(config.passwordReset.tokenTtl / 1000), ip || null]
+    );
+
+    return token;
+}
+
+/**
+ * Marks a token as used if it is valid
+ * The conditional update makes the token single-use even under concurrent requests
+ * @param {Object} connection - MySQL connection (inside a transaction)
+ * @param {string} token - Plain token
+ * @returns {Promise<number|null>} User ID of the token, or null if invalid, used or expired
+ */
+async function consumeResetToken(connection, token) {
+    const tokenHash = hashToken(token);
+
+    const [rows] = await connection.query(
+        `SELECT id, user_id AS userId
+        FROM password_reset_tokens
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+        LIMIT 1`,
+        [tokenHash]
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const [result] = await connection.query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [rows[0].id]
+    );
+
+    return result.affectedRows > 0 ? rows[0].userId : null;
+}
+
+/**
+ * Deletes expired and used tokens
+ * @returns {Promise<number>} Number of deleted tokens
+ */
+async function cleanupResetTokens() {
+    const pool = getPool();
+    const [result] = await pool.query(
+        'DELETE FROM password_reset_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL'
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    createResetToken,
+    consumeResetToken,
+    cleanupResetTokens
+};
@@ -0,0 +1,28 @@
+/**
+ * Permission catalog
+ * Built-in permissions of the application with category and label
+ * They are seeded into the permissions table by createTables(); admin-defined permissions
+ * for new modules live only in the table (see getPermissionRegistry in permissions.js)
+ */
+
+// Built-in permissions (cannot be changed or deleted by admins)
+const SYSTEM_PERMISSIONS = [
+    { name: 'manage_accounts', label: 'Konten verwalten', category: 'Konten', description: 'Create, edit, and delete user accounts' },
+    { name: 'view_accounts', label: 'Konten ansehen', category: 'Konten', description: 'View user accounts' },
+    { name: 'handle_requests', label: 'Kontoanfragen verwalten', category: 'Konten', description: 'Approve or reject registration requests' },
+    { name: 'manage_roles', label: 'Rollen verwalten', category: 'Rollen', description: 'Create, edit, and delete roles' },
+    { name: 'view_absences', label: 'Abwesenheiten ansehen', category: 'Abwesenheiten', description: 'View all absences' },
+    { name: 'manage_absences', label: 'Abwesenheiten verwalten', category: 'Abwesenheiten', description: 'Manage and delete any absences' },
+    { name: 'view_audit_log', label: 'Audit-Log ansehen', category: 'Audit', description: 'View and export the audit log' },
+    { name: 'admin_all', label: 'Alle Admin-Berechtigungen', category: 'Administration', description: 'Full administrative access (legacy)' }
+];
+
+// Name constants for permission checks in code (e.g. PERMISSIONS.ADMIN_ALL)
+const PERMISSIONS = Object.fromEntries(
+    SYSTEM_PERMISSIONS.map(permission => [permission.name.toUpperCase(), permission.name])
+);
+
+module.exports = {
+    SYSTEM_PERMISSIONS,
+    PERMISSIONS
+};
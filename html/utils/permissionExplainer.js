@@ -0,0 +1,202 @@
+/**
+ * Permission explainer
+ * Lists every effective permission of a user with the grants it comes from (superadmin, wildcard,
+ * admin_all, direct grant, role with inheritance path, team grant) and checks a single permission
+ * the same way requirePermission does
+ */
+
+const { getPool } = require('./database');
+const config = require('./config');
+const {
+    PERMISSIONS,
+    isSuperAdmin,
+    getAllPermissionNames,
+    hasAnyPermission
+} = require('./permissions');
+const { getPermissionScope } = require('./permissionScopes');
+const { isAccountActive } = require('../../routes/users');
+
+/**
+ * Loads roles, role inheritance and role permissions (small admin tables, read at once)
+ * @returns {Promise<Object>} { roleNames: Map, parents: Map, rolePermissions: Map }
+ */
+async function loadRoleData() {
+    const pool = getPool();
+    const [roleRows] = await pool.query('SELECT id, name FROM roles');
+    const [parentRows] = await pool.query('SELECT role_id AS roleId, parent_role_id AS parentId FROM role_parents');
+    const [permissionRows] = await pool.query(
+        `SELECT rp.role_id AS roleId, p.name
+        FROM role_permissions rp
+        JOIN permissions p ON rp.permission_id = p.id`
+    );
+
+    const parents = new Map();
+    for (const row of parentRows) {
+        parents.set(row.roleId, [...(parents.get(row.roleId) || []), row.parentId]);
+    }
+
+    const rolePermissions = new Map();
+    for (const row of permissionRows) {
+        rolePermissions.set(row.roleId, [...(rolePermissions.get(row.roleId) || []), row.name]);
+    }
+
+    return {
+        roleNames: new Map(roleRows.map(row => [row.id, row.name])),
+        parents,
+        rolePermissions
+    };
+}
+
+/**
+ * Collects the permissions a role grants, each with the inheritance path to the granting role
+ * @param {string} roleId - Assigned role ID
+ * @param {Object} roleData - Result of loadRoleData
+ * @returns {Array<Object>} Grants { permission, path: [role names from the assigned to the granting role] }
+ */
+function collectRoleGrants(roleId, roleData) {
+    const grants = [];
+    const visited = new Set([roleId]);
+    const queue = [[roleId]];
+
+    while (queue.length > 0) {
+        const path = queue.shift();
+        const current = path[path.length - 1];
+
+        for (const permission of roleData.rolePermissions.get(current) || []) {
+            grants.push({ permission, path: path.map(id => roleData.roleNames.get(id) || id) });
+        }
+
+        // Breadth-first, so every permission keeps its shortest inheritance path first
+        for (const parentId of roleData.parents.get(current) || []) {
+            if (!visited.has(parentId)) {
+                visited.add(parentId);
+                queue.push([...path, parentId]);
+            }
+        }
+    }
+
+    return grants;
+}
+
+/**
+ * Explains the effective permissions of a user
+ * @param {Object} user - User object from getUserByUsername
+ * @returns {Promise<Object>} { active, permissions: [{ permission, sources }], teamPermissions, expiredRoles }
+ *          (expired role assignments grant nothing and are listed separately)
+ *          Sources: { type: 'superadmin' | 'wildcard' | 'admin_all' | 'direct' | 'role', role, path, expiresAt, grantedBy }
+ *          (grantedBy: '*' or 'admin_all' when a role grants every permission)
+ */
+async function explainUserPermissions(user) {
+    const allPermissions = await getAllPermissionNames();
+    const sources = new Map();
+
+    /**
+     * Adds a source to a permission
+     * @param {string} permission - Permission name
+     * @param {Object} source - Grant source
+     */
+    const addSource = (permission, source) => {
+        if (!sources.has(permission)) {
+            sources.set(permission, []);
+        }
+        sources.get(permission).push(source);
+    };
+
+    const roleData = await loadRoleData();
+    const now = Date.now();
+    const assignments = (user.roles || []).map(roleId => {
+        const assignment = (user.roleAssignments || []).find(entry => entry.roleId === roleId);
+        const expiresAt = assignment ? assignment.expiresAt : null;
+        return {
+            roleId,
+            role: roleData.roleNames.get(roleId) || roleId,
+            expiresAt,
+            expired: !!expiresAt && new Date(expiresAt).getTime() <= now
+        };
+    });
+
+    // Grants that give every permission (see getAllUserPermissions)
+    if (isSuperAdmin(user)) {
+        allPermissions.forEach(permission => addSource(permission, { type: 'superadmin' }));
+    }
+    for (const permission of user.permissions || []) {
+        if (permission === '*') {
+            allPermissions.forEach(name => addSource(name, { type: 'wildcard' }));
+        } else if (permission === PERMISSIONS.ADMIN_ALL) {
+            allPermissions.forEach(name => addSource(name, { type: 'admin_all' }));
+        }
+        addSource(permission, { type: 'direct' });
+    }
+
+    for (const assignment of assignments.filter(entry => !entry.expired)) {
+        for (const grant of collectRoleGrants(assignment.roleId, roleData)) {
+            const source = {
+                type: 'role',
+                role: assignment.role,
+                path: grant.path,
+                expiresAt: assignment.expiresAt
+            };
+
+            if (grant.permission === '*' || grant.permission === PERMISSIONS.ADMIN_ALL) {
+                allPermissions.forEach(name => addSource(name, { ...source, grantedBy: grant.permission }));
+            }
+            if (grant.permission !== '*') {
+                addSource(grant.permission, source);
+            }
+        }
+    }
+
+    // Team grants only count on routes that limit themselves to the team members
+    const teamPermissions = user.teamPermissions || [];
+    const [teamRows] = teamPermissions.length > 0
+        ? await getPool().query('SELECT id, name FROM teams WHERE id IN (?)', [teamPermissions.map(entry => entry.teamId)])
+        : [[]];
+
+    return {
+        active: isAccountActive(user),
+        permissions: Array.from(sources.keys())
+            .filter(permission => permission !== '*')
+            .sort()
+            .map(permission => ({ permission, sources: sources.get(permission) })),
+        teamPermissions: teamPermissions.map(entry => ({
+            ...entry,
+            team: (teamRows.find(row => row.id === entry.teamId) || {}).name || null
+        })),
+        expiredRoles: assignments.filter(entry => entry.expired)
+    };
+}
+
+/**
+ * Checks if a user may use a permission, in the same order as requirePermission
+ * @param {Object} user - User object from getUserByUsername
+ * @param {string} permission - Permission name
+ * @param {Object} options - { scoped: boolean } as passed to requirePermission
+ * @returns {Promise<Object>} { allowed, reason, scope }
+ *          reason: 'permissions_disabled' | 'inactive' | 'superadmin' | 'granted' | 'team_scope' | 'not_granted'
+ */
+async function checkUserPermission(user, permission, options = {}) {
+    if (config.forceDisablePermissions) {
+        return { allowed: true, reason: 'permissions_disabled', scope: { all: true } };
+    }
+    if (!isAccountActive(user)) {
+        return { allowed: false, reason: 'inactive', scope: null };
+    }
+    if (isSuperAdmin(user)) {
+        return { allowed: true, reason: 'superadmin', scope: { all: true } };
+    }
+    if (await hasAnyPermission(user, [permission])) {
+        return { allowed: true, reason: 'granted', scope: { all: true } };
+    }
+    if (options.scoped) {
+        const scope = await getPermissionScope(user, [permission]);
+        if (scope) {
+            return { allowed: true, reason: 'team_scope', scope };
+        }
+    }
+    return { allowed: false, reason: 'not_granted', scope: null };
+}
+
+module.exports = {
+    explainUserPermissions,
+    checkUserPermission
+};
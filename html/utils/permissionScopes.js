@@ -0,0 +1,108 @@
+/**
+ * Permission scopes
+ * Permissions can be granted for the members of a team only (user_team_permissions)
+ * A scope is { all: true } for a global grant, or { all: false, teamIds } for team grants
+ */
+
+const { getPool } = require('./database');
+const { isSuperAdmin, hasAnyPermission, getAllUserPermissions } = require('./permissions');
+
+// Permissions that can be granted for teams (routes that limit themselves to req.permissionScope)
+const SCOPABLE_PERMISSIONS = ['view_accounts', 'manage_accounts', 'view_absences', 'manage_absences'];
+
+/**
+ * Determines for which users a permission applies
+ * @param {Object} user - User object
+ * @param {string[]} permissions - Permission names (any of them is enough)
+ * @returns {Promise<Object|null>} Scope, or null if the user has none of the permissions
+ */
+async function getPermissionScope(user, permissions) {
+    if (isSuperAdmin(user) || await hasAnyPermission(user, permissions)) {
+        return { all: true };
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT DISTINCT utp.team_id AS teamId
+        FROM user_team_permissions utp
+        JOIN permissions p ON utp.permission_id = p.id
+        WHERE utp.user_id = ? AND p.name IN (?)`,
+        [user.id, permissions]
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+    return { all: false, teamIds: rows.map(row => row.teamId) };
+}
+
+/**
+ * Checks if a user is covered by a scope
+ * @param {Object|null} scope - Scope from getPermissionScope
+ * @param {number} userId - ID of the affected user
+ * @returns {Promise<boolean>} True if the user is inside the scope
+ */
+async function isUserInScope(scope, userId) {
+    if (!scope) {
+        return false;
+    }
+    if (scope.all) {
+        return true;
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+        'SELECT 1 FROM team_members WHERE user_id = ? AND team_id IN (?) LIMIT 1',
+        [userId, scope.teamIds]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Builds an SQL condition that limits a user ID column to a scope
+ * @param {Object} scope - Scope from getPermissionScope
+ * @param {string} column - Column with the user ID (e.g. "u.id")
+ * @returns {Object|null} { sql, values }, or null if the scope covers all users
+ */
+function scopeCondition(scope, column) {
+    if (scope.all) {
+        return null;
+    }
+
+    return {
+        sql: `${column} IN (SELECT tm.user_id FROM team_members tm WHERE tm.team_id IN (?))`,
+        values: [scope.teamIds]
+    };
+}
+
+/**
+ * Checks if an account has no permissions beyond the ones of a team-scoped manager
+ * Global permissions (direct and from roles) must be held globally by the manager, team grants
+ * globally or for the same team - so a team lead cannot take over accounts with other rights
+ * @param {Object} actor - User object of the manager (permissions, roles, teamPermissions)
+ * @param {Object} user - Target user object (permissions, roles, teamPermissions)
+ * @returns {Promise<boolean>} True if all permissions of the account are covered
+ */
+async function isWithinActorPermissions(actor, user) {
+    if (isSuperAdmin(user)) {
+        return false;
+    }
+
+    const actorPermissions = new Set(await getAllUserPermissions(actor));
+    const userPermissions = await getAllUserPermissions(user);
+    if (!userPermissions.every(permission => actorPermissions.has(permission))) {
+        return false;
+    }
+
+    const actorGrants = actor.teamPermissions || [];
+    return (user.teamPermissions || []).every(grant => actorPermissions.has(grant.permission)
+        || actorGrants.some(own => own.permission === grant.permission && own.teamId === grant.teamId));
+}
+
+module.exports = {
+    SCOPABLE_PERMISSIONS,
+    getPermissionScope,
+    isUserInScope,
+    scopeCondition,
+    isWithinActorPermissions
+};
@@ -7,6 +7,7 @@ const path = require('path');
 const { readJsonFile } = require('./fileOperations');
 const { logger } = require('./logger');
 const { getPool } = require('./database');
+const { PERMISSIONS } = require('./permissionCatalog');
 
 const ROLES_FILE = path.join(__dirname, '../../data/roles.json');
 
@@ -17,14 +18,59 @@ const ROLES = {
     USER: 'user'
 };
 
-// Permission definitions
-const PERMISSIONS = {
-    MANAGE_ACCOUNTS: 'manage_accounts',
-    VIEW_ACCOUNTS: 'view_accounts',
-    MANAGE_ROLES: 'manage_roles',
-    HANDLE_REQUESTS: 'handle_requests',
-    ADMIN_ALL: 'admin_all'  // For legacy admin role
-};
+// Cached permission registry (reset by invalidatePermissionRegistry when permissions change)
+// The cache is per process, so it also expires: other instances pick up changes after the TTL
+const REGISTRY_CACHE_TTL = 60 * 1000; // 1 minute
+let permissionRegistry = null;
+let permissionRegistryLoadedAt = 0;
+
+/**
+ * Gets the permission registry (built-in and admin-defined permissions)
+ * @returns {Promise<Object[]>} Permissions { name, label, category, description, system }
+ */
+async function getPermissionRegistry() {
+    if (permissionRegistry && Date.now() - permissionRegistryLoadedAt < REGISTRY_CACHE_TTL) {
+        return permissionRegistry;
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT name, label, category, description, is_system AS isSystem,
+                created_at AS createdAt, created_by AS createdBy
+        FROM permissions
+        ORDER BY is_system DESC, category, name`
+    );
+
+    permissionRegistry = rows.map(({ isSystem, ...row }) => ({
+        ...row,
+        label: row.label || row.name,
+        category: row.category || 'Sonstige',
+        system: !!isSystem
+    }));
+    permissionRegistryLoadedAt = Date.now();
+    return permissionRegistry;
+}
+
+/**
+ * Resets the cached permission registry after permissions were added, changed or deleted
+ */
+function invalidatePermissionRegistry() {
+    permissionRegistry = null;
+}
+
+/**
+ * Gets the names of all registered permissions (what superadmins and admin_all receive)
+ * Falls back to the built-in permissions if the registry cannot be loaded
+ * @returns {Promise<string[]>} Permission names
+ */
+async function getAllPermissionNames() {
+    try {
+        return (await getPermissionRegistry()).map(permission => permission.name);
+    } catch (error) {
+        logger.error('Error loading permission registry from database:', { error: error.message });
+        return Object.values(PERMISSIONS);
+    }
+}
 
 /**
  * Check if user is superadmin
@@ -58,19 +104,105 @@ function hasWildcard(user) {
 }
 
 /**
- * Gets all permissions for a role
+ * Follows the role_parents links from the given roles (breadth-first)
+ * Already visited roles are skipped, so a cycle in the data cannot loop forever
+ * @param {string[]} roleIds - Start role IDs
+ * @param {string} direction - 'up' for parent roles, 'down' for child roles
+ * @param {Object} connection - MySQL connection or pool
+ * @returns {Promise<string[]>} Reached role IDs (without the start roles unless they are reached again)
+ */
+async function walkRoleHierarchy(roleIds, direction, connection) {
+    const [from, to] = direction === 'up' ? ['role_id', 'parent_role_id'] : ['parent_role_id', 'role_id'];
+    const reached = new Set();
+    let pending = [...roleIds];
+
+    while (pending.length > 0) {
+        const [rows] = await connection.query(
+            `SELECT ${to} AS roleId FROM role_parents WHERE ${from} IN (?)`,
+            [pending]
+        );
+
+        pending = [];
+        for (const row of rows) {
+            if (!reached.has(row.roleId)) {
+                reached.add(row.roleId);
+                pending.push(row.roleId);
+            }
+        }
+    }
+
+    return Array.from(reached);
+}
+
+/**
+ * Gets all roles a role inherits from (parents, their parents, ...)
+ * @param {string} roleId - Role ID
+ * @param {Object} connection - MySQL connection or pool (defaults to the pool)
+ * @returns {Promise<string[]>} Ancestor role IDs
+ */
+async function getAncestorRoleIds(roleId, connection = getPool()) {
+    const ancestors = await walkRoleHierarchy([roleId], 'up', connection);
+    return ancestors.filter(id => id !== roleId);
+}
+
+/**
+ * Checks if giving a role these parent roles would create an inheritance cycle
+ * @param {string} roleId - Role ID
+ * @param {string[]} parentIds - New parent role IDs
+ * @param {Object} connection - MySQL connection or pool (defaults to the pool)
+ * @returns {Promise<boolean>} True if the role would (indirectly) inherit from itself
+ */
+async function wouldCreateRoleCycle(roleId, parentIds, connection = getPool()) {
+    if (parentIds.length === 0) {
+        return false;
+    }
+    if (parentIds.includes(roleId)) {
+        return true;
+    }
+
+    const ancestors = await walkRoleHierarchy(parentIds, 'up', connection);
+    return ancestors.includes(roleId);
+}
+
+/**
+ * Gets the IDs of all roles that grant a permission, directly or through inheritance
+ * @param {string} permission - Permission name
+ * @returns {Promise<string[]>} Role IDs
+ */
+async function getRoleIdsWithPermission(permission) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT rp.role_id AS roleId
+        FROM role_permissions rp
+        JOIN permissions p ON rp.permission_id = p.id
+        WHERE p.name = ?`,
+        [permission]
+    );
+
+    const roleIds = rows.map(row => row.roleId);
+    if (roleIds.length === 0) {
+        return [];
+    }
+
+    const descendants = await walkRoleHierarchy(roleIds, 'down', pool);
+    return Array.from(new Set([...roleIds, ...descendants]));
+}
+
+/**
+ * Gets all permissions for a role, including those inherited from parent roles
  * @param {string} roleId - Role ID
  * @returns {Promise<string[]>} Array of permissions
  */
 async function getRolePermissions(roleId) {
     try {
         const pool = getPool();
+        const roleIds = [roleId, ...await getAncestorRoleIds(roleId, pool)];
         const [rows] = await pool.query(
-            `SELECT p.name
+            `SELECT DISTINCT p.name
             FROM role_permissions rp
             JOIN permissions p ON rp.permission_id = p.id
-            WHERE rp.role_id = ?`,
-            [roleId]
+            WHERE rp.role_id IN (?)`,
+            [roleIds]
         );
         
         return rows.map(row => row.name);
@@ -84,7 +216,27 @@ async function getRolePermissions(roleId) {
 }
 
 /**
- * Gets all permissions for a user (direct + inherited from roles)
+ * Gets the role IDs of a user whose assignment has not expired
+ * @param {Object} user - User object (roles, optional roleAssignments with expiresAt)
+ * @returns {string[]} Role IDs
+ */
+function getActiveRoleIds(user) {
+    if (!user.roles || !Array.isArray(user.roles)) {
+        return [];
+    }
+
+    const assignments = user.roleAssignments || [];
+    const now = Date.now();
+
+    return user.roles.filter(roleId => {
+        const assignment = assignments.find(entry => entry.roleId === roleId);
+        return !assignment || !assignment.expiresAt || new Date(assignment.expiresAt).getTime() > now;
+    });
+}
+
+/**
+ * Gets all permissions for a user (direct + from roles, including inherited parent roles)
+ * Expired role assignments are ignored
  * @param {Object} user - User object
  * @returns {Promise<string[]>} Array of all user permissions
  */
@@ -95,32 +247,30 @@ async function getAllUserPermissions(user) {
 
     // Superadmin gets all permissions
     if (isSuperAdmin(user)) {
-        return Object.values(PERMISSIONS);
+        return getAllPermissionNames();
     }
 
     // Admin with admin_all gets all permissions
     if (isUserAdmin(user)) {
-        return Object.values(PERMISSIONS);
+        return getAllPermissionNames();
     }
 
     // Check for wildcard (legacy)
     if (hasWildcard(user)) {
-        return Object.values(PERMISSIONS);
+        return getAllPermissionNames();
     }
 
     // Start with direct permissions
     const permissions = new Set(user.permissions || []);
 
     // Add permissions from roles
-    if (user.roles && Array.isArray(user.roles)) {
-        for (const roleId of user.roles) {
-            const rolePermissions = await getRolePermissions(roleId);
-            rolePermissions.forEach(perm => permissions.add(perm));
-            
-            // If role has wildcard or admin_all, return all permissions
-            if (permissions.has('*') || permissions.has(PERMISSIONS.ADMIN_ALL)) {
-                return Object.values(PERMISSIONS);
-            }
+    for (const roleId of getActiveRoleIds(user)) {
+        const rolePermissions = await getRolePermissions(roleId);
+        rolePermissions.forEach(perm => permissions.add(perm));
+        
+        // If role has wildcard or admin_all, return all permissions
+        if (permissions.has('*') || permissions.has(PERMISSIONS.ADMIN_ALL)) {
+            return getAllPermissionNames();
         }
     }
 
@@ -310,6 +460,9 @@ async function getAllRoles() {
 module.exports = {
     ROLES,
     PERMISSIONS,
+    getPermissionRegistry,
+    invalidatePermissionRegistry,
+    getAllPermissionNames,
     isSuperAdmin,
     isUserAdmin,
     hasWildcard,
@@ -319,5 +472,9 @@ module.exports = {
     getAllUserPermissions,
     getRoleById,
     getRolePermissions,
+    walkRoleHierarchy,
+    getAncestorRoleIds,
+    wouldCreateRoleCycle,
+    getRoleIdsWithPermission,
     getAllRoles
 };
@@ -1,16 +1,15 @@
 /**
  * Registration Request Cleanup Utility
  * Automatically removes old registration requests based on rules:
+ * - Unverified requests: Delete after config.registration.unverifiedTtlHours (default 48 hours)
  * - Rejected requests: Delete after 30 days
  * - Pending requests: Delete after 180 days (6 months)
  */
 
-const path = require('path');
-const { readJsonFile, writeJsonFile } = require('./fileOperations');
+const { getPool } = require('./database');
+const config = require('./config');
 const { logger } = require('./logger');
 
-const REQUESTS_FILE = path.join(__dirname, '../../data/registration-requests.json');
-
 // Cleanup rules in milliseconds
 const CLEANUP_RULES = {
     rejected: 30 * 24 * 60 * 60 * 1000, // 30 days
@@ -25,61 +24,38 @@ async function cleanupOldRegistrationRequests() {
     try {
         logger.info('Starting registration requests cleanup...');
         
-        // TODO: Replace with MySQL query in future
-        // DELETE FROM registration_requests WHERE 
-        //   (status = 'rejected' AND rejectedAt < NOW() - INTERVAL 30 DAY) OR
-        //   (status = 'pending' AND createdAt < NOW() - INTERVAL 180 DAY)
+        const pool = getPool();
+        
+        // Unverified requests whose verification link expired
+        const [unverified] = await pool.query(
+            `DELETE FROM registration_requests
+            WHERE status = 'unverified' AND created_at < NOW() - INTERVAL ? HOUR`,
+            [config.registration.unverifiedTtlHours]
+        );
         
-        const data = await readJsonFile(REQUESTS_FILE, { requests: [] });
-        const now = Date.now();
-        const originalCount = data.requests.length;
+        const [rejected] = await pool.query(
+            `DELETE FROM registration_requests
+            WHERE status = 'rejected' AND rejected_at < NOW() - INTERVAL ? SECOND`,
+            [Math.floor(CLEANUP_RULES.rejected / 1000)]
+        );
         
-        // Filter out requests that should be deleted
-        const filteredRequests = data.requests.filter(request => {
-            // Check rejected requests
-            if (request.status === 'rejected' && request.rejectedAt) {
-                const rejectedTime = new Date(request.rejectedAt).getTime();
-                const age = now - rejectedTime;
-                
-                if (age > CLEANUP_RULES.rejected) {
-                    logger.info('Removing old rejected request', {
-                        id: request.id,
-                        username: request.username,
-                        age: Math.floor(age / (24 * 60 * 60 * 1000)) + ' days'
-                    });
-                    return false; // Remove
-                }
-            }
-            
-            // Check pending requests
-            if (request.status === 'pending' && request.createdAt) {
-                const createdTime = new Date(request.createdAt).getTime();
-                const age = now - createdTime;
-                
-                if (age > CLEANUP_RULES.pending) {
-                    logger.info('Removing old pending request', {
-                        id: request.id,
-                        username: request.username,
-                        age: Math.floor(age / (24 * 60 * 60 * 1000)) + ' days'
-                    });
-                    return false; // Remove
-                }
-            }
-            
-            return true; // Keep
-        });
+        const [pending] = await pool.query(
+            `DELETE FROM registration_requests
+            WHERE status = 'pending' AND created_at < NOW() - INTERVAL ? SECOND`,
+            [Math.floor(CLEANUP_RULES.pending / 1000)]
+        );
         
-        const removedCount = originalCount - filteredRequests.length;
+        const removed = {
+            unverified: unverified.affectedRows,
+            rejected: rejected.affectedRows,
+            pending: pending.affectedRows
+        };
+        const removedCount = removed.unverified + removed.rejected + removed.pending;
         
-        // Save cleaned data if anything was removed
         if (removedCount > 0) {
-            data.requests = filteredRequests;
-            await writeJsonFile(REQUESTS_FILE, data);
-            
             logger.info('Registration requests cleanup completed', {
-                originalCount,
                 removedCount,
-                remainingCount: filteredRequests.length
+                removed
             });
         } else {
             logger.info('No old registration requests to clean up');
@@ -87,11 +63,10 @@ async function cleanupOldRegistrationRequests() {
         
         return {
             success: true,
-            originalCount,
             removedCount,
-            remainingCount: filteredRequests.length
+            removed
         };
-        
+    
     } catch (error) {
         logger.error('Error during registration requests cleanup:', { error: error.message });
         return {
@@ -103,19 +78,19 @@ async function cleanupOldRegistrationRequests() {
 
 /**
  * Starts periodic cleanup task
- * Runs cleanup every 24 hours
+ * Runs cleanup every hour (unverified requests expire after hours)
  * @returns {NodeJS.Timeout} Interval ID
  */
 function startPeriodicCleanup() {
     // Run cleanup immediately on start
     cleanupOldRegistrationRequests();
     
-    // Run cleanup every 24 hours
+    // Run cleanup every hour
     const intervalId = setInterval(() => {
         cleanupOldRegistrationRequests();
-    }, 24 * 60 * 60 * 1000);
+    }, 60 * 60 * 1000);
     
-    logger.info('Started periodic registration cleanup task (runs every 24 hours)');
+    logger.info('Started periodic registration cleanup task (runs every hour)');
     
     return intervalId;
 }
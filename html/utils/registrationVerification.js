@@ -0,0 +1,86 @@
+/**
+ * Registration Verification Utility
+ * New registration requests start as 'unverified' and only reach the admin queue ('pending')
+ * after the email address was confirmed with a single-use, time-limited link
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('./database');
+const config = require('./config');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+/**
+ * Hashes a verification token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Stores a new verification token for a request and emails the link
+ * @param {Object} request - { id, username, email }
+ * @returns {Promise<boolean>} True if the mail was accepted by the SMTP server
+ */
+async function sendVerificationMail({ id, username, email }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const validHours = config.registration.unverifiedTtlHours;
+    const pool = getPool();
+
+    await pool.query(
+        `UPDATE registration_requests
+        SET verification_token_hash = ?, verification_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+        WHERE id = ?`,
+        [hashToken(token), validHours, id]
+    );
+
+    const link = buildAppUrl(`/html/verify-email.html?token=${token}`);
+
+    return sendMail({
+        to: email,
+        subject: 'Hive Panel - E-Mail-Adresse bestätigen',
+        text: `Hallo ${username},\n\n`
+            + `Sie haben einen Account beim Hive Panel beantragt. Bitte bestätigen Sie Ihre E-Mail-Adresse über diesen Link:\n\n`
+            + `${link}\n\n`
+            + `Der Link ist ${validHours} Stunden gültig. Danach wird die Anfrage gelöscht.\n`
+            + `Erst nach der Bestätigung wird Ihre Anfrage von einem Administrator geprüft.\n`
+            + `Falls Sie dies nicht beantragt haben, können Sie diese E-Mail ignorieren.`
+    });
+}
+
+/**
+ * Confirms the email address of a request and moves it into the admin queue
+ * The conditional update makes the link single-use even under concurrent requests
+ * @param {string} token - Plain token
+ * @returns {Promise<Object|null>} { id, username } of the request, or null if invalid, used or expired
+ */
+async function verifyRegistrationRequest(token) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT id, username
+        FROM registration_requests
+        WHERE verification_token_hash = ? AND status = 'unverified' AND verification_expires_at > NOW()
+        LIMIT 1`,
+        [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const [result] = await pool.query(
+        `UPDATE registration_requests
+        SET status = 'pending', email_verified_at = CURRENT_TIMESTAMP,
+            verification_token_hash = NULL, verification_expires_at = NULL
+        WHERE id = ? AND status = 'unverified'`,
+        [rows[0].id]
+    );
+
+    return result.affectedRows > 0 ? rows[0] : null;
+}
+
+module.exports = {
+    sendVerificationMail,
+    verifyRegistrationRequest
+};
@@ -0,0 +1,245 @@
+/**
+ * Session registry
+ * Records which sessions belong to a user (IP, user agent, login and last activity)
+ * so users and admins can see and revoke them, and manages the per-user session version
+ */
+
+const { getPool } = require('./database');
+const { logger } = require('./logger');
+const config = require('./config');
+const { destroySession, destroyUserSessions } = require('./sessionUtils');
+
+// Cleanup interval to remove entries of expired sessions
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Registers a session or refreshes its last activity
+ * @param {string} sid - Session ID
+ * @param {Object} data - { userId, ip, userAgent, createdAt }
+ * @returns {Promise<void>}
+ */
+async function registerSession(sid, data) {
+    const pool = getPool();
+    await pool.query(
+        `INSERT INTO user_sessions (session_id, user_id, ip, user_agent, created_at, last_activity_at)
+        VALUES (?, ?, ?, ?, ?, NOW())
+        ON DUPLICATE KEY UPDATE
+            user_id = VALUES(user_id),
+            ip = VALUES(ip),
+            user_agent = VALUES(user_agent),
+            last_activity_at = NOW()`,
+        [
+            sid,
+            data.userId,
+            data.ip || null,
+            data.userAgent ? String(data.userAgent).substring(0, 512) : null,
+            data.createdAt ? new Date(data.createdAt) : new Date()
+        ]
+    );
+}
+
+/**
+ * Removes a session from the registry (the session itself is not touched)
+ * @param {string} sid - Session ID
+ * @returns {Promise<void>}
+ */
+async function unregisterSession(sid) {
+    const pool = getPool();
+    await pool.query('DELETE FROM user_sessions WHERE session_id = ?', [sid]);
+}
+
+/**
+ * Lists the active sessions of a user
+ * Session IDs are never returned; entries are addressed by their row ID
+ * @param {number} userId - User ID
+ * @param {string} currentSid - Session ID of the requesting session (marked as current)
+ * @returns {Promise<Array>} Sessions { id, ip, userAgent, createdAt, lastActivityAt, current }
+ */
+async function listUserSessions(userId, currentSid = null) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT id, session_id AS sessionId, ip, user_agent AS userAgent,
+                created_at AS createdAt, last_activity_at AS lastActivityAt
+        FROM user_sessions
+        WHERE user_id = ? AND last_activity_at > NOW() - INTERVAL ? SECOND
+        ORDER BY last_activity_at DESC`,
+        [userId, Math.ceil(config.sessionTimeout.inactivityTimeout / 1000)]
+    );
+
+    return rows.map(({ sessionId, ...row }) => ({
+        ...row,
+        current: sessionId === currentSid
+    }));
+}
+
+/**
+ * Signs out one session of a user
+ * @param {Object} store - express-session store (req.sessionStore)
+ * @param {number} userId - User ID (owner)
+ * @param {number} id - Registry row ID
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession(store, userId, id) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        'SELECT session_id AS sessionId FROM user_sessions WHERE id = ? AND user_id = ? LIMIT 1',
+        [id, userId]
+    );
+
+    if (rows.length === 0) {
+        return false;
+    }
+
+    await destroySession(store, rows[0].sessionId);
+    await unregisterSession(rows[0].sessionId);
+    return true;
+}
+
+/**
+ * Signs out all sessions of a user
+ * Every logged-in session is recorded in the registry at login and on activity, so with the
+ * MySQL store only those sessions are destroyed. The file store is still searched completely
+ * @param {Object} store - express-session store (req.sessionStore)
+ * @param {number} userId - User ID
+ * @param {string} exceptSid - Session ID to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of destroyed sessions
+ */
+async function revokeUserSessions(store, userId, exceptSid = null) {
+    const pool = getPool();
+    let destroyed = 0;
+
+    if (config.session.store === 'file') {
+        destroyed = await destroyUserSessions(store, userId, exceptSid);
+    } else {
+        const [rows] = await pool.query(
+            'SELECT session_id AS sessionId FROM user_sessions WHERE user_id = ? AND session_id <> ?',
+            [userId, exceptSid || '']
+        );
+
+        for (const row of rows) {
+            await destroySession(store, row.sessionId);
+        }
+        destroyed = rows.length;
+        logger.info('User sessions destroyed', { userId, count: destroyed });
+    }
+
+    await pool.query(
+        'DELETE FROM user_sessions WHERE user_id = ? AND session_id <> ?',
+        [userId, exceptSid || '']
+    );
+
+    return destroyed;
+}
+
+/**
+ * Gets the current session version of a user
+ * Sessions created with an older version are no longer valid
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} Session version, or null if the user does not exist
+ */
+async function getSessionVersion(userId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        'SELECT session_version AS sessionVersion FROM users WHERE id = ? LIMIT 1',
+        [userId]
+    );
+
+    return rows.length > 0 ? rows[0].sessionVersion : null;
+}
+
+/**
+ * Gets the state a session is validated against on every request
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { sessionVersion, mustChangePassword, status, expiresAt }, or null if the user does not exist
+ */
+async function getSessionState(userId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT session_version AS sessionVersion, must_change_password AS mustChangePassword,
+                status, expires_at AS expiresAt
+        FROM users WHERE id = ? LIMIT 1`,
+        [userId]
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    return {
+        sessionVersion: rows[0].sessionVersion,
+        mustChangePassword: !!rows[0].mustChangePassword,
+        status: rows[0].status,
+        expiresAt: rows[0].expiresAt
+    };
+}
+
+/**
+ * Invalidates all sessions of a user by increasing the session version
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} New session version
+ */
+async function bumpSessionVersion(connection, userId) {
+    await connection.query(
+        'UPDATE users SET session_version = session_version + 1 WHERE id = ?',
+        [userId]
+    );
+    const [rows] = await connection.query(
+        'SELECT session_version AS sessionVersion FROM users WHERE id = ? LIMIT 1',
+        [userId]
+    );
+
+    return rows.length > 0 ? rows[0].sessionVersion : null;
+}
+
+/**
+ * Invalidates the sessions of all users by increasing every session version
+ * @returns {Promise<number>} Number of affected users
+ */
+async function bumpAllSessionVersions() {
+    const pool = getPool();
+    const [result] = await pool.query('UPDATE users SET session_version = session_version + 1');
+    return result.affectedRows;
+}
+
+/**
+ * Removes registry entries of sessions that expired due to inactivity
+ * @returns {Promise<void>}
+ */
+async function cleanup() {
+    try {
+        const pool = getPool();
+        const [result] = await pool.query(
+            'DELETE FROM user_sessions WHERE last_activity_at < NOW() - INTERVAL ? SECOND',
+            [Math.ceil(config.sessionTimeout.inactivityTimeout / 1000)]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`Cleaned up ${result.affectedRows} expired session registry entries`);
+        }
+    } catch (error) {
+        logger.error('Error cleaning up session registry:', { error: error.message });
+    }
+}
+
+/**
+ * Starts the periodic cleanup of expired registry entries
+ * @returns {Object} Interval ID
+ */
+function startPeriodicCleanup() {
+    cleanup();
+    return setInterval(cleanup, CLEANUP_INTERVAL);
+}
+
+module.exports = {
+    registerSession,
+    unregisterSession,
+    listUserSessions,
+    revokeSession,
+    revokeUserSessions,
+    getSessionVersion,
+    getSessionState,
+    bumpSessionVersion,
+    bumpAllSessionVersions,
+    startPeriodicCleanup
+};
@@ -0,0 +1,97 @@
+/**
+ * Session utilities
+ * Helpers for working with all sessions in the session store
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Lists all session IDs of a store
+ * Supports stores with all() (express-session API) and session-file-store's list()
+ * @param {Object} store - express-session store
+ * @returns {Promise<Array>} Array of { sid, session } (session may be null for list())
+ */
+function listSessions(store) {
+    return new Promise((resolve, reject) => {
+        if (typeof store.all === 'function') {
+            store.all((err, sessions) => {
+                if (err) return reject(err);
+                // all() returns either an array or an object keyed by sid
+                const entries = Array.isArray(sessions)
+                    ? sessions.map(session => ({ sid: session.id, session }))
+                    : Object.entries(sessions || {}).map(([sid, session]) => ({ sid, session }));
+                resolve(entries);
+            });
+        } else if (typeof store.list === 'function') {
+            store.list((err, files) => {
+                if (err) return reject(err);
+                resolve(files.map(file => ({ sid: file.replace(/\.json$/, ''), session: null })));
+            });
+        } else {
+            reject(new Error('Session store does not support listing sessions'));
+        }
+    });
+}
+
+/**
+ * Loads a session from the store
+ * @param {Object} store - express-session store
+ * @param {string} sid - Session ID
+ * @returns {Promise<Object|null>} Session data or null
+ */
+function getSession(store, sid) {
+    return new Promise((resolve) => {
+        store.get(sid, (err, session) => resolve(err ? null : session || null));
+    });
+}
+
+/**
+ * Destroys a session in the store
+ * @param {Object} store - express-session store
+ * @param {string} sid - Session ID
+ * @returns {Promise<void>}
+ */
+function destroySession(store, sid) {
+    return new Promise((resolve) => {
+        store.destroy(sid, (err) => {
+            if (err) {
+                logger.error('Error destroying session:', { error: err.message });
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Destroys all sessions of a user
+ * Loads every session of the store, so it is only used as fallback for the file store
+ * @param {Object} store - express-session store (req.sessionStore)
+ * @param {number} userId - User ID
+ * @param {string} exceptSid - Session ID to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of destroyed sessions
+ */
+async function destroyUserSessions(store, userId, exceptSid = null) {
+    const entries = await listSessions(store);
+    let destroyed = 0;
+
+    for (const entry of entries) {
+        if (entry.sid === exceptSid) {
+            continue;
+        }
+
+        const session = entry.session || await getSession(store, entry.sid);
+        if (session && session.userId === userId) {
+            await destroySession(store, entry.sid);
+            destroyed++;
+        }
+    }
+
+    logger.info('User sessions destroyed', { userId, count: destroyed });
+    return destroyed;
+}
+
+module.exports = {
+    listSessions,
+    destroySession,
+    destroyUserSessions
+};
@@ -0,0 +1,198 @@
+/**
+ * TOTP Utility (RFC 6238)
+ * Time-based one-time passwords and recovery codes for two-factor authentication
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_LENGTH = 20; // 160 bits, as recommended by RFC 4226
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encodes a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodes a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded data
+ */
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_LENGTH));
+}
+
+/**
+ * Gets the time step for a timestamp
+ * @param {number} timestamp - Unix time in milliseconds (default: now)
+ * @returns {number} Time step counter
+ */
+function getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD);
+}
+
+/**
+ * Generates the TOTP code for a given time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226, section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Verifies a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: number of steps to accept before/after, lastUsedStep: step to reject replays }
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+function verifyCode(secret, code, options = {}) {
+    const { window = 1, lastUsedStep = null } = options;
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+
+        // Reject codes that were already used (or older ones)
+        if (lastUsedStep !== null && step <= lastUsedStep) {
+            continue;
+        }
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Builds an otpauth:// URL for authenticator apps
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label (usually the username)
+ * @param {string} issuer - Issuer name shown in the app
+ * @returns {string} otpauth URL
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generates a set of one-time recovery codes
+ * @param {number} count - Number of codes (default: 10)
+ * @returns {string[]} Recovery codes in the format XXXXX-XXXXX
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+
+    for (let i = 0; i < count; i++) {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return codes;
+}
+
+/**
+ * Hashes a recovery code for storage
+ * Recovery codes are high-entropy, so a plain SHA-256 is sufficient
+ * @param {string} code - Recovery code
+ * @returns {string} Hex encoded hash
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getTimeStep,
+    buildOtpauthUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,203 @@
+/**
+ * Two-Factor Authentication Utility
+ * Stores TOTP secrets (encrypted) and recovery codes, and verifies second factors
+ */
+
+const { getPool } = require('./database');
+const { encrypt, decrypt } = require('./encryption');
+const { verifyCode, generateRecoveryCodes, hashRecoveryCode } = require('./totp');
+const { walkRoleHierarchy } = require('./permissions');
+
+/**
+ * Checks if any of the user's roles requires two-factor authentication
+ * Matches both assigned roles (user_roles) and the primary role name, including the roles
+ * they inherit from (the same hierarchy the permissions are resolved with)
+ * Database errors are passed on, so a failed check never skips 2FA
+ * @param {Object} user - User object (id, role)
+ * @returns {Promise<boolean>} True if 2FA is required
+ */
+async function isTwoFactorRequired(user) {
+    if (!user || !user.id) {
+        return false;
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT r.id
+        FROM roles r
+        WHERE r.id IN (SELECT ur.role_id FROM user_roles ur
+                       WHERE ur.user_id = ? AND (ur.expires_at IS NULL OR ur.expires_at > NOW()))
+           OR r.name = ?`,
+        [user.id, user.role || '']
+    );
+
+    const roleIds = rows.map(row => row.id);
+    if (roleIds.length === 0) {
+        return false;
+    }
+
+    const ancestors = await walkRoleHierarchy(roleIds, 'up', pool);
+    const [required] = await pool.query(
+        'SELECT COUNT(*) AS count FROM roles WHERE require_2fa = TRUE AND id IN (?)',
+        [Array.from(new Set([...roleIds, ...ancestors]))]
+    );
+
+    return required[0].count > 0;
+}
+
+/**
+ * Stores a new (not yet enabled) TOTP secret for a user
+ * @param {number} userId - User ID
+ * @param {string} secret - Base32 encoded secret
+ * @returns {Promise<void>}
+ */
+async function storePendingSecret(userId, secret) {
+    const pool = getPool();
+    await pool.query(
+        `UPDATE users
+        SET totp_secret = ?, totp_enabled = FALSE, totp_last_used_step = NULL
+        WHERE id = ?`,
+        [encrypt(secret), userId]
+    );
+}
+
+/**
+ * Loads and decrypts the TOTP state of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { secret, enabled, lastUsedStep } or null
+ */
+async function getTotpState(userId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT totp_secret AS secret, totp_enabled AS enabled, totp_last_used_step AS lastUsedStep
+        FROM users
+        WHERE id = ?
+        LIMIT 1`,
+        [userId]
+    );
+
+    if (rows.length === 0 || !rows[0].secret) {
+        return null;
+    }
+
+    return {
+        secret: decrypt(rows[0].secret),
+        enabled: !!rows[0].enabled,
+        lastUsedStep: rows[0].lastUsedStep !== null ? Number(rows[0].lastUsedStep) : null
+    };
+}
+
+/**
+ * Verifies a TOTP code against the user's stored secret
+ * Successful codes are remembered so they cannot be replayed
+ * @param {number} userId - User ID
+ * @param {string} code - 6-digit code
+ * @param {Object} options - { allowPending: accept a secret that is not enabled yet }
+ * @returns {Promise<boolean>} True if the code is valid
+ */
+async function verifyTotp(userId, code, options = {}) {
+    const state = await getTotpState(userId);
+
+    if (!state || (!state.enabled && !options.allowPending)) {
+        return false;
+    }
+
+    const step = verifyCode(state.secret, code, { lastUsedStep: state.lastUsedStep });
+    if (step === null) {
+        return false;
+    }
+
+    // Conditional update so two parallel requests cannot both use the same code
+    const pool = getPool();
+    const [result] = await pool.query(
+        `UPDATE users SET totp_last_used_step = ?
+        WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+        [step, userId, step]
+    );
+
+    return result.affectedRows > 0;
+}
+
+/**
+ * Replaces all recovery codes of a user with a fresh set
+ * @param {Object} connection - MySQL connection (inside a transaction)
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} Plain recovery codes (shown to the user once)
+ */
+async function replaceRecoveryCodes(connection, userId) {
+    const codes = generateRecoveryCodes();
+
+    await connection.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+    for (const code of codes) {
+        await connection.query(
+            'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+            [userId, hashRecoveryCode(code)]
+        );
+    }
+
+    return codes;
+}
+
+/**
+ * Consumes a recovery code (each code works only once)
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+async function consumeRecoveryCode(userId, code) {
+    const pool = getPool();
+    const [result] = await pool.query(
+        `UPDATE user_recovery_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1`,
+        [userId, hashRecoveryCode(code)]
+    );
+
+    return result.affectedRows > 0;
+}
+
+/**
+ * Counts the unused recovery codes of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of remaining codes
+ */
+async function countRemainingRecoveryCodes(userId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS count
+        FROM user_recovery_codes
+        WHERE user_id = ? AND used_at IS NULL`,
+        [userId]
+    );
+
+    return rows[0].count;
+}
+
+/**
+ * Disables 2FA and removes the secret and all recovery codes
+ * @param {Object} connection - MySQL connection (inside a transaction)
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(connection, userId) {
+    await connection.query(
+        `UPDATE users
+        SET totp_secret = NULL, totp_enabled = FALSE, totp_last_used_step = NULL
+        WHERE id = ?`,
+        [userId]
+    );
+    await connection.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+module.exports = {
+    isTwoFactorRequired,
+    storePendingSecret,
+    getTotpState,
+    verifyTotp,
+    replaceRecoveryCodes,
+    consumeRecoveryCode,
+    countRemainingRecoveryCodes,
+    disableTwoFactor
+};
@@ -0,0 +1,238 @@
+/**
+ * WebAuthn Utility
+ * Registration and authentication ceremonies for passkeys and credential storage
+ */
+
+const crypto = require('crypto');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { getPool } = require('./database');
+const config = require('./config');
+
+/**
+ * Gets (or creates) the WebAuthn user handle of a user
+ * A random handle is used so authenticators never see internal IDs
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Base64url encoded user handle
+ */
+async function getUserHandle(userId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        'SELECT webauthn_user_id AS handle FROM users WHERE id = ? LIMIT 1',
+        [userId]
+    );
+
+    if (rows.length > 0 && rows[0].handle) {
+        return rows[0].handle;
+    }
+
+    const handle = crypto.randomBytes(32).toString('base64url');
+    await pool.query(
+        'UPDATE users SET webauthn_user_id = ? WHERE id = ? AND webauthn_user_id IS NULL',
+        [handle, userId]
+    );
+
+    // Re-read in case a parallel request stored a handle first
+    const [updated] = await pool.query(
+        'SELECT webauthn_user_id AS handle FROM users WHERE id = ? LIMIT 1',
+        [userId]
+    );
+    return updated[0].handle;
+}
+
+/**
+ * Lists the passkeys of a user (without key material)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Credentials { id, name, deviceType, backedUp, createdAt, lastUsedAt }
+ */
+async function listCredentials(userId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT id, name, device_type AS deviceType, backed_up AS backedUp,
+                created_at AS createdAt, last_used_at AS lastUsedAt
+        FROM webauthn_credentials
+        WHERE user_id = ?
+        ORDER BY created_at DESC`,
+        [userId]
+    );
+
+    return rows.map(row => ({ ...row, backedUp: !!row.backedUp }));
+}
+
+/**
+ * Creates registration options for a new passkey
+ * Already registered authenticators are excluded
+ * @param {Object} user - User object (id, username, displayName)
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON
+ */
+async function createRegistrationOptions(user) {
+    const pool = getPool();
+    const [existing] = await pool.query(
+        'SELECT credential_id AS credentialId, transports FROM webauthn_credentials WHERE user_id = ?',
+        [user.id]
+    );
+
+    const userHandle = await getUserHandle(user.id);
+
+    return generateRegistrationOptions({
+        rpName: config.webauthn.rpName,
+        rpID: config.webauthn.rpID,
+        userID: Buffer.from(userHandle, 'base64url'),
+        userName: user.username,
+        userDisplayName: user.displayName || user.username,
+        attestationType: 'none',
+        excludeCredentials: existing.map(cred => ({
+            id: cred.credentialId,
+            transports: cred.transports ? JSON.parse(cred.transports) : undefined
+        })),
+        authenticatorSelection: {
+            residentKey: 'required',
+            userVerification: 'required'
+        }
+    });
+}
+
+/**
+ * Verifies a registration response and stores the new credential
+ * @param {Object} user - User object (id)
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @param {string} expectedChallenge - Challenge stored in the session
+ * @param {string} name - Display name of the passkey
+ * @returns {Promise<boolean>} True if the passkey was registered
+ */
+async function verifyRegistration(user, response, expectedChallenge, name) {
+    const verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: config.webauthn.origin,
+        expectedRPID: config.webauthn.rpID,
+        requireUserVerification: true
+    });
+
+    if (!verification.verified || !verification.registrationInfo) {
+        return false;
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    const pool = getPool();
+    await pool.query(
+        `INSERT INTO webauthn_credentials
+            (user_id, credential_id, public_key, counter, transports, device_type, backed_up, name)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            user.id,
+            credential.id,
+            Buffer.from(credential.publicKey).toString('base64url'),
+            credential.counter,
+            credential.transports ? JSON.stringify(credential.transports) : null,
+            credentialDeviceType,
+            credentialBackedUp,
+            name
+        ]
+    );
+
+    return true;
+}
+
+/**
+ * Creates authentication options for a passwordless login
+ * No credentials are listed, so the browser offers all discoverable passkeys
+ * @returns {Promise<Object>} PublicKeyCredentialRequestOptionsJSON
+ */
+async function createAuthenticationOptions() {
+    return generateAuthenticationOptions({
+        rpID: config.webauthn.rpID,
+        userVerification: 'required'
+    });
+}
+
+/**
+ * Verifies an authentication response against the stored credential
+ * Updates the signature counter and last used date on success
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {string} expectedChallenge - Challenge stored in the session
+ * @returns {Promise<string|null>} Username of the authenticated user, or null
+ */
+async function verifyAuthentication(response, expectedChallenge) {
+    if (!response || typeof response.id !== 'string') {
+        return null;
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+        `SELECT c.id, c.credential_id AS credentialId, c.public_key AS publicKey,
+                c.counter, c.transports, u.username, u.webauthn_user_id AS userHandle
+        FROM webauthn_credentials c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.credential_id = ?
+        LIMIT 1`,
+        [response.id]
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const stored = rows[0];
+
+    // Discoverable credentials return the user handle; it must match the owner
+    if (response.response && response.response.userHandle
+        && response.response.userHandle !== stored.userHandle) {
+        return null;
+    }
+
+    const verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: config.webauthn.origin,
+        expectedRPID: config.webauthn.rpID,
+        credential: {
+            id: stored.credentialId,
+            publicKey: Buffer.from(stored.publicKey, 'base64url'),
+            counter: Number(stored.counter),
+            transports: stored.transports ? JSON.parse(stored.transports) : undefined
+        },
+        requireUserVerification: true
+    });
+
+    if (!verification.verified) {
+        return null;
+    }
+
+    await pool.query(
+        'UPDATE webauthn_credentials SET counter = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [verification.authenticationInfo.newCounter, stored.id]
+    );
+
+    return stored.username;
+}
+
+/**
+ * Removes a passkey of a user
+ * @param {number} userId - User ID (owner)
+ * @param {number} credentialId - Internal credential row ID
+ * @returns {Promise<boolean>} True if a passkey was removed
+ */
+async function revokeCredential(userId, credentialId) {
+    const pool = getPool();
+    const [result] = await pool.query(
+        'DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?',
+        [credentialId, userId]
+    );
+
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    listCredentials,
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication,
+    revokeCredential
+};
@@ -31,6 +31,9 @@ const AccountManager = (function() {
         setupPasswordGenerator();
         setupPasswordStrength();
         setupEditButtons();
+        setupTwoFactor();
+        setupPasskeys();
+        setupSessions();
     }
     
     /**
@@ -227,8 +230,10 @@ const AccountManager = (function() {
                 return;
             }
             
-            if (newPassword.length < 8) {
-                showToast('Das Passwort muss mindestens 8 Zeichen lang sein', 'error');
+            await PasswordPolicy.load();
+            if (!PasswordPolicy.isValid(newPassword)) {
+                updatePasswordChecklist(newPassword);
+                showToast('Das Passwort erfüllt nicht die Passwort-Richtlinie', 'error');
                 return;
             }
             
@@ -256,7 +261,11 @@ const AccountManager = (function() {
                     showToast(data.message || 'Passwort erfolgreich geändert', 'success');
                     form.reset();
                     updatePasswordStrength('');
+                    updatePasswordChecklist('');
                 } else {
+                    if (data.policyFailures) {
+                        updatePasswordChecklist(newPassword, data.policyFailures);
+                    }
                     showToast(data.error || 'Fehler beim Ändern des Passworts', 'error');
                 }
             } catch (error) {
@@ -401,6 +410,7 @@ const AccountManager = (function() {
                     confirmPasswordField.value = data.password;
                     
                     updatePasswordStrength(data.password);
+                    updatePasswordChecklist(data.password);
                     
                     showToast('Sicheres Passwort generiert. Bitte kopieren Sie es.', 'success');
                 } else {
@@ -422,11 +432,31 @@ const AccountManager = (function() {
         const passwordField = document.getElementById('new-password');
         if (!passwordField) return;
         
+        PasswordPolicy.load();
         passwordField.addEventListener('input', function() {
             updatePasswordStrength(this.value);
+            updatePasswordChecklist(this.value);
         });
     }
     
+    /**
+     * Update password policy checklist
+     * @param {string} password - Current password
+     * @param {Array} failures - Optional policyFailures from a server response
+     */
+    async function updatePasswordChecklist(password, failures = []) {
+        const checklist = document.getElementById('password-checklist');
+        if (!checklist) return;
+        
+        if (!password) {
+            checklist.classList.add('hidden');
+            return;
+        }
+        
+        await PasswordPolicy.load();
+        PasswordPolicy.renderChecklist(checklist, password, failures);
+    }
+    
     /**
      * Update password strength indicator
      */
@@ -493,6 +523,521 @@ const AccountManager = (function() {
         }, 4000);
     }
     
+    /**
+     * Setup two-factor authentication card
+     */
+    function setupTwoFactor() {
+        const setupBtn = document.getElementById('two-factor-setup-btn');
+        const enableForm = document.getElementById('two-factor-enable-form');
+        const regenerateForm = document.getElementById('two-factor-regenerate-form');
+        const disableForm = document.getElementById('two-factor-disable-form');
+        if (!setupBtn) return;
+        
+        loadTwoFactorStatus();
+        
+        setupBtn.addEventListener('click', async function() {
+            setButtonLoading(setupBtn, true);
+            
+            try {
+                const data = await postJson('/api/account/2fa/setup', {});
+                
+                if (data.success) {
+                    document.getElementById('two-factor-qr').src = data.qrCode;
+                    document.getElementById('two-factor-secret').textContent = data.secret;
+                    document.getElementById('two-factor-setup').style.display = 'block';
+                    setupBtn.style.display = 'none';
+                    document.getElementById('two-factor-enable-code').focus();
+                } else {
+                    showToast(data.error || 'Fehler beim Einrichten der 2FA', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                showToast('Netzwerkfehler beim Einrichten der 2FA', 'error');
+            } finally {
+                setButtonLoading(setupBtn, false);
+            }
+        });
+        
+        enableForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const code = document.getElementById('two-factor-enable-code').value.trim();
+            const submitBtn = enableForm.querySelector('button[type="submit"]');
+            setButtonLoading(submitBtn, true);
+            
+            try {
+                const data = await postJson('/api/account/2fa/enable', { code });
+                
+                if (data.success) {
+                    showToast(data.message || '2FA aktiviert', 'success');
+                    enableForm.reset();
+                    document.getElementById('two-factor-setup').style.display = 'none';
+                    showRecoveryCodes(data.recoveryCodes);
+                    await loadTwoFactorStatus();
+                } else {
+                    showToast(data.error || 'Ungültiger Code', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                showToast('Netzwerkfehler beim Aktivieren der 2FA', 'error');
+            } finally {
+                setButtonLoading(submitBtn, false);
+            }
+        });
+        
+        regenerateForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            if (!confirm('Alle bisherigen Wiederherstellungscodes werden ungültig. Fortfahren?')) {
+                return;
+            }
+            
+            const code = document.getElementById('two-factor-regenerate-code').value.trim();
+            const submitBtn = regenerateForm.querySelector('button[type="submit"]');
+            setButtonLoading(submitBtn, true);
+            
+            try {
+                const data = await postJson('/api/account/2fa/recovery-codes', { code });
+                
+                if (data.success) {
+                    showToast(data.message || 'Neue Wiederherstellungscodes erstellt', 'success');
+                    regenerateForm.reset();
+                    showRecoveryCodes(data.recoveryCodes);
+                    await loadTwoFactorStatus();
+                } else {
+                    showToast(data.error || 'Ungültiger Code', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                showToast('Netzwerkfehler beim Erstellen der Codes', 'error');
+            } finally {
+                setButtonLoading(submitBtn, false);
+            }
+        });
+        
+        disableForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            if (!confirm('Möchten Sie die Zwei-Faktor-Authentifizierung wirklich deaktivieren?')) {
+                return;
+            }
+            
+            const password = document.getElementById('two-factor-disable-password').value;
+            const code = document.getElementById('two-factor-disable-code').value.trim();
+            const submitBtn = disableForm.querySelector('button[type="submit"]');
+            setButtonLoading(submitBtn, true);
+            
+            try {
+                const data = await postJson('/api/account/2fa/disable', { password, code });
+                
+                if (data.success) {
+                    showToast(data.message || '2FA deaktiviert', 'success');
+                    disableForm.reset();
+                    document.getElementById('two-factor-recovery').style.display = 'none';
+                    await loadTwoFactorStatus();
+                } else {
+                    showToast(data.error || 'Fehler beim Deaktivieren der 2FA', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                showToast('Netzwerkfehler beim Deaktivieren der 2FA', 'error');
+            } finally {
+                setButtonLoading(submitBtn, false);
+            }
+        });
+    }
+    
+    /**
+     * Load two-factor status and update the card
+     */
+    async function loadTwoFactorStatus() {
+        const statusDisplay = document.getElementById('two-factor-status');
+        
+        try {
+            const response = await fetch('/api/account/2fa', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                statusDisplay.textContent = 'Fehler beim Laden';
+                return;
+            }
+            
+            const { enabled, required, recoveryCodesRemaining } = data.twoFactor;
+            
+            if (enabled) {
+                statusDisplay.textContent = `Aktiviert (${recoveryCodesRemaining} Wiederherstellungscodes übrig)`;
+            } else if (required) {
+                statusDisplay.textContent = 'Nicht aktiviert - für Ihre Rolle erforderlich';
+            } else {
+                statusDisplay.textContent = 'Nicht aktiviert';
+            }
+            
+            document.getElementById('two-factor-setup-btn').style.display = enabled ? 'none' : 'inline-flex';
+            document.getElementById('two-factor-manage').style.display = enabled ? 'block' : 'none';
+            document.getElementById('two-factor-disable-form').style.display = required ? 'none' : 'block';
+            
+            if (required && !enabled) {
+                showToast('Ihre Rolle erfordert Zwei-Faktor-Authentifizierung. Bitte richten Sie sie ein.', 'info');
+            }
+        } catch (error) {
+            console.error('Error loading 2FA status:', error);
+            statusDisplay.textContent = 'Fehler beim Laden';
+        }
+    }
+    
+    /**
+     * Show recovery codes once after they were generated
+     * @param {string[]} codes - Recovery codes
+     */
+    function showRecoveryCodes(codes) {
+        if (!codes || codes.length === 0) return;
+        
+        document.getElementById('two-factor-recovery-list').textContent = codes.join('\n');
+        document.getElementById('two-factor-recovery').style.display = 'block';
+    }
+    
+    /**
+     * Send a JSON POST request with CSRF token
+     * @param {string} url - Endpoint URL
+     * @param {Object} payload - Request body
+     * @returns {Promise<Object>} Response data
+     */
+    async function postJson(url, payload) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify(payload)
+        });
+        
+        return response.json();
+    }
+    
+    /**
+     * Setup passkey card
+     */
+    function setupPasskeys() {
+        const form = document.getElementById('passkey-form');
+        if (!form) return;
+        
+        if (typeof SimpleWebAuthnBrowser === 'undefined' || !SimpleWebAuthnBrowser.browserSupportsWebAuthn()) {
+            form.style.display = 'none';
+        }
+        
+        loadPasskeys();
+        
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const name = document.getElementById('passkey-name').value.trim();
+            if (!name) {
+                showToast('Bitte geben Sie einen Namen ein', 'error');
+                return;
+            }
+            
+            const submitBtn = form.querySelector('button[type="submit"]');
+            setButtonLoading(submitBtn, true);
+            
+            try {
+                const optionsData = await postJson('/api/auth/webauthn/register/options', {});
+                if (!optionsData.success) {
+                    showToast(optionsData.error || 'Fehler beim Hinzufügen des Passkeys', 'error');
+                    return;
+                }
+                
+                let attestation;
+                try {
+                    attestation = await SimpleWebAuthnBrowser.startRegistration({ optionsJSON: optionsData.options });
+                } catch (error) {
+                    console.warn('Passkey registration aborted:', error);
+                    showToast('Die Passkey-Registrierung wurde abgebrochen', 'error');
+                    return;
+                }
+                
+                const data = await postJson('/api/auth/webauthn/register/verify', { name, response: attestation });
+                
+                if (data.success) {
+                    showToast(data.message || 'Passkey hinzugefügt', 'success');
+                    form.reset();
+                    await loadPasskeys();
+                } else {
+                    showToast(data.error || 'Fehler beim Hinzufügen des Passkeys', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                showToast('Netzwerkfehler beim Hinzufügen des Passkeys', 'error');
+            } finally {
+                setButtonLoading(submitBtn, false);
+            }
+        });
+    }
+    
+    /**
+     * Load and render the passkeys of the current user
+     */
+    async function loadPasskeys() {
+        const list = document.getElementById('passkey-list');
+        
+        try {
+            const response = await fetch('/api/account/passkeys', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                list.innerHTML = '<li>Fehler beim Laden</li>';
+                return;
+            }
+            
+            if (data.passkeys.length === 0) {
+                list.innerHTML = '<li>Keine Passkeys registriert</li>';
+                return;
+            }
+            
+            list.innerHTML = data.passkeys.map(passkey => `
+                <li style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; padding: var(--spacing-sm) 0; border-bottom: 1px solid var(--color-border);">
+                    <div>
+                        <strong>${escapeHtml(passkey.name)}</strong><br>
+                        <small class="form-help">
+                            Hinzugefügt: ${formatDate(passkey.createdAt)} &middot;
+                            Zuletzt verwendet: ${passkey.lastUsedAt ? formatDate(passkey.lastUsedAt) : 'Nie'}
+                        </small>
+                    </div>
+                    <button type="button" class="btn btn-secondary" data-passkey-id="${passkey.id}" title="Entfernen">
+                        <i data-lucide="trash-2"></i>
+                    </button>
+                </li>
+            `).join('');
+            
+            list.querySelectorAll('[data-passkey-id]').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    revokePasskey(this.getAttribute('data-passkey-id'));
+                });
+            });
+            
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        } catch (error) {
+            console.error('Error loading passkeys:', error);
+            list.innerHTML = '<li>Fehler beim Laden</li>';
+        }
+    }
+    
+    /**
+     * Revoke a passkey
+     * @param {string} id - Passkey ID
+     */
+    async function revokePasskey(id) {
+        if (!confirm('Möchten Sie diesen Passkey wirklich entfernen?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/account/passkeys/${encodeURIComponent(id)}`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                showToast(data.message || 'Passkey entfernt', 'success');
+                await loadPasskeys();
+            } else {
+                showToast(data.error || 'Fehler beim Entfernen des Passkeys', 'error');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Entfernen des Passkeys', 'error');
+        }
+    }
+    
+    /**
+     * Setup active sessions card
+     */
+    function setupSessions() {
+        const revokeAllBtn = document.getElementById('revoke-all-sessions-btn');
+        
+        if (revokeAllBtn) {
+            revokeAllBtn.addEventListener('click', async function() {
+                if (!confirm('Möchten Sie sich wirklich auf allen Geräten abmelden? Auch diese Sitzung wird beendet.')) {
+                    return;
+                }
+                
+                setButtonLoading(revokeAllBtn, true);
+                
+                try {
+                    const response = await fetch('/api/account/sessions', {
+                        method: 'DELETE',
+                        headers: {
+                            'CSRF-Token': csrfToken
+                        },
+                        credentials: 'same-origin'
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showToast(data.message || 'Auf allen Geräten abgemeldet', 'success');
+                        setTimeout(() => {
+                            window.location.href = '/';
+                        }, 1000);
+                    } else {
+                        showToast(data.error || 'Fehler beim Abmelden', 'error');
+                        setButtonLoading(revokeAllBtn, false);
+                    }
+                } catch (error) {
+                    console.error('Error:', error);
+                    showToast('Netzwerkfehler beim Abmelden', 'error');
+                    setButtonLoading(revokeAllBtn, false);
+                }
+            });
+        }
+        
+        loadSessions();
+    }
+    
+    /**
+     * Load and render the active sessions of the current user
+     */
+    async function loadSessions() {
+        const list = document.getElementById('session-list');
+        if (!list) return;
+        
+        try {
+            const response = await fetch('/api/account/sessions', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                list.innerHTML = '<li>Fehler beim Laden</li>';
+                return;
+            }
+            
+            if (data.sessions.length === 0) {
+                list.innerHTML = '<li>Keine aktiven Sitzungen</li>';
+                return;
+            }
+            
+            list.innerHTML = data.sessions.map(session => `
+                <li style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; padding: var(--spacing-sm) 0; border-bottom: 1px solid var(--color-border);">
+                    <div>
+                        <strong>${escapeHtml(describeUserAgent(session.userAgent))}</strong>
+                        ${session.current ? '<span class="badge badge-success">Diese Sitzung</span>' : ''}<br>
+                        <small class="form-help">
+                            IP: ${escapeHtml(session.ip || 'Unbekannt')} &middot;
+                            Angemeldet: ${formatDate(session.createdAt)} &middot;
+                            Zuletzt aktiv: ${formatDate(session.lastActivityAt)}
+                        </small>
+                    </div>
+                    ${session.current ? '' : `
+                        <button type="button" class="btn btn-secondary" data-session-id="${session.id}" title="Gerät abmelden">
+                            <i data-lucide="log-out"></i>
+                        </button>
+                    `}
+                </li>
+            `).join('');
+            
+            list.querySelectorAll('[data-session-id]').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    revokeSession(this.getAttribute('data-session-id'));
+                });
+            });
+            
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            list.innerHTML = '<li>Fehler beim Laden</li>';
+        }
+    }
+    
+    /**
+     * Sign out another device
+     * @param {string} id - Session entry ID
+     */
+    async function revokeSession(id) {
+        if (!confirm('Möchten Sie dieses Gerät wirklich abmelden?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/account/sessions/${encodeURIComponent(id)}`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                showToast(data.message || 'Gerät abgemeldet', 'success');
+                await loadSessions();
+            } else {
+                showToast(data.error || 'Fehler beim Abmelden des Geräts', 'error');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Abmelden des Geräts', 'error');
+        }
+    }
+    
+    /**
+     * Build a short device description from a user agent string
+     * @param {string} userAgent - User agent
+     * @returns {string} e.g. "Firefox unter Windows"
+     */
+    function describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unbekanntes Gerät';
+        
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+        
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        const system = systems.find(([token]) => userAgent.includes(token));
+        
+        if (!browser && !system) return 'Unbekanntes Gerät';
+        if (!system) return browser[1];
+        if (!browser) return system[1];
+        return `${browser[1]} unter ${system[1]}`;
+    }
+    
+    /**
+     * Format a date for display
+     * @param {string} value - Date string
+     * @returns {string} Formatted date
+     */
+    function formatDate(value) {
+        return new Date(value).toLocaleString('de-DE', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     /**
      * Setup edit buttons for username and email
      */
@@ -9,20 +9,28 @@
     let csrfToken = null;
     let accounts = [];
     let roles = [];
+    let teams = [];
+    
+    // Permission registry (GET /api/admin/permissions) and the permissions that can be granted for teams
+    let permissionRegistry = [];
+    let scopablePermissions = [];
     let currentEditAccount = null;
     let currentEditRole = null;
     let deleteCallback = null;
+    let purgeUsername = null;
+    let explainUsername = null;
+    
+    // Account import: checked file content and the credentials sheet (only kept until the modal closes)
+    let importCsv = null;
+    let importCredentials = null;
     
-    // Available permissions
-    const AVAILABLE_PERMISSIONS = [
-        'manage_accounts',
-        'view_accounts',
-        'handle_requests',
-        'manage_roles',
-        'admin_all',
-        'view_absences',
-        'manage_absences'
-    ];
+    // Paging of the accounts list (filters and sorting are read from the filter form)
+    let accountsPage = 1;
+    let accountsTotal = 0;
+    let searchTimeout = null;
+    
+    // Larger files exceed the request size limit of the server
+    const MAX_IMPORT_FILE_SIZE = 90 * 1024;
     
     // Initialize on DOM load
     document.addEventListener('DOMContentLoaded', async function() {
@@ -42,10 +50,18 @@
         setupTabs();
         setupModals();
         setupForms();
+        setupAccountFilters();
+        applyTeamScope();
+        
+        // Teams are edited in teams.js, custom permissions in permission-registry.js
+        document.addEventListener('teams-changed', loadTeams);
+        document.addEventListener('permissions-changed', loadPermissions);
         
         // Load data
+        await loadPermissions();
         await loadAccounts();
         await loadRoles();
+        await loadTeams();
     });
     
     /**
@@ -70,6 +86,32 @@
         return Permissions.hasAnyPermission(['manage_accounts', 'view_accounts', 'admin_all', '*']);
     }
     
+    /**
+     * Check if the account management is limited to certain teams
+     * Without the global manage_accounts permission roles, permissions, teams, email and password cannot be changed
+     * @returns {boolean} True if the user manages team members only
+     */
+    function isTeamScoped() {
+        return !Permissions.hasGlobalPermission('manage_accounts');
+    }
+    
+    /**
+     * Hide actions that need global permissions
+     */
+    function applyTeamScope() {
+        if (isTeamScoped()) {
+            ['create-account-btn', 'import-accounts-btn', 'invalidate-all-sessions-btn'].forEach(id => {
+                document.getElementById(id).style.display = 'none';
+            });
+        }
+        
+        if (!Permissions.hasGlobalPermission('view_accounts')) {
+            document.querySelectorAll('.access-report-btn').forEach(button => {
+                button.style.display = 'none';
+            });
+        }
+    }
+    
     /**
      * Get CSRF token from server
      */
@@ -140,6 +182,38 @@
             openAccountModal();
         });
         
+        // Access report download (CSV or JSON)
+        document.querySelectorAll('.access-report-btn').forEach(button => {
+            button.addEventListener('click', function() {
+                window.location.href = '/api/admin/access-report?format=' + this.getAttribute('data-format');
+            });
+        });
+        
+        // Import accounts button
+        document.getElementById('import-accounts-btn').addEventListener('click', function() {
+            openModal('import-modal');
+        });
+        
+        // A selected file is checked right away (dry run)
+        document.getElementById('import-file').addEventListener('change', function() {
+            if (this.files.length > 0) {
+                validateImport(this.files[0]);
+            }
+        });
+        
+        document.getElementById('import-confirm-btn').addEventListener('click', function() {
+            confirmImport();
+        });
+        
+        document.getElementById('import-download-btn').addEventListener('click', function() {
+            downloadCredentials();
+        });
+        
+        // Sign out all users button
+        document.getElementById('invalidate-all-sessions-btn').addEventListener('click', function() {
+            invalidateAllSessions();
+        });
+        
         // Create role button
         document.getElementById('create-role-btn').addEventListener('click', function() {
             openRoleModal();
@@ -152,6 +226,19 @@
                 closeModal('delete-modal');
             }
         });
+        
+        // Purge confirmation: the button is only enabled when the username was typed
+        document.getElementById('purge-confirm-username').addEventListener('input', function() {
+            document.getElementById('purge-confirm-btn').disabled = this.value !== purgeUsername;
+        });
+        
+        document.getElementById('purge-confirm-btn').addEventListener('click', function() {
+            purgeAccount();
+        });
+        
+        document.getElementById('explain-check-btn').addEventListener('click', function() {
+            runPermissionCheck();
+        });
     }
     
     /**
@@ -179,11 +266,101 @@
     }
     
     /**
-     * Load accounts from API
+     * Setup search, filter, sorting and paging controls of the accounts list
+     */
+    function setupAccountFilters() {
+        document.getElementById('accounts-filter-form').addEventListener('submit', function(e) {
+            e.preventDefault();
+            reloadAccountsFromFirstPage();
+        });
+        
+        // Search while typing (debounced)
+        document.getElementById('accounts-search').addEventListener('input', function() {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(reloadAccountsFromFirstPage, 300);
+        });
+        
+        ['accounts-filter-role', 'accounts-filter-permission', 'accounts-filter-status', 'accounts-sort', 'accounts-page-size'].forEach(id => {
+            document.getElementById(id).addEventListener('change', reloadAccountsFromFirstPage);
+        });
+        
+        document.getElementById('accounts-prev-btn').addEventListener('click', function() {
+            if (accountsPage > 1) {
+                accountsPage--;
+                loadAccounts();
+            }
+        });
+        
+        document.getElementById('accounts-next-btn').addEventListener('click', function() {
+            if (accountsPage * getAccountsPageSize() < accountsTotal) {
+                accountsPage++;
+                loadAccounts();
+            }
+        });
+    }
+    
+    /**
+     * Reload the accounts list from the first page (after a filter change)
+     */
+    function reloadAccountsFromFirstPage() {
+        accountsPage = 1;
+        loadAccounts();
+    }
+    
+    /**
+     * Get the selected page size of the accounts list
+     * @returns {number} Accounts per page
+     */
+    function getAccountsPageSize() {
+        return parseInt(document.getElementById('accounts-page-size').value, 10) || 25;
+    }
+    
+    /**
+     * Build the query parameters of the accounts list
+     * @returns {URLSearchParams} Paging, filter and sort parameters
+     */
+    function getAccountsQuery() {
+        const params = new URLSearchParams();
+        const [sort, order] = document.getElementById('accounts-sort').value.split(':');
+        const filters = {
+            search: document.getElementById('accounts-search').value.trim(),
+            role: document.getElementById('accounts-filter-role').value,
+            permission: document.getElementById('accounts-filter-permission').value,
+            status: document.getElementById('accounts-filter-status').value
+        };
+        
+        params.set('page', accountsPage);
+        params.set('pageSize', getAccountsPageSize());
+        params.set('sort', sort);
+        params.set('order', order);
+        
+        for (const [name, value] of Object.entries(filters)) {
+            if (value) {
+                params.set(name, value);
+            }
+        }
+        
+        return params;
+    }
+    
+    /**
+     * Update the paging controls of the accounts list
+     */
+    function updateAccountsPagination() {
+        const totalPages = Math.max(Math.ceil(accountsTotal / getAccountsPageSize()), 1);
+        
+        document.getElementById('accounts-page-info').textContent =
+            `Seite ${accountsPage} von ${totalPages} (${accountsTotal} Konten)`;
+        document.getElementById('accounts-prev-btn').disabled = accountsPage <= 1;
+        document.getElementById('accounts-next-btn').disabled = accountsPage >= totalPages;
+    }
+    
+    /**
+     * Load the current page of accounts from API
      */
     async function loadAccounts() {
         try {
-            const response = await fetch('/api/admin/accounts', {
+            const response = await fetch('/api/admin/accounts?' + getAccountsQuery().toString(), {
                 credentials: 'same-origin'
             });
             
@@ -193,8 +370,16 @@
             
             const data = await response.json();
             accounts = data.accounts || [];
+            accountsTotal = data.total || 0;
+            
+            // The last page may have become empty (e.g. after a purge)
+            if (accounts.length === 0 && accountsPage > 1) {
+                accountsPage--;
+                return loadAccounts();
+            }
             
             renderAccountsTable();
+            updateAccountsPagination();
         } catch (error) {
             console.error('Error loading accounts:', error);
             showToast('Fehler beim Laden der Konten', 'error');
@@ -247,6 +432,137 @@
         }
     }
     
+    /**
+     * Load the permission registry from API (permission lists of the modals and the permission filter)
+     */
+    async function loadPermissions() {
+        try {
+            const response = await fetch('/api/admin/permissions', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load permissions');
+            }
+            
+            const data = await response.json();
+            permissionRegistry = data.permissions || [];
+            scopablePermissions = data.scopablePermissions || [];
+        } catch (error) {
+            console.error('Error loading permissions:', error);
+            showToast('Fehler beim Laden der Berechtigungen', 'error');
+        }
+        
+        renderPermissionOptions();
+        renderTeamPermissions();
+    }
+    
+    /**
+     * Render the permission checkboxes (grouped by category) of the account and role modal
+     * and the options of the permission filter
+     */
+    function renderPermissionOptions() {
+        const categories = [...new Set(permissionRegistry.map(permission => permission.category))];
+        const checkboxes = categories.map(category => `
+            <div class="permission-category">
+                <strong>${escapeHtml(category)}</strong>
+                ${permissionRegistry.filter(permission => permission.category === category).map(permission => `
+                    <label class="checkbox-label" title="${escapeHtml(permission.description || '')}">
+                        <input type="checkbox" value="${escapeHtml(permission.name)}">
+                        <span>${escapeHtml(permission.name)} - ${escapeHtml(permission.label)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+        
+        document.getElementById('account-permissions').innerHTML = checkboxes;
+        document.getElementById('role-permissions').innerHTML = checkboxes;
+        
+        // Permission check of the explainer
+        document.getElementById('explain-check-permission').innerHTML = permissionRegistry
+            .map(permission => `<option value="${escapeHtml(permission.name)}">${escapeHtml(permission.label)} (${escapeHtml(permission.name)})</option>`)
+            .join('');
+        
+        // Permission filter of the accounts list (keeps the current selection)
+        const permissionFilter = document.getElementById('accounts-filter-permission');
+        const selectedPermission = permissionFilter.value;
+        permissionFilter.innerHTML = '<option value="">Alle Berechtigungen</option>' +
+            permissionRegistry.map(permission => `<option value="${escapeHtml(permission.name)}">${escapeHtml(permission.label)} (${escapeHtml(permission.name)})</option>`).join('');
+        permissionFilter.value = selectedPermission;
+    }
+    
+    /**
+     * Load teams from API (for the team permissions of the account modal)
+     */
+    async function loadTeams() {
+        try {
+            const response = await fetch('/api/admin/teams', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load teams');
+            }
+            
+            const data = await response.json();
+            teams = data.teams || [];
+        } catch (error) {
+            console.error('Error loading teams:', error);
+            teams = [];
+        }
+        
+        renderTeamPermissions();
+    }
+    
+    /**
+     * Render the team permission list of the account modal (one row per team)
+     */
+    function renderTeamPermissions() {
+        const list = document.getElementById('account-team-permissions');
+        
+        list.innerHTML = teams.map((team, index) => `
+            <div class="team-permission-row">
+                <strong>${escapeHtml(team.name)}</strong>
+                ${scopablePermissions.map(permission => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-index="${index}" value="${escapeHtml(permission)}">
+                        <span>${escapeHtml(permission)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+        
+        document.getElementById('account-team-permissions-group').style.display =
+            teams.length > 0 && !isTeamScoped() ? '' : 'none';
+    }
+    
+    /**
+     * Fill the team permission list of the account modal
+     * @param {Object|null} account - Edited account, or null for a new one
+     */
+    function setTeamPermissions(account) {
+        const grants = account ? account.teamPermissions || [] : [];
+        
+        document.querySelectorAll('#account-team-permissions input[type="checkbox"]').forEach(checkbox => {
+            const team = teams[parseInt(checkbox.getAttribute('data-index'), 10)];
+            checkbox.checked = !!team && grants.some(grant =>
+                grant.teamId === team.id && grant.permission === checkbox.value
+            );
+        });
+    }
+    
+    /**
+     * Read the team permissions from the account modal
+     * @returns {Array<Object>} Grants { permission, teamId }
+     */
+    function getTeamPermissions() {
+        return Array.from(document.querySelectorAll('#account-team-permissions input[type="checkbox"]:checked'))
+            .map(checkbox => ({
+                permission: checkbox.value,
+                teamId: teams[parseInt(checkbox.getAttribute('data-index'), 10)].id
+            }));
+    }
+    
     /**
      * Render accounts table
      */
@@ -258,7 +574,7 @@
                 <tr>
                     <td colspan="5" class="empty-state">
                         <i data-lucide="users"></i>
-                        <p>Keine Konten vorhanden</p>
+                        <p>Keine Konten gefunden</p>
                     </td>
                 </tr>
             `;
@@ -281,7 +597,12 @@
             
             return `
                 <tr>
-                    <td><strong>${escapeHtml(account.username)}</strong></td>
+                    <td>
+                        <strong>${escapeHtml(account.username)}</strong>
+                        ${account.totpEnabled ? '<span class="badge badge-success" title="Zwei-Faktor-Authentifizierung aktiv">2FA</span>' : ''}
+                        ${account.mustChangePassword ? '<span class="badge badge-warning" title="Muss das Passwort bei der nächsten Anmeldung ändern">Passwortänderung</span>' : ''}
+                        ${renderStatusBadge(account)}
+                    </td>
                     <td>
                         <span class="censored-text" data-email="${escapeHtml(account.email || '')}" data-censored="true">${censoredEmail}</span>
                         ${emailToggleButton}
@@ -293,9 +614,13 @@
                             <button class="btn-icon" data-action="edit-account" data-username="${escapeHtml(account.username)}" title="Bearbeiten">
                                 <i data-lucide="edit"></i>
                             </button>
-                            <button class="btn-icon btn-danger" data-action="delete-account" data-username="${escapeHtml(account.username)}" title="Löschen">
-                                <i data-lucide="trash-2"></i>
+                            <button class="btn-icon" data-action="explain-permissions" data-username="${escapeHtml(account.username)}" title="Berechtigungen erklären">
+                                <i data-lucide="search-check"></i>
                             </button>
+                            <button class="btn-icon" data-action="terminate-sessions" data-username="${escapeHtml(account.username)}" title="Alle Sitzungen beenden">
+                                <i data-lucide="log-out"></i>
+                            </button>
+                            ${renderStatusActions(account)}
                         </div>
                     </td>
                 </tr>
@@ -315,15 +640,93 @@
             });
         });
         
-        tbody.querySelectorAll('[data-action="delete-account"]').forEach(btn => {
+        tbody.querySelectorAll('[data-action="explain-permissions"]').forEach(btn => {
+            btn.addEventListener('click', function() {
+                openExplainModal(this.getAttribute('data-username'));
+            });
+        });
+        
+        tbody.querySelectorAll('[data-action="terminate-sessions"]').forEach(btn => {
             btn.addEventListener('click', function() {
-                deleteAccount(this.getAttribute('data-username'));
+                terminateSessions(this.getAttribute('data-username'));
+            });
+        });
+        
+        tbody.querySelectorAll('[data-action="change-status"]').forEach(btn => {
+            btn.addEventListener('click', function() {
+                changeAccountStatus(this.getAttribute('data-username'), this.getAttribute('data-status'));
+            });
+        });
+        
+        tbody.querySelectorAll('[data-action="purge-account"]').forEach(btn => {
+            btn.addEventListener('click', function() {
+                openPurgeModal(this.getAttribute('data-username'));
             });
         });
         
         lucide.createIcons();
     }
     
+    /**
+     * Render the status badge of an account (time-limited or nothing for active accounts)
+     * @param {Object} account - Account
+     * @returns {string} HTML
+     */
+    function renderStatusBadge(account) {
+        const since = account.deactivatedAt ? ` seit ${new Date(account.deactivatedAt).toLocaleString('de-DE')}` : '';
+        
+        if (account.status === 'suspended') {
+            return `<span class="badge badge-warning" title="Gesperrt${since}">Gesperrt</span>`;
+        }
+        if (account.status === 'deactivated') {
+            return `<span class="badge badge-danger" title="Deaktiviert${since}">Deaktiviert</span>`;
+        }
+        if (account.expiresAt) {
+            return `<span class="badge badge-primary" title="Zugang endet am ${new Date(account.expiresAt).toLocaleDateString('de-DE')}">Befristet</span>`;
+        }
+        return '';
+    }
+    
+    /**
+     * Render the status action buttons of an account
+     * Active accounts can be suspended or deactivated, inactive ones reactivated or purged
+     * @param {Object} account - Account
+     * @returns {string} HTML
+     */
+    function renderStatusActions(account) {
+        const username = escapeHtml(account.username);
+        const status = account.status || 'active';
+        let html = '';
+        
+        if (status === 'active') {
+            html += `
+                            <button class="btn-icon" data-action="change-status" data-status="suspended" data-username="${username}" title="Sperren">
+                                <i data-lucide="ban"></i>
+                            </button>`;
+        } else {
+            html += `
+                            <button class="btn-icon" data-action="change-status" data-status="active" data-username="${username}" title="Reaktivieren">
+                                <i data-lucide="user-check"></i>
+                            </button>`;
+        }
+        
+        if (status !== 'deactivated') {
+            html += `
+                            <button class="btn-icon btn-danger" data-action="change-status" data-status="deactivated" data-username="${username}" title="Deaktivieren">
+                                <i data-lucide="user-x"></i>
+                            </button>`;
+        }
+        
+        if (status !== 'active') {
+            html += `
+                            <button class="btn-icon btn-danger" data-action="purge-account" data-username="${username}" title="Endgültig löschen">
+                                <i data-lucide="trash-2"></i>
+                            </button>`;
+        }
+        
+        return html;
+    }
+    
     /**
      * Render roles table
      */
@@ -347,11 +750,22 @@
             const permissionBadges = (role.permissions || []).map(perm => 
                 `<span class="badge badge-primary">${escapeHtml(perm)}</span>`
             ).join(' ');
+            const inheritedBadges = (role.inheritedPermissions || []).map(perm => 
+                `<span class="badge" title="Geerbt">${escapeHtml(perm)}</span>`
+            ).join(' ');
+            const parentNames = (role.parents || [])
+                .map(parentId => roles.find(r => r.id === parentId))
+                .filter(Boolean)
+                .map(parent => escapeHtml(parent.name));
             
             return `
                 <tr>
-                    <td><strong>${escapeHtml(role.name)}</strong></td>
-                    <td>${permissionBadges || '<span class="badge">Keine</span>'}</td>
+                    <td>
+                        <strong>${escapeHtml(role.name)}</strong>
+                        ${role.require2fa ? '<span class="badge badge-warning">2FA</span>' : ''}
+                        ${parentNames.length > 0 ? `<br><small class="form-help">Erbt von: ${parentNames.join(', ')}</small>` : ''}
+                    </td>
+                    <td>${permissionBadges || inheritedBadges ? `${permissionBadges} ${inheritedBadges}` : '<span class="badge">Keine</span>'}</td>
                     <td>
                         <div class="table-actions">
                             <button class="btn-icon" data-action="edit-role" data-role-id="${escapeHtml(role.id)}" title="Bearbeiten">
@@ -390,6 +804,77 @@
         
         roleSelect.innerHTML = '<option value="">Keine Rolle</option>' + 
             roles.map(role => `<option value="${escapeHtml(role.name)}">${escapeHtml(role.name)}</option>`).join('');
+        
+        // Role filter of the accounts list (keeps the current selection)
+        const roleFilter = document.getElementById('accounts-filter-role');
+        const selectedRole = roleFilter.value;
+        roleFilter.innerHTML = '<option value="">Alle Rollen</option>' +
+            roles.map(role => `<option value="${escapeHtml(role.id)}">${escapeHtml(role.name)}</option>`).join('');
+        roleFilter.value = selectedRole;
+        
+        // Role assignments with optional end date
+        const assignmentList = document.getElementById('account-role-assignments');
+        assignmentList.innerHTML = roles.map((role, index) => `
+            <div class="role-assignment-row">
+                <label class="checkbox-label">
+                    <input type="checkbox" data-index="${index}">
+                    <span>${escapeHtml(role.name)}</span>
+                </label>
+                <input type="date" data-index="${index}" title="Zuweisung endet am">
+            </div>
+        `).join('');
+        
+        // Without access to the roles the assignments are left untouched
+        document.getElementById('account-role-assignments-group').style.display = roles.length > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Fill the role assignment list of the account modal
+     * @param {Object|null} account - Edited account, or null for a new one
+     */
+    function setRoleAssignments(account) {
+        const assignments = account ? account.roleAssignments || [] : [];
+        
+        roles.forEach((role, index) => {
+            const assignment = assignments.find(entry => entry.roleId === role.id);
+            const checkbox = document.querySelector(`#account-role-assignments input[type="checkbox"][data-index="${index}"]`);
+            const dateInput = document.querySelector(`#account-role-assignments input[type="date"][data-index="${index}"]`);
+            
+            if (checkbox && dateInput) {
+                checkbox.checked = !!assignment;
+                dateInput.value = assignment ? toDateInputValue(assignment.expiresAt) : '';
+            }
+        });
+    }
+    
+    /**
+     * Read the role assignments from the account modal
+     * @returns {Array<Object>} Assignments { id, expiresAt }
+     */
+    function getRoleAssignments() {
+        return roles.map((role, index) => {
+            const checkbox = document.querySelector(`#account-role-assignments input[type="checkbox"][data-index="${index}"]`);
+            const dateInput = document.querySelector(`#account-role-assignments input[type="date"][data-index="${index}"]`);
+            
+            if (!checkbox || !checkbox.checked) {
+                return null;
+            }
+            return { id: role.id, expiresAt: dateInput.value || null };
+        }).filter(Boolean);
+    }
+    
+    /**
+     * Format a date for a date input (local time, YYYY-MM-DD)
+     * @param {string|null} value - Date from the API
+     * @returns {string} Input value, empty without date
+     */
+    function toDateInputValue(value) {
+        if (!value) return '';
+        
+        const date = new Date(value);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
     }
     
     /**
@@ -415,6 +900,8 @@
             document.getElementById('account-displayname').value = account.displayName || '';
             document.getElementById('account-role').value = account.role || '';
             document.getElementById('account-password').required = false;
+            document.getElementById('account-must-change-password').checked = !!account.mustChangePassword;
+            document.getElementById('account-expires-at').value = toDateInputValue(account.expiresAt);
             
             // Set permissions
             document.querySelectorAll('#account-permissions input[type="checkbox"]').forEach(checkbox => {
@@ -425,6 +912,7 @@
             submitBtn.textContent = 'Erstellen';
             document.getElementById('account-username').disabled = false;
             document.getElementById('account-password').required = true;
+            document.getElementById('account-must-change-password').checked = true;
             
             // Clear permissions
             document.querySelectorAll('#account-permissions input[type="checkbox"]').forEach(checkbox => {
@@ -432,6 +920,20 @@
             });
         }
         
+        setRoleAssignments(account);
+        setTeamPermissions(account);
+        
+        // Team-scoped managers only edit the profile and status of team members
+        // (members request a new password by email themselves)
+        const scoped = isTeamScoped();
+        ['account-role', 'account-permissions', 'account-email', 'account-password'].forEach(id => {
+            document.getElementById(id).closest('.form-group').style.display = scoped ? 'none' : '';
+        });
+        document.getElementById('account-email').required = !scoped;
+        if (scoped) {
+            document.getElementById('account-role-assignments-group').style.display = 'none';
+        }
+        
         openModal('account-modal');
     }
     
@@ -453,6 +955,7 @@
             submitBtn.textContent = 'Speichern';
             
             document.getElementById('role-name').value = role.name;
+            document.getElementById('role-require-2fa').checked = !!role.require2fa;
             
             // Set permissions
             document.querySelectorAll('#role-permissions input[type="checkbox"]').forEach(checkbox => {
@@ -468,9 +971,92 @@
             });
         }
         
+        renderRoleParents(role);
+        updateInheritedPermissions();
+        
         openModal('role-modal');
     }
     
+    /**
+     * Fill the parent role list of the role modal
+     * Roles that inherit from the edited role are disabled, choosing them would create a cycle
+     * @param {Object|null} role - Edited role, or null for a new one
+     */
+    function renderRoleParents(role) {
+        const list = document.getElementById('role-parents');
+        const candidates = roles.filter(candidate => !role || candidate.id !== role.id);
+        
+        document.getElementById('role-parents-group').style.display = candidates.length > 0 ? '' : 'none';
+        
+        list.innerHTML = roles.map((candidate, index) => {
+            if (role && candidate.id === role.id) {
+                return '';
+            }
+            
+            const checked = role && (role.parents || []).includes(candidate.id);
+            const createsCycle = role && getAncestorIds([candidate.id]).includes(role.id);
+            
+            return `
+                <label class="checkbox-label"${createsCycle ? ' title="Diese Rolle erbt bereits von der bearbeiteten Rolle"' : ''}>
+                    <input type="checkbox" data-index="${index}"${checked ? ' checked' : ''}${createsCycle ? ' disabled' : ''}>
+                    <span>${escapeHtml(candidate.name)}</span>
+                </label>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', updateInheritedPermissions);
+        });
+    }
+    
+    /**
+     * Get the selected parent role IDs of the role modal
+     * @returns {Array<string>} Role IDs
+     */
+    function getSelectedParents() {
+        return Array.from(document.querySelectorAll('#role-parents input[type="checkbox"]:checked'))
+            .map(checkbox => roles[parseInt(checkbox.getAttribute('data-index'), 10)].id);
+    }
+    
+    /**
+     * Get the IDs of the given roles and all roles they inherit from
+     * @param {Array<string>} roleIds - Start role IDs
+     * @returns {Array<string>} Role IDs
+     */
+    function getAncestorIds(roleIds) {
+        const visited = new Set();
+        const pending = [...roleIds];
+        
+        while (pending.length > 0) {
+            const roleId = pending.pop();
+            if (visited.has(roleId)) continue;
+            visited.add(roleId);
+            
+            const role = roles.find(r => r.id === roleId);
+            if (role) {
+                pending.push(...(role.parents || []));
+            }
+        }
+        
+        return Array.from(visited);
+    }
+    
+    /**
+     * Show the permissions the role inherits through the selected parent roles
+     */
+    function updateInheritedPermissions() {
+        const inherited = new Set();
+        getAncestorIds(getSelectedParents()).forEach(roleId => {
+            const role = roles.find(r => r.id === roleId);
+            (role ? role.permissions || [] : []).forEach(perm => inherited.add(perm));
+        });
+        
+        const container = document.getElementById('role-inherited-permissions');
+        container.innerHTML = inherited.size > 0
+            ? Array.from(inherited).sort().map(perm => `<span class="badge">${escapeHtml(perm)}</span>`).join(' ')
+            : '<small class="form-help">Keine</small>';
+    }
+    
     /**
      * Handle account form submit
      */
@@ -483,20 +1069,36 @@
         const password = document.getElementById('account-password').value;
         const displayName = document.getElementById('account-displayname').value.trim();
         const role = document.getElementById('account-role').value;
+        const mustChangePassword = document.getElementById('account-must-change-password').checked;
+        const expiresAt = document.getElementById('account-expires-at').value || null;
         
         const permissions = Array.from(document.querySelectorAll('#account-permissions input[type="checkbox"]:checked'))
             .map(cb => cb.value);
         
         const accountData = {
             username,
-            email,
             displayName,
-            role: role || null,
-            permissions
+            mustChangePassword,
+            expiresAt
         };
         
+        // Team-scoped managers must not send roles, permissions, email or password (rejected by the server)
+        if (!isTeamScoped()) {
+            accountData.email = email;
+            accountData.role = role || null;
+            accountData.permissions = permissions;
+            
+            // Only send role assignments and team permissions if they could be loaded
+            if (roles.length > 0) {
+                accountData.roles = getRoleAssignments();
+            }
+            if (teams.length > 0) {
+                accountData.teamPermissions = getTeamPermissions();
+            }
+        }
+        
         // Use different field name for password based on operation type
-        if (password) {
+        if (password && !isTeamScoped()) {
             const passwordField = currentEditAccount ? 'newPassword' : 'password';
             accountData[passwordField] = password;
         }
@@ -534,6 +1136,9 @@
                 showToast(data.message || 'Konto erfolgreich gespeichert', 'success');
                 closeModal('account-modal');
                 await loadAccounts();
+            } else if (data.policyFailures) {
+                // List the violated password rules
+                showToast(`${data.error} ${data.policyFailures.map(failure => failure.message).join(', ')}`, 'error');
             } else {
                 showToast(data.error || 'Fehler beim Speichern des Kontos', 'error');
             }
@@ -558,7 +1163,9 @@
         
         const roleData = {
             name,
-            permissions
+            permissions,
+            parents: getSelectedParents(),
+            require2fa: document.getElementById('role-require-2fa').checked
         };
         
         try {
@@ -626,41 +1233,468 @@
     }
     
     /**
-     * Delete account
+     * Suspend, deactivate or reactivate an account
+     * @param {string} username - Username
+     * @param {string} status - New status (active, suspended, deactivated)
+     */
+    async function changeAccountStatus(username, status) {
+        const questions = {
+            active: `Möchten Sie das Konto "${username}" reaktivieren?`,
+            suspended: `Möchten Sie das Konto "${username}" sperren? Der Benutzer wird auf allen Geräten abgemeldet und kann sich nicht mehr anmelden.`,
+            deactivated: `Möchten Sie das Konto "${username}" deaktivieren? Der Benutzer wird abgemeldet, seine Daten bleiben erhalten.`
+        };
+        
+        if (!questions[status] || !confirm(questions[status])) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/accounts/${encodeURIComponent(username)}/status`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ status })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Status geändert', 'success');
+                await loadAccounts();
+            } else {
+                showToast(data.error || 'Fehler beim Ändern des Status', 'error');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Ändern des Status', 'error');
+        }
+    }
+    
+    /**
+     * Open the purge confirmation for an inactive account
+     * @param {string} username - Username
      */
-    function deleteAccount(username) {
+    function openPurgeModal(username) {
         const account = accounts.find(acc => acc.username === username);
         if (!account) return;
         
-        document.getElementById('delete-modal-title').textContent = 'Konto löschen';
-        document.getElementById('delete-modal-message').textContent = 
-            `Möchten Sie das Konto "${username}" wirklich löschen? Diese Aktion kann nicht rückgängig gemacht werden.`;
+        purgeUsername = username;
+        document.getElementById('purge-modal-message').textContent =
+            `Das Konto "${username}" wird mit allen Daten (auch Abwesenheiten) endgültig gelöscht. Diese Aktion kann nicht rückgängig gemacht werden.`;
+        document.getElementById('purge-confirm-username').value = '';
+        document.getElementById('purge-confirm-btn').disabled = true;
         
-        deleteCallback = async () => {
-            try {
-                const response = await fetch(`/api/admin/accounts/${username}`, {
-                    method: 'DELETE',
-                    headers: {
-                        'CSRF-Token': csrfToken
-                    },
-                    credentials: 'same-origin'
-                });
-                
-                const data = await response.json();
+        openModal('purge-modal');
+    }
+    
+    /**
+     * Permanently delete the account selected in the purge modal
+     */
+    async function purgeAccount() {
+        const confirmUsername = document.getElementById('purge-confirm-username').value;
+        if (!purgeUsername || confirmUsername !== purgeUsername) {
+            return;
+        }
+        
+        const purgeButton = document.getElementById('purge-confirm-btn');
+        setButtonLoading(purgeButton, true);
+        
+        try {
+            const response = await fetch(`/api/admin/accounts/${encodeURIComponent(purgeUsername)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ confirmUsername })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Konto endgültig gelöscht', 'success');
+                closeModal('purge-modal');
+                await loadAccounts();
+            } else {
+                showToast(data.error || 'Fehler beim Löschen des Kontos', 'error');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Löschen des Kontos', 'error');
+        } finally {
+            setButtonLoading(purgeButton, false);
+        }
+    }
+    
+    /**
+     * Check an import file without creating accounts (dry run)
+     * @param {File} file - Selected CSV file
+     */
+    async function validateImport(file) {
+        const confirmBtn = document.getElementById('import-confirm-btn');
+        importCsv = null;
+        confirmBtn.disabled = true;
+        document.getElementById('import-credentials').style.display = 'none';
+        
+        // Request bodies are limited to 100 KB
+        if (file.size > MAX_IMPORT_FILE_SIZE) {
+            showImportSummary('Die Datei ist zu groß (höchstens 90 KB).', true);
+            return;
+        }
+        
+        try {
+            const csv = await file.text();
+            const response = await fetch('/api/admin/accounts/import/validate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ csv })
+            });
+            
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                renderImportRows([]);
+                showImportSummary(data.error || 'Fehler beim Prüfen der Datei', true);
+                return;
+            }
+            
+            renderImportRows(data.rows);
+            
+            const invalidRows = data.rows.filter(row => row.errors.length > 0).length;
+            if (data.valid) {
+                importCsv = csv;
+                confirmBtn.disabled = false;
+                showImportSummary(`${data.rows.length} Konten können importiert werden.`, false);
+            } else {
+                showImportSummary(`${invalidRows} von ${data.rows.length} Zeilen sind fehlerhaft. Bitte korrigieren Sie die Datei und wählen Sie sie erneut aus.`, true);
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Prüfen der Datei', 'error');
+        }
+    }
+    
+    /**
+     * Import the checked file and hand out the credentials sheet
+     */
+    async function confirmImport() {
+        if (!importCsv) return;
+        
+        const confirmBtn = document.getElementById('import-confirm-btn');
+        setButtonLoading(confirmBtn, true);
+        
+        try {
+            const response = await fetch('/api/admin/accounts/import', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ csv: importCsv })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                importCsv = null;
+                importCredentials = data.credentials;
                 
-                if (response.ok && data.success) {
-                    showToast(data.message || 'Konto erfolgreich gelöscht', 'success');
-                    await loadAccounts();
-                } else {
-                    showToast(data.error || 'Fehler beim Löschen des Kontos', 'error');
+                showToast(data.message || 'Konten erfolgreich importiert', 'success');
+                showImportSummary(data.message, false);
+                document.getElementById('import-credentials').style.display = '';
+                downloadCredentials();
+                await loadAccounts();
+            } else {
+                // The data changed since the dry run: show the new result
+                if (data.rows) {
+                    renderImportRows(data.rows);
+                    importCsv = null;
                 }
-            } catch (error) {
-                console.error('Error:', error);
-                showToast('Netzwerkfehler beim Löschen des Kontos', 'error');
+                showImportSummary(data.error || 'Fehler beim Importieren der Konten', true);
             }
-        };
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Importieren der Konten', 'error');
+        } finally {
+            setButtonLoading(confirmBtn, false);
+            confirmBtn.disabled = !importCsv;
+        }
+    }
+    
+    /**
+     * Render the checked rows of an import file
+     * @param {Array} rows - Rows with errors from the server
+     */
+    function renderImportRows(rows) {
+        const tbody = document.getElementById('import-tbody');
+        document.getElementById('import-results').style.display = rows.length > 0 ? '' : 'none';
         
-        openModal('delete-modal');
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.row}</td>
+                <td>${escapeHtml(row.username || '-')}</td>
+                <td>${escapeHtml(row.email || '-')}</td>
+                <td>${escapeHtml(row.role || '-')}</td>
+                <td>${row.roles.length > 0 ? escapeHtml(row.roles.join(', ')) : '-'}</td>
+                <td>${row.errors.length > 0
+                    ? row.errors.map(error => `<span class="badge badge-danger">${escapeHtml(error)}</span>`).join(' ')
+                    : '<span class="badge badge-success">OK</span>'}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Show the result of the check or import
+     * @param {string} message - Message
+     * @param {boolean} isError - Whether the message is an error
+     */
+    function showImportSummary(message, isError) {
+        const summary = document.getElementById('import-summary');
+        summary.textContent = message;
+        summary.style.color = isError ? 'var(--error)' : '';
+    }
+    
+    /**
+     * Download the credentials sheet of the last import
+     */
+    function downloadCredentials() {
+        if (!importCredentials) return;
+        
+        const blob = new Blob([importCredentials], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `zugangsdaten-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Reset the import modal (the credentials are discarded)
+     */
+    function resetImport() {
+        importCsv = null;
+        importCredentials = null;
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-confirm-btn').disabled = true;
+        document.getElementById('import-credentials').style.display = 'none';
+        showImportSummary('', false);
+        renderImportRows([]);
+    }
+    
+    /**
+     * Open the permission explainer of an account
+     * @param {string} username - Username
+     */
+    async function openExplainModal(username) {
+        explainUsername = username;
+        
+        document.getElementById('explain-modal-title').textContent = `Berechtigungen von ${username}`;
+        document.getElementById('explain-summary').textContent = '';
+        document.getElementById('explain-check-result').textContent = '';
+        document.getElementById('explain-tbody').innerHTML = `
+            <tr>
+                <td colspan="2" style="text-align: center;"><div class="spinner"></div></td>
+            </tr>
+        `;
+        openModal('explain-modal');
+        
+        try {
+            const response = await fetch(`/api/admin/accounts/${encodeURIComponent(username)}/permissions`, {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to load permissions');
+            }
+            
+            renderExplanation(data);
+        } catch (error) {
+            console.error('Error explaining permissions:', error);
+            document.getElementById('explain-tbody').innerHTML = '';
+            document.getElementById('explain-summary').textContent = error.message;
+        }
+    }
+    
+    /**
+     * Render the permissions of an account with the grants they come from
+     * @param {Object} data - Response of GET /api/admin/accounts/:username/permissions
+     */
+    function renderExplanation(data) {
+        const notes = [];
+        if (!data.active) {
+            notes.push('Das Konto ist gesperrt, deaktiviert oder abgelaufen – alle Anfragen werden abgewiesen.');
+        }
+        if (data.expiredRoles.length > 0) {
+            notes.push(`Abgelaufene Rollenzuweisungen (ohne Wirkung): ${data.expiredRoles.map(entry => entry.role).join(', ')}`);
+        }
+        if (data.teamPermissions.length > 0) {
+            notes.push(`Nur für Teammitglieder: ${data.teamPermissions.map(entry => `${entry.permission} (${entry.team || entry.teamId})`).join(', ')}`);
+        }
+        document.getElementById('explain-summary').textContent = notes.join(' ');
+        
+        const tbody = document.getElementById('explain-tbody');
+        if (data.permissions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="2" class="empty-state">
+                        <p>Keine Berechtigungen</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = data.permissions.map(entry => `
+            <tr>
+                <td><code>${escapeHtml(entry.permission)}</code></td>
+                <td>${entry.sources.map(source => `<span class="badge">${escapeHtml(describeSource(source))}</span>`).join(' ')}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Describe where a permission comes from
+     * @param {Object} source - Grant source { type, role, path, expiresAt, grantedBy }
+     * @returns {string} Description
+     */
+    function describeSource(source) {
+        switch (source.type) {
+            case 'superadmin':
+                return 'Superadmin';
+            case 'wildcard':
+                return 'Platzhalter (*)';
+            case 'admin_all':
+                return 'admin_all (direkt)';
+            case 'direct':
+                return 'Direkt zugewiesen';
+            case 'role': {
+                let text = `Rolle ${source.path.join(' → ')}`;
+                if (source.grantedBy) {
+                    text += ` (über ${source.grantedBy})`;
+                }
+                if (source.expiresAt) {
+                    text += ` bis ${new Date(source.expiresAt).toLocaleDateString('de-DE')}`;
+                }
+                return text;
+            }
+            default:
+                return source.type;
+        }
+    }
+    
+    /**
+     * Check a single permission of the explained account (same rules as the server routes)
+     */
+    async function runPermissionCheck() {
+        const permission = document.getElementById('explain-check-permission').value;
+        const scoped = document.getElementById('explain-check-scoped').checked;
+        const result = document.getElementById('explain-check-result');
+        
+        if (!explainUsername || !permission) return;
+        
+        try {
+            const params = new URLSearchParams({ permission, scoped });
+            const response = await fetch(`/api/admin/accounts/${encodeURIComponent(explainUsername)}/permissions/check?${params.toString()}`, {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to check permission');
+            }
+            
+            const reasons = {
+                permissions_disabled: 'Erlaubt – das Berechtigungssystem ist deaktiviert (FORCE_DISABLE_PERMISSIONS).',
+                inactive: 'Verweigert – das Konto ist nicht aktiv.',
+                superadmin: 'Erlaubt – Superadmin.',
+                granted: 'Erlaubt',
+                team_scope: `Erlaubt nur für die Mitglieder folgender Teams: ${data.teamPermissions.map(entry => entry.team || entry.teamId).join(', ')}`,
+                not_granted: 'Verweigert – die Berechtigung ist weder direkt noch über eine aktive Rolle vergeben.'
+            };
+            
+            let text = reasons[data.reason] || data.reason;
+            if (data.reason === 'granted' && data.sources.length > 0) {
+                text += ` – ${data.sources.map(describeSource).join(', ')}`;
+            }
+            result.textContent = text;
+            result.style.color = data.allowed ? 'var(--success)' : 'var(--error)';
+        } catch (error) {
+            console.error('Error checking permission:', error);
+            showToast('Fehler bei der Berechtigungsprüfung', 'error');
+        }
+    }
+    
+    /**
+     * Terminate all sessions of an account
+     */
+    async function terminateSessions(username) {
+        if (!confirm(`Möchten Sie alle Sitzungen von "${username}" beenden? Der Benutzer wird auf allen Geräten abgemeldet.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/accounts/${encodeURIComponent(username)}/sessions`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Sitzungen beendet', 'success');
+            } else {
+                showToast(data.error || 'Fehler beim Beenden der Sitzungen', 'error');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Beenden der Sitzungen', 'error');
+        }
+    }
+    
+    /**
+     * Sign out all users (except the current admin session)
+     */
+    async function invalidateAllSessions() {
+        if (!confirm('Möchten Sie wirklich alle Benutzer abmelden? Nur Ihre aktuelle Sitzung bleibt bestehen.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/admin/sessions/invalidate-all', {
+                method: 'POST',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Alle Benutzer wurden abgemeldet', 'success');
+            } else {
+                showToast(data.error || 'Fehler beim Abmelden aller Benutzer', 'error');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showToast('Netzwerkfehler beim Abmelden aller Benutzer', 'error');
+        }
     }
     
     /**
@@ -758,6 +1792,12 @@
                 currentEditRole = null;
             } else if (modalId === 'delete-modal') {
                 deleteCallback = null;
+            } else if (modalId === 'purge-modal') {
+                purgeUsername = null;
+            } else if (modalId === 'import-modal') {
+                resetImport();
+            } else if (modalId === 'explain-modal') {
+                explainUsername = null;
             }
         }
     }
@@ -0,0 +1,276 @@
+/**
+ * Audit Log Viewer
+ * Lists audit events with filters and paging and exports them as CSV
+ */
+
+(function() {
+    'use strict';
+    
+    const PAGE_SIZE = 50;
+    
+    let events = [];
+    let currentPage = 1;
+    let totalEvents = 0;
+    
+    // Initialize on DOM load
+    document.addEventListener('DOMContentLoaded', async function() {
+        const filterForm = document.getElementById('audit-filter-form');
+        if (filterForm) {
+            filterForm.addEventListener('submit', function(e) {
+                e.preventDefault();
+                currentPage = 1;
+                loadEvents();
+            });
+        }
+        
+        const resetButton = document.getElementById('audit-reset-btn');
+        if (resetButton) {
+            resetButton.addEventListener('click', function() {
+                filterForm.reset();
+                currentPage = 1;
+                loadEvents();
+            });
+        }
+        
+        const exportButton = document.getElementById('audit-export-btn');
+        if (exportButton) {
+            exportButton.addEventListener('click', function() {
+                window.location.href = '/api/admin/audit-events/export?' + getFilterParams().toString();
+            });
+        }
+        
+        const prevButton = document.getElementById('audit-prev-btn');
+        if (prevButton) {
+            prevButton.addEventListener('click', function() {
+                if (currentPage > 1) {
+                    currentPage--;
+                    loadEvents();
+                }
+            });
+        }
+        
+        const nextButton = document.getElementById('audit-next-btn');
+        if (nextButton) {
+            nextButton.addEventListener('click', function() {
+                if (currentPage * PAGE_SIZE < totalEvents) {
+                    currentPage++;
+                    loadEvents();
+                }
+            });
+        }
+        
+        await loadFilterOptions();
+        await loadEvents();
+    });
+    
+    /**
+     * Build query parameters from the filter form (empty fields are left out)
+     * @returns {URLSearchParams} Filter parameters
+     */
+    function getFilterParams() {
+        const params = new URLSearchParams();
+        const fields = {
+            actor: 'audit-filter-actor',
+            action: 'audit-filter-action',
+            targetType: 'audit-filter-target-type',
+            targetId: 'audit-filter-target-id',
+            from: 'audit-filter-from',
+            to: 'audit-filter-to'
+        };
+        
+        for (const [name, id] of Object.entries(fields)) {
+            const input = document.getElementById(id);
+            if (input && input.value.trim()) {
+                params.set(name, input.value.trim());
+            }
+        }
+        
+        return params;
+    }
+    
+    /**
+     * Load known actions and target types into the filter dropdowns
+     */
+    async function loadFilterOptions() {
+        try {
+            const response = await fetch('/api/admin/audit-events/filters', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load filter options');
+            }
+            
+            const data = await response.json();
+            fillSelect('audit-filter-action', data.actions || []);
+            fillSelect('audit-filter-target-type', data.targetTypes || []);
+        } catch (error) {
+            console.error('Error loading audit filter options:', error);
+        }
+    }
+    
+    /**
+     * Append options to a select (keeps the first "all" option)
+     * @param {string} id - Select element ID
+     * @param {Array<string>} values - Option values
+     */
+    function fillSelect(id, values) {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Load the current page of audit events
+     */
+    async function loadEvents() {
+        const params = getFilterParams();
+        params.set('page', currentPage);
+        params.set('pageSize', PAGE_SIZE);
+        
+        try {
+            const response = await fetch('/api/admin/audit-events?' + params.toString(), {
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load audit events');
+            }
+            
+            events = data.events || [];
+            totalEvents = data.total || 0;
+            
+            renderEvents();
+            updatePagination();
+        } catch (error) {
+            console.error('Error loading audit events:', error);
+            showToast('Fehler beim Laden des Audit-Logs: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Render audit events table
+     */
+    function renderEvents() {
+        const tbody = document.getElementById('audit-tbody');
+        
+        if (!tbody) return;
+        
+        if (events.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <i data-lucide="scroll-text"></i>
+                        <p>Keine Ereignisse gefunden</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+            return;
+        }
+        
+        tbody.innerHTML = events.map(event => {
+            const createdAt = new Date(event.createdAt).toLocaleString('de-DE');
+            const target = event.targetType
+                ? `${escapeHtml(event.targetType)}${event.targetId ? ': ' + escapeHtml(event.targetId) : ''}`
+                : '-';
+            
+            return `
+                <tr>
+                    <td>${createdAt}</td>
+                    <td>${escapeHtml(event.actorUsername || 'System')}</td>
+                    <td><code>${escapeHtml(event.action)}</code></td>
+                    <td>${target}</td>
+                    <td>${escapeHtml(event.ip || '-')}</td>
+                    <td>${renderDetails(event)}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        lucide.createIcons();
+    }
+    
+    /**
+     * Render the before/after state of an event
+     * @param {Object} event - Audit event
+     * @returns {string} HTML
+     */
+    function renderDetails(event) {
+        if (!event.before && !event.after) {
+            return '-';
+        }
+        
+        let html = '<details><summary>Anzeigen</summary>';
+        if (event.before) {
+            html += `<strong>Vorher</strong><pre class="audit-details">${escapeHtml(JSON.stringify(event.before, null, 2))}</pre>`;
+        }
+        if (event.after) {
+            html += `<strong>Nachher</strong><pre class="audit-details">${escapeHtml(JSON.stringify(event.after, null, 2))}</pre>`;
+        }
+        html += '</details>';
+        
+        return html;
+    }
+    
+    /**
+     * Update total badge and paging controls
+     */
+    function updatePagination() {
+        const totalPages = Math.max(Math.ceil(totalEvents / PAGE_SIZE), 1);
+        
+        const totalBadge = document.getElementById('audit-total');
+        if (totalBadge) {
+            totalBadge.textContent = totalEvents;
+        }
+        
+        const pageInfo = document.getElementById('audit-page-info');
+        if (pageInfo) {
+            pageInfo.textContent = `Seite ${currentPage} von ${totalPages}`;
+        }
+        
+        const prevButton = document.getElementById('audit-prev-btn');
+        if (prevButton) {
+            prevButton.disabled = currentPage <= 1;
+        }
+        
+        const nextButton = document.getElementById('audit-next-btn');
+        if (nextButton) {
+            nextButton.disabled = currentPage >= totalPages;
+        }
+    }
+    
+    /**
+     * Show toast notification
+     * @param {string} message - Toast message
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    function showToast(message, type = 'info') {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.className = 'toast show toast-' + type;
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 4000);
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+})();
@@ -0,0 +1,193 @@
+/**
+ * Breached Passwords Report
+ * Lists accounts whose password was found in the breach corpus and forces password changes
+ */
+
+(function() {
+    'use strict';
+    
+    let csrfToken = null;
+    let accounts = [];
+    
+    // Initialize on DOM load
+    document.addEventListener('DOMContentLoaded', async function() {
+        // Get CSRF token
+        csrfToken = await getCsrfToken();
+        
+        const refreshButton = document.getElementById('refresh-breached-btn');
+        if (refreshButton) {
+            refreshButton.addEventListener('click', loadReport);
+        }
+        
+        // Load report
+        await loadReport();
+    });
+    
+    /**
+     * Get CSRF token from server
+     */
+    async function getCsrfToken() {
+        try {
+            const response = await fetch('/api/csrf-token', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            return data.csrfToken;
+        } catch (error) {
+            console.error('Failed to get CSRF token:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load flagged accounts from server
+     */
+    async function loadReport() {
+        try {
+            const response = await fetch('/api/admin/breached-passwords', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load breached password report');
+            }
+            
+            const data = await response.json();
+            accounts = data.accounts || [];
+            
+            renderReport();
+            updateBadge();
+        } catch (error) {
+            console.error('Error loading breached password report:', error);
+            showToast('Fehler beim Laden des Berichts', 'error');
+        }
+    }
+    
+    /**
+     * Render report table
+     */
+    function renderReport() {
+        const tbody = document.getElementById('breached-passwords-tbody');
+        
+        if (!tbody) return;
+        
+        if (accounts.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="empty-state">
+                        <i data-lucide="shield-check"></i>
+                        <p>Keine kompromittierten Passwörter gefunden</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+            return;
+        }
+        
+        tbody.innerHTML = accounts.map((account, index) => {
+            const breachedAt = new Date(account.breachedAt).toLocaleString('de-DE');
+            const status = account.mustChangePassword
+                ? '<span class="badge badge-warning">Änderung erzwungen</span>'
+                : '<span class="badge badge-danger">Offen</span>';
+            
+            return `
+                <tr>
+                    <td>${escapeHtml(account.username)}</td>
+                    <td>${escapeHtml(account.displayName || '-')}</td>
+                    <td>${breachedAt}</td>
+                    <td>${status}</td>
+                    <td class="table-actions">
+                        ${account.mustChangePassword ? '' : `
+                        <button class="btn-icon btn-force-change" data-index="${index}" title="Passwortänderung erzwingen">
+                            <i data-lucide="key-round"></i>
+                        </button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        lucide.createIcons();
+        
+        // Add event listeners to action buttons
+        tbody.querySelectorAll('.btn-force-change').forEach(button => {
+            button.addEventListener('click', function() {
+                const account = accounts[parseInt(this.getAttribute('data-index'), 10)];
+                if (account) {
+                    forcePasswordChange(account.username);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Update report badge count (accounts without forced change)
+     */
+    function updateBadge() {
+        const badge = document.getElementById('breached-passwords-badge');
+        const open = accounts.filter(account => !account.mustChangePassword).length;
+        
+        if (badge) {
+            badge.textContent = open;
+            badge.style.display = open > 0 ? 'inline' : 'none';
+        }
+    }
+    
+    /**
+     * Force a password change for an account
+     * @param {string} username - Username
+     */
+    async function forcePasswordChange(username) {
+        if (!confirm(`Möchten Sie für "${username}" eine Passwortänderung erzwingen?`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/breached-passwords/${encodeURIComponent(username)}/force-change`, {
+                method: 'POST',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to force password change');
+            }
+            
+            showToast(data.message || 'Passwortänderung erzwungen', 'success');
+            await loadReport();
+        } catch (error) {
+            console.error('Error forcing password change:', error);
+            showToast('Fehler beim Erzwingen der Passwortänderung: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Show toast notification
+     * @param {string} message - Toast message
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    function showToast(message, type = 'info') {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.className = 'toast show toast-' + type;
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 4000);
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+})();
@@ -0,0 +1,367 @@
+/**
+ * Invitations Management
+ * Handles creating, listing and revoking registration invitations
+ * The invitation link is only shown once, right after creating it
+ */
+
+(function() {
+    'use strict';
+    
+    let csrfToken = null;
+    let invitations = [];
+    let roles = [];
+    
+    // Status labels and badge classes of the invitation states
+    const STATUS_BADGES = {
+        open: { label: 'Offen', className: 'badge-primary' },
+        used: { label: 'Verwendet', className: 'badge-success' },
+        revoked: { label: 'Widerrufen', className: 'badge-danger' },
+        expired: { label: 'Abgelaufen', className: 'badge-warning' }
+    };
+    
+    // Initialize on DOM load
+    document.addEventListener('DOMContentLoaded', async function() {
+        // The permissions decide if the tab is shown
+        if (typeof Auth !== 'undefined') {
+            await Auth.checkAuthStatus();
+        }
+        
+        // Invitations are managed with the global manage_accounts permission only
+        if (!canManageInvitations()) {
+            const tabButton = document.getElementById('invitations-tab-btn');
+            if (tabButton) {
+                tabButton.style.display = 'none';
+            }
+            return;
+        }
+        
+        // Get CSRF token
+        csrfToken = await getCsrfToken();
+        
+        const createButton = document.getElementById('create-invitation-btn');
+        if (createButton) {
+            createButton.addEventListener('click', openInvitationModal);
+        }
+        
+        const invitationForm = document.getElementById('invitation-form');
+        if (invitationForm) {
+            invitationForm.addEventListener('submit', async function(e) {
+                e.preventDefault();
+                await handleInvitationSubmit();
+            });
+        }
+        
+        const copyButton = document.getElementById('copy-invitation-link-btn');
+        if (copyButton) {
+            copyButton.addEventListener('click', copyInvitationLink);
+        }
+        
+        // Load invitations and the roles that can be assigned
+        await loadRoles();
+        await loadInvitations();
+    });
+    
+    /**
+     * Check if the user may create and revoke invitations
+     * NOTE: This is client-side validation only for UX.
+     * @returns {boolean} True with global manage_accounts permission
+     */
+    function canManageInvitations() {
+        return typeof Permissions !== 'undefined' && Permissions.hasGlobalPermission('manage_accounts');
+    }
+    
+    /**
+     * Get CSRF token from server
+     */
+    async function getCsrfToken() {
+        try {
+            const response = await fetch('/api/csrf-token', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            return data.csrfToken;
+        } catch (error) {
+            console.error('Failed to get CSRF token:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the roles for the invitation modal
+     * Roles can only be listed with manage_roles; without it invitations carry no roles
+     */
+    async function loadRoles() {
+        try {
+            const response = await fetch('/api/admin/roles', {
+                credentials: 'same-origin'
+            });
+            if (response.ok) {
+                roles = (await response.json()).roles || [];
+            }
+        } catch (error) {
+            console.error('Error loading roles:', error);
+        }
+        
+        document.getElementById('invitation-roles').innerHTML = roles.map((role, index) => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-index="${index}">
+                <span>${escapeHtml(role.name)}</span>
+            </label>
+        `).join('');
+        document.getElementById('invitation-roles-group').style.display = roles.length > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Load invitations from server
+     */
+    async function loadInvitations() {
+        const tbody = document.getElementById('invitations-tbody');
+        if (!tbody) return;
+        
+        try {
+            const response = await fetch('/api/admin/invitations', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load invitations');
+            }
+            
+            const data = await response.json();
+            invitations = data.invitations || [];
+            
+            document.getElementById('invitation-mode-hint').textContent = data.inviteOnly
+                ? 'Die Registrierung ist nur mit Einladung möglich (REGISTRATION_INVITE_ONLY).'
+                : 'Die offene Registrierung ist aktiv. Registrierungen mit Einladung werden ohne Prüfung freigeschaltet.';
+            
+            renderInvitations();
+        } catch (error) {
+            console.error('Error loading invitations:', error);
+            
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <i data-lucide="alert-circle"></i>
+                        <p>Fehler beim Laden der Einladungen</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Render invitations table
+     */
+    function renderInvitations() {
+        const tbody = document.getElementById('invitations-tbody');
+        
+        if (invitations.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <i data-lucide="mail"></i>
+                        <p>Keine Einladungen vorhanden</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+            return;
+        }
+        
+        tbody.innerHTML = invitations.map((invitation, index) => {
+            const status = STATUS_BADGES[invitation.status] || STATUS_BADGES.open;
+            
+            return `
+                <tr>
+                    <td>${escapeHtml(invitation.email || 'Beliebig')}</td>
+                    <td>
+                        ${invitation.roles.length > 0
+                            ? invitation.roles.map(role => `<span class="badge badge-primary" style="margin: 2px;">${escapeHtml(role.name)}</span>`).join('')
+                            : '<span style="color: var(--text-secondary);">Keine</span>'}
+                    </td>
+                    <td>
+                        <span class="badge ${status.className}" title="${escapeHtml(invitation.revokedBy ? 'Widerrufen von ' + invitation.revokedBy : '')}">${status.label}</span>
+                    </td>
+                    <td>${escapeHtml(invitation.createdBy)}</td>
+                    <td>${escapeHtml(invitation.usedBy || '-')}</td>
+                    <td>${formatDate(invitation.expiresAt)}</td>
+                    <td class="table-actions">
+                        ${invitation.status === 'open' ? `
+                            <button class="btn-icon" data-index="${index}" title="Widerrufen">
+                                <i data-lucide="ban"></i>
+                            </button>
+                        ` : '-'}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        lucide.createIcons();
+        
+        tbody.querySelectorAll('button[data-index]').forEach(button => {
+            button.addEventListener('click', function() {
+                const invitation = invitations[parseInt(this.getAttribute('data-index'), 10)];
+                if (invitation) {
+                    revokeInvitation(invitation);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Open the create invitation modal
+     */
+    function openInvitationModal() {
+        document.getElementById('invitation-form').reset();
+        document.getElementById('invitation-modal').classList.add('show');
+        document.body.style.overflow = 'hidden';
+    }
+    
+    /**
+     * Close the create invitation modal
+     */
+    function closeInvitationModal() {
+        document.getElementById('invitation-modal').classList.remove('show');
+        document.body.style.overflow = '';
+    }
+    
+    /**
+     * Handle invitation form submit
+     */
+    async function handleInvitationSubmit() {
+        const submitBtn = document.getElementById('invitation-submit-btn');
+        submitBtn.disabled = true;
+        
+        const invitationData = {
+            email: document.getElementById('invitation-email').value.trim() || null,
+            roles: Array.from(document.querySelectorAll('#invitation-roles input[type="checkbox"]:checked'))
+                .map(checkbox => roles[parseInt(checkbox.getAttribute('data-index'), 10)].id),
+            expiresAt: document.getElementById('invitation-expires-at').value || null
+        };
+        
+        try {
+            const response = await fetch('/api/admin/invitations', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify(invitationData)
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Einladung erfolgreich erstellt', 'success');
+                closeInvitationModal();
+                showInvitationLink(data.link, data.code);
+                await loadInvitations();
+            } else {
+                showToast(data.error || 'Fehler beim Erstellen der Einladung', 'error');
+            }
+        } catch (error) {
+            console.error('Error creating invitation:', error);
+            showToast('Netzwerkfehler beim Erstellen der Einladung', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Show the link of a new invitation (the code cannot be loaded again)
+     * @param {string} link - Invitation link
+     * @param {string} code - Invitation code
+     */
+    function showInvitationLink(link, code) {
+        document.getElementById('invitation-link').value = link;
+        document.getElementById('invitation-code').textContent = code;
+        document.getElementById('invitation-link-box').style.display = '';
+    }
+    
+    /**
+     * Copy the shown invitation link to the clipboard
+     */
+    async function copyInvitationLink() {
+        const input = document.getElementById('invitation-link');
+        
+        try {
+            await navigator.clipboard.writeText(input.value);
+            showToast('Link kopiert', 'success');
+        } catch (error) {
+            input.select();
+            showToast('Kopieren nicht möglich – bitte manuell kopieren', 'warning');
+        }
+    }
+    
+    /**
+     * Revoke an open invitation
+     * @param {Object} invitation - Invitation to revoke
+     */
+    async function revokeInvitation(invitation) {
+        if (!confirm(`Möchten Sie die Einladung${invitation.email ? ` für "${invitation.email}"` : ''} wirklich widerrufen?`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/invitations/${invitation.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to revoke invitation');
+            }
+            
+            showToast('Einladung erfolgreich widerrufen', 'success');
+            await loadInvitations();
+        } catch (error) {
+            console.error('Error revoking invitation:', error);
+            showToast('Fehler beim Widerrufen der Einladung: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Format a date for display
+     * @param {string} value - ISO date string
+     * @returns {string} Formatted date
+     */
+    function formatDate(value) {
+        if (!value) return '-';
+        return new Date(value).toLocaleString('de-DE');
+    }
+    
+    /**
+     * Show toast notification
+     * @param {string} message - Toast message
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    function showToast(message, type = 'info') {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.className = 'toast show toast-' + type;
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 4000);
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+})();
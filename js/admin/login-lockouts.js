@@ -0,0 +1,193 @@
+/**
+ * Login Lockouts Management
+ * Handles viewing and removing login lockouts of usernames and IP addresses
+ */
+
+(function() {
+    'use strict';
+    
+    let csrfToken = null;
+    let lockouts = [];
+    
+    // Initialize on DOM load
+    document.addEventListener('DOMContentLoaded', async function() {
+        // Get CSRF token
+        csrfToken = await getCsrfToken();
+        
+        const refreshButton = document.getElementById('refresh-lockouts-btn');
+        if (refreshButton) {
+            refreshButton.addEventListener('click', loadLockouts);
+        }
+        
+        // Load lockouts
+        await loadLockouts();
+    });
+    
+    /**
+     * Get CSRF token from server
+     */
+    async function getCsrfToken() {
+        try {
+            const response = await fetch('/api/csrf-token', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            return data.csrfToken;
+        } catch (error) {
+            console.error('Failed to get CSRF token:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load active lockouts from server
+     */
+    async function loadLockouts() {
+        try {
+            const response = await fetch('/api/admin/login-lockouts', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load login lockouts');
+            }
+            
+            const data = await response.json();
+            lockouts = data.lockouts || [];
+            
+            renderLockouts();
+            updateLockoutBadge();
+        } catch (error) {
+            console.error('Error loading login lockouts:', error);
+            showToast('Fehler beim Laden der Login-Sperren', 'error');
+        }
+    }
+    
+    /**
+     * Render lockouts table
+     */
+    function renderLockouts() {
+        const tbody = document.getElementById('login-lockouts-tbody');
+        
+        if (!tbody) return;
+        
+        if (lockouts.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <i data-lucide="shield-check"></i>
+                        <p>Keine aktiven Sperren vorhanden</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+            return;
+        }
+        
+        tbody.innerHTML = lockouts.map((lockout, index) => {
+            const typeText = lockout.identifierType === 'ip' ? 'IP-Adresse' : 'Benutzername';
+            const lastAttempt = new Date(lockout.lastAttemptAt).toLocaleString('de-DE');
+            const lockedUntil = new Date(lockout.lockedUntil).toLocaleString('de-DE');
+            
+            return `
+                <tr>
+                    <td><span class="badge badge-primary">${typeText}</span></td>
+                    <td>${escapeHtml(lockout.identifier)}</td>
+                    <td>${escapeHtml(lockout.attempts)}</td>
+                    <td>${lastAttempt}</td>
+                    <td>${lockedUntil}</td>
+                    <td class="table-actions">
+                        <button class="btn-icon btn-unlock" data-index="${index}" title="Entsperren">
+                            <i data-lucide="unlock"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        lucide.createIcons();
+        
+        // Add event listeners to action buttons
+        tbody.querySelectorAll('.btn-unlock').forEach(button => {
+            button.addEventListener('click', function() {
+                // Identifiers are looked up by index; attempted usernames are untrusted input
+                const lockout = lockouts[parseInt(this.getAttribute('data-index'), 10)];
+                if (lockout) {
+                    unlock(lockout.identifierType, lockout.identifier);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Update lockout badge count
+     */
+    function updateLockoutBadge() {
+        const badge = document.getElementById('login-lockouts-badge');
+        
+        if (badge) {
+            badge.textContent = lockouts.length;
+            badge.style.display = lockouts.length > 0 ? 'inline' : 'none';
+        }
+    }
+    
+    /**
+     * Remove a lockout
+     * @param {string} type - Identifier type (username or ip)
+     * @param {string} identifier - Username or IP address
+     */
+    async function unlock(type, identifier) {
+        if (!confirm(`Möchten Sie die Sperre für "${identifier}" wirklich aufheben?`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/login-lockouts/${encodeURIComponent(type)}/${encodeURIComponent(identifier)}`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to remove lockout');
+            }
+            
+            showToast('Sperre erfolgreich aufgehoben', 'success');
+            await loadLockouts();
+        } catch (error) {
+            console.error('Error removing lockout:', error);
+            showToast('Fehler beim Aufheben der Sperre: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Show toast notification
+     * @param {string} message - Toast message
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    function showToast(message, type = 'info') {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.className = 'toast show toast-' + type;
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 4000);
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+})();
@@ -0,0 +1,311 @@
+/**
+ * Permission Registry Management
+ * Lists all permissions and handles adding, editing and deleting admin-defined permissions
+ * Built-in permissions are read-only
+ */
+
+(function() {
+    'use strict';
+    
+    let csrfToken = null;
+    let permissions = [];
+    let currentEditPermission = null;
+    
+    // Initialize on DOM load
+    document.addEventListener('DOMContentLoaded', async function() {
+        // The permissions decide which actions are shown
+        if (typeof Auth !== 'undefined') {
+            await Auth.checkAuthStatus();
+        }
+        
+        // Get CSRF token
+        csrfToken = await getCsrfToken();
+        
+        const createButton = document.getElementById('create-permission-btn');
+        if (createButton) {
+            createButton.style.display = canManagePermissions() ? '' : 'none';
+            createButton.addEventListener('click', function() {
+                openPermissionModal();
+            });
+        }
+        
+        const permissionForm = document.getElementById('permission-form');
+        if (permissionForm) {
+            permissionForm.addEventListener('submit', async function(e) {
+                e.preventDefault();
+                await handlePermissionSubmit();
+            });
+        }
+        
+        // Load permissions
+        await loadPermissions();
+    });
+    
+    /**
+     * Check if the user may add, edit and delete permissions
+     * NOTE: This is client-side validation only for UX.
+     * @returns {boolean} True with manage_roles permission
+     */
+    function canManagePermissions() {
+        return typeof Permissions !== 'undefined' && Permissions.hasPermission('manage_roles');
+    }
+    
+    /**
+     * Get CSRF token from server
+     */
+    async function getCsrfToken() {
+        try {
+            const response = await fetch('/api/csrf-token', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            return data.csrfToken;
+        } catch (error) {
+            console.error('Failed to get CSRF token:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the permission registry from server
+     */
+    async function loadPermissions() {
+        const tbody = document.getElementById('permissions-tbody');
+        if (!tbody) return;
+        
+        try {
+            const response = await fetch('/api/admin/permissions', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load permissions');
+            }
+            
+            const data = await response.json();
+            permissions = data.permissions || [];
+            
+            renderPermissions();
+            updateCategoryList();
+        } catch (error) {
+            console.error('Error loading permissions:', error);
+            
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="empty-state">
+                        <i data-lucide="alert-circle"></i>
+                        <p>Fehler beim Laden der Berechtigungen</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Render permissions table
+     */
+    function renderPermissions() {
+        const tbody = document.getElementById('permissions-tbody');
+        const editable = canManagePermissions();
+        
+        tbody.innerHTML = permissions.map((permission, index) => `
+            <tr>
+                <td><code>${escapeHtml(permission.name)}</code></td>
+                <td title="${escapeHtml(permission.description || '')}">${escapeHtml(permission.label)}</td>
+                <td>${escapeHtml(permission.category)}</td>
+                <td>
+                    ${permission.system
+                        ? '<span class="badge">System</span>'
+                        : '<span class="badge badge-primary">Benutzerdefiniert</span>'}
+                </td>
+                <td class="table-actions">
+                    ${editable && !permission.system ? `
+                        <button class="btn-icon" data-action="edit" data-index="${index}" title="Bearbeiten">
+                            <i data-lucide="edit"></i>
+                        </button>
+                        <button class="btn-icon" data-action="delete" data-index="${index}" title="Löschen">
+                            <i data-lucide="trash-2"></i>
+                        </button>
+                    ` : '-'}
+                </td>
+            </tr>
+        `).join('');
+        
+        lucide.createIcons();
+        
+        tbody.querySelectorAll('button[data-action]').forEach(button => {
+            button.addEventListener('click', function() {
+                const permission = permissions[parseInt(this.getAttribute('data-index'), 10)];
+                if (!permission) return;
+                
+                if (this.getAttribute('data-action') === 'edit') {
+                    openPermissionModal(permission);
+                } else {
+                    deletePermission(permission);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Offer the existing categories as suggestions in the permission modal
+     */
+    function updateCategoryList() {
+        const categories = [...new Set(permissions.map(permission => permission.category))];
+        document.getElementById('permission-categories').innerHTML = categories
+            .map(category => `<option value="${escapeHtml(category)}"></option>`)
+            .join('');
+    }
+    
+    /**
+     * Open permission modal (create or edit)
+     * @param {Object|null} permission - Edited permission, or null for a new one
+     */
+    function openPermissionModal(permission = null) {
+        currentEditPermission = permission;
+        
+        const nameInput = document.getElementById('permission-name');
+        document.getElementById('permission-form').reset();
+        document.getElementById('permission-modal-title').textContent = permission ? 'Berechtigung bearbeiten' : 'Berechtigung erstellen';
+        document.getElementById('permission-submit-btn').textContent = permission ? 'Speichern' : 'Erstellen';
+        
+        // The name is referenced in code and grants, it cannot be renamed
+        nameInput.disabled = !!permission;
+        
+        if (permission) {
+            nameInput.value = permission.name;
+            document.getElementById('permission-label').value = permission.label;
+            document.getElementById('permission-category').value = permission.category;
+            document.getElementById('permission-description').value = permission.description || '';
+        }
+        
+        document.getElementById('permission-modal').classList.add('show');
+        document.body.style.overflow = 'hidden';
+    }
+    
+    /**
+     * Close permission modal
+     */
+    function closePermissionModal() {
+        document.getElementById('permission-modal').classList.remove('show');
+        document.body.style.overflow = '';
+        currentEditPermission = null;
+    }
+    
+    /**
+     * Handle permission form submit
+     */
+    async function handlePermissionSubmit() {
+        const submitBtn = document.getElementById('permission-submit-btn');
+        submitBtn.disabled = true;
+        
+        const permissionData = {
+            label: document.getElementById('permission-label').value.trim(),
+            category: document.getElementById('permission-category').value.trim(),
+            description: document.getElementById('permission-description').value.trim()
+        };
+        
+        if (!currentEditPermission) {
+            permissionData.name = document.getElementById('permission-name').value.trim();
+        }
+        
+        try {
+            const url = currentEditPermission
+                ? `/api/admin/permissions/${encodeURIComponent(currentEditPermission.name)}`
+                : '/api/admin/permissions';
+            const response = await fetch(url, {
+                method: currentEditPermission ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify(permissionData)
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Berechtigung erfolgreich gespeichert', 'success');
+                closePermissionModal();
+                await reloadPermissions();
+            } else {
+                showToast(data.error || 'Fehler beim Speichern der Berechtigung', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving permission:', error);
+            showToast('Netzwerkfehler beim Speichern der Berechtigung', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Delete a custom permission
+     * @param {Object} permission - Permission to delete
+     */
+    async function deletePermission(permission) {
+        if (!confirm(`Möchten Sie die Berechtigung "${permission.name}" wirklich löschen?`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/permissions/${encodeURIComponent(permission.name)}`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to delete permission');
+            }
+            
+            showToast('Berechtigung erfolgreich gelöscht', 'success');
+            await reloadPermissions();
+        } catch (error) {
+            console.error('Error deleting permission:', error);
+            showToast('Fehler beim Löschen der Berechtigung: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Reload the permissions and notify the account and role modals
+     */
+    async function reloadPermissions() {
+        await loadPermissions();
+        document.dispatchEvent(new CustomEvent('permissions-changed'));
+    }
+    
+    /**
+     * Show toast notification
+     * @param {string} message - Toast message
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    function showToast(message, type = 'info') {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.className = 'toast show toast-' + type;
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 4000);
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+})();
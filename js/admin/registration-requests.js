@@ -9,17 +9,42 @@
     let csrfToken = null;
     let registrationRequests = [];
     let currentRejectId = null;
+    let currentApproveRequest = null;
+    
+    // Status labels and badge classes of the request states
+    const STATUS_BADGES = {
+        unverified: { label: 'E-Mail unbestätigt', className: '' },
+        pending: { label: 'Ausstehend', className: 'badge-warning' },
+        rejected: { label: 'Abgelehnt', className: 'badge-danger' }
+    };
+    
+    // Roles and permission registry for the approve modal (only loaded with manage_accounts)
+    let roles = [];
+    let permissionRegistry = [];
     
     // Initialize on DOM load
     document.addEventListener('DOMContentLoaded', async function() {
+        // The permissions decide if roles and permissions can be assigned on approval
+        if (typeof Auth !== 'undefined') {
+            await Auth.checkAuthStatus();
+        }
+        
         // Get CSRF token
         csrfToken = await getCsrfToken();
         
-        // Setup reject modal
+        // Setup modals
+        setupApproveModal();
         setupRejectModal();
         
+        // Requests with an unconfirmed email address are hidden by default
+        const showUnverified = document.getElementById('show-unverified-requests');
+        if (showUnverified) {
+            showUnverified.addEventListener('change', loadRegistrationRequests);
+        }
+        
         // Load registration requests
         await loadRegistrationRequests();
+        await loadAccessOptions();
     });
     
     /**
@@ -43,7 +68,9 @@
      */
     async function loadRegistrationRequests() {
         try {
-            const response = await fetch('/api/admin/registration-requests', {
+            const showUnverified = document.getElementById('show-unverified-requests');
+            const query = showUnverified && showUnverified.checked ? '?includeUnverified=true' : '';
+            const response = await fetch('/api/admin/registration-requests' + query, {
                 credentials: 'same-origin'
             });
             
@@ -83,22 +110,23 @@
             return;
         }
         
-        tbody.innerHTML = registrationRequests.map(request => {
-            const statusClass = request.status === 'pending' ? 'badge-warning' : 'badge-danger';
-            const statusText = request.status === 'pending' ? 'Ausstehend' : 'Abgelehnt';
+        tbody.innerHTML = registrationRequests.map((request, index) => {
+            const status = STATUS_BADGES[request.status] || STATUS_BADGES.pending;
             const date = new Date(request.createdAt).toLocaleString('de-DE');
             
             return `
                 <tr>
                     <td>${escapeHtml(request.username)}</td>
                     <td>${escapeHtml(request.email)}</td>
-                    <td><span class="badge ${statusClass}">${statusText}</span></td>
+                    <td><span class="badge ${status.className}">${status.label}</span></td>
                     <td>${date}</td>
                     <td class="table-actions">
-                        ${request.status === 'pending' ? `
-                            <button class="btn-icon btn-approve" data-request-id="${escapeHtml(request.id)}" title="Genehmigen">
-                                <i data-lucide="check"></i>
-                            </button>
+                        ${request.status === 'pending' || request.status === 'unverified' ? `
+                            ${request.status === 'pending' ? `
+                                <button class="btn-icon btn-approve" data-index="${index}" title="Genehmigen">
+                                    <i data-lucide="check"></i>
+                                </button>
+                            ` : ''}
                             <button class="btn-icon btn-danger btn-reject" data-request-id="${escapeHtml(request.id)}" title="Ablehnen">
                                 <i data-lucide="x"></i>
                             </button>
@@ -115,8 +143,10 @@
         // Add event listeners to action buttons
         tbody.querySelectorAll('.btn-approve').forEach(button => {
             button.addEventListener('click', function() {
-                const requestId = this.getAttribute('data-request-id');
-                approveRequest(requestId);
+                const request = registrationRequests[parseInt(this.getAttribute('data-index'), 10)];
+                if (request) {
+                    openApproveModal(request);
+                }
             });
         });
         
@@ -142,22 +172,156 @@
     }
     
     /**
-     * Approve registration request
-     * @param {string} id - Request ID
+     * Check if roles and permissions can be assigned on approval
+     * NOTE: This is client-side validation only for UX.
+     * @returns {boolean} True with manage_accounts permission
+     */
+    function canAssignAccess() {
+        return typeof Permissions !== 'undefined' && Permissions.hasGlobalPermission('manage_accounts');
+    }
+    
+    /**
+     * Load roles and the permission registry and render the pickers of the approve modal
      */
-    async function approveRequest(id) {
-        if (!confirm('Möchten Sie diese Registrierungsanfrage wirklich genehmigen?')) {
+    async function loadAccessOptions() {
+        const access = document.getElementById('approve-access');
+        if (!access) return;
+        
+        if (!canAssignAccess()) {
+            access.style.display = 'none';
             return;
         }
         
         try {
-            const response = await fetch(`/api/admin/registration-requests/${id}/approve`, {
+            const response = await fetch('/api/admin/permissions', {
+                credentials: 'same-origin'
+            });
+            if (response.ok) {
+                permissionRegistry = (await response.json()).permissions || [];
+            }
+        } catch (error) {
+            console.error('Error loading permissions:', error);
+        }
+        
+        // Roles need manage_roles; without them only direct permissions are offered
+        try {
+            const response = await fetch('/api/admin/roles', {
+                credentials: 'same-origin'
+            });
+            if (response.ok) {
+                roles = (await response.json()).roles || [];
+            }
+        } catch (error) {
+            console.error('Error loading roles:', error);
+        }
+        
+        document.getElementById('approve-role').innerHTML = '<option value="">Keine Rolle</option>' +
+            roles.map(role => `<option value="${escapeHtml(role.name)}">${escapeHtml(role.name)}</option>`).join('');
+        
+        document.getElementById('approve-role-assignments').innerHTML = roles.map((role, index) => `
+            <div class="role-assignment-row">
+                <label class="checkbox-label">
+                    <input type="checkbox" data-index="${index}">
+                    <span>${escapeHtml(role.name)}</span>
+                </label>
+                <input type="date" data-index="${index}" title="Zuweisung endet am">
+            </div>
+        `).join('');
+        document.getElementById('approve-role-assignments-group').style.display = roles.length > 0 ? '' : 'none';
+        
+        const categories = [...new Set(permissionRegistry.map(permission => permission.category))];
+        document.getElementById('approve-permissions').innerHTML = categories.map(category => `
+            <div class="permission-category">
+                <strong>${escapeHtml(category)}</strong>
+                ${permissionRegistry.filter(permission => permission.category === category).map(permission => `
+                    <label class="checkbox-label" title="${escapeHtml(permission.description || '')}">
+                        <input type="checkbox" value="${escapeHtml(permission.name)}">
+                        <span>${escapeHtml(permission.name)} - ${escapeHtml(permission.label)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Open approve modal
+     * @param {Object} request - Registration request
+     */
+    function openApproveModal(request) {
+        currentApproveRequest = request;
+        
+        document.getElementById('approve-form').reset();
+        document.getElementById('approve-modal-message').textContent =
+            `Konto "${request.username}" (${request.email}) anlegen. Rollen und Berechtigungen werden zusammen mit dem Konto gespeichert.`;
+        document.getElementById('approve-modal').classList.add('show');
+    }
+    
+    /**
+     * Close approve modal
+     */
+    function closeApproveModal() {
+        document.getElementById('approve-modal').classList.remove('show');
+        currentApproveRequest = null;
+    }
+    
+    /**
+     * Setup approve modal
+     */
+    function setupApproveModal() {
+        const modal = document.getElementById('approve-modal');
+        const form = document.getElementById('approve-form');
+        if (!modal || !form) return;
+        
+        document.querySelectorAll('[data-modal="approve-modal"]').forEach(button => {
+            button.addEventListener('click', closeApproveModal);
+        });
+        
+        modal.addEventListener('click', function(e) {
+            if (e.target.classList.contains('modal-backdrop')) {
+                closeApproveModal();
+            }
+        });
+        
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            await approveRequest();
+        });
+    }
+    
+    /**
+     * Approve registration request with the values of the approve modal
+     */
+    async function approveRequest() {
+        if (!currentApproveRequest) return;
+        
+        const confirmButton = document.getElementById('approve-confirm-btn');
+        confirmButton.disabled = true;
+        
+        const approval = {
+            displayName: document.getElementById('approve-displayname').value.trim() || null,
+            expiresAt: document.getElementById('approve-expires-at').value || null
+        };
+        
+        if (canAssignAccess()) {
+            approval.role = document.getElementById('approve-role').value || null;
+            approval.permissions = Array.from(document.querySelectorAll('#approve-permissions input[type="checkbox"]:checked'))
+                .map(checkbox => checkbox.value);
+            approval.roles = roles.map((role, index) => {
+                const checkbox = document.querySelector(`#approve-role-assignments input[type="checkbox"][data-index="${index}"]`);
+                const dateInput = document.querySelector(`#approve-role-assignments input[type="date"][data-index="${index}"]`);
+                return checkbox && checkbox.checked ? { id: role.id, expiresAt: dateInput.value || null } : null;
+            }).filter(Boolean);
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/registration-requests/${currentApproveRequest.id}/approve`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'CSRF-Token': csrfToken
                 },
-                credentials: 'same-origin'
+                credentials: 'same-origin',
+                body: JSON.stringify(approval)
             });
             
             if (!response.ok) {
@@ -166,10 +330,13 @@
             }
             
             showToast('Registrierungsanfrage erfolgreich genehmigt', 'success');
+            closeApproveModal();
             await loadRegistrationRequests();
         } catch (error) {
             console.error('Error approving request:', error);
             showToast('Fehler beim Genehmigen der Anfrage: ' + error.message, 'error');
+        } finally {
+            confirmButton.disabled = false;
         }
     }
     
@@ -0,0 +1,307 @@
+/**
+ * Teams Management
+ * Handles creating, editing and deleting teams and their members
+ * Team-scoped permissions are assigned in the account modal (accounts.js)
+ */
+
+(function() {
+    'use strict';
+    
+    let csrfToken = null;
+    let teams = [];
+    let currentEditTeam = null;
+    
+    // Initialize on DOM load
+    document.addEventListener('DOMContentLoaded', async function() {
+        // The permissions decide which actions are shown
+        if (typeof Auth !== 'undefined') {
+            await Auth.checkAuthStatus();
+        }
+        
+        // Get CSRF token
+        csrfToken = await getCsrfToken();
+        
+        // Teams are managed with the global manage_accounts permission only
+        const createButton = document.getElementById('create-team-btn');
+        if (createButton) {
+            createButton.style.display = canManageTeams() ? '' : 'none';
+            createButton.addEventListener('click', function() {
+                openTeamModal();
+            });
+        }
+        
+        const teamForm = document.getElementById('team-form');
+        if (teamForm) {
+            teamForm.addEventListener('submit', async function(e) {
+                e.preventDefault();
+                await handleTeamSubmit();
+            });
+        }
+        
+        // Load teams
+        await loadTeams();
+    });
+    
+    /**
+     * Check if the user may create, edit and delete teams
+     * NOTE: This is client-side validation only for UX.
+     * @returns {boolean} True with global manage_accounts permission
+     */
+    function canManageTeams() {
+        return typeof Permissions !== 'undefined' && Permissions.hasGlobalPermission('manage_accounts');
+    }
+    
+    /**
+     * Get CSRF token from server
+     */
+    async function getCsrfToken() {
+        try {
+            const response = await fetch('/api/csrf-token', {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            return data.csrfToken;
+        } catch (error) {
+            console.error('Failed to get CSRF token:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Load teams from server
+     */
+    async function loadTeams() {
+        const tbody = document.getElementById('teams-tbody');
+        if (!tbody) return;
+        
+        try {
+            const response = await fetch('/api/admin/teams', {
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load teams');
+            }
+            
+            const data = await response.json();
+            teams = data.teams || [];
+            
+            renderTeams();
+        } catch (error) {
+            console.error('Error loading teams:', error);
+            
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="empty-state">
+                        <i data-lucide="alert-circle"></i>
+                        <p>Fehler beim Laden der Teams</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Render teams table
+     */
+    function renderTeams() {
+        const tbody = document.getElementById('teams-tbody');
+        
+        if (teams.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="empty-state">
+                        <i data-lucide="users-round"></i>
+                        <p>Keine Teams vorhanden</p>
+                    </td>
+                </tr>
+            `;
+            lucide.createIcons();
+            return;
+        }
+        
+        const editable = canManageTeams();
+        
+        tbody.innerHTML = teams.map((team, index) => `
+            <tr>
+                <td><strong>${escapeHtml(team.name)}</strong></td>
+                <td>${escapeHtml(team.description || '-')}</td>
+                <td>
+                    ${team.members.length > 0
+                        ? team.members.map(member => `<span class="badge badge-primary" style="margin: 2px;">${escapeHtml(member)}</span>`).join('')
+                        : '<span style="color: var(--text-secondary);">Keine Mitglieder</span>'}
+                </td>
+                <td class="table-actions">
+                    ${editable ? `
+                        <button class="btn-icon" data-action="edit" data-index="${index}" title="Bearbeiten">
+                            <i data-lucide="edit"></i>
+                        </button>
+                        <button class="btn-icon" data-action="delete" data-index="${index}" title="Löschen">
+                            <i data-lucide="trash-2"></i>
+                        </button>
+                    ` : '-'}
+                </td>
+            </tr>
+        `).join('');
+        
+        lucide.createIcons();
+        
+        tbody.querySelectorAll('button[data-action]').forEach(button => {
+            button.addEventListener('click', function() {
+                const team = teams[parseInt(this.getAttribute('data-index'), 10)];
+                if (!team) return;
+                
+                if (this.getAttribute('data-action') === 'edit') {
+                    openTeamModal(team);
+                } else {
+                    deleteTeam(team);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Open team modal (create or edit)
+     * @param {Object|null} team - Edited team, or null for a new one
+     */
+    function openTeamModal(team = null) {
+        currentEditTeam = team;
+        
+        document.getElementById('team-form').reset();
+        document.getElementById('team-modal-title').textContent = team ? 'Team bearbeiten' : 'Team erstellen';
+        document.getElementById('team-submit-btn').textContent = team ? 'Speichern' : 'Erstellen';
+        
+        if (team) {
+            document.getElementById('team-name').value = team.name;
+            document.getElementById('team-description').value = team.description || '';
+            document.getElementById('team-members').value = team.members.join('\n');
+        }
+        
+        const modal = document.getElementById('team-modal');
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+    }
+    
+    /**
+     * Close team modal
+     */
+    function closeTeamModal() {
+        document.getElementById('team-modal').classList.remove('show');
+        document.body.style.overflow = '';
+        currentEditTeam = null;
+    }
+    
+    /**
+     * Handle team form submit
+     */
+    async function handleTeamSubmit() {
+        const submitBtn = document.getElementById('team-submit-btn');
+        submitBtn.disabled = true;
+        
+        const teamData = {
+            name: document.getElementById('team-name').value.trim(),
+            description: document.getElementById('team-description').value.trim(),
+            members: document.getElementById('team-members').value
+                .split(/[\n,]/)
+                .map(member => member.trim())
+                .filter(Boolean)
+        };
+        
+        try {
+            const url = currentEditTeam ? `/api/admin/teams/${currentEditTeam.id}` : '/api/admin/teams';
+            const response = await fetch(url, {
+                method: currentEditTeam ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify(teamData)
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                showToast(data.message || 'Team erfolgreich gespeichert', 'success');
+                closeTeamModal();
+                await reloadTeams();
+            } else {
+                showToast(data.error || 'Fehler beim Speichern des Teams', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving team:', error);
+            showToast('Netzwerkfehler beim Speichern des Teams', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Delete a team
+     * @param {Object} team - Team to delete
+     */
+    async function deleteTeam(team) {
+        if (!confirm(`Möchten Sie das Team "${team.name}" wirklich löschen? Die für dieses Team vergebenen Berechtigungen werden ebenfalls entfernt.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/admin/teams/${team.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'CSRF-Token': csrfToken
+                },
+                credentials: 'same-origin'
+            });
+            
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to delete team');
+            }
+            
+            showToast('Team erfolgreich gelöscht', 'success');
+            await reloadTeams();
+        } catch (error) {
+            console.error('Error deleting team:', error);
+            showToast('Fehler beim Löschen des Teams: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Reload the teams and notify the account modal (team permissions)
+     */
+    async function reloadTeams() {
+        await loadTeams();
+        document.dispatchEvent(new CustomEvent('teams-changed'));
+    }
+    
+    /**
+     * Show toast notification
+     * @param {string} message - Toast message
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    function showToast(message, type = 'info') {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.className = 'toast show toast-' + type;
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 4000);
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+})();
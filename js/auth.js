@@ -35,6 +35,16 @@ const Auth = (function() {
                 if (typeof Permissions !== 'undefined') {
                     Permissions.setCurrentUser(data.user);
                 }
+                
+                // Forced password change: keep the user on the change-password page
+                // Roles requiring 2FA: keep the user on the account page until it is set up
+                if (data.user.passwordChangeRequired) {
+                    if (!window.location.pathname.endsWith('change-password.html')) {
+                        window.location.href = '/html/change-password.html';
+                    }
+                } else if (data.user.twoFactorSetupRequired && !window.location.pathname.endsWith('account.html')) {
+                    window.location.href = '/account.html';
+                }
             } else {
                 currentAuthUser = null;
             }
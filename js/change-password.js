@@ -0,0 +1,143 @@
+/**
+ * Change-password.js - Forced password change
+ * Shown after login when the account must set a new password
+ */
+
+(function() {
+    'use strict';
+    
+    document.addEventListener('DOMContentLoaded', async function() {
+        const form = document.getElementById('change-password-form');
+        const currentPasswordInput = document.getElementById('current-password');
+        const newPasswordInput = document.getElementById('new-password');
+        const confirmPasswordInput = document.getElementById('confirm-password');
+        const changeButton = document.getElementById('change-password-button');
+        const logoutLink = document.getElementById('logout-link');
+        const errorMessage = document.getElementById('error-message');
+        const infoMessage = document.getElementById('info-message');
+        const passwordChecklist = document.getElementById('password-checklist');
+        
+        const csrfToken = await getCsrfToken();
+        
+        // Show the password policy as a live checklist
+        PasswordPolicy.load();
+        newPasswordInput.addEventListener('input', async function() {
+            await PasswordPolicy.load();
+            if (this.value.length === 0) {
+                passwordChecklist.classList.add('hidden');
+                return;
+            }
+            PasswordPolicy.renderChecklist(passwordChecklist, this.value);
+        });
+        
+        logoutLink.addEventListener('click', async function(event) {
+            event.preventDefault();
+            
+            try {
+                await fetch('/api/auth/logout', {
+                    method: 'POST',
+                    credentials: 'same-origin'
+                });
+            } finally {
+                window.location.href = '/';
+            }
+        });
+        
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            
+            errorMessage.classList.add('hidden');
+            infoMessage.classList.add('hidden');
+            
+            const currentPassword = currentPasswordInput.value;
+            const newPassword = newPasswordInput.value;
+            
+            if (newPassword !== confirmPasswordInput.value) {
+                showError('Die Passwörter stimmen nicht überein.');
+                return;
+            }
+            
+            if (newPassword === currentPassword) {
+                showError('Das neue Passwort muss sich vom aktuellen unterscheiden.');
+                return;
+            }
+            
+            setLoading(true);
+            
+            try {
+                const response = await fetch('/api/account/password', {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'CSRF-Token': csrfToken
+                    },
+                    credentials: 'same-origin',
+                    body: JSON.stringify({ currentPassword, newPassword })
+                });
+                const data = await response.json();
+                
+                if (response.status === 401) {
+                    window.location.href = '/';
+                    return;
+                }
+                
+                if (response.ok && data.success) {
+                    form.classList.add('hidden');
+                    infoMessage.textContent = 'Passwort geändert. Weiterleitung zum Dashboard...';
+                    infoMessage.classList.remove('hidden');
+                    
+                    setTimeout(() => {
+                        window.location.href = '/dashboard.html';
+                    }, 1000);
+                    return;
+                }
+                
+                if (data.policyFailures) {
+                    PasswordPolicy.renderChecklist(passwordChecklist, newPassword, data.policyFailures);
+                }
+                showError(data.error || 'Das Passwort konnte nicht geändert werden.');
+                setLoading(false);
+            } catch (error) {
+                console.error('Password change error:', error);
+                showError('Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.');
+                setLoading(false);
+            }
+        });
+        
+        /**
+         * Get CSRF token from server
+         * @returns {Promise<string|null>} CSRF token
+         */
+        async function getCsrfToken() {
+            try {
+                const response = await fetch('/api/csrf-token', {
+                    credentials: 'same-origin'
+                });
+                const data = await response.json();
+                return data.csrfToken;
+            } catch (error) {
+                console.error('Failed to get CSRF token:', error);
+                return null;
+            }
+        }
+        
+        /**
+         * Shows an error message
+         * @param {string} message - Error message to display
+         */
+        function showError(message) {
+            errorMessage.textContent = message;
+            errorMessage.classList.remove('hidden');
+        }
+        
+        /**
+         * Sets the loading state of the form
+         * @param {boolean} loading - Whether the form is loading
+         */
+        function setLoading(loading) {
+            changeButton.disabled = loading;
+            changeButton.querySelector('.button-text').classList.toggle('hidden', loading);
+            changeButton.querySelector('.spinner').classList.toggle('hidden', !loading);
+        }
+    });
+})();
@@ -29,6 +29,19 @@
         const errorMessage = document.getElementById('error-message');
         const infoMessage = document.getElementById('info-message');
         
+        // Get two-factor elements
+        const twoFactorForm = document.getElementById('two-factor-form');
+        const totpCodeInput = document.getElementById('totp-code');
+        const recoveryCodeInput = document.getElementById('recovery-code');
+        const totpCodeGroup = document.getElementById('totp-code-group');
+        const recoveryCodeGroup = document.getElementById('recovery-code-group');
+        const recoveryToggle = document.getElementById('recovery-toggle');
+        const twoFactorButton = document.getElementById('two-factor-button');
+        const registerInfo = document.getElementById('register-info');
+        const forgotPasswordInfo = document.getElementById('forgot-password-info');
+        const passkeyLoginButton = document.getElementById('passkey-login-button');
+        let useRecoveryCode = false;
+        
         // Get card elements
         const loginCard = document.getElementById('login-card');
         const registerCard = document.getElementById('register-card');
@@ -42,6 +55,25 @@
         
         // Handle form submission
         loginForm.addEventListener('submit', handleLogin);
+        twoFactorForm.addEventListener('submit', handleTwoFactor);
+        
+        // Offer passkey login only if the browser supports WebAuthn
+        if (typeof SimpleWebAuthnBrowser !== 'undefined' && SimpleWebAuthnBrowser.browserSupportsWebAuthn()) {
+            passkeyLoginButton.classList.remove('hidden');
+            passkeyLoginButton.addEventListener('click', handlePasskeyLogin);
+        }
+        
+        // Toggle between authenticator code and recovery code
+        recoveryToggle.addEventListener('click', function(e) {
+            e.preventDefault();
+            useRecoveryCode = !useRecoveryCode;
+            totpCodeGroup.classList.toggle('hidden', useRecoveryCode);
+            recoveryCodeGroup.classList.toggle('hidden', !useRecoveryCode);
+            recoveryToggle.textContent = useRecoveryCode
+                ? 'Authenticator-Code verwenden'
+                : 'Wiederherstellungscode verwenden';
+            (useRecoveryCode ? recoveryCodeInput : totpCodeInput).focus();
+        });
         
         // Setup info popup toggle
         if (infoToggle && infoPopup && infoClose) {
@@ -76,6 +108,26 @@
             });
         }
         
+        // Setup forgot password card
+        const forgotPasswordCard = document.getElementById('forgot-password-card');
+        const forgotPasswordForm = document.getElementById('forgot-password-form');
+        
+        document.getElementById('forgot-password-toggle').addEventListener('click', function(e) {
+            e.preventDefault();
+            loginCard.classList.add('hidden');
+            forgotPasswordCard.classList.remove('hidden');
+            document.getElementById('forgot-username').value = usernameInput.value.trim();
+            document.getElementById('forgot-username').focus();
+        });
+        
+        document.getElementById('forgot-back-toggle').addEventListener('click', function(e) {
+            e.preventDefault();
+            forgotPasswordCard.classList.add('hidden');
+            loginCard.classList.remove('hidden');
+        });
+        
+        forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+        
         /**
          * Switch to registration form
          */
@@ -255,13 +307,14 @@
 
                 const data = await response.json();
 
-                if (response.ok && data.success) {
+                if (response.ok && data.success && data.requires2fa) {
+                    // Password correct, second factor required
+                    setLoading(false);
+                    showTwoFactorForm();
+                    showInfo(data.message);
+                } else if (response.ok && data.success) {
                     // Successful login
-                    showInfo('Login erfolgreich! Weiterleitung zum Dashboard...');
-                    
-                    setTimeout(() => {
-                        window.location.href = 'dashboard.html';
-                    }, 1000);
+                    finishLogin(data);
                 } else {
                     // Failed login
                     setLoading(false);
@@ -293,6 +346,217 @@
             }
         }
         
+        /**
+         * Handles the forgot password form submission
+         * @param {Event} event - Form submit event
+         */
+        async function handleForgotPassword(event) {
+            event.preventDefault();
+            
+            const forgotError = document.getElementById('forgot-error-message');
+            const forgotInfo = document.getElementById('forgot-info-message');
+            const forgotButton = document.getElementById('forgot-password-button');
+            const username = document.getElementById('forgot-username').value.trim();
+            
+            hideMessage(forgotError);
+            hideMessage(forgotInfo);
+            
+            if (!username) {
+                forgotError.textContent = 'Bitte geben Sie Ihren Benutzernamen ein.';
+                forgotError.classList.remove('hidden');
+                return;
+            }
+            
+            forgotButton.disabled = true;
+            
+            try {
+                const response = await fetch('/api/auth/password-reset/request', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ username })
+                });
+                const data = await response.json();
+                
+                if (response.ok && data.success) {
+                    forgotInfo.textContent = data.message;
+                    forgotInfo.classList.remove('hidden');
+                    forgotPasswordForm.reset();
+                } else {
+                    forgotError.textContent = data.error || 'Ein Fehler ist aufgetreten.';
+                    forgotError.classList.remove('hidden');
+                }
+            } catch (error) {
+                console.error('Password reset request error:', error);
+                forgotError.textContent = 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.';
+                forgotError.classList.remove('hidden');
+            } finally {
+                forgotButton.disabled = false;
+            }
+        }
+        
+        /**
+         * Handles the two-factor form submission
+         * @param {Event} event - Form submit event
+         */
+        async function handleTwoFactor(event) {
+            event.preventDefault();
+            
+            hideMessage(errorMessage);
+            hideMessage(infoMessage);
+            
+            const payload = useRecoveryCode
+                ? { recoveryCode: recoveryCodeInput.value.trim() }
+                : { code: totpCodeInput.value.trim() };
+            
+            if (!payload.code && !payload.recoveryCode) {
+                showError('Bitte geben Sie einen Code ein.');
+                return;
+            }
+            
+            twoFactorButton.disabled = true;
+            
+            try {
+                const response = await fetch('/api/auth/login/verify', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(payload)
+                });
+                
+                const data = await response.json();
+                
+                if (response.ok && data.success) {
+                    finishLogin(data);
+                    return;
+                }
+                
+                twoFactorButton.disabled = false;
+                showError(data.error || 'Ungültiger Code.');
+                
+                // Pending login expired: start over with the password step
+                if (data.reason === 'two_factor_expired') {
+                    showPasswordForm();
+                }
+            } catch (error) {
+                twoFactorButton.disabled = false;
+                console.error('2FA verification error:', error);
+                showError('Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.');
+            }
+        }
+        
+        /**
+         * Handles the passwordless login with a passkey
+         */
+        async function handlePasskeyLogin() {
+            hideMessage(errorMessage);
+            hideMessage(infoMessage);
+            passkeyLoginButton.disabled = true;
+            
+            try {
+                const optionsResponse = await fetch('/api/auth/webauthn/login/options', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                });
+                const optionsData = await optionsResponse.json();
+                
+                if (!optionsResponse.ok || !optionsData.success) {
+                    showError(optionsData.error || 'Passkey-Anmeldung ist derzeit nicht möglich.');
+                    return;
+                }
+                
+                let assertion;
+                try {
+                    assertion = await SimpleWebAuthnBrowser.startAuthentication({ optionsJSON: optionsData.options });
+                } catch (error) {
+                    // User cancelled the browser dialog or no passkey is available
+                    console.warn('Passkey authentication aborted:', error);
+                    showError('Die Passkey-Anmeldung wurde abgebrochen.');
+                    return;
+                }
+                
+                const response = await fetch('/api/auth/webauthn/login/verify', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ response: assertion })
+                });
+                const data = await response.json();
+                
+                if (response.ok && data.success) {
+                    finishLogin(data);
+                    return;
+                }
+                
+                showError(data.error || 'Passkey konnte nicht verifiziert werden.');
+            } catch (error) {
+                console.error('Passkey login error:', error);
+                showError('Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.');
+            } finally {
+                passkeyLoginButton.disabled = false;
+            }
+        }
+        
+        /**
+         * Redirects after a completed login
+         * Users who must change their password go to the change-password page,
+         * users whose role requires 2FA without having it set up go to the account page
+         * @param {Object} data - Login response
+         */
+        function finishLogin(data) {
+            if (data.passwordChangeRequired) {
+                showInfo('Sie müssen Ihr Passwort ändern. Weiterleitung...');
+                setTimeout(() => {
+                    window.location.href = 'html/change-password.html';
+                }, 1000);
+                return;
+            }
+            
+            if (data.twoFactorSetupRequired) {
+                showInfo('Ihre Rolle erfordert Zwei-Faktor-Authentifizierung. Weiterleitung zur Einrichtung...');
+                setTimeout(() => {
+                    window.location.href = 'account.html';
+                }, 1000);
+                return;
+            }
+            
+            showInfo('Login erfolgreich! Weiterleitung zum Dashboard...');
+            
+            setTimeout(() => {
+                window.location.href = 'dashboard.html';
+            }, 1000);
+        }
+        
+        /**
+         * Shows the two-factor form instead of the password form
+         */
+        function showTwoFactorForm() {
+            loginForm.classList.add('hidden');
+            registerInfo.classList.add('hidden');
+            forgotPasswordInfo.classList.add('hidden');
+            twoFactorForm.classList.remove('hidden');
+            totpCodeInput.value = '';
+            recoveryCodeInput.value = '';
+            totpCodeInput.focus();
+        }
+        
+        /**
+         * Shows the password form again (e.g. after the pending login expired)
+         */
+        function showPasswordForm() {
+            twoFactorForm.classList.add('hidden');
+            loginForm.classList.remove('hidden');
+            registerInfo.classList.remove('hidden');
+            forgotPasswordInfo.classList.remove('hidden');
+            passwordInput.value = '';
+            passwordInput.focus();
+        }
+        
         /**
          * Shows an error message
          * @param {string} message - Error message to display
@@ -0,0 +1,114 @@
+/**
+ * Password-policy.js - Password policy checklist
+ * Loads the server's password rules and renders them as a checklist
+ */
+
+const PasswordPolicy = (function() {
+    'use strict';
+    
+    let policy = null;
+    let loading = null;
+    
+    // Client-side checks per rule ID (the server validates again)
+    const RULE_TESTS = {
+        minLength: (password, rules) => password.length >= rules.minLength,
+        uppercase: password => /[A-Z]/.test(password),
+        lowercase: password => /[a-z]/.test(password),
+        number: password => /[0-9]/.test(password),
+        specialChar: (password, rules) => [...password].some(char => rules.specialChars.includes(char))
+    };
+    
+    /**
+     * Loads the policy from the server (cached)
+     * @returns {Promise<Object|null>} Policy { minLength, specialChars, rules }
+     */
+    function load() {
+        if (policy) {
+            return Promise.resolve(policy);
+        }
+        
+        if (!loading) {
+            loading = fetch('/api/auth/password-policy', {
+                credentials: 'same-origin'
+            })
+                .then(response => response.json())
+                .then(data => {
+                    policy = data.success ? data.policy : null;
+                    return policy;
+                })
+                .catch(error => {
+                    console.error('Failed to load password policy:', error);
+                    loading = null;
+                    return null;
+                });
+        }
+        
+        return loading;
+    }
+    
+    /**
+     * Checks a password against the loaded policy
+     * Rules with server-side failures are marked as not passed
+     * @param {string} password - Password to check
+     * @param {Array} failures - Optional policyFailures from a server response
+     * @returns {Array} Rules { rule, message, passed }
+     */
+    function evaluate(password, failures = []) {
+        if (!policy) return [];
+        
+        const failedRules = failures.map(failure => failure.rule);
+        
+        return policy.rules.map(entry => {
+            const test = RULE_TESTS[entry.rule];
+            const passed = !failedRules.includes(entry.rule) && (!test || test(password || '', policy));
+            return { rule: entry.rule, message: entry.message, passed };
+        });
+    }
+    
+    /**
+     * Checks if a password satisfies all loaded rules
+     * @param {string} password - Password to check
+     * @returns {boolean} True if all rules pass (or no policy is loaded)
+     */
+    function isValid(password) {
+        return evaluate(password).every(entry => entry.passed);
+    }
+    
+    /**
+     * Renders the checklist into a container
+     * @param {HTMLElement} container - List element (ul)
+     * @param {string} password - Current password
+     * @param {Array} failures - Optional policyFailures from a server response
+     */
+    function renderChecklist(container, password, failures = []) {
+        if (!container) return;
+        
+        const results = evaluate(password, failures);
+        if (results.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        container.innerHTML = '';
+        results.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.passed ? 'passed' : 'failed';
+            item.textContent = (entry.passed ? '✓ ' : '✗ ') + entry.message;
+            container.appendChild(item);
+        });
+        container.classList.remove('hidden');
+    }
+    
+    // Public API
+    return {
+        load,
+        evaluate,
+        isValid,
+        renderChecklist
+    };
+})();
+
+// Make PasswordPolicy available globally
+if (typeof window !== 'undefined') {
+    window.PasswordPolicy = PasswordPolicy;
+}
@@ -64,11 +64,29 @@ const Permissions = (function() {
             return true;
         }
         
+        // Permissions granted for certain teams only (the server limits them to the team members)
+        if (currentUser.scopedPermissions && currentUser.scopedPermissions.includes(permission)) {
+            return true;
+        }
+        
         // Note: Role-based permissions are resolved on the server
         // The client receives the effective permissions list (including wildcard from roles)
         return false;
     }
     
+    /**
+     * Checks if user has a permission for all users (not only for certain teams)
+     * @param {string} permission - Permission to check
+     * @returns {boolean} True if user has the permission without team restriction
+     */
+    function hasGlobalPermission(permission) {
+        if (!currentUser) {
+            return false;
+        }
+        
+        return hasWildcard() || !!(currentUser.permissions && currentUser.permissions.includes(permission));
+    }
+    
     /**
      * Checks if user has any of the given permissions
      * @param {string[]} permissions - Array of permissions to check
@@ -167,6 +185,7 @@ const Permissions = (function() {
         getCurrentUser,
         hasWildcard,
         hasPermission,
+        hasGlobalPermission,
         hasAnyPermission,
         hasAllPermissions,
         toggleElements,
@@ -17,7 +17,7 @@
             window.location.href = 'dashboard.html';
             return;
         }
-
+        
         // Get form elements
         const registerForm = document.getElementById('register-form');
         const usernameInput = document.getElementById('register-username');
@@ -27,78 +27,68 @@
         const registerButton = document.getElementById('register-button');
         const errorMessage = document.getElementById('register-error-message');
         const infoMessage = document.getElementById('register-info-message');
-        const passwordStrengthDiv = document.getElementById('password-strength');
+        const passwordChecklist = document.getElementById('register-password-checklist');
+        
+        // Invitation code from the invitation link (?invite=...)
+        const inviteCode = new URLSearchParams(window.location.search).get('invite');
+        await applyRegistrationInfo();
         
-        // Handle password strength validation
-        passwordInput.addEventListener('input', function() {
-            const strength = checkPasswordStrength(this.value);
-            updatePasswordStrength(strength);
+        // Show the password policy as a live checklist
+        PasswordPolicy.load();
+        passwordInput.addEventListener('input', async function() {
+            await PasswordPolicy.load();
+            if (this.value.length === 0) {
+                passwordChecklist.classList.add('hidden');
+                return;
+            }
+            PasswordPolicy.renderChecklist(passwordChecklist, this.value);
         });
         
         // Handle form submission
         registerForm.addEventListener('submit', handleRegister);
         
         /**
-         * Checks password strength
-         * @param {string} password - Password to check
-         * @returns {object} Strength information
-         */
-        function checkPasswordStrength(password) {
-            let strength = 0;
-            let feedback = [];
-            
-            if (password.length >= 8) strength++;
-            if (password.length >= 12) strength++;
-            if (/[a-z]/.test(password)) strength++;
-            if (/[A-Z]/.test(password)) strength++;
-            if (/[0-9]/.test(password)) strength++;
-            if (/[^a-zA-Z0-9]/.test(password)) strength++;
-            
-            if (password.length < 8) {
-                feedback.push('Mindestens 8 Zeichen');
-            }
-            if (!/[a-z]/.test(password)) {
-                feedback.push('Kleinbuchstaben');
-            }
-            if (!/[A-Z]/.test(password)) {
-                feedback.push('Großbuchstaben');
-            }
-            if (!/[0-9]/.test(password)) {
-                feedback.push('Zahlen');
-            }
-            if (!/[^a-zA-Z0-9]/.test(password)) {
-                feedback.push('Sonderzeichen');
-            }
-            
-            let level = 'weak';
-            if (strength >= 5) level = 'strong';
-            else if (strength >= 3) level = 'medium';
-            
-            return { level, feedback };
-        }
-        
-        /**
-         * Updates password strength indicator
-         * @param {object} strength - Strength information
+         * Loads the registration mode and prepares the form for an invitation
+         * Invite-only: the registration link is hidden unless the page was opened with an invitation
          */
-        function updatePasswordStrength(strength) {
-            if (!passwordStrengthDiv) return;
-            
-            passwordStrengthDiv.classList.remove('hidden', 'weak', 'medium', 'strong');
-            
-            if (passwordInput.value.length === 0) {
-                passwordStrengthDiv.classList.add('hidden');
-                return;
-            }
-            
-            passwordStrengthDiv.classList.add(strength.level);
-            
-            if (strength.level === 'weak') {
-                passwordStrengthDiv.innerHTML = '<span class="strength-label">⚠️ Schwach</span> - Benötigt: ' + strength.feedback.join(', ');
-            } else if (strength.level === 'medium') {
-                passwordStrengthDiv.innerHTML = '<span class="strength-label">⚡ Mittel</span> - Empfohlen: ' + strength.feedback.join(', ');
-            } else {
-                passwordStrengthDiv.innerHTML = '<span class="strength-label">✓ Stark</span> - Gutes Passwort!';
+        async function applyRegistrationInfo() {
+            try {
+                const query = inviteCode ? '?invite=' + encodeURIComponent(inviteCode) : '';
+                const response = await fetch('/api/auth/registration-info' + query);
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    return;
+                }
+                
+                if (data.inviteOnly && !inviteCode) {
+                    document.getElementById('register-info').style.display = 'none';
+                    return;
+                }
+                
+                if (!inviteCode) {
+                    return;
+                }
+                
+                // Invitation links open the registration form right away
+                const registerToggle = document.getElementById('register-toggle');
+                if (registerToggle) {
+                    registerToggle.click();
+                }
+                
+                if (!data.invitation.valid) {
+                    showError('Die Einladung ist ungültig, abgelaufen oder wurde bereits verwendet.');
+                    return;
+                }
+                
+                // The invitation can be bound to an email address
+                if (data.invitation.email) {
+                    emailInput.value = data.invitation.email;
+                    emailInput.readOnly = true;
+                }
+                showInfo('Sie wurden eingeladen. Ihr Account wird nach der Registrierung sofort freigeschaltet.');
+            } catch (error) {
+                console.error('Error loading registration info:', error);
             }
         }
         
@@ -141,15 +131,11 @@
                 return;
             }
             
-            // Password validation
-            if (password.length < 8) {
-                showError('Passwort muss mindestens 8 Zeichen lang sein.');
-                return;
-            }
-            
-            const strength = checkPasswordStrength(password);
-            if (strength.level === 'weak') {
-                showError('Passwort ist zu schwach. Bitte wählen Sie ein stärkeres Passwort.');
+            // Password validation against the server's policy
+            await PasswordPolicy.load();
+            if (!PasswordPolicy.isValid(password)) {
+                PasswordPolicy.renderChecklist(passwordChecklist, password);
+                showError('Das Passwort erfüllt nicht die Passwort-Richtlinie.');
                 return;
             }
             
@@ -173,19 +159,20 @@
                         username,
                         email,
                         password,
-                        confirmPassword
+                        confirmPassword,
+                        inviteCode
                     })
                 });
-
+                
                 const data = await response.json();
-
+                
                 if (response.ok && data.success) {
-                    // Successful registration
-                    showInfo('Registrierungsanfrage erfolgreich eingereicht. Sie erhalten eine Benachrichtigung, sobald Ihr Account genehmigt wurde.');
+                    // Successful registration (approved with invitation, otherwise waiting for email verification or approval)
+                    showInfo(data.message || 'Registrierungsanfrage erfolgreich eingereicht. Sie erhalten eine Benachrichtigung, sobald Ihr Account genehmigt wurde.');
                     
                     // Clear form
                     registerForm.reset();
-                    passwordStrengthDiv.classList.add('hidden');
+                    passwordChecklist.classList.add('hidden');
                     
                     // Switch back to login after delay
                     setTimeout(() => {
@@ -201,6 +188,9 @@
                     // Handle rate limiting
                     if (response.status === 429) {
                         showError('Zu viele Anfragen. Bitte versuchen Sie es später erneut.');
+                    } else if (data.policyFailures) {
+                        PasswordPolicy.renderChecklist(passwordChecklist, password, data.policyFailures);
+                        showError(data.error);
                     } else {
                         showError(data.error || 'Registrierung fehlgeschlagen. Bitte versuchen Sie es erneut.');
                     }
@@ -0,0 +1,109 @@
+/**
+ * Reset-password.js - Password reset page
+ * Sets a new password with the token from the emailed link
+ */
+
+(function() {
+    'use strict';
+    
+    document.addEventListener('DOMContentLoaded', function() {
+        const form = document.getElementById('reset-password-form');
+        const newPasswordInput = document.getElementById('new-password');
+        const confirmPasswordInput = document.getElementById('confirm-password');
+        const resetButton = document.getElementById('reset-button');
+        const errorMessage = document.getElementById('error-message');
+        const infoMessage = document.getElementById('info-message');
+        const passwordChecklist = document.getElementById('password-checklist');
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        
+        // Remove the token from the address bar and history
+        if (token) {
+            window.history.replaceState(null, '', window.location.pathname);
+        } else {
+            showError('Ungültiger Link. Bitte fordern Sie auf der Login-Seite einen neuen an.');
+            form.classList.add('hidden');
+            return;
+        }
+        
+        // Show the password policy as a live checklist
+        PasswordPolicy.load();
+        newPasswordInput.addEventListener('input', async function() {
+            await PasswordPolicy.load();
+            if (this.value.length === 0) {
+                passwordChecklist.classList.add('hidden');
+                return;
+            }
+            PasswordPolicy.renderChecklist(passwordChecklist, this.value);
+        });
+        
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            
+            errorMessage.classList.add('hidden');
+            infoMessage.classList.add('hidden');
+            
+            const newPassword = newPasswordInput.value;
+            const confirmPassword = confirmPasswordInput.value;
+            
+            if (newPassword !== confirmPassword) {
+                showError('Die Passwörter stimmen nicht überein.');
+                return;
+            }
+            
+            setLoading(true);
+            
+            try {
+                const response = await fetch('/api/auth/password-reset/confirm', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ token, newPassword, confirmPassword })
+                });
+                const data = await response.json();
+                
+                if (response.ok && data.success) {
+                    form.classList.add('hidden');
+                    infoMessage.textContent = data.message;
+                    infoMessage.classList.remove('hidden');
+                    
+                    setTimeout(() => {
+                        window.location.href = '/';
+                    }, 3000);
+                    return;
+                }
+                
+                // Policy violations are marked in the checklist
+                if (data.policyFailures) {
+                    PasswordPolicy.renderChecklist(passwordChecklist, newPassword, data.policyFailures);
+                }
+                showError(data.error || 'Das Passwort konnte nicht geändert werden.');
+                setLoading(false);
+            } catch (error) {
+                console.error('Password reset error:', error);
+                showError('Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.');
+                setLoading(false);
+            }
+        });
+        
+        /**
+         * Shows an error message
+         * @param {string} message - Error message to display
+         */
+        function showError(message) {
+            errorMessage.textContent = message;
+            errorMessage.classList.remove('hidden');
+        }
+        
+        /**
+         * Sets the loading state of the form
+         * @param {boolean} loading - Whether the form is loading
+         */
+        function setLoading(loading) {
+            resetButton.disabled = loading;
+            resetButton.querySelector('.button-text').classList.toggle('hidden', loading);
+            resetButton.querySelector('.spinner').classList.toggle('hidden', !loading);
+        }
+    });
+})();
@@ -0,0 +1,57 @@
+/**
+ * Verify-email.js - Registration email verification page
+ * Confirms the email address of a registration request with the token from the emailed link
+ */
+
+(function() {
+    'use strict';
+    
+    document.addEventListener('DOMContentLoaded', async function() {
+        const errorMessage = document.getElementById('error-message');
+        const infoMessage = document.getElementById('info-message');
+        const loading = document.getElementById('verify-loading');
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        
+        // Remove the token from the address bar and history
+        if (token) {
+            window.history.replaceState(null, '', window.location.pathname);
+        } else {
+            loading.classList.add('hidden');
+            showError('Ungültiger Link. Bitte registrieren Sie sich erneut.');
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/auth/register/verify', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token })
+            });
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                infoMessage.textContent = data.message;
+                infoMessage.classList.remove('hidden');
+            } else {
+                showError(data.error || 'Die E-Mail-Adresse konnte nicht bestätigt werden.');
+            }
+        } catch (error) {
+            console.error('Email verification error:', error);
+            showError('Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.');
+        } finally {
+            loading.classList.add('hidden');
+        }
+        
+        /**
+         * Shows an error message
+         * @param {string} message - Error message to display
+         */
+        function showError(message) {
+            errorMessage.textContent = message;
+            errorMessage.classList.remove('hidden');
+        }
+    });
+})();
@@ -4,16 +4,20 @@
  */
 
 const { hasAnyPermission, isSuperAdmin } = require('../html/utils/permissions');
-const { getUserByUsername } = require('../routes/users');
+const { getPermissionScope } = require('../html/utils/permissionScopes');
+const { getUserByUsername, isAccountActive } = require('../routes/users');
 const { logger, securityLogger } = require('../html/utils/logger');
 const config = require('../html/utils/config');
 
 /**
  * Middleware factory for permission checking
+ * With options.scoped, permissions granted for teams only are accepted as well. The route then
+ * has to limit itself to req.permissionScope ({ all: true } or { all: false, teamIds })
  * @param {string|string[]} requiredPermissions - Permission(s) required to access the route
+ * @param {Object} options - { scoped: boolean }
  * @returns {Function} Express middleware function
  */
-function requirePermission(requiredPermissions) {
+function requirePermission(requiredPermissions, options = {}) {
     // Ensure requiredPermissions is an array
     const permissions = Array.isArray(requiredPermissions) 
         ? requiredPermissions 
@@ -32,6 +36,7 @@ function requirePermission(requiredPermissions) {
             // Force disable permissions if configured
             if (config.forceDisablePermissions) {
                 securityLogger.warn('Permissions system DISABLED via FORCE_DISABLE_PERMISSIONS');
+                req.permissionScope = { all: true };
                 return next();
             }
 
@@ -45,16 +50,40 @@ function requirePermission(requiredPermissions) {
                 });
             }
 
+            // Suspended and deactivated accounts have no permissions
+            if (!isAccountActive(user)) {
+                securityLogger.warn('Request from inactive account refused', {
+                    username: req.session.username,
+                    path: req.path,
+                    status: user.status
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Dieses Konto ist gesperrt oder deaktiviert.'
+                });
+            }
+
             // Superadmin always passes
             if (isSuperAdmin(user)) {
+                req.permissionScope = { all: true };
                 return next();
             }
 
             // Check if user has any of the required permissions
             if (await hasAnyPermission(user, permissions)) {
+                req.permissionScope = { all: true };
                 return next();
             }
 
+            // Permissions granted for teams only
+            if (options.scoped) {
+                const scope = await getPermissionScope(user, permissions);
+                if (scope) {
+                    req.permissionScope = scope;
+                    return next();
+                }
+            }
+
             // Access denied
             securityLogger.warn('Permission denied', {
                 username: req.session.username,
@@ -1,29 +1,54 @@
 /**
  * Session validation middleware
- * Handles session timeout and restart token validation
+ * Handles session timeout and session version validation
  */
 
 const config = require('../html/utils/config');
 const { logger, securityLogger } = require('../html/utils/logger');
-const { getAllUserPermissions, isSuperAdmin, isUserAdmin, PERMISSIONS } = require('../html/utils/permissions');
+const { getAllUserPermissions, isSuperAdmin, isUserAdmin, getAllPermissionNames } = require('../html/utils/permissions');
+const { registerSession, unregisterSession, getSessionVersion, getSessionState } = require('../html/utils/sessionRegistry');
+const { isAccountActive } = require('../routes/users');
+
+// API routes that remain usable in every restricted session
+const RESTRICTED_SESSION_ROUTES = ['/api/auth/status', '/api/auth/logout', '/api/auth/password-policy', '/api/csrf-token', '/api/account/profile'];
+
+// Restricted sessions: while the flag is set, only the listed routes are reachable
+// Checked in order - the password change comes before the 2FA setup
+const SESSION_RESTRICTIONS = [
+    {
+        flag: 'passwordChangeRequired',
+        routes: ['/api/account/password', '/api/account/generate-password'],
+        prefixes: [],
+        error: 'Bitte ändern Sie zuerst Ihr Passwort.',
+        reason: 'password_change_required'
+    },
+    {
+        flag: 'twoFactorSetupRequired',
+        routes: [],
+        prefixes: ['/api/account/2fa'],
+        error: 'Bitte richten Sie zuerst die Zwei-Faktor-Authentifizierung ein.',
+        reason: 'two_factor_setup_required'
+    }
+];
 
-// Server restart token - generated on server start
-const RESTART_TOKEN = generateRestartToken();
+// Minimum time between last-activity updates in the session registry
+const REGISTRY_UPDATE_INTERVAL = 60 * 1000; // 1 minute
 
 /**
- * Generates a unique restart token
- * @returns {string} Restart token
+ * Removes a session from the registry without blocking the request
+ * @param {string} sid - Session ID
  */
-function generateRestartToken() {
-    const crypto = require('crypto');
-    return `restart_${Date.now()}_${crypto.randomBytes(16).toString('hex')}`;
+function forgetSession(sid) {
+    unregisterSession(sid).catch((error) => {
+        logger.error('Error removing session from registry:', { error: error.message });
+    });
 }
 
 /**
  * Session validation middleware
- * Checks for inactivity timeout and validates restart token
+ * Checks for inactivity timeout and validates the user's session version
  */
-function sessionValidation(req, res, next) {
+async function sessionValidation(req, res, next) {
     // Skip validation for public routes
     const publicRoutes = ['/api/auth/login', '/api/csrf-token', '/api/recaptcha-config'];
     if (publicRoutes.includes(req.path)) {
@@ -42,24 +67,58 @@ function sessionValidation(req, res, next) {
 
     const now = Date.now();
 
-    // Check restart token
-    if (req.session.restartToken !== RESTART_TOKEN) {
-        logger.info('Session invalid due to server restart', {
+    // Check session version (admins bump it to invalidate sessions, restarts keep it)
+    let sessionState;
+    try {
+        sessionState = await getSessionState(req.session.userId);
+    } catch (error) {
+        logger.error('Error checking session version:', { error: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'Ein interner Serverfehler ist aufgetreten.'
+        });
+    }
+
+    if (!sessionState || req.session.sessionVersion !== sessionState.sessionVersion) {
+        securityLogger.info('Session invalid due to session version change', {
             userId: req.session.userId,
             username: req.session.username
         });
         
         // Destroy session
+        forgetSession(req.sessionID);
         req.session.destroy((err) => {
             if (err) {
-                logger.error('Error destroying session after restart:', { error: err.message });
+                logger.error('Error destroying revoked session:', { error: err.message });
             }
         });
 
         return res.status(401).json({
             success: false,
-            error: 'Session expired due to server restart',
-            reason: 'server_restart'
+            error: 'Session has been revoked',
+            reason: 'session_revoked'
+        });
+    }
+
+    // Suspended, deactivated or expired accounts lose their running sessions as well
+    if (!isAccountActive(sessionState)) {
+        securityLogger.info('Session ended because the account is not active', {
+            userId: req.session.userId,
+            username: req.session.username,
+            status: sessionState.status
+        });
+
+        forgetSession(req.sessionID);
+        req.session.destroy((err) => {
+            if (err) {
+                logger.error('Error destroying session of inactive account:', { error: err.message });
+            }
+        });
+
+        return res.status(401).json({
+            success: false,
+            error: 'Account is not active',
+            reason: 'account_inactive'
         });
     }
 
@@ -75,6 +134,7 @@ function sessionValidation(req, res, next) {
             });
 
             // Destroy session
+            forgetSession(req.sessionID);
             req.session.destroy((err) => {
                 if (err) {
                     logger.error('Error destroying session after timeout:', { error: err.message });
@@ -92,6 +152,36 @@ function sessionValidation(req, res, next) {
     // Update last activity timestamp
     req.session.lastActivity = now;
 
+    // Keep the session registry current (throttled, also registers older sessions)
+    if (!req.session.registryUpdatedAt || now - req.session.registryUpdatedAt > REGISTRY_UPDATE_INTERVAL) {
+        req.session.registryUpdatedAt = now;
+        registerSession(req.sessionID, {
+            userId: req.session.userId,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            createdAt: req.session.loginTime
+        }).catch((error) => {
+            logger.error('Error updating session registry:', { error: error.message });
+        });
+    }
+
+    // Flag set by an admin applies to running sessions as well
+    req.session.passwordChangeRequired = sessionState.mustChangePassword;
+
+    // Restricted sessions: only the routes needed to lift the restriction are reachable
+    if (req.path.startsWith('/api/') && !RESTRICTED_SESSION_ROUTES.includes(req.path)) {
+        const restriction = SESSION_RESTRICTIONS.find(entry => req.session[entry.flag]);
+        if (restriction
+            && !restriction.routes.includes(req.path)
+            && !restriction.prefixes.some(prefix => req.path.startsWith(prefix))) {
+            return res.status(403).json({
+                success: false,
+                error: restriction.error,
+                reason: restriction.reason
+            });
+        }
+    }
+
     next();
 }
 
@@ -110,20 +200,24 @@ async function initializeSession(session, user) {
     
     if (isSuperAdmin(user)) {
         // Superadmin gets all permissions
-        effectivePermissions = Object.values(PERMISSIONS);
+        effectivePermissions = await getAllPermissionNames();
     } else if (isUserAdmin(user)) {
         // Admin gets all permissions
-        effectivePermissions = Object.values(PERMISSIONS);
+        effectivePermissions = await getAllPermissionNames();
     } else {
         // Regular user gets their assigned permissions
         effectivePermissions = await getAllUserPermissions(user);
     }
     
     session.permissions = effectivePermissions;
+    // Permissions that only apply to the members of certain teams (for the UI, the routes check the scope)
+    session.scopedPermissions = Array.from(new Set((user.teamPermissions || []).map(entry => entry.permission)));
     session.roles = user.roles || [];
     session.loginTime = Date.now();
     session.lastActivity = Date.now();
-    session.restartToken = RESTART_TOKEN;
+    session.sessionVersion = user.sessionVersion !== undefined
+        ? user.sessionVersion
+        : await getSessionVersion(user.id);
     
     // Log effective permissions for debugging
     logger.info('Session initialized', {
@@ -133,16 +227,8 @@ async function initializeSession(session, user) {
     });
 }
 
-/**
- * Gets the current restart token
- * @returns {string} Restart token
- */
-function getRestartToken() {
-    return RESTART_TOKEN;
-}
-
 module.exports = {
     sessionValidation,
-    initializeSession,
-    getRestartToken
+    forgetSession,
+    initializeSession
 };
@@ -10,6 +10,8 @@ const csurf = require('csurf');
 const { getPool } = require('../html/utils/database');
 const { logger, securityLogger } = require('../html/utils/logger');
 const { requirePermission } = require('../middleware/permissionCheck');
+const { recordAuditEvent } = require('../html/utils/auditLog');
+const { isUserInScope, scopeCondition } = require('../html/utils/permissionScopes');
 
 const router = express.Router();
 
@@ -92,16 +94,20 @@ function validateAbsenceDates(startDate, endDate) {
 /**
  * GET /api/absences
  * Get all absences (requires view_absences permission)
+ * With view_absences granted for teams only, the absences of those teams' members are returned
  */
-router.get('/', requireAuth, requirePermission(['view_absences']), absenceLimit, async (req, res) => {
+router.get('/', requireAuth, requirePermission(['view_absences'], { scoped: true }), absenceLimit, async (req, res) => {
     try {
+        const scope = scopeCondition(req.permissionScope, 'a.user_id');
+        
         const pool = getPool();
         const [absences] = await pool.query(`
             SELECT a.*, u.username, u.display_name
             FROM absences a
             JOIN users u ON a.user_id = u.id
+            ${scope ? `WHERE ${scope.sql}` : ''}
             ORDER BY a.start_date DESC
-        `);
+        `, scope ? scope.values : []);
         
         res.json({
             success: true,
@@ -310,10 +316,11 @@ router.delete('/:id', requireAuth, absenceLimit, csrfProtection, async (req, res
 /**
  * DELETE /api/absences/:id/admin
  * Delete any absence (requires manage_absences permission)
+ * With manage_absences granted for teams only, just the absences of those teams' members
  */
 router.delete('/:id/admin',
     requireAuth,
-    requirePermission(['manage_absences']),
+    requirePermission(['manage_absences'], { scoped: true }),
     absenceLimit,
     csrfProtection,
     async (req, res) => {
@@ -342,6 +349,19 @@ router.delete('/:id/admin',
                 });
             }
             
+            // Team-scoped managers only reach the members of their teams
+            if (!await isUserInScope(req.permissionScope, absences[0].user_id)) {
+                securityLogger.warn('Absence deletion outside of permission scope refused', {
+                    username: req.session.username,
+                    absenceId: absenceId,
+                    targetUserId: absences[0].user_id
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Keine Berechtigung für diese Abwesenheit'
+                });
+            }
+            
             // Delete absence
             await pool.query('DELETE FROM absences WHERE id = ?', [absenceId]);
             
@@ -351,6 +371,18 @@ router.delete('/:id/admin',
                 targetUserId: absences[0].user_id
             });
             
+            await recordAuditEvent(req, {
+                action: 'absence.delete',
+                targetType: 'absence',
+                targetId: absenceId,
+                before: {
+                    userId: absences[0].user_id,
+                    startDate: absences[0].start_date,
+                    endDate: absences[0].end_date,
+                    reason: absences[0].reason
+                }
+            });
+            
             res.json({
                 success: true,
                 message: 'Abwesenheit erfolgreich gelöscht'
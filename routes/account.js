@@ -4,16 +4,33 @@
  */
 
 const express = require('express');
-const bcrypt = require('bcrypt');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const csurf = require('csurf');
 const { readJsonFile, writeJsonFile } = require('../html/utils/fileOperations');
 const { logger, securityLogger } = require('../html/utils/logger');
+const { hashPassword, verifyPassword } = require('../html/utils/passwordHasher');
 const { encrypt, decrypt, isEncryptionConfigured } = require('../html/utils/encryption');
 const { generateSecurePassword, getUserByUsername } = require('./users');
 const path = require('path');
+const QRCode = require('qrcode');
 const { getPool } = require('../html/utils/database');
+const config = require('../html/utils/config');
+const { generateSecret, buildOtpauthUrl } = require('../html/utils/totp');
+const {
+    isTwoFactorRequired,
+    storePendingSecret,
+    verifyTotp,
+    replaceRecoveryCodes,
+    countRemainingRecoveryCodes,
+    disableTwoFactor
+} = require('../html/utils/twoFactor');
+const { listCredentials, revokeCredential } = require('../html/utils/webauthn');
+const { listUserSessions, revokeSession, revokeUserSessions } = require('../html/utils/sessionRegistry');
+const { POLICY_ERROR, validatePasswordPolicy } = require('../html/utils/passwordPolicy');
+const { REUSE_ERROR, isPasswordReused, archiveCurrentPassword } = require('../html/utils/passwordHistory');
+const { recordAuditEvent } = require('../html/utils/auditLog');
+const { forgetSession } = require('../middleware/sessionValidation');
 
 const router = express.Router();
 const USERS_FILE = path.join(__dirname, '../data/users.json');
@@ -58,7 +75,7 @@ function requireAuth(req, res, next) {
  */
 router.get('/profile', requireAuth, async (req, res) => {
     try {
-        const user = await getUserByUsername(req.session.userId);
+        const user = await getUserByUsername(req.session.username);
         
         if (!user) {
             return res.status(404).json({
@@ -126,7 +143,7 @@ router.put('/username',
             }
             
             const { newUsername } = req.body;
-            const currentUsername = req.session.userId;
+            const currentUsername = req.session.username;
             
             // Get current user
             const user = await getUserByUsername(currentUsername);
@@ -154,7 +171,7 @@ router.put('/username',
             );
 
             // Update session
-            req.session.userId = newUsername;
+            req.session.username = newUsername;
 
             securityLogger.info('Username changed', {
                 oldUsername: currentUsername,
@@ -162,6 +179,14 @@ router.put('/username',
                 ip: req.ip
             });
 
+            await recordAuditEvent(req, {
+                action: 'profile.username_change',
+                targetType: 'user',
+                targetId: newUsername,
+                before: { username: currentUsername },
+                after: { username: newUsername }
+            });
+
             res.json({
                 success: true,
                 message: 'Benutzername erfolgreich geändert',
@@ -190,10 +215,11 @@ router.put('/password',
             .notEmpty()
             .withMessage('Aktuelles Passwort ist erforderlich'),
         body('newPassword')
-            .isLength({ min: 8 })
-            .withMessage('Neues Passwort muss mindestens 8 Zeichen lang sein')
+            .isString()
+            .withMessage('Neues Passwort ist erforderlich')
     ],
     async (req, res) => {
+        let connection;
         try {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
@@ -204,7 +230,16 @@ router.put('/password',
             }
             
             const { currentPassword, newPassword } = req.body;
-            const username = req.session.userId;
+            const username = req.session.username;
+
+            const policyFailures = await validatePasswordPolicy(newPassword);
+            if (policyFailures.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: POLICY_ERROR,
+                    policyFailures
+                });
+            }
             
             // Get user
             const user = await getUserByUsername(username);
@@ -216,7 +251,7 @@ router.put('/password',
             }
             
             // Verify current password
-            const isValidPassword = await bcrypt.compare(currentPassword, user.passwordHash);
+            const isValidPassword = await verifyPassword(currentPassword, user.passwordHash);
             if (!isValidPassword) {
                 securityLogger.warn('Failed password change attempt - wrong current password', {
                     username: username,
@@ -228,23 +263,51 @@ router.put('/password',
                     error: 'Aktuelles Passwort ist falsch'
                 });
             }
+
+            // Reject the current and previous passwords
+            if (await isPasswordReused(user.id, newPassword)) {
+                securityLogger.warn('Password change rejected - password reused', {
+                    username: username,
+                    ip: req.ip
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: REUSE_ERROR
+                });
+            }
             
             // Hash new password
-            const salt = await bcrypt.genSalt(10);
-            const newPasswordHash = await bcrypt.hash(newPassword, salt);
+            const newPasswordHash = await hashPassword(newPassword);
             
-            // Update password
-            const pool = getPool();
-            await pool.query(
+            // Update password, keeping the old hash in the history
+            connection = await getPool().getConnection();
+            await connection.beginTransaction();
+
+            await archiveCurrentPassword(connection, user.id);
+            await connection.query(
                 `UPDATE users 
-                SET password_hash = ?, updated_at = CURRENT_TIMESTAMP, must_change_password = FALSE
+                SET password_hash = ?, updated_at = CURRENT_TIMESTAMP, password_changed_at = CURRENT_TIMESTAMP,
+                    password_breached_at = NULL, must_change_password = FALSE
                 WHERE id = ?`,
                 [newPasswordHash, user.id]
             );
 
+            await connection.commit();
+
+            // Lifts the restriction of a forced password change
+            req.session.passwordChangeRequired = false;
+
             securityLogger.info('Password changed successfully', {
                 username: username,
-                ip: req.ip
+                ip: req.ip,
+                forced: !!user.mustChangePassword
+            });
+
+            await recordAuditEvent(req, {
+                action: 'profile.password_change',
+                targetType: 'user',
+                targetId: username,
+                after: { forced: !!user.mustChangePassword }
             });
 
             res.json({
@@ -252,11 +315,18 @@ router.put('/password',
                 message: 'Passwort erfolgreich geändert'
             });
         } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
             logger.error('Error changing password in database:', { error: error.message });
             res.status(500).json({
                 success: false,
                 error: 'Fehler beim Ändern des Passworts'
             });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
         }
     }
 );
@@ -286,7 +356,7 @@ router.put('/email',
             }
             
             const { email } = req.body;
-            const username = req.session.userId;
+            const username = req.session.username;
             
             // Check if encryption is configured
             if (!isEncryptionConfigured()) {
@@ -321,6 +391,14 @@ router.put('/email',
                 ip: req.ip
             });
 
+            await recordAuditEvent(req, {
+                action: 'profile.email_change',
+                targetType: 'user',
+                targetId: username,
+                before: { email: user.email },
+                after: { email }
+            });
+
             res.json({
                 success: true,
                 message: 'E-Mail erfolgreich geändert'
@@ -360,7 +438,7 @@ router.put('/displayname',
             }
             
             const { displayName } = req.body;
-            const username = req.session.userId;
+            const username = req.session.username;
             
             // Get user
             const user = await getUserByUsername(username);
@@ -382,6 +460,14 @@ router.put('/displayname',
                 username: username
             });
 
+            await recordAuditEvent(req, {
+                action: 'profile.display_name_change',
+                targetType: 'user',
+                targetId: username,
+                before: { displayName: user.displayName },
+                after: { displayName }
+            });
+
             res.json({
                 success: true,
                 message: 'Anzeigename erfolgreich geändert'
@@ -396,6 +482,596 @@ router.put('/displayname',
     }
 );
 
+/**
+ * GET /api/account/2fa
+ * Get two-factor authentication status of the current user
+ */
+router.get('/2fa', requireAuth, async (req, res) => {
+    try {
+        const user = await getUserByUsername(req.session.username);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Benutzer nicht gefunden'
+            });
+        }
+
+        res.json({
+            success: true,
+            twoFactor: {
+                enabled: user.totpEnabled,
+                required: await isTwoFactorRequired(user),
+                recoveryCodesRemaining: user.totpEnabled ? await countRemainingRecoveryCodes(user.id) : 0
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching 2FA status:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden des 2FA-Status'
+        });
+    }
+});
+
+/**
+ * POST /api/account/2fa/setup
+ * Generate a new TOTP secret (not active until confirmed via /2fa/enable)
+ */
+router.post('/2fa/setup',
+    requireAuth,
+    accountChangeLimit,
+    csrfProtection,
+    async (req, res) => {
+        try {
+            if (!isEncryptionConfigured()) {
+                logger.error('2FA setup failed: encryption not configured');
+                return res.status(500).json({
+                    success: false,
+                    error: 'Verschlüsselung ist nicht konfiguriert'
+                });
+            }
+
+            const user = await getUserByUsername(req.session.username);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                });
+            }
+
+            if (user.totpEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Zwei-Faktor-Authentifizierung ist bereits aktiviert'
+                });
+            }
+
+            const secret = generateSecret();
+            await storePendingSecret(user.id, secret);
+
+            const otpauthUrl = buildOtpauthUrl(secret, user.username, config.twoFactor.issuer);
+            const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+            res.json({
+                success: true,
+                secret,
+                otpauthUrl,
+                qrCode
+            });
+        } catch (error) {
+            logger.error('Error starting 2FA setup:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Einrichten der Zwei-Faktor-Authentifizierung'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/account/2fa/enable
+ * Confirm the pending secret with a code and enable 2FA
+ * Returns the recovery codes (shown only once)
+ */
+router.post('/2fa/enable',
+    requireAuth,
+    accountChangeLimit,
+    csrfProtection,
+    [
+        body('code')
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Bitte geben Sie den 6-stelligen Code ein')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: errors.array()[0].msg
+            });
+        }
+
+        let connection;
+        try {
+            const user = await getUserByUsername(req.session.username);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                });
+            }
+
+            if (user.totpEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Zwei-Faktor-Authentifizierung ist bereits aktiviert'
+                });
+            }
+
+            const valid = await verifyTotp(user.id, req.body.code, { allowPending: true });
+            if (!valid) {
+                securityLogger.warn('Failed 2FA enable attempt - invalid code', {
+                    username: user.username,
+                    ip: req.ip
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültiger Code'
+                });
+            }
+
+            const pool = getPool();
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+
+            await connection.query(
+                'UPDATE users SET totp_enabled = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [user.id]
+            );
+            const recoveryCodes = await replaceRecoveryCodes(connection, user.id);
+
+            await connection.commit();
+
+            // Lift the setup restriction of this session
+            delete req.session.twoFactorSetupRequired;
+
+            securityLogger.info('2FA enabled', {
+                username: user.username,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: '2fa.enable',
+                targetType: 'user',
+                targetId: user.username,
+                before: { totpEnabled: false },
+                after: { totpEnabled: true }
+            });
+
+            res.json({
+                success: true,
+                message: 'Zwei-Faktor-Authentifizierung aktiviert',
+                recoveryCodes
+            });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Error enabling 2FA:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Aktivieren der Zwei-Faktor-Authentifizierung'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * POST /api/account/2fa/recovery-codes
+ * Regenerate recovery codes (requires a current TOTP code)
+ */
+router.post('/2fa/recovery-codes',
+    requireAuth,
+    accountChangeLimit,
+    csrfProtection,
+    [
+        body('code')
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Bitte geben Sie den 6-stelligen Code ein')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: errors.array()[0].msg
+            });
+        }
+
+        let connection;
+        try {
+            const user = await getUserByUsername(req.session.username);
+            if (!user || !user.totpEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Zwei-Faktor-Authentifizierung ist nicht aktiviert'
+                });
+            }
+
+            if (!await verifyTotp(user.id, req.body.code)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültiger Code'
+                });
+            }
+
+            const pool = getPool();
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const recoveryCodes = await replaceRecoveryCodes(connection, user.id);
+            await connection.commit();
+
+            securityLogger.info('2FA recovery codes regenerated', {
+                username: user.username,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: '2fa.recovery_codes_regenerate',
+                targetType: 'user',
+                targetId: user.username
+            });
+
+            res.json({
+                success: true,
+                message: 'Neue Wiederherstellungscodes erstellt',
+                recoveryCodes
+            });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Error regenerating recovery codes:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Erstellen der Wiederherstellungscodes'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * POST /api/account/2fa/disable
+ * Disable 2FA (requires password and a current TOTP code)
+ */
+router.post('/2fa/disable',
+    requireAuth,
+    passwordChangeLimit,
+    csrfProtection,
+    [
+        body('password')
+            .notEmpty()
+            .withMessage('Passwort ist erforderlich'),
+        body('code')
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Bitte geben Sie den 6-stelligen Code ein')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: errors.array()[0].msg
+            });
+        }
+
+        let connection;
+        try {
+            const user = await getUserByUsername(req.session.username);
+            if (!user || !user.totpEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Zwei-Faktor-Authentifizierung ist nicht aktiviert'
+                });
+            }
+
+            if (await isTwoFactorRequired(user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Ihre Rolle erfordert Zwei-Faktor-Authentifizierung'
+                });
+            }
+
+            const isValidPassword = await verifyPassword(req.body.password, user.passwordHash);
+            if (!isValidPassword || !await verifyTotp(user.id, req.body.code)) {
+                securityLogger.warn('Failed 2FA disable attempt', {
+                    username: user.username,
+                    ip: req.ip
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Passwort oder Code ist falsch'
+                });
+            }
+
+            const pool = getPool();
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            await disableTwoFactor(connection, user.id);
+            await connection.commit();
+
+            securityLogger.info('2FA disabled', {
+                username: user.username,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: '2fa.disable',
+                targetType: 'user',
+                targetId: user.username,
+                before: { totpEnabled: true },
+                after: { totpEnabled: false }
+            });
+
+            res.json({
+                success: true,
+                message: 'Zwei-Faktor-Authentifizierung deaktiviert'
+            });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Error disabling 2FA:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Deaktivieren der Zwei-Faktor-Authentifizierung'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * GET /api/account/passkeys
+ * List the passkeys of the current user
+ */
+router.get('/passkeys', requireAuth, async (req, res) => {
+    try {
+        const user = await getUserByUsername(req.session.username);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Benutzer nicht gefunden'
+            });
+        }
+
+        res.json({
+            success: true,
+            passkeys: await listCredentials(user.id)
+        });
+    } catch (error) {
+        logger.error('Error listing passkeys:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Passkeys'
+        });
+    }
+});
+
+/**
+ * DELETE /api/account/passkeys/:id
+ * Revoke a passkey of the current user
+ */
+router.delete('/passkeys/:id',
+    requireAuth,
+    accountChangeLimit,
+    csrfProtection,
+    [
+        param('id').isInt({ min: 1 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Passkey-ID'
+                });
+            }
+
+            const user = await getUserByUsername(req.session.username);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                });
+            }
+
+            const removed = await revokeCredential(user.id, req.params.id);
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Passkey nicht gefunden'
+                });
+            }
+
+            securityLogger.info('Passkey revoked', {
+                username: user.username,
+                credentialId: req.params.id,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: 'passkey.revoke',
+                targetType: 'passkey',
+                targetId: req.params.id,
+                before: { owner: user.username }
+            });
+
+            res.json({
+                success: true,
+                message: 'Passkey entfernt'
+            });
+        } catch (error) {
+            logger.error('Error revoking passkey:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Entfernen des Passkeys'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/account/sessions
+ * List the active sessions of the current user
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            sessions: await listUserSessions(req.session.userId, req.sessionID)
+        });
+    } catch (error) {
+        logger.error('Error listing sessions:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Sitzungen'
+        });
+    }
+});
+
+/**
+ * DELETE /api/account/sessions/:id
+ * Sign out another device of the current user
+ */
+router.delete('/sessions/:id',
+    requireAuth,
+    accountChangeLimit,
+    csrfProtection,
+    [
+        param('id').isInt({ min: 1 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Sitzungs-ID'
+                });
+            }
+
+            const sessions = await listUserSessions(req.session.userId, req.sessionID);
+            const target = sessions.find(entry => entry.id === req.params.id);
+            if (target && target.current) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Die aktuelle Sitzung kann nur über die Abmeldung beendet werden'
+                });
+            }
+
+            const revoked = await revokeSession(req.sessionStore, req.session.userId, req.params.id);
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Sitzung nicht gefunden'
+                });
+            }
+
+            securityLogger.info('Session revoked by user', {
+                username: req.session.username,
+                sessionEntryId: req.params.id,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: 'session.revoke',
+                targetType: 'session',
+                targetId: req.params.id,
+                before: target ? { ip: target.ip, userAgent: target.userAgent } : null
+            });
+
+            res.json({
+                success: true,
+                message: 'Gerät abgemeldet'
+            });
+        } catch (error) {
+            logger.error('Error revoking session:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Abmelden des Geräts'
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/account/sessions
+ * Sign out everywhere (all sessions of the current user, including this one)
+ */
+router.delete('/sessions',
+    requireAuth,
+    accountChangeLimit,
+    csrfProtection,
+    async (req, res) => {
+        try {
+            const { userId, username } = req.session;
+            const count = await revokeUserSessions(req.sessionStore, userId, req.sessionID);
+
+            securityLogger.info('All sessions revoked by user', {
+                username,
+                otherSessions: count,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: 'session.revoke_all',
+                targetType: 'user',
+                targetId: username,
+                after: { otherSessions: count }
+            });
+
+            forgetSession(req.sessionID);
+            req.session.destroy((err) => {
+                if (err) {
+                    logger.error('Error destroying session:', { error: err.message });
+                    return res.status(500).json({
+                        success: false,
+                        error: 'Fehler beim Abmelden'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Auf allen Geräten abgemeldet'
+                });
+            });
+        } catch (error) {
+            logger.error('Error revoking all sessions:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Abmelden'
+            });
+        }
+    }
+);
+
 /**
  * POST /api/account/generate-password
  * Generate a new secure password
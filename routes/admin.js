@@ -4,91 +4,295 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const bcrypt = require('bcrypt');
+const { body, param, query, validationResult } = require('express-validator');
 const path = require('path');
 const crypto = require('crypto');
 const { readJsonFile, writeJsonFile, updateJsonFile } = require('../html/utils/fileOperations');
 const { logger, securityLogger } = require('../html/utils/logger');
+const { hashPassword } = require('../html/utils/passwordHasher');
 const { requirePermission } = require('../middleware/permissionCheck');
-const { hasWildcard } = require('../html/utils/permissions');
-const { getUserByUsername, generateSecurePassword } = require('./users');
+const {
+    hasWildcard,
+    getRolePermissions,
+    wouldCreateRoleCycle,
+    getRoleIdsWithPermission,
+    hasPermission,
+    getPermissionRegistry,
+    invalidatePermissionRegistry
+} = require('../html/utils/permissions');
+const { ACCOUNT_STATUSES, getUserByUsername, isAccountActive, generateSecurePassword } = require('./users');
 const { getPool } = require('../html/utils/database');
+const loginAttempts = require('../html/utils/loginAttempts');
+const { listBreachedAccounts } = require('../html/utils/breachedPasswords');
+const {
+    recordAuditEvent,
+    accountSnapshot,
+    listAuditEvents,
+    getAuditFilterOptions,
+    exportAuditEventsCsv
+} = require('../html/utils/auditLog');
+const { POLICY_ERROR, validatePasswordPolicy } = require('../html/utils/passwordPolicy');
+const { parseImportCsv, validateImportEntries, importAccounts, buildCredentialsCsv } = require('../html/utils/accountImport');
+const { buildAccessReport, accessReportCsv } = require('../html/utils/accessReport');
+const { explainUserPermissions, checkUserPermission } = require('../html/utils/permissionExplainer');
+const {
+    SCOPABLE_PERMISSIONS,
+    isUserInScope,
+    scopeCondition,
+    isWithinActorPermissions
+} = require('../html/utils/permissionScopes');
+const { REUSE_ERROR, isPasswordReused, archiveCurrentPassword } = require('../html/utils/passwordHistory');
+const { revokeUserSessions, bumpSessionVersion, bumpAllSessionVersions, getSessionVersion } = require('../html/utils/sessionRegistry');
+const { createInvitation, listInvitations, revokeInvitation } = require('../html/utils/invitations');
+const { buildAppUrl } = require('../html/utils/mailer');
+const config = require('../html/utils/config');
 
 const router = express.Router();
 const USERS_FILE = path.join(__dirname, '../data/users.json');
 const ROLES_FILE = path.join(__dirname, '../data/roles.json');
 const REQUESTS_FILE = path.join(__dirname, '../data/registration-requests.json');
 
+// Sortable columns of the accounts list (query value -> SQL column)
+const ACCOUNT_SORT_COLUMNS = {
+    username: 'u.username',
+    displayName: 'u.display_name',
+    role: 'u.role',
+    status: 'u.status',
+    createdAt: 'u.created_at',
+    expiresAt: 'u.expires_at'
+};
+
+const MAX_ACCOUNTS_PAGE_SIZE = 100;
+
+/**
+ * Builds the WHERE clause of the accounts list
+ * The permission filter matches direct permissions and non-expired roles that grant it (permissionRoleIds,
+ * including inheritance - see getRoleIdsWithPermission)
+ * The scope (req.permissionScope) limits team-scoped viewers to the members of their teams
+ * @param {Object} filters - { search, role, permission, permissionRoleIds, status, scope }
+ * @returns {Object} { where, values }
+ */
+function buildAccountFilter(filters) {
+    const conditions = [];
+    const values = [];
+
+    const scope = filters.scope ? scopeCondition(filters.scope, 'u.id') : null;
+    if (scope) {
+        conditions.push(scope.sql);
+        values.push(...scope.values);
+    }
+
+    if (filters.search) {
+        // % and _ in the search term are matched literally
+        const pattern = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+        conditions.push('(u.username LIKE ? OR u.display_name LIKE ?)');
+        values.push(pattern, pattern);
+    }
+    if (filters.role) {
+        // Role ID of an assignment, or the primary role (stored by name)
+        conditions.push(`(u.role = ?
+            OR EXISTS (SELECT 1 FROM roles r WHERE r.id = ? AND r.name = u.role)
+            OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role_id = ?))`);
+        values.push(filters.role, filters.role, filters.role);
+    }
+    if (filters.permission) {
+        const roleIds = filters.permissionRoleIds || [];
+        conditions.push(`(EXISTS (
+            SELECT 1 FROM user_permissions up
+            JOIN permissions p ON up.permission_id = p.id
+            WHERE up.user_id = u.id AND p.name = ?)${roleIds.length > 0 ? `
+        OR EXISTS (
+            SELECT 1 FROM user_roles ur
+            WHERE ur.user_id = u.id AND ur.role_id IN (?)
+              AND (ur.expires_at IS NULL OR ur.expires_at > NOW()))` : ''})`);
+        values.push(filters.permission);
+        if (roleIds.length > 0) {
+            values.push(roleIds);
+        }
+    }
+    if (filters.status) {
+        conditions.push('u.status = ?');
+        values.push(filters.status);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        values
+    };
+}
+
+/**
+ * Loads the permissions, role assignments, teams and team permissions of a page of accounts
+ * Separate queries instead of GROUP_CONCAT columns, which group_concat_max_len would cut off
+ * @param {Object} pool - MySQL pool
+ * @param {number[]} userIds - User IDs of the page
+ * @returns {Promise<Map>} User ID -> { permissions, roleAssignments, teams, teamPermissions }
+ */
+async function loadAccountAssignments(pool, userIds) {
+    const assignments = new Map(userIds.map(id => [id, {
+        permissions: [],
+        roleAssignments: [],
+        teams: [],
+        teamPermissions: []
+    }]));
+
+    if (userIds.length === 0) {
+        return assignments;
+    }
+
+    const [permissionRows] = await pool.query(
+        `SELECT up.user_id AS userId, p.name
+        FROM user_permissions up
+        JOIN permissions p ON up.permission_id = p.id
+        WHERE up.user_id IN (?)
+        ORDER BY p.name`,
+        [userIds]
+    );
+    const [roleRows] = await pool.query(
+        `SELECT user_id AS userId, role_id AS roleId, expires_at AS expiresAt
+        FROM user_roles
+        WHERE user_id IN (?)
+        ORDER BY role_id`,
+        [userIds]
+    );
+    const [teamRows] = await pool.query(
+        'SELECT user_id AS userId, team_id AS teamId FROM team_members WHERE user_id IN (?) ORDER BY team_id',
+        [userIds]
+    );
+    const [teamPermissionRows] = await pool.query(
+        `SELECT utp.user_id AS userId, p.name AS permission, utp.team_id AS teamId
+        FROM user_team_permissions utp
+        JOIN permissions p ON utp.permission_id = p.id
+        WHERE utp.user_id IN (?)
+        ORDER BY p.name, utp.team_id`,
+        [userIds]
+    );
+
+    permissionRows.forEach(row => assignments.get(row.userId).permissions.push(row.name));
+    roleRows.forEach(row => assignments.get(row.userId).roleAssignments.push({
+        roleId: row.roleId,
+        expiresAt: row.expiresAt
+    }));
+    teamRows.forEach(row => assignments.get(row.userId).teams.push(row.teamId));
+    teamPermissionRows.forEach(row => assignments.get(row.userId).teamPermissions.push({
+        permission: row.permission,
+        teamId: row.teamId
+    }));
+
+    return assignments;
+}
+
 /**
  * GET /api/admin/accounts
- * List all accounts (requires: manage_accounts or view_accounts)
+ * List accounts with paging, search, filters and sorting (requires: manage_accounts or view_accounts)
+ * Query: page, pageSize, search (username or display name), role, permission, status, sort, order (asc, desc)
+ * Team-scoped grants list the members of those teams only
  */
-router.get('/accounts', requirePermission(['manage_accounts', 'view_accounts']), async (req, res) => {
-    try {
-        const pool = getPool();
-        
-        // Get all users with their permissions and roles
-        const [users] = await pool.query(
-            `SELECT 
-                u.id,
-                u.username,
-                u.email,
-                u.display_name AS displayName,
-                u.role,
-                u.created_at AS createdAt,
-                u.created_by AS createdBy,
-                u.updated_at AS updatedAt,
-                u.must_change_password AS mustChangePassword
-            FROM users u
-            ORDER BY u.created_at DESC`
-        );
+router.get('/accounts',
+    requirePermission(['manage_accounts', 'view_accounts'], { scoped: true }),
+    [
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('pageSize').optional().isInt({ min: 1, max: MAX_ACCOUNTS_PAGE_SIZE }).toInt(),
+        query('search').optional().trim().isLength({ max: 50 }),
+        query('role').optional().trim().isLength({ max: 50 }),
+        query('permission').optional().trim().isLength({ max: 50 }),
+        query('status').optional({ checkFalsy: true }).isIn(ACCOUNT_STATUSES),
+        query('sort').optional().isIn(Object.keys(ACCOUNT_SORT_COLUMNS)),
+        query('order').optional().isIn(['asc', 'desc'])
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Filter',
+                    errors: errors.array()
+                });
+            }
 
-        // Get permissions and roles for each user
-        for (const user of users) {
-            // Get direct permissions
-            const [permRows] = await pool.query(
-                `SELECT p.name
-                FROM user_permissions up
-                JOIN permissions p ON up.permission_id = p.id
-                WHERE up.user_id = ?`,
-                [user.id]
+            const page = req.query.page || 1;
+            const pageSize = req.query.pageSize || 25;
+            const sortColumn = ACCOUNT_SORT_COLUMNS[req.query.sort] || ACCOUNT_SORT_COLUMNS.createdAt;
+            const sortOrder = req.query.order === 'asc' ? 'ASC' : 'DESC';
+            const { where, values } = buildAccountFilter({
+                ...req.query,
+                permissionRoleIds: req.query.permission ? await getRoleIdsWithPermission(req.query.permission) : [],
+                scope: req.permissionScope
+            });
+
+            const pool = getPool();
+            const [[{ total }]] = await pool.query(
+                `SELECT COUNT(*) AS total FROM users u ${where}`,
+                values
             );
-            user.permissions = permRows.map(row => row.name);
 
-            // Get user roles
-            const [roleRows] = await pool.query(
-                `SELECT ur.role_id
-                FROM user_roles ur
-                WHERE ur.user_id = ?`,
-                [user.id]
+            const [users] = await pool.query(
+                `SELECT 
+                    u.id,
+                    u.username,
+                    u.email,
+                    u.display_name AS displayName,
+                    u.role,
+                    u.created_at AS createdAt,
+                    u.created_by AS createdBy,
+                    u.updated_at AS updatedAt,
+                    u.must_change_password AS mustChangePassword,
+                    u.totp_enabled AS totpEnabled,
+                    u.status,
+                    u.deactivated_at AS deactivatedAt,
+                    u.expires_at AS expiresAt
+                FROM users u
+                ${where}
+                ORDER BY ${sortColumn} ${sortOrder}, u.id ${sortOrder}
+                LIMIT ? OFFSET ?`,
+                [...values, pageSize, (page - 1) * pageSize]
             );
-            user.roles = roleRows.map(row => row.role_id);
 
-            // Remove sensitive data and add censored email
-            user.emailCensored = user.email ? '***@***.***' : null;
-            user.hasPassword = true;
-            delete user.email;
-        }
+            // Permissions, roles and teams of the page are loaded separately
+            const assignments = await loadAccountAssignments(pool, users.map(user => user.id));
+
+            const accounts = users.map(({ email, ...user }) => {
+                const { permissions, roleAssignments, teams, teamPermissions } = assignments.get(user.id);
+
+                // Remove sensitive data and add censored email
+                return {
+                    ...user,
+                    permissions,
+                    roles: roleAssignments.map(entry => entry.roleId),
+                    roleAssignments,
+                    teams,
+                    teamPermissions,
+                    emailCensored: email ? '***@***.***' : null,
+                    hasPassword: true,
+                    totpEnabled: !!user.totpEnabled,
+                    mustChangePassword: !!user.mustChangePassword
+                };
+            });
 
-        res.json({
-            success: true,
-            accounts: users
-        });
-    } catch (error) {
-        logger.error('Error listing accounts from database:', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: 'Fehler beim Laden der Accounts.'
-        });
+            res.json({
+                success: true,
+                accounts,
+                total,
+                page,
+                pageSize
+            });
+        } catch (error) {
+            logger.error('Error listing accounts from database:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Laden der Accounts.'
+            });
+        }
     }
-});
+);
 
 /**
  * GET /api/admin/accounts/:username
  * Get single account with details (requires: manage_accounts or view_accounts)
+ * Team-scoped grants only reach the members of those teams
  */
-router.get('/accounts/:username', requirePermission(['manage_accounts', 'view_accounts']), async (req, res) => {
+router.get('/accounts/:username', requirePermission(['manage_accounts', 'view_accounts'], { scoped: true }), async (req, res) => {
     try {
         const { username } = req.params;
         
@@ -96,7 +300,7 @@ router.get('/accounts/:username', requirePermission(['manage_accounts', 'view_ac
         // SELECT * FROM users WHERE username = ?
         const user = await getUserByUsername(username);
         
-        if (!user) {
+        if (!user || !await isUserInScope(req.permissionScope, user.id)) {
             return res.status(404).json({
                 success: false,
                 error: 'Account nicht gefunden.'
@@ -123,20 +327,231 @@ router.get('/accounts/:username', requirePermission(['manage_accounts', 'view_ac
     }
 });
 
+/**
+ * GET /api/admin/accounts/:username/permissions
+ * Explain the effective permissions of an account: every permission with the grants it comes from
+ * (requires: manage_accounts or view_accounts, also team-scoped)
+ */
+router.get('/accounts/:username/permissions', requirePermission(['manage_accounts', 'view_accounts'], { scoped: true }), async (req, res) => {
+    try {
+        const user = await getUserByUsername(req.params.username);
+
+        if (!user || !await isUserInScope(req.permissionScope, user.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account nicht gefunden.'
+            });
+        }
+
+        res.json({
+            success: true,
+            username: user.username,
+            role: user.role,
+            ...await explainUserPermissions(user)
+        });
+    } catch (error) {
+        logger.error('Error explaining account permissions:', { error: error.message, username: req.params.username });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Ermitteln der Berechtigungen.'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/accounts/:username/permissions/check
+ * Check if an account may use a permission, with the same rules as requirePermission
+ * Query: permission, scoped (true for routes that accept team grants)
+ * (requires: manage_accounts or view_accounts, also team-scoped)
+ */
+router.get('/accounts/:username/permissions/check',
+    requirePermission(['manage_accounts', 'view_accounts'], { scoped: true }),
+    [
+        query('permission').trim().notEmpty().isLength({ max: 50 }),
+        query('scoped').optional().isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const user = await getUserByUsername(req.params.username);
+
+            if (!user || !await isUserInScope(req.permissionScope, user.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Account nicht gefunden.'
+                });
+            }
+
+            const { permission, scoped } = req.query;
+            const result = await checkUserPermission(user, permission, { scoped: !!scoped });
+            const explanation = await explainUserPermissions(user);
+            const entry = explanation.permissions.find(item => item.permission === permission);
+
+            res.json({
+                success: true,
+                username: user.username,
+                permission,
+                ...result,
+                sources: entry ? entry.sources : [],
+                teamPermissions: explanation.teamPermissions.filter(item => item.permission === permission)
+            });
+        } catch (error) {
+            logger.error('Error checking account permission:', { error: error.message, username: req.params.username });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler bei der Berechtigungsprüfung.'
+            });
+        }
+    }
+);
+
+/**
+ * Converts an expiry date from a request into a Date
+ * Plain dates (YYYY-MM-DD) expire at the start of that day
+ * @param {string|null} value - ISO 8601 date or date-time
+ * @returns {Date|null} Expiry, or null for no expiry
+ */
+function parseExpiry(value) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T00:00:00`);
+    }
+    return new Date(value);
+}
+
+/**
+ * Validates one entry of the roles array: a role ID or { id, expiresAt }
+ * @param {*} entry - Array entry
+ * @returns {boolean} True if valid
+ */
+function isRoleAssignment(entry) {
+    if (typeof entry === 'string') {
+        return true;
+    }
+    return !!entry && typeof entry === 'object' && typeof entry.id === 'string'
+        && (!entry.expiresAt || !isNaN(new Date(entry.expiresAt).getTime()));
+}
+
+/**
+ * Replaces the role assignments of a user
+ * @param {Object} connection - MySQL connection (inside the caller's transaction)
+ * @param {number} userId - User ID
+ * @param {Array} roles - Role IDs or { id, expiresAt }
+ * @returns {Promise<void>}
+ */
+async function setRoleAssignments(connection, userId, roles) {
+    await connection.query(
+        'DELETE FROM user_roles WHERE user_id = ?',
+        [userId]
+    );
+
+    for (const entry of roles) {
+        const roleId = typeof entry === 'string' ? entry : entry.id;
+        const expiresAt = typeof entry === 'string' ? null : parseExpiry(entry.expiresAt);
+
+        const [roleRows] = await connection.query(
+            'SELECT id FROM roles WHERE id = ? LIMIT 1',
+            [roleId]
+        );
+
+        if (roleRows.length > 0) {
+            await connection.query(
+                'INSERT INTO user_roles (user_id, role_id, expires_at) VALUES (?, ?, ?)',
+                [userId, roleId, expiresAt]
+            );
+        }
+    }
+}
+
+/**
+ * Validates one entry of the teamPermissions array: { permission, teamId }
+ * @param {*} entry - Array entry
+ * @returns {boolean} True if valid
+ */
+function isTeamPermission(entry) {
+    return !!entry && typeof entry === 'object'
+        && SCOPABLE_PERMISSIONS.includes(entry.permission)
+        && Number.isInteger(entry.teamId);
+}
+
+/**
+ * Replaces the team-scoped permissions of a user
+ * Entries with unknown teams are skipped
+ * @param {Object} connection - MySQL connection (inside the caller's transaction)
+ * @param {number} userId - User ID
+ * @param {Array<Object>} teamPermissions - Grants { permission, teamId }
+ * @returns {Promise<void>}
+ */
+async function setTeamPermissions(connection, userId, teamPermissions) {
+    await connection.query(
+        'DELETE FROM user_team_permissions WHERE user_id = ?',
+        [userId]
+    );
+
+    for (const { permission, teamId } of teamPermissions) {
+        await connection.query(
+            `INSERT IGNORE INTO user_team_permissions (user_id, permission_id, team_id)
+            SELECT ?, p.id, t.id
+            FROM permissions p
+            JOIN teams t ON t.id = ?
+            WHERE p.name = ?`,
+            [userId, teamId, permission]
+        );
+    }
+}
+
+/**
+ * Checks if the acting admin may modify an account
+ * Team-scoped managers only reach members of their teams whose permissions they hold themselves
+ * @param {Object} req - Express request (req.permissionScope is set by requirePermission)
+ * @param {Object} user - Target user object
+ * @returns {Promise<boolean>} True if the account may be modified
+ */
+async function canManageAccount(req, user) {
+    if (req.permissionScope.all) {
+        return true;
+    }
+    if (!await isUserInScope(req.permissionScope, user.id)) {
+        return false;
+    }
+
+    const actor = await getUserByUsername(req.session.username);
+    return !!actor && await isWithinActorPermissions(actor, user);
+}
+
+// Error response for accounts outside of the actor's scope
+const OUT_OF_SCOPE_ERROR = 'Dieses Konto liegt außerhalb Ihres Berechtigungsbereichs.';
+
 /**
  * POST /api/admin/accounts
  * Create new account (requires: manage_accounts)
+ * Optional expiresAt (account) and roles entries { id, expiresAt } make access time-limited
  */
 router.post('/accounts',
     requirePermission('manage_accounts'),
     [
         body('username').trim().notEmpty().matches(/^[a-zA-Z0-9_-]+$/).isLength({ min: 3, max: 30 }),
         body('email').optional().isEmail(),
-        body('password').optional().isLength({ min: 8 }),
+        body('password').optional().isString(),
         body('role').optional().trim(),
         body('permissions').optional().isArray(),
         body('roles').optional().isArray(),
-        body('displayName').optional().trim().isLength({ max: 50 })
+        body('roles.*').custom(isRoleAssignment),
+        body('teamPermissions').optional().isArray(),
+        body('teamPermissions.*').custom(isTeamPermission),
+        body('displayName').optional().trim().isLength({ max: 50 }),
+        body('mustChangePassword').optional().isBoolean().toBoolean(),
+        body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601()
     ],
     async (req, res) => {
         let connection;
@@ -154,7 +569,18 @@ router.post('/accounts',
                 });
             }
             
-            const { username, email, password, role, permissions, roles, displayName } = req.body;
+            const { username, email, password, role, permissions, roles, teamPermissions, displayName, mustChangePassword, expiresAt } = req.body;
+
+            if (password) {
+                const policyFailures = await validatePasswordPolicy(password);
+                if (policyFailures.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: POLICY_ERROR,
+                        policyFailures
+                    });
+                }
+            }
             
             // Check if user already exists
             const existingUser = await getUserByUsername(username);
@@ -183,17 +609,16 @@ router.post('/accounts',
             const generatedPassword = !password;
             
             // Hash password
-            const salt = await bcrypt.genSalt(10);
-            const passwordHash = await bcrypt.hash(userPassword, salt);
+            const passwordHash = await hashPassword(userPassword);
 
             // Start transaction
             await connection.beginTransaction();
 
             // Insert user
             const [result] = await connection.query(
-                `INSERT INTO users (username, password_hash, email, display_name, role, created_by)
-                VALUES (?, ?, ?, ?, ?, ?)`,
-                [username.trim(), passwordHash, email || null, displayName || null, role || 'user', req.session.username]
+                `INSERT INTO users (username, password_hash, email, display_name, role, created_by, must_change_password, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [username.trim(), passwordHash, email || null, displayName || null, role || 'user', req.session.username, mustChangePassword === true, parseExpiry(expiresAt)]
             );
 
             const userId = result.insertId;
@@ -217,19 +642,12 @@ router.post('/accounts',
 
             // Insert user roles
             if (roles && roles.length > 0) {
-                for (const roleId of roles) {
-                    const [roleRows] = await connection.query(
-                        'SELECT id FROM roles WHERE id = ? LIMIT 1',
-                        [roleId]
-                    );
-                    
-                    if (roleRows.length > 0) {
-                        await connection.query(
-                            'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
-                            [userId, roleId]
-                        );
-                    }
-                }
+                await setRoleAssignments(connection, userId, roles);
+            }
+
+            // Insert team-scoped permissions
+            if (teamPermissions && teamPermissions.length > 0) {
+                await setTeamPermissions(connection, userId, teamPermissions);
             }
 
             // Commit transaction
@@ -239,7 +657,16 @@ router.post('/accounts',
                 admin: req.session.username,
                 newUser: username,
                 role: role || 'user',
-                permissions: permissions || []
+                permissions: permissions || [],
+                mustChangePassword: mustChangePassword === true,
+                expiresAt: expiresAt || null
+            });
+
+            await recordAuditEvent(req, {
+                action: 'account.create',
+                targetType: 'user',
+                targetId: username,
+                after: accountSnapshot(await getUserByUsername(username))
             });
 
             res.json({
@@ -265,19 +692,189 @@ router.post('/accounts',
     }
 );
 
+const importValidation = [
+    body('csv').isString().notEmpty()
+];
+
+/**
+ * Reads and validates an uploaded import file
+ * @param {string} csv - CSV content
+ * @returns {Promise<Object>} { entries, valid } or { error }
+ */
+async function checkImport(csv) {
+    const { entries, error } = parseImportCsv(csv);
+    if (error) {
+        return { error };
+    }
+
+    const validated = await validateImportEntries(entries);
+    return {
+        entries: validated,
+        valid: validated.every(entry => entry.errors.length === 0)
+    };
+}
+
+/**
+ * Maps a validated import entry to the response format
+ * @param {Object} entry - Validated entry
+ * @returns {Object} { row, username, email, displayName, role, roles, errors }
+ */
+function importEntryResponse(entry) {
+    return {
+        row: entry.row,
+        username: entry.username,
+        email: entry.email,
+        displayName: entry.displayName,
+        role: entry.role,
+        roles: entry.roleIds,
+        errors: entry.errors
+    };
+}
+
+/**
+ * POST /api/admin/accounts/import/validate
+ * Dry run of a CSV account import: reports the errors per row without creating anything (requires: manage_accounts)
+ */
+router.post('/accounts/import/validate',
+    requirePermission('manage_accounts'),
+    importValidation,
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await checkImport(req.body.csv);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            res.json({
+                success: true,
+                valid: result.valid,
+                rows: result.entries.map(importEntryResponse)
+            });
+        } catch (error) {
+            logger.error('Error validating account import:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Prüfen der Importdatei.'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/admin/accounts/import
+ * Imports all accounts of a CSV file in one transaction (requires: manage_accounts)
+ * Nothing is imported if any row is invalid. The generated passwords are only returned
+ * in this response (credentials sheet as CSV) and are never stored in plain text
+ */
+router.post('/accounts/import',
+    requirePermission('manage_accounts'),
+    importValidation,
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            // Validate again - the data may have changed since the dry run
+            const result = await checkImport(req.body.csv);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+            if (!result.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Die Importdatei enthält fehlerhafte Zeilen. Es wurden keine Konten angelegt.',
+                    rows: result.entries.map(importEntryResponse)
+                });
+            }
+
+            const credentials = await importAccounts(result.entries, req.session.username);
+
+            securityLogger.info('Accounts imported by admin', {
+                admin: req.session.username,
+                count: credentials.length,
+                usernames: credentials.map(entry => entry.username)
+            });
+
+            for (const entry of result.entries) {
+                await recordAuditEvent(req, {
+                    action: 'account.import',
+                    targetType: 'user',
+                    targetId: entry.username,
+                    after: {
+                        username: entry.username,
+                        email: entry.email,
+                        displayName: entry.displayName,
+                        role: entry.role,
+                        roles: entry.roleIds,
+                        mustChangePassword: true,
+                        status: 'active'
+                    }
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `${credentials.length} Konten erfolgreich importiert.`,
+                imported: credentials.length,
+                credentials: buildCredentialsCsv(credentials)
+            });
+        } catch (error) {
+            // A username was taken between validation and import
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Ein Benutzername wurde zwischenzeitlich vergeben. Es wurden keine Konten angelegt.'
+                });
+            }
+            logger.error('Error importing accounts:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Importieren der Konten.'
+            });
+        }
+    }
+);
+
 /**
  * PUT /api/admin/accounts/:username
  * Update account (requires: manage_accounts)
+ * Team-scoped managers may edit members of their teams, but not their role, permissions or teams
  */
 router.put('/accounts/:username',
-    requirePermission('manage_accounts'),
+    requirePermission('manage_accounts', { scoped: true }),
     [
         body('email').optional().isEmail(),
-        body('newPassword').optional().isLength({ min: 8 }),
+        body('newPassword').optional().isString(),
         body('role').optional().trim(),
         body('permissions').optional().isArray(),
         body('roles').optional().isArray(),
-        body('displayName').optional().trim().isLength({ max: 50 })
+        body('roles.*').custom(isRoleAssignment),
+        body('teamPermissions').optional().isArray(),
+        body('teamPermissions.*').custom(isTeamPermission),
+        body('displayName').optional().trim().isLength({ max: 50 }),
+        body('mustChangePassword').optional().isBoolean().toBoolean(),
+        body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601()
     ],
     async (req, res) => {
         let connection;
@@ -296,14 +893,58 @@ router.put('/accounts/:username',
             }
             
             const { username } = req.params;
-            const { email, newPassword, role, permissions, roles, displayName } = req.body;
-            
-            // Check if user exists
-            const existingUser = await getUserByUsername(username);
-            if (!existingUser) {
-                return res.status(404).json({
+            const { email, newPassword, role, permissions, roles, teamPermissions, displayName, mustChangePassword, expiresAt } = req.body;
+
+            // Permission changes need a global grant, otherwise a team lead could widen their own reach
+            if (!req.permissionScope.all
+                && [role, permissions, roles, teamPermissions].some(value => value !== undefined)) {
+                return res.status(403).json({
                     success: false,
-                    error: 'Account nicht gefunden.'
+                    error: 'Mit einer auf Teams beschränkten Berechtigung können Rolle und Berechtigungen nicht geändert werden.'
+                });
+            }
+
+            // Passwords and email addresses neither: members request a new password by email themselves
+            if (!req.permissionScope.all && (newPassword || email !== undefined)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Mit einer auf Teams beschränkten Berechtigung können Passwort und E-Mail-Adresse nicht geändert werden. '
+                        + 'Das Mitglied kann über "Passwort vergessen" selbst ein neues Passwort anfordern.'
+                });
+            }
+
+            if (newPassword) {
+                const policyFailures = await validatePasswordPolicy(newPassword);
+                if (policyFailures.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: POLICY_ERROR,
+                        policyFailures
+                    });
+                }
+            }
+            
+            // Check if user exists
+            const existingUser = await getUserByUsername(username);
+            if (!existingUser) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Account nicht gefunden.'
+                });
+            }
+
+            if (!await canManageAccount(req, existingUser)) {
+                return res.status(403).json({
+                    success: false,
+                    error: OUT_OF_SCOPE_ERROR
+                });
+            }
+
+            // Admin resets must not bring back a previous password either
+            if (newPassword && await isPasswordReused(existingUser.id, newPassword)) {
+                return res.status(400).json({
+                    success: false,
+                    error: REUSE_ERROR
                 });
             }
             
@@ -340,11 +981,19 @@ router.put('/accounts/:username',
                 values.push(displayName);
             }
             if (newPassword) {
-                const salt = await bcrypt.genSalt(10);
-                const passwordHash = await bcrypt.hash(newPassword, salt);
-                updates.push('password_hash = ?');
+                const passwordHash = await hashPassword(newPassword);
+                await archiveCurrentPassword(connection, existingUser.id);
+                updates.push('password_hash = ?', 'password_changed_at = CURRENT_TIMESTAMP', 'password_breached_at = NULL');
                 values.push(passwordHash);
             }
+            if (mustChangePassword !== undefined) {
+                updates.push('must_change_password = ?');
+                values.push(mustChangePassword);
+            }
+            if (expiresAt !== undefined) {
+                updates.push('expires_at = ?');
+                values.push(parseExpiry(expiresAt));
+            }
 
             // Always update timestamp
             updates.push('updated_at = CURRENT_TIMESTAMP');
@@ -384,26 +1033,12 @@ router.put('/accounts/:username',
 
             // Update roles if provided
             if (roles !== undefined) {
-                // Delete existing roles
-                await connection.query(
-                    'DELETE FROM user_roles WHERE user_id = ?',
-                    [existingUser.id]
-                );
+                await setRoleAssignments(connection, existingUser.id, roles);
+            }
 
-                // Insert new roles
-                for (const roleId of roles) {
-                    const [roleRows] = await connection.query(
-                        'SELECT id FROM roles WHERE id = ? LIMIT 1',
-                        [roleId]
-                    );
-                    
-                    if (roleRows.length > 0) {
-                        await connection.query(
-                            'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
-                            [existingUser.id, roleId]
-                        );
-                    }
-                }
+            // Update team-scoped permissions if provided
+            if (teamPermissions !== undefined) {
+                await setTeamPermissions(connection, existingUser.id, teamPermissions);
             }
 
             // Commit transaction
@@ -415,6 +1050,14 @@ router.put('/accounts/:username',
                 updates: Object.keys(req.body)
             });
 
+            await recordAuditEvent(req, {
+                action: 'account.update',
+                targetType: 'user',
+                targetId: username,
+                before: accountSnapshot(existingUser),
+                after: { ...accountSnapshot(await getUserByUsername(username)), passwordChanged: !!newPassword }
+            });
+
             res.json({
                 success: true,
                 message: 'Account erfolgreich aktualisiert.'
@@ -441,224 +1084,159 @@ router.put('/accounts/:username',
 );
 
 /**
- * DELETE /api/admin/accounts/:username
- * Delete account (requires: manage_accounts)
+ * Checks if an account is the last active administrator with wildcard permission
+ * @param {Object} user - User object
+ * @returns {Promise<boolean>} True if no other active wildcard administrator exists
  */
-router.delete('/accounts/:username', requirePermission('manage_accounts'), async (req, res) => {
-    let connection;
-    
-    try {
-        connection = await getPool().getConnection();
-        
-        const { username } = req.params;
-        
-        // Check if user exists
-        const user = await getUserByUsername(username);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'Account nicht gefunden.'
-            });
-        }
-        
-        // Prevent deleting own account
-        if (username === req.session.username) {
-            return res.status(400).json({
-                success: false,
-                error: 'Sie können Ihren eigenen Account nicht löschen.'
-            });
-        }
-        
-        // Check if this is the last admin with wildcard
-        if (hasWildcard(user)) {
-            const pool = getPool();
-            const [wildcardAdmins] = await pool.query(
-                `SELECT COUNT(*) AS count
-                FROM users u
-                LEFT JOIN user_permissions up ON u.id = up.user_id
-                LEFT JOIN permissions p ON up.permission_id = p.id
-                WHERE p.name = '*'`
-            );
-            
-            if (wildcardAdmins[0].count === 1) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Der letzte Administrator mit Wildcard-Berechtigung kann nicht gelöscht werden.'
-                });
-            }
-        }
-
-        // Start transaction
-        await connection.beginTransaction();
-
-        // Delete user (CASCADE will handle permissions and roles)
-        await connection.query(
-            'DELETE FROM users WHERE id = ?',
-            [user.id]
-        );
-
-        // Commit transaction
-        await connection.commit();
-
-        securityLogger.info('Account deleted by admin', {
-            admin: req.session.username,
-            deletedUser: username
-        });
-
-        res.json({
-            success: true,
-            message: 'Account erfolgreich gelöscht.'
-        });
-    } catch (error) {
-        // Rollback on error
-        if (connection) {
-            await connection.rollback();
-        }
-        logger.error('Error deleting account from database:', { 
-            error: error.message, 
-            username: req.params.username 
-        });
-        res.status(500).json({
-            success: false,
-            error: 'Fehler beim Löschen des Accounts.'
-        });
-    } finally {
-        if (connection) {
-            connection.release();
-        }
+async function isLastWildcardAdmin(user) {
+    if (!hasWildcard(user) || !isAccountActive(user)) {
+        return false;
     }
-});
-
-/**
- * GET /api/admin/roles
- * Get all roles (requires: manage_roles)
- */
-router.get('/roles', requirePermission('manage_roles'), async (req, res) => {
-    try {
-        const pool = getPool();
-        
-        // Get all roles
-        const [roles] = await pool.query(
-            `SELECT id, name, description, created_at AS createdAt, created_by AS createdBy,
-                    updated_at AS updatedAt, updated_by AS updatedBy
-            FROM roles
-            ORDER BY name`
-        );
-
-        // Get permissions for each role
-        for (const role of roles) {
-            const [permRows] = await pool.query(
-                `SELECT p.name
-                FROM role_permissions rp
-                JOIN permissions p ON rp.permission_id = p.id
-                WHERE rp.role_id = ?`,
-                [role.id]
-            );
-            role.permissions = permRows.map(row => row.name);
-        }
 
-        res.json({
-            success: true,
-            roles: roles
-        });
-    } catch (error) {
-        logger.error('Error listing roles from database:', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: 'Fehler beim Laden der Rollen.'
-        });
-    }
-});
+    const pool = getPool();
+    const [wildcardAdmins] = await pool.query(
+        `SELECT COUNT(DISTINCT u.id) AS count
+        FROM users u
+        JOIN user_permissions up ON u.id = up.user_id
+        JOIN permissions p ON up.permission_id = p.id
+        WHERE p.name = '*' AND u.status = 'active'`
+    );
+
+    return wildcardAdmins[0].count <= 1;
+}
+
+// Audit actions of the status changes
+const STATUS_AUDIT_ACTIONS = {
+    active: 'account.reactivate',
+    suspended: 'account.suspend',
+    deactivated: 'account.deactivate'
+};
 
 /**
- * POST /api/admin/roles
- * Create new role (requires: manage_roles)
+ * PUT /api/admin/accounts/:username/status
+ * Team-scoped managers reach members of their teams without administrative permissions
+ * Suspend, deactivate or reactivate an account (requires: manage_accounts)
+ * Suspended and deactivated accounts keep their data, but all sessions are ended
  */
-router.post('/roles',
-    requirePermission('manage_roles'),
+router.put('/accounts/:username/status',
+    requirePermission('manage_accounts', { scoped: true }),
     [
-        body('name').trim().notEmpty().isLength({ min: 3, max: 50 }),
-        body('permissions').isArray(),
-        body('description').optional().trim()
+        body('status').isIn(ACCOUNT_STATUSES).withMessage('Ungültiger Status')
     ],
     async (req, res) => {
         let connection;
-        
+
         try {
-            connection = await getPool().getConnection();
-            
-            // Validate input
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Ungültige Eingabe',
+                    error: 'Ungültiger Status',
                     errors: errors.array()
                 });
             }
-            
-            const { name, permissions, description } = req.body;
-            
-            // Generate unique role ID
-            const roleId = `role-${crypto.randomBytes(8).toString('hex')}`;
 
-            // Start transaction
+            const { username } = req.params;
+            const { status } = req.body;
+
+            const user = await getUserByUsername(username);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Account nicht gefunden.'
+                });
+            }
+
+            if (!await canManageAccount(req, user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: OUT_OF_SCOPE_ERROR
+                });
+            }
+
+            // Prevent locking out the own account
+            if (username === req.session.username) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Sie können den Status Ihres eigenen Accounts nicht ändern.'
+                });
+            }
+
+            if (user.status === status) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Der Account hat bereits diesen Status.'
+                });
+            }
+
+            if (status !== 'active' && await isLastWildcardAdmin(user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Der letzte Administrator mit Wildcard-Berechtigung kann nicht gesperrt oder deaktiviert werden.'
+                });
+            }
+
+            connection = await getPool().getConnection();
             await connection.beginTransaction();
 
-            // Insert role
+            // Reactivating an expired account removes the passed expiry date
             await connection.query(
-                `INSERT INTO roles (id, name, description, created_by)
-                VALUES (?, ?, ?, ?)`,
-                [roleId, name.trim(), description || null, req.session.username]
+                `UPDATE users
+                SET status = ?, deactivated_at = ${status === 'active' ? 'NULL' : 'NOW()'}, updated_at = NOW()
+                    ${status === 'active' ? ', expires_at = IF(expires_at <= NOW(), NULL, expires_at)' : ''}
+                WHERE id = ?`,
+                [status, user.id]
             );
 
-            // Insert role permissions
-            if (permissions && permissions.length > 0) {
-                for (const permName of permissions) {
-                    const [permRows] = await connection.query(
-                        'SELECT id FROM permissions WHERE name = ? LIMIT 1',
-                        [permName]
-                    );
-                    
-                    if (permRows.length > 0) {
-                        await connection.query(
-                            'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
-                            [roleId, permRows[0].id]
-                        );
-                    }
-                }
+            // Running sessions of the account end immediately
+            if (status !== 'active') {
+                await bumpSessionVersion(connection, user.id);
             }
 
-            // Commit transaction
             await connection.commit();
 
-            securityLogger.info('Role created by admin', {
+            let terminatedSessions = 0;
+            if (status !== 'active') {
+                terminatedSessions = await revokeUserSessions(req.sessionStore, user.id);
+            }
+
+            securityLogger.info('Account status changed by admin', {
                 admin: req.session.username,
-                roleId,
-                roleName: name,
-                permissions
+                targetUser: username,
+                previousStatus: user.status,
+                status,
+                terminatedSessions
+            });
+
+            await recordAuditEvent(req, {
+                action: STATUS_AUDIT_ACTIONS[status],
+                targetType: 'user',
+                targetId: username,
+                before: { status: user.status },
+                after: { status, terminatedSessions }
             });
 
+            const messages = {
+                active: 'Account wurde reaktiviert.',
+                suspended: 'Account wurde gesperrt.',
+                deactivated: 'Account wurde deaktiviert.'
+            };
+
             res.json({
                 success: true,
-                message: 'Rolle erfolgreich erstellt.',
-                role: {
-                    id: roleId,
-                    name: name.trim(),
-                    description: description || null,
-                    permissions: permissions || [],
-                    createdBy: req.session.username
-                }
+                message: messages[status]
             });
         } catch (error) {
-            // Rollback on error
             if (connection) {
                 await connection.rollback();
             }
-            logger.error('Error creating role in database:', { error: error.message });
+            logger.error('Error changing account status:', {
+                error: error.message,
+                username: req.params.username
+            });
             res.status(500).json({
                 success: false,
-                error: 'Fehler beim Erstellen der Rolle.'
+                error: 'Fehler beim Ändern des Account-Status.'
             });
         } finally {
             if (connection) {
@@ -669,130 +1247,107 @@ router.post('/roles',
 );
 
 /**
- * PUT /api/admin/roles/:id
- * Update role (requires: manage_roles)
+ * DELETE /api/admin/accounts/:username
+ * Permanently purge a suspended or deactivated account with all its data (requires: manage_accounts)
+ * The username has to be repeated in the body (confirmUsername) as explicit confirmation
+ * Team-scoped managers reach members of their teams without administrative permissions
  */
-router.put('/roles/:id',
-    requirePermission('manage_roles'),
+router.delete('/accounts/:username',
+    requirePermission('manage_accounts', { scoped: true }),
     [
-        body('name').optional().trim().isLength({ min: 3, max: 50 }),
-        body('permissions').optional().isArray(),
-        body('description').optional().trim()
+        body('confirmUsername').isString()
     ],
     async (req, res) => {
         let connection;
-        
+
         try {
-            connection = await getPool().getConnection();
-            
-            // Validate input
+            const { username } = req.params;
+
             const errors = validationResult(req);
-            if (!errors.isEmpty()) {
+            if (!errors.isEmpty() || req.body.confirmUsername !== username) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Ungültige Eingabe',
-                    errors: errors.array()
+                    error: 'Bitte bestätigen Sie das endgültige Löschen durch Eingabe des Benutzernamens.'
                 });
             }
-            
-            const { id } = req.params;
-            const { name, permissions, description } = req.body;
-
-            // Start transaction
-            await connection.beginTransaction();
 
-            // Check if role exists
-            const [existingRole] = await connection.query(
-                'SELECT id FROM roles WHERE id = ? LIMIT 1',
-                [id]
-            );
-
-            if (existingRole.length === 0) {
-                if (connection) {
-                    await connection.rollback();
-                }
+            // Check if user exists
+            const user = await getUserByUsername(username);
+            if (!user) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Rolle nicht gefunden.'
+                    error: 'Account nicht gefunden.'
                 });
             }
 
-            // Build UPDATE query
-            const updates = [];
-            const values = [];
-
-            if (name !== undefined) {
-                updates.push('name = ?');
-                values.push(name);
-            }
-            if (description !== undefined) {
-                updates.push('description = ?');
-                values.push(description);
+            if (!await canManageAccount(req, user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: OUT_OF_SCOPE_ERROR
+                });
             }
 
-            // Always update timestamp and updater
-            updates.push('updated_at = CURRENT_TIMESTAMP');
-            updates.push('updated_by = ?');
-            values.push(req.session.username);
+            // Prevent deleting own account
+            if (username === req.session.username) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Sie können Ihren eigenen Account nicht löschen.'
+                });
+            }
 
-            // Update role if there are changes
-            if (updates.length > 2) { // More than just timestamp and updater
-                values.push(id);
-                await connection.query(
-                    `UPDATE roles SET ${updates.join(', ')} WHERE id = ?`,
-                    values
-                );
+            // Active accounts have to be suspended or deactivated first
+            if (isAccountActive(user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Nur gesperrte oder deaktivierte Accounts können endgültig gelöscht werden.'
+                });
             }
 
-            // Update permissions if provided
-            if (permissions !== undefined) {
-                // Delete existing permissions
-                await connection.query(
-                    'DELETE FROM role_permissions WHERE role_id = ?',
-                    [id]
-                );
+            connection = await getPool().getConnection();
 
-                // Insert new permissions
-                for (const permName of permissions) {
-                    const [permRows] = await connection.query(
-                        'SELECT id FROM permissions WHERE name = ? LIMIT 1',
-                        [permName]
-                    );
-                    
-                    if (permRows.length > 0) {
-                        await connection.query(
-                            'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
-                            [id, permRows[0].id]
-                        );
-                    }
-                }
-            }
+            // Start transaction
+            await connection.beginTransaction();
+
+            // Delete user (CASCADE will handle permissions, roles and absences)
+            await connection.query(
+                'DELETE FROM users WHERE id = ?',
+                [user.id]
+            );
 
             // Commit transaction
             await connection.commit();
 
-            securityLogger.info('Role updated by admin', {
+            // End sessions that survived the deactivation (e.g. missing in the registry)
+            await revokeUserSessions(req.sessionStore, user.id);
+
+            securityLogger.warn('Account purged by admin', {
                 admin: req.session.username,
-                roleId: id,
-                updates: { name, permissions, description }
+                deletedUser: username
+            });
+
+            await recordAuditEvent(req, {
+                action: 'account.purge',
+                targetType: 'user',
+                targetId: username,
+                before: accountSnapshot(user)
             });
 
             res.json({
                 success: true,
-                message: 'Rolle erfolgreich aktualisiert.'
+                message: 'Account endgültig gelöscht.'
             });
         } catch (error) {
             // Rollback on error
             if (connection) {
                 await connection.rollback();
             }
-            logger.error('Error updating role in database:', { 
-                error: error.message, 
-                roleId: req.params.id 
+            logger.error('Error purging account from database:', {
+                error: error.message,
+                username: req.params.username
             });
             res.status(500).json({
                 success: false,
-                error: 'Fehler beim Aktualisieren der Rolle.'
+                error: 'Fehler beim Löschen des Accounts.'
             });
         } finally {
             if (connection) {
@@ -803,269 +1358,1525 @@ router.put('/roles/:id',
 );
 
 /**
- * DELETE /api/admin/roles/:id
- * Delete role (requires: manage_roles)
+ * DELETE /api/admin/accounts/:username/sessions
+ * Terminate all sessions of an account (requires: manage_accounts, also team-scoped)
  */
-router.delete('/roles/:id', requirePermission('manage_roles'), async (req, res) => {
-    let connection;
-    
+router.delete('/accounts/:username/sessions', requirePermission('manage_accounts', { scoped: true }), async (req, res) => {
     try {
-        connection = await getPool().getConnection();
-        
-        const { id } = req.params;
-        const pool = getPool();
-        
-        // Check if role is in use
-        const [usersWithRole] = await pool.query(
-            `SELECT COUNT(*) AS count
-            FROM user_roles
-            WHERE role_id = ?`,
-            [id]
-        );
+        const { username } = req.params;
 
-        if (usersWithRole[0].count > 0) {
-            return res.status(400).json({
+        const user = await getUserByUsername(username);
+        if (!user) {
+            return res.status(404).json({
                 success: false,
-                error: `Diese Rolle wird noch von ${usersWithRole[0].count} Benutzer(n) verwendet und kann nicht gelöscht werden.`
+                error: 'Account nicht gefunden.'
             });
         }
 
-        // Start transaction
-        await connection.beginTransaction();
-
-        // Delete role (CASCADE will handle permissions)
-        const [result] = await connection.query(
-            'DELETE FROM roles WHERE id = ?',
-            [id]
-        );
-
-        if (result.affectedRows === 0) {
-            if (connection) {
-                await connection.rollback();
-            }
-            return res.status(404).json({
+        if (!await canManageAccount(req, user)) {
+            return res.status(403).json({
                 success: false,
-                error: 'Rolle nicht gefunden.'
+                error: OUT_OF_SCOPE_ERROR
             });
         }
 
-        // Commit transaction
-        await connection.commit();
+        // Invalidate all sessions of the user, including ones missing in the store scan
+        const sessionVersion = await bumpSessionVersion(getPool(), user.id);
 
-        securityLogger.info('Role deleted by admin', {
+        // The admin's own current session is kept
+        if (user.id === req.session.userId) {
+            req.session.sessionVersion = sessionVersion;
+        }
+        const count = await revokeUserSessions(req.sessionStore, user.id, req.sessionID);
+
+        securityLogger.info('All sessions terminated by admin', {
             admin: req.session.username,
-            roleId: id
+            targetUser: username,
+            count
+        });
+
+        await recordAuditEvent(req, {
+            action: 'account.sessions_terminate',
+            targetType: 'user',
+            targetId: username,
+            after: { terminatedSessions: count }
         });
 
         res.json({
             success: true,
-            message: 'Rolle erfolgreich gelöscht.'
+            message: `${count} Sitzung(en) beendet.`,
+            count
         });
     } catch (error) {
-        // Rollback on error
-        if (connection) {
-            await connection.rollback();
-        }
-        logger.error('Error deleting role from database:', { 
-            error: error.message, 
-            roleId: req.params.id 
+        logger.error('Error terminating sessions:', {
+            error: error.message,
+            username: req.params.username
         });
         res.status(500).json({
             success: false,
-            error: 'Fehler beim Löschen der Rolle.'
+            error: 'Fehler beim Beenden der Sitzungen.'
         });
-    } finally {
-        if (connection) {
-            connection.release();
-        }
     }
 });
 
 /**
- * GET /api/admin/registration-requests
- * List all registration requests (requires: handle_requests or manage_accounts)
+ * POST /api/admin/sessions/invalidate-all
+ * Sign out all users, e.g. after a security incident (requires: manage_accounts)
  */
-router.get('/registration-requests', requirePermission(['handle_requests', 'manage_accounts']), async (req, res) => {
+router.post('/sessions/invalidate-all', requirePermission('manage_accounts'), async (req, res) => {
     try {
-        const pool = getPool();
-        
-        // Get all registration requests (no password hashes)
-        const [requests] = await pool.query(
-            `SELECT id, username, email, status, created_at AS createdAt, ip,
-                    rejection_reason AS rejectionReason, rejected_at AS rejectedAt,
-                    rejected_by AS rejectedBy
-            FROM registration_requests
-            ORDER BY created_at DESC`
-        );
+        const count = await bumpAllSessionVersions();
 
-        res.json({
-            success: true,
-            requests: requests
-        });
-    } catch (error) {
-        logger.error('Error listing registration requests from database:', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: 'Fehler beim Laden der Registrierungsanfragen.'
+        // The admin's own current session is kept
+        req.session.sessionVersion = await getSessionVersion(req.session.userId);
+        await getPool().query('DELETE FROM user_sessions WHERE session_id <> ?', [req.sessionID]);
+
+        securityLogger.warn('All sessions invalidated by admin', {
+            admin: req.session.username,
+            users: count,
+            ip: req.ip
         });
-    }
-});
 
-/**
- * GET /api/admin/registration-requests/count
- * Get count of pending registration requests (requires: handle_requests or manage_accounts)
- */
-router.get('/registration-requests/count', requirePermission(['handle_requests', 'manage_accounts']), async (req, res) => {
-    try {
-        const pool = getPool();
-        
-        const [result] = await pool.query(
-            `SELECT COUNT(*) AS count
-            FROM registration_requests
-            WHERE status = 'pending'`
-        );
+        await recordAuditEvent(req, {
+            action: 'sessions.invalidate_all',
+            targetType: 'system',
+            after: { users: count }
+        });
 
         res.json({
             success: true,
-            count: result[0].count
+            message: 'Alle Benutzer wurden abgemeldet.'
         });
     } catch (error) {
-        logger.error('Error getting registration requests count from database:', { error: error.message });
+        logger.error('Error invalidating all sessions:', { error: error.message });
         res.status(500).json({
             success: false,
-            error: 'Fehler beim Zählen der Anfragen.'
+            error: 'Fehler beim Abmelden aller Benutzer.'
         });
     }
 });
 
 /**
- * POST /api/admin/registration-requests/:id/approve
- * Approve a registration request (requires: handle_requests or manage_accounts)
+ * Loads a role with its permissions for the audit log
+ * @param {Object} connection - MySQL connection or pool
+ * @param {string} id - Role ID
+ * @returns {Promise<Object|null>} { id, name, description, require2fa, permissions } or null
  */
-router.post('/registration-requests/:id/approve', requirePermission(['handle_requests', 'manage_accounts']), async (req, res) => {
-    let connection;
-    
-    try {
-        connection = await getPool().getConnection();
-        
-        const { id } = req.params;
-        const pool = getPool();
-        
-        // Find the request
-        const [requests] = await pool.query(
-            `SELECT id, username, email, password_hash AS passwordHash, status
-            FROM registration_requests
-            WHERE id = ?
-            LIMIT 1`,
-            [id]
-        );
+async function getRoleSnapshot(connection, id) {
+    const [rows] = await connection.query(
+        'SELECT id, name, description, require_2fa AS require2fa FROM roles WHERE id = ? LIMIT 1',
+        [id]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
 
-        if (requests.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Registrierungsanfrage nicht gefunden.'
-            });
-        }
+    const [permRows] = await connection.query(
+        `SELECT p.name
+        FROM role_permissions rp
+        JOIN permissions p ON rp.permission_id = p.id
+        WHERE rp.role_id = ?`,
+        [id]
+    );
+
+    return {
+        ...rows[0],
+        require2fa: !!rows[0].require2fa,
+        permissions: permRows.map(row => row.name),
+        parents: await getParentRoleIds(connection, id)
+    };
+}
 
-        const request = requests[0];
+/**
+ * Gets the IDs of the roles a role directly inherits from
+ * @param {Object} connection - MySQL connection or pool
+ * @param {string} id - Role ID
+ * @returns {Promise<string[]>} Parent role IDs
+ */
+async function getParentRoleIds(connection, id) {
+    const [rows] = await connection.query(
+        'SELECT parent_role_id AS parentId FROM role_parents WHERE role_id = ? ORDER BY parent_role_id',
+        [id]
+    );
+    return rows.map(row => row.parentId);
+}
 
-        if (request.status !== 'pending') {
-            return res.status(400).json({
-                success: false,
-                error: 'Diese Anfrage wurde bereits bearbeitet.'
-            });
-        }
+/**
+ * Checks the parent roles of a role before saving
+ * @param {Object} connection - MySQL connection (inside the caller's transaction)
+ * @param {string|null} roleId - Role ID, or null for a new role (cannot be part of a cycle yet)
+ * @param {string[]} parents - Parent role IDs
+ * @returns {Promise<string|null>} Error message, or null if the parents are valid
+ */
+async function validateRoleParents(connection, roleId, parents) {
+    const parentIds = [...new Set(parents)];
 
-        // Check if username already exists (in case it was created in the meantime)
-        const existingUser = await getUserByUsername(request.username);
-        if (existingUser) {
-            return res.status(409).json({
-                success: false,
-                error: 'Benutzername ist bereits vergeben.'
-            });
+    if (parentIds.length > 0) {
+        const [rows] = await connection.query(
+            'SELECT id FROM roles WHERE id IN (?)',
+            [parentIds]
+        );
+        if (rows.length !== parentIds.length) {
+            return 'Unbekannte übergeordnete Rolle.';
         }
+    }
 
-        // Start transaction
-        await connection.beginTransaction();
+    if (roleId && await wouldCreateRoleCycle(roleId, parentIds, connection)) {
+        return 'Die Rolle würde dadurch von sich selbst erben (Zyklus in der Rollenhierarchie).';
+    }
 
-        // Create user account
-        const [result] = await connection.query(
-            `INSERT INTO users (username, email, password_hash, role, created_by)
-            VALUES (?, ?, ?, 'user', ?)`,
-            [request.username, request.email, request.passwordHash, req.session.username]
-        );
+    return null;
+}
 
-        // Delete the registration request
+/**
+ * Replaces the parent roles of a role
+ * @param {Object} connection - MySQL connection (inside the caller's transaction)
+ * @param {string} roleId - Role ID
+ * @param {string[]} parents - Parent role IDs (validated with validateRoleParents)
+ * @returns {Promise<void>}
+ */
+async function setRoleParents(connection, roleId, parents) {
+    await connection.query(
+        'DELETE FROM role_parents WHERE role_id = ?',
+        [roleId]
+    );
+
+    for (const parentId of new Set(parents)) {
         await connection.query(
-            'DELETE FROM registration_requests WHERE id = ?',
-            [id]
+            'INSERT INTO role_parents (role_id, parent_role_id) VALUES (?, ?)',
+            [roleId, parentId]
         );
+    }
+}
 
-        // Commit transaction
-        await connection.commit();
+// Names of admin-defined permissions (lower case, as used in requirePermission)
+const PERMISSION_NAME_PATTERN = /^[a-z][a-z0-9_]{2,49}$/;
 
-        securityLogger.info('Registration request approved', {
-            admin: req.session.username,
-            requestId: id,
-            username: request.username
-        });
+// Input of permission create and update
+const permissionValidation = [
+    body('label').optional().trim().isLength({ min: 2, max: 100 }),
+    body('category').optional({ nullable: true }).trim().isLength({ max: 50 }),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 500 })
+];
+
+/**
+ * Finds a permission of the registry by name
+ * @param {string} name - Permission name
+ * @returns {Promise<Object|undefined>} Registry entry
+ */
+async function findRegisteredPermission(name) {
+    return (await getPermissionRegistry()).find(permission => permission.name === name);
+}
 
+/**
+ * GET /api/admin/permissions
+ * Get the permission registry with category and label (requires: manage_roles, manage_accounts or view_accounts)
+ * scopablePermissions lists the permissions that can be granted for teams
+ */
+router.get('/permissions', requirePermission(['manage_roles', 'manage_accounts', 'view_accounts']), async (req, res) => {
+    try {
         res.json({
             success: true,
-            message: 'Registrierungsanfrage erfolgreich genehmigt.'
+            permissions: await getPermissionRegistry(),
+            scopablePermissions: SCOPABLE_PERMISSIONS
         });
     } catch (error) {
-        // Rollback on error
-        if (connection) {
-            await connection.rollback();
-        }
-        logger.error('Error approving registration request in database:', { 
-            error: error.message, 
-            requestId: req.params.id 
-        });
+        logger.error('Error loading permission registry from database:', { error: error.message });
         res.status(500).json({
             success: false,
-            error: 'Fehler beim Genehmigen der Anfrage.'
+            error: 'Fehler beim Laden der Berechtigungen.'
         });
-    } finally {
-        if (connection) {
-            connection.release();
-        }
     }
 });
 
 /**
- * POST /api/admin/registration-requests/:id/reject
- * Reject a registration request (requires: handle_requests or manage_accounts)
+ * POST /api/admin/permissions
+ * Add a custom permission for a new module (requires: manage_roles)
  */
-router.post('/registration-requests/:id/reject',
-    requirePermission(['handle_requests', 'manage_accounts']),
+router.post('/permissions',
+    requirePermission('manage_roles'),
     [
-        body('reason').optional().trim().isLength({ max: 500 })
+        body('name').trim().matches(PERMISSION_NAME_PATTERN),
+        body('label').trim().notEmpty(),
+        ...permissionValidation
     ],
     async (req, res) => {
         try {
-            // Validate input
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Ungültige Eingabe',
+                    error: 'Ungültige Eingabe. Der Name darf nur Kleinbuchstaben, Ziffern und _ enthalten (3-50 Zeichen).',
                     errors: errors.array()
                 });
             }
-            
-            const { id } = req.params;
-            const { reason } = req.body;
-            const pool = getPool();
 
-            // Update request status
-            const [result] = await pool.query(
-                `UPDATE registration_requests
-                SET status = 'rejected',
-                    rejected_at = CURRENT_TIMESTAMP,
-                    rejected_by = ?,
-                    rejection_reason = ?
+            const { name, label, category, description } = req.body;
+
+            await getPool().query(
+                'INSERT INTO permissions (name, label, category, description, is_system, created_by) VALUES (?, ?, ?, ?, FALSE, ?)',
+                [name, label, category || null, description || null, req.session.username]
+            );
+            invalidatePermissionRegistry();
+
+            securityLogger.info('Permission created by admin', {
+                admin: req.session.username,
+                permission: name
+            });
+
+            await recordAuditEvent(req, {
+                action: 'permission.create',
+                targetType: 'permission',
+                targetId: name,
+                after: await findRegisteredPermission(name)
+            });
+
+            res.json({
+                success: true,
+                message: 'Berechtigung erfolgreich erstellt.'
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Eine Berechtigung mit diesem Namen existiert bereits.'
+                });
+            }
+            logger.error('Error creating permission in database:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Erstellen der Berechtigung.'
+            });
+        }
+    }
+);
+
+/**
+ * PUT /api/admin/permissions/:name
+ * Update label, category and description of a custom permission (requires: manage_roles)
+ */
+router.put('/permissions/:name',
+    requirePermission('manage_roles'),
+    [
+        param('name').trim().notEmpty(),
+        ...permissionValidation
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const { name } = req.params;
+            const { label, category, description } = req.body;
+            const existing = await findRegisteredPermission(name);
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Berechtigung nicht gefunden.'
+                });
+            }
+            if (existing.system) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Systemberechtigungen können nicht geändert werden.'
+                });
+            }
+
+            await getPool().query(
+                'UPDATE permissions SET label = ?, category = ?, description = ? WHERE name = ?',
+                [
+                    label !== undefined ? label : existing.label,
+                    category !== undefined ? category || null : existing.category,
+                    description !== undefined ? description || null : existing.description,
+                    name
+                ]
+            );
+            invalidatePermissionRegistry();
+
+            securityLogger.info('Permission updated by admin', {
+                admin: req.session.username,
+                permission: name,
+                updates: Object.keys(req.body)
+            });
+
+            await recordAuditEvent(req, {
+                action: 'permission.update',
+                targetType: 'permission',
+                targetId: name,
+                before: existing,
+                after: await findRegisteredPermission(name)
+            });
+
+            res.json({
+                success: true,
+                message: 'Berechtigung erfolgreich aktualisiert.'
+            });
+        } catch (error) {
+            logger.error('Error updating permission in database:', { error: error.message, permission: req.params.name });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Aktualisieren der Berechtigung.'
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/admin/permissions/:name
+ * Delete a custom permission that is no longer granted to roles, users or teams (requires: manage_roles)
+ */
+router.delete('/permissions/:name', requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const existing = await findRegisteredPermission(name);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Berechtigung nicht gefunden.'
+            });
+        }
+        if (existing.system) {
+            return res.status(400).json({
+                success: false,
+                error: 'Systemberechtigungen können nicht gelöscht werden.'
+            });
+        }
+
+        // Grants would silently disappear otherwise
+        const pool = getPool();
+        const [usage] = await pool.query(
+            `SELECT
+                (SELECT COUNT(*) FROM role_permissions rp WHERE rp.permission_id = p.id) AS roleCount,
+                (SELECT COUNT(DISTINCT up.user_id) FROM user_permissions up WHERE up.permission_id = p.id)
+                    + (SELECT COUNT(DISTINCT utp.user_id) FROM user_team_permissions utp WHERE utp.permission_id = p.id) AS userCount
+            FROM permissions p
+            WHERE p.name = ?`,
+            [name]
+        );
+
+        if (usage[0].roleCount > 0 || usage[0].userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Diese Berechtigung ist noch ${usage[0].roleCount} Rolle(n) und ${usage[0].userCount} Benutzer(n) zugewiesen und kann nicht gelöscht werden.`
+            });
+        }
+
+        await pool.query('DELETE FROM permissions WHERE name = ? AND is_system = FALSE', [name]);
+        invalidatePermissionRegistry();
+
+        securityLogger.info('Permission deleted by admin', {
+            admin: req.session.username,
+            permission: name
+        });
+
+        await recordAuditEvent(req, {
+            action: 'permission.delete',
+            targetType: 'permission',
+            targetId: name,
+            before: existing
+        });
+
+        res.json({
+            success: true,
+            message: 'Berechtigung erfolgreich gelöscht.'
+        });
+    } catch (error) {
+        logger.error('Error deleting permission from database:', { error: error.message, permission: req.params.name });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Löschen der Berechtigung.'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/roles
+ * Get all roles with their parent roles and inherited permissions (requires: manage_roles)
+ */
+router.get('/roles', requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const pool = getPool();
+        
+        // Get all roles
+        const [roles] = await pool.query(
+            `SELECT id, name, description, require_2fa AS require2fa,
+                    created_at AS createdAt, created_by AS createdBy,
+                    updated_at AS updatedAt, updated_by AS updatedBy
+            FROM roles
+            ORDER BY name`
+        );
+
+        // Get permissions for each role
+        for (const role of roles) {
+            role.require2fa = !!role.require2fa;
+            const [permRows] = await pool.query(
+                `SELECT p.name
+                FROM role_permissions rp
+                JOIN permissions p ON rp.permission_id = p.id
+                WHERE rp.role_id = ?`,
+                [role.id]
+            );
+            role.permissions = permRows.map(row => row.name);
+            role.parents = await getParentRoleIds(pool, role.id);
+
+            // Permissions from parent roles that the role does not grant itself
+            const allPermissions = await getRolePermissions(role.id);
+            role.inheritedPermissions = allPermissions.filter(perm => !role.permissions.includes(perm));
+        }
+
+        res.json({
+            success: true,
+            roles: roles
+        });
+    } catch (error) {
+        logger.error('Error listing roles from database:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Rollen.'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/roles
+ * Create new role (requires: manage_roles)
+ * Optional parents: IDs of roles whose permissions the new role inherits
+ */
+router.post('/roles',
+    requirePermission('manage_roles'),
+    [
+        body('name').trim().notEmpty().isLength({ min: 3, max: 50 }),
+        body('permissions').isArray(),
+        body('parents').optional().isArray(),
+        body('parents.*').isString(),
+        body('description').optional().trim(),
+        body('require2fa').optional().isBoolean()
+    ],
+    async (req, res) => {
+        let connection;
+        
+        try {
+            connection = await getPool().getConnection();
+            
+            // Validate input
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+            
+            const { name, permissions, description, require2fa } = req.body;
+            const parents = req.body.parents || [];
+            
+            // Generate unique role ID
+            const roleId = `role-${crypto.randomBytes(8).toString('hex')}`;
+
+            // Start transaction
+            await connection.beginTransaction();
+
+            const parentError = await validateRoleParents(connection, null, parents);
+            if (parentError) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: parentError
+                });
+            }
+
+            // Insert role
+            await connection.query(
+                `INSERT INTO roles (id, name, description, require_2fa, created_by)
+                VALUES (?, ?, ?, ?, ?)`,
+                [roleId, name.trim(), description || null, !!require2fa, req.session.username]
+            );
+
+            // Insert role permissions
+            if (permissions && permissions.length > 0) {
+                for (const permName of permissions) {
+                    const [permRows] = await connection.query(
+                        'SELECT id FROM permissions WHERE name = ? LIMIT 1',
+                        [permName]
+                    );
+                    
+                    if (permRows.length > 0) {
+                        await connection.query(
+                            'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                            [roleId, permRows[0].id]
+                        );
+                    }
+                }
+            }
+
+            await setRoleParents(connection, roleId, parents);
+
+            // Commit transaction
+            await connection.commit();
+
+            securityLogger.info('Role created by admin', {
+                admin: req.session.username,
+                roleId,
+                roleName: name,
+                permissions,
+                parents,
+                require2fa: !!require2fa
+            });
+
+            await recordAuditEvent(req, {
+                action: 'role.create',
+                targetType: 'role',
+                targetId: roleId,
+                after: await getRoleSnapshot(getPool(), roleId)
+            });
+
+            res.json({
+                success: true,
+                message: 'Rolle erfolgreich erstellt.',
+                role: {
+                    id: roleId,
+                    name: name.trim(),
+                    description: description || null,
+                    require2fa: !!require2fa,
+                    permissions: permissions || [],
+                    parents,
+                    createdBy: req.session.username
+                }
+            });
+        } catch (error) {
+            // Rollback on error
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Error creating role in database:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Erstellen der Rolle.'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * PUT /api/admin/roles/:id
+ * Update role (requires: manage_roles)
+ * Parent roles that would make the role inherit from itself are rejected
+ */
+router.put('/roles/:id',
+    requirePermission('manage_roles'),
+    [
+        body('name').optional().trim().isLength({ min: 3, max: 50 }),
+        body('permissions').optional().isArray(),
+        body('parents').optional().isArray(),
+        body('parents.*').isString(),
+        body('description').optional().trim(),
+        body('require2fa').optional().isBoolean()
+    ],
+    async (req, res) => {
+        let connection;
+        
+        try {
+            connection = await getPool().getConnection();
+            
+            // Validate input
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+            
+            const { id } = req.params;
+            const { name, permissions, parents, description, require2fa } = req.body;
+
+            // Start transaction
+            await connection.beginTransaction();
+
+            // Check if role exists
+            const existingRole = await getRoleSnapshot(connection, id);
+
+            if (!existingRole) {
+                if (connection) {
+                    await connection.rollback();
+                }
+                return res.status(404).json({
+                    success: false,
+                    error: 'Rolle nicht gefunden.'
+                });
+            }
+
+            if (parents !== undefined) {
+                const parentError = await validateRoleParents(connection, id, parents);
+                if (parentError) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: parentError
+                    });
+                }
+            }
+
+            // Build UPDATE query
+            const updates = [];
+            const values = [];
+
+            if (name !== undefined) {
+                updates.push('name = ?');
+                values.push(name);
+            }
+            if (description !== undefined) {
+                updates.push('description = ?');
+                values.push(description);
+            }
+            if (require2fa !== undefined) {
+                updates.push('require_2fa = ?');
+                values.push(!!require2fa);
+            }
+
+            // Always update timestamp and updater
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            updates.push('updated_by = ?');
+            values.push(req.session.username);
+
+            // Update role if there are changes
+            if (updates.length > 2) { // More than just timestamp and updater
+                values.push(id);
+                await connection.query(
+                    `UPDATE roles SET ${updates.join(', ')} WHERE id = ?`,
+                    values
+                );
+            }
+
+            // Update permissions if provided
+            if (permissions !== undefined) {
+                // Delete existing permissions
+                await connection.query(
+                    'DELETE FROM role_permissions WHERE role_id = ?',
+                    [id]
+                );
+
+                // Insert new permissions
+                for (const permName of permissions) {
+                    const [permRows] = await connection.query(
+                        'SELECT id FROM permissions WHERE name = ? LIMIT 1',
+                        [permName]
+                    );
+                    
+                    if (permRows.length > 0) {
+                        await connection.query(
+                            'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                            [id, permRows[0].id]
+                        );
+                    }
+                }
+            }
+
+            // Update parent roles if provided
+            if (parents !== undefined) {
+                await setRoleParents(connection, id, parents);
+            }
+
+            // Commit transaction
+            await connection.commit();
+
+            securityLogger.info('Role updated by admin', {
+                admin: req.session.username,
+                roleId: id,
+                updates: { name, permissions, parents, description, require2fa }
+            });
+
+            await recordAuditEvent(req, {
+                action: 'role.update',
+                targetType: 'role',
+                targetId: id,
+                before: existingRole,
+                after: await getRoleSnapshot(getPool(), id)
+            });
+
+            res.json({
+                success: true,
+                message: 'Rolle erfolgreich aktualisiert.'
+            });
+        } catch (error) {
+            // Rollback on error
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Error updating role in database:', { 
+                error: error.message, 
+                roleId: req.params.id 
+            });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Aktualisieren der Rolle.'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * DELETE /api/admin/roles/:id
+ * Delete role (requires: manage_roles)
+ */
+router.delete('/roles/:id', requirePermission('manage_roles'), async (req, res) => {
+    let connection;
+    
+    try {
+        connection = await getPool().getConnection();
+        
+        const { id } = req.params;
+        const pool = getPool();
+        
+        // Check if role is in use
+        const [usersWithRole] = await pool.query(
+            `SELECT COUNT(*) AS count
+            FROM user_roles
+            WHERE role_id = ?`,
+            [id]
+        );
+
+        if (usersWithRole[0].count > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Diese Rolle wird noch von ${usersWithRole[0].count} Benutzer(n) verwendet und kann nicht gelöscht werden.`
+            });
+        }
+
+        // Child roles would silently lose the inherited permissions
+        const [childRoles] = await pool.query(
+            `SELECT COUNT(*) AS count
+            FROM role_parents
+            WHERE parent_role_id = ?`,
+            [id]
+        );
+
+        if (childRoles[0].count > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Von dieser Rolle erben noch ${childRoles[0].count} andere Rolle(n). Entfernen Sie zuerst die Vererbung.`
+            });
+        }
+
+        const role = await getRoleSnapshot(pool, id);
+
+        // Start transaction
+        await connection.beginTransaction();
+
+        // Delete role (CASCADE will handle permissions)
+        const [result] = await connection.query(
+            'DELETE FROM roles WHERE id = ?',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            if (connection) {
+                await connection.rollback();
+            }
+            return res.status(404).json({
+                success: false,
+                error: 'Rolle nicht gefunden.'
+            });
+        }
+
+        // Commit transaction
+        await connection.commit();
+
+        securityLogger.info('Role deleted by admin', {
+            admin: req.session.username,
+            roleId: id
+        });
+
+        await recordAuditEvent(req, {
+            action: 'role.delete',
+            targetType: 'role',
+            targetId: id,
+            before: role
+        });
+
+        res.json({
+            success: true,
+            message: 'Rolle erfolgreich gelöscht.'
+        });
+    } catch (error) {
+        // Rollback on error
+        if (connection) {
+            await connection.rollback();
+        }
+        logger.error('Error deleting role from database:', { 
+            error: error.message, 
+            roleId: req.params.id 
+        });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Löschen der Rolle.'
+        });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+/**
+ * Gets a team with its members
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} id - Team ID
+ * @returns {Promise<Object|null>} { id, name, description, members } or null
+ */
+async function getTeamSnapshot(connection, id) {
+    const [rows] = await connection.query(
+        'SELECT id, name, description FROM teams WHERE id = ? LIMIT 1',
+        [id]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const [memberRows] = await connection.query(
+        `SELECT u.username
+        FROM team_members tm
+        JOIN users u ON tm.user_id = u.id
+        WHERE tm.team_id = ?
+        ORDER BY u.username`,
+        [id]
+    );
+
+    return {
+        ...rows[0],
+        members: memberRows.map(row => row.username)
+    };
+}
+
+/**
+ * Replaces the members of a team
+ * @param {Object} connection - MySQL connection (inside the caller's transaction)
+ * @param {number} teamId - Team ID
+ * @param {string[]} members - Usernames
+ * @returns {Promise<string[]>} Usernames that do not exist (nothing is changed then)
+ */
+async function setTeamMembers(connection, teamId, members) {
+    const usernames = [...new Set(members.map(name => name.trim()).filter(Boolean))];
+    const [userRows] = usernames.length > 0
+        ? await connection.query('SELECT id, username FROM users WHERE username IN (?)', [usernames])
+        : [[]];
+
+    const found = userRows.map(row => row.username.toLowerCase());
+    const unknown = usernames.filter(name => !found.includes(name.toLowerCase()));
+    if (unknown.length > 0) {
+        return unknown;
+    }
+
+    await connection.query(
+        'DELETE FROM team_members WHERE team_id = ?',
+        [teamId]
+    );
+    for (const user of userRows) {
+        await connection.query(
+            'INSERT INTO team_members (team_id, user_id) VALUES (?, ?)',
+            [teamId, user.id]
+        );
+    }
+
+    return [];
+}
+
+// Input of team create and update
+const teamValidation = [
+    body('name').optional().trim().isLength({ min: 2, max: 100 }),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 500 }),
+    body('members').optional().isArray(),
+    body('members.*').isString()
+];
+
+/**
+ * GET /api/admin/teams
+ * Get all teams with their members (requires: manage_accounts or view_accounts)
+ * Team-scoped managers only get their own teams
+ */
+router.get('/teams', requirePermission(['manage_accounts', 'view_accounts'], { scoped: true }), async (req, res) => {
+    try {
+        const pool = getPool();
+        const scope = req.permissionScope;
+        const [teams] = await pool.query(
+            `SELECT id, name, description, created_at AS createdAt, created_by AS createdBy,
+                    updated_at AS updatedAt, updated_by AS updatedBy
+            FROM teams
+            ${scope.all ? '' : 'WHERE id IN (?)'}
+            ORDER BY name`,
+            scope.all ? [] : [scope.teamIds]
+        );
+        const [memberRows] = await pool.query(
+            `SELECT tm.team_id AS teamId, u.username
+            FROM team_members tm
+            JOIN users u ON tm.user_id = u.id
+            ORDER BY u.username`
+        );
+
+        for (const team of teams) {
+            team.members = memberRows
+                .filter(row => row.teamId === team.id)
+                .map(row => row.username);
+        }
+
+        res.json({
+            success: true,
+            teams
+        });
+    } catch (error) {
+        logger.error('Error listing teams from database:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Teams.'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/teams
+ * Create new team (requires: manage_accounts)
+ */
+router.post('/teams',
+    requirePermission('manage_accounts'),
+    [
+        body('name').trim().notEmpty(),
+        ...teamValidation
+    ],
+    async (req, res) => {
+        let connection;
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const { name, description } = req.body;
+            const members = req.body.members || [];
+
+            connection = await getPool().getConnection();
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(
+                'INSERT INTO teams (name, description, created_by) VALUES (?, ?, ?)',
+                [name, description || null, req.session.username]
+            );
+
+            const unknown = await setTeamMembers(connection, result.insertId, members);
+            if (unknown.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `Unbekannte Benutzer: ${unknown.join(', ')}`
+                });
+            }
+
+            await connection.commit();
+
+            securityLogger.info('Team created by admin', {
+                admin: req.session.username,
+                teamId: result.insertId,
+                teamName: name,
+                members
+            });
+
+            await recordAuditEvent(req, {
+                action: 'team.create',
+                targetType: 'team',
+                targetId: result.insertId,
+                after: await getTeamSnapshot(getPool(), result.insertId)
+            });
+
+            res.json({
+                success: true,
+                message: 'Team erfolgreich erstellt.',
+                teamId: result.insertId
+            });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Ein Team mit diesem Namen existiert bereits.'
+                });
+            }
+            logger.error('Error creating team in database:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Erstellen des Teams.'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * PUT /api/admin/teams/:id
+ * Update team name, description and members (requires: manage_accounts)
+ */
+router.put('/teams/:id',
+    requirePermission('manage_accounts'),
+    [
+        param('id').isInt().toInt(),
+        ...teamValidation
+    ],
+    async (req, res) => {
+        let connection;
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const { name, description, members } = req.body;
+
+            connection = await getPool().getConnection();
+            await connection.beginTransaction();
+
+            const existingTeam = await getTeamSnapshot(connection, id);
+            if (!existingTeam) {
+                await connection.rollback();
+                return res.status(404).json({
+                    success: false,
+                    error: 'Team nicht gefunden.'
+                });
+            }
+
+            await connection.query(
+                `UPDATE teams
+                SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP, updated_by = ?
+                WHERE id = ?`,
+                [
+                    name !== undefined ? name : existingTeam.name,
+                    description !== undefined ? description || null : existingTeam.description,
+                    req.session.username,
+                    id
+                ]
+            );
+
+            if (members !== undefined) {
+                const unknown = await setTeamMembers(connection, id, members);
+                if (unknown.length > 0) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unbekannte Benutzer: ${unknown.join(', ')}`
+                    });
+                }
+            }
+
+            await connection.commit();
+
+            securityLogger.info('Team updated by admin', {
+                admin: req.session.username,
+                teamId: id,
+                updates: Object.keys(req.body)
+            });
+
+            await recordAuditEvent(req, {
+                action: 'team.update',
+                targetType: 'team',
+                targetId: id,
+                before: existingTeam,
+                after: await getTeamSnapshot(getPool(), id)
+            });
+
+            res.json({
+                success: true,
+                message: 'Team erfolgreich aktualisiert.'
+            });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Ein Team mit diesem Namen existiert bereits.'
+                });
+            }
+            logger.error('Error updating team in database:', { error: error.message, teamId: req.params.id });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Aktualisieren des Teams.'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * DELETE /api/admin/teams/:id
+ * Delete team; memberships and permissions granted for the team are removed as well (requires: manage_accounts)
+ */
+router.delete('/teams/:id',
+    requirePermission('manage_accounts'),
+    [
+        param('id').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Team-ID'
+                });
+            }
+
+            const { id } = req.params;
+            const pool = getPool();
+            const team = await getTeamSnapshot(pool, id);
+
+            if (!team) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Team nicht gefunden.'
+                });
+            }
+
+            // CASCADE removes memberships and team-scoped permissions
+            await pool.query('DELETE FROM teams WHERE id = ?', [id]);
+
+            securityLogger.info('Team deleted by admin', {
+                admin: req.session.username,
+                teamId: id,
+                teamName: team.name
+            });
+
+            await recordAuditEvent(req, {
+                action: 'team.delete',
+                targetType: 'team',
+                targetId: id,
+                before: team
+            });
+
+            res.json({
+                success: true,
+                message: 'Team erfolgreich gelöscht.'
+            });
+        } catch (error) {
+            logger.error('Error deleting team from database:', { error: error.message, teamId: req.params.id });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Löschen des Teams.'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/admin/registration-requests
+ * List all registration requests (requires: handle_requests or manage_accounts)
+ * Requests with an unconfirmed email address are only included with includeUnverified=true
+ */
+router.get('/registration-requests', requirePermission(['handle_requests', 'manage_accounts']), async (req, res) => {
+    try {
+        const pool = getPool();
+        const includeUnverified = req.query.includeUnverified === 'true';
+        
+        // Get all registration requests (no password hashes or verification tokens)
+        const [requests] = await pool.query(
+            `SELECT id, username, email, status, created_at AS createdAt, ip,
+                    email_verified_at AS emailVerifiedAt,
+                    rejection_reason AS rejectionReason, rejected_at AS rejectedAt,
+                    rejected_by AS rejectedBy
+            FROM registration_requests
+            ${includeUnverified ? '' : "WHERE status <> 'unverified'"}
+            ORDER BY created_at DESC`
+        );
+
+        res.json({
+            success: true,
+            requests: requests
+        });
+    } catch (error) {
+        logger.error('Error listing registration requests from database:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Registrierungsanfragen.'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/registration-requests/count
+ * Get count of pending registration requests (requires: handle_requests or manage_accounts)
+ */
+router.get('/registration-requests/count', requirePermission(['handle_requests', 'manage_accounts']), async (req, res) => {
+    try {
+        const pool = getPool();
+        
+        const [result] = await pool.query(
+            `SELECT COUNT(*) AS count
+            FROM registration_requests
+            WHERE status = 'pending'`
+        );
+
+        res.json({
+            success: true,
+            count: result[0].count
+        });
+    } catch (error) {
+        logger.error('Error getting registration requests count from database:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Zählen der Anfragen.'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/registration-requests/:id/approve
+ * Approve a registration request (requires: handle_requests or manage_accounts)
+ * Optional body: displayName, expiresAt, role, roles and permissions of the new account;
+ * roles and permissions need manage_accounts. Everything is applied in the transaction that creates the user
+ */
+router.post('/registration-requests/:id/approve',
+    requirePermission(['handle_requests', 'manage_accounts']),
+    [
+        body('displayName').optional({ nullable: true }).trim().isLength({ max: 50 }),
+        body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+        body('role').optional({ nullable: true }).trim(),
+        body('permissions').optional().isArray(),
+        body('roles').optional().isArray(),
+        body('roles.*').custom(isRoleAssignment)
+    ],
+    async (req, res) => {
+        let connection;
+        
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            connection = await getPool().getConnection();
+            
+            const { id } = req.params;
+            const { displayName, expiresAt, role, permissions, roles } = req.body;
+            const pool = getPool();
+
+            // Handling requests alone does not allow granting access
+            const approver = await getUserByUsername(req.session.username);
+            const grantsAccess = (!!role && role !== 'user') || (permissions && permissions.length > 0) || (roles && roles.length > 0);
+            if (grantsAccess && !await hasPermission(approver, 'manage_accounts')) {
+                securityLogger.warn('Attempt to assign roles on approval without manage_accounts', {
+                    admin: req.session.username,
+                    requestId: id
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Rollen und Berechtigungen können nur mit der Berechtigung manage_accounts vergeben werden.'
+                });
+            }
+            if (permissions && permissions.includes('*') && !hasWildcard(approver)) {
+                securityLogger.warn('Attempt to assign wildcard without permission', {
+                    admin: req.session.username,
+                    requestId: id
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Nur Benutzer mit Wildcard-Berechtigung können die Wildcard-Berechtigung vergeben.'
+                });
+            }
+            
+            // Find the request
+            const [requests] = await pool.query(
+                `SELECT id, username, email, password_hash AS passwordHash, status
+                FROM registration_requests
+                WHERE id = ?
+                LIMIT 1`,
+                [id]
+            );
+
+            if (requests.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Registrierungsanfrage nicht gefunden.'
+                });
+            }
+
+            const request = requests[0];
+
+            if (request.status === 'unverified') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Die E-Mail-Adresse dieser Anfrage wurde noch nicht bestätigt.'
+                });
+            }
+
+            if (request.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Diese Anfrage wurde bereits bearbeitet.'
+                });
+            }
+
+            // Check if username already exists (in case it was created in the meantime)
+            const existingUser = await getUserByUsername(request.username);
+            if (existingUser) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Benutzername ist bereits vergeben.'
+                });
+            }
+
+            // Start transaction
+            await connection.beginTransaction();
+
+            // Create user account
+            const [result] = await connection.query(
+                `INSERT INTO users (username, email, password_hash, display_name, role, created_by, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [request.username, request.email, request.passwordHash, displayName || null, role || 'user', req.session.username, parseExpiry(expiresAt)]
+            );
+
+            // Direct permissions and role assignments of the new account
+            for (const permName of permissions || []) {
+                const [permRows] = await connection.query(
+                    'SELECT id FROM permissions WHERE name = ? LIMIT 1',
+                    [permName]
+                );
+
+                if (permRows.length > 0) {
+                    await connection.query(
+                        'INSERT INTO user_permissions (user_id, permission_id) VALUES (?, ?)',
+                        [result.insertId, permRows[0].id]
+                    );
+                }
+            }
+
+            if (roles && roles.length > 0) {
+                await setRoleAssignments(connection, result.insertId, roles);
+            }
+
+            // Delete the registration request
+            await connection.query(
+                'DELETE FROM registration_requests WHERE id = ?',
+                [id]
+            );
+
+            // Commit transaction
+            await connection.commit();
+
+            securityLogger.info('Registration request approved', {
+                admin: req.session.username,
+                requestId: id,
+                username: request.username,
+                role: role || 'user',
+                permissions: permissions || [],
+                expiresAt: expiresAt || null
+            });
+
+            await recordAuditEvent(req, {
+                action: 'registration.approve',
+                targetType: 'registration_request',
+                targetId: id,
+                after: {
+                    username: request.username,
+                    userId: result.insertId,
+                    account: accountSnapshot(await getUserByUsername(request.username))
+                }
+            });
+
+            res.json({
+                success: true,
+                message: 'Registrierungsanfrage erfolgreich genehmigt.'
+            });
+        } catch (error) {
+            // Rollback on error
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Error approving registration request in database:', { 
+                error: error.message, 
+                requestId: req.params.id 
+            });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Genehmigen der Anfrage.'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
+/**
+ * POST /api/admin/registration-requests/:id/reject
+ * Reject a registration request (requires: handle_requests or manage_accounts)
+ */
+router.post('/registration-requests/:id/reject',
+    requirePermission(['handle_requests', 'manage_accounts']),
+    [
+        body('reason').optional().trim().isLength({ max: 500 })
+    ],
+    async (req, res) => {
+        try {
+            // Validate input
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+            
+            const { id } = req.params;
+            const { reason } = req.body;
+            const pool = getPool();
+
+            // Update request status
+            const [result] = await pool.query(
+                `UPDATE registration_requests
+                SET status = 'rejected',
+                    rejected_at = CURRENT_TIMESTAMP,
+                    rejected_by = ?,
+                    rejection_reason = ?
                 WHERE id = ?`,
                 [req.session.username, reason || null, id]
             );
@@ -1073,28 +2884,556 @@ router.post('/registration-requests/:id/reject',
             if (result.affectedRows === 0) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Registrierungsanfrage nicht gefunden.'
+                    error: 'Registrierungsanfrage nicht gefunden.'
+                });
+            }
+
+            securityLogger.info('Registration request rejected', {
+                admin: req.session.username,
+                requestId: id,
+                reason: reason || 'No reason provided'
+            });
+
+            await recordAuditEvent(req, {
+                action: 'registration.reject',
+                targetType: 'registration_request',
+                targetId: id,
+                after: { status: 'rejected', reason: reason || null }
+            });
+
+            res.json({
+                success: true,
+                message: 'Registrierungsanfrage erfolgreich abgelehnt.'
+            });
+        } catch (error) {
+            logger.error('Error rejecting registration request in database:', { 
+                error: error.message, 
+                requestId: req.params.id 
+            });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Ablehnen der Anfrage.'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/admin/invitations
+ * List all invitations with their state, inviter and invited account (requires: manage_accounts)
+ */
+router.get('/invitations', requirePermission('manage_accounts'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            inviteOnly: config.registration.inviteOnly,
+            invitations: await listInvitations()
+        });
+    } catch (error) {
+        logger.error('Error listing invitations from database:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Einladungen.'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/invitations
+ * Create a single-use invitation (requires: manage_accounts)
+ * Body: email (optional, the registration must use it), roles (role IDs), expiresAt (optional)
+ * The invitation code is only returned in this response
+ */
+router.post('/invitations',
+    requirePermission('manage_accounts'),
+    [
+        body('email').optional({ nullable: true, checkFalsy: true }).trim().isEmail(),
+        body('roles').optional().isArray(),
+        body('roles.*').isString(),
+        body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const email = req.body.email || null;
+            const roles = [...new Set(req.body.roles || [])];
+            const now = Date.now();
+            const expiresAt = req.body.expiresAt
+                ? parseExpiry(req.body.expiresAt)
+                : new Date(now + config.registration.invitationTtl);
+
+            if (expiresAt.getTime() <= now || expiresAt.getTime() > now + config.registration.maxInvitationTtl) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Das Ablaufdatum muss in der Zukunft und höchstens ${config.registration.maxInvitationTtl / (24 * 60 * 60 * 1000)} Tage entfernt liegen.`
+                });
+            }
+
+            if (roles.length > 0) {
+                const [roleRows] = await getPool().query(
+                    'SELECT id FROM roles WHERE id IN (?)',
+                    [roles]
+                );
+                const unknown = roles.filter(roleId => !roleRows.some(row => row.id === roleId));
+                if (unknown.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unbekannte Rollen: ${unknown.join(', ')}`
+                    });
+                }
+            }
+
+            const { id, token } = await createInvitation({
+                email,
+                roles,
+                expiresAt,
+                createdBy: req.session.username
+            });
+
+            securityLogger.info('Invitation created by admin', {
+                admin: req.session.username,
+                invitationId: id,
+                roles,
+                expiresAt
+            });
+
+            await recordAuditEvent(req, {
+                action: 'invitation.create',
+                targetType: 'invitation',
+                targetId: id,
+                after: { email, roles, expiresAt }
+            });
+
+            res.json({
+                success: true,
+                message: 'Einladung erfolgreich erstellt.',
+                invitationId: id,
+                code: token,
+                link: buildAppUrl(`/?invite=${token}`),
+                expiresAt
+            });
+        } catch (error) {
+            logger.error('Error creating invitation in database:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Erstellen der Einladung.'
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/admin/invitations/:id
+ * Revoke an open invitation (requires: manage_accounts)
+ * Used invitations stay in the list to show who invited whom
+ */
+router.delete('/invitations/:id',
+    requirePermission('manage_accounts'),
+    [
+        param('id').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+
+            if (!await revokeInvitation(id, req.session.username)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Keine offene Einladung gefunden.'
+                });
+            }
+
+            securityLogger.info('Invitation revoked by admin', {
+                admin: req.session.username,
+                invitationId: id
+            });
+
+            await recordAuditEvent(req, {
+                action: 'invitation.revoke',
+                targetType: 'invitation',
+                targetId: id,
+                after: { revokedBy: req.session.username }
+            });
+
+            res.json({
+                success: true,
+                message: 'Einladung erfolgreich widerrufen.'
+            });
+        } catch (error) {
+            logger.error('Error revoking invitation in database:', { error: error.message, invitationId: req.params.id });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Widerrufen der Einladung.'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/admin/login-lockouts
+ * List currently locked usernames and IP addresses (requires: manage_accounts)
+ */
+router.get('/login-lockouts', requirePermission('manage_accounts'), async (req, res) => {
+    try {
+        const lockouts = await loginAttempts.listLockouts();
+
+        res.json({
+            success: true,
+            lockouts
+        });
+    } catch (error) {
+        logger.error('Error listing login lockouts:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Sperren.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/login-lockouts/:type/:identifier
+ * Unlock a username or IP address manually (requires: manage_accounts)
+ */
+router.delete('/login-lockouts/:type/:identifier',
+    requirePermission('manage_accounts'),
+    [
+        param('type').isIn(loginAttempts.IDENTIFIER_TYPES),
+        param('identifier').notEmpty().isLength({ max: 255 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const { type, identifier } = req.params;
+            const removed = await loginAttempts.unlock(type, identifier);
+
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Sperre nicht gefunden.'
+                });
+            }
+
+            securityLogger.info('Login lockout removed by admin', {
+                admin: req.session.username,
+                identifierType: type,
+                identifier
+            });
+
+            await recordAuditEvent(req, {
+                action: 'login_lockout.remove',
+                targetType: type,
+                targetId: identifier
+            });
+
+            res.json({
+                success: true,
+                message: 'Sperre erfolgreich aufgehoben.'
+            });
+        } catch (error) {
+            logger.error('Error removing login lockout:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Aufheben der Sperre.'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/admin/breached-passwords
+ * List accounts whose password was found in the breach corpus at login (requires: manage_accounts)
+ */
+router.get('/breached-passwords', requirePermission('manage_accounts'), async (req, res) => {
+    try {
+        const accounts = await listBreachedAccounts();
+
+        res.json({
+            success: true,
+            accounts
+        });
+    } catch (error) {
+        logger.error('Error listing accounts with breached passwords:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden des Berichts.'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/breached-passwords/:username/force-change
+ * Force a password change for an account with a breached password (requires: manage_accounts)
+ */
+router.post('/breached-passwords/:username/force-change',
+    requirePermission('manage_accounts'),
+    [
+        param('username').trim().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Eingabe',
+                    errors: errors.array()
+                });
+            }
+
+            const { username } = req.params;
+            const pool = getPool();
+            const [result] = await pool.query(
+                `UPDATE users SET must_change_password = TRUE
+                WHERE username = ? AND password_breached_at IS NOT NULL`,
+                [username]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Account nicht gefunden.'
                 });
             }
 
-            securityLogger.info('Registration request rejected', {
+            securityLogger.info('Password change forced for breached password', {
                 admin: req.session.username,
-                requestId: id,
-                reason: reason || 'No reason provided'
+                targetUser: username
+            });
+
+            await recordAuditEvent(req, {
+                action: 'account.force_password_change',
+                targetType: 'user',
+                targetId: username,
+                after: { mustChangePassword: true, reason: 'breached_password' }
             });
 
             res.json({
                 success: true,
-                message: 'Registrierungsanfrage erfolgreich abgelehnt.'
+                message: 'Der Benutzer muss sein Passwort bei der nächsten Anfrage ändern.'
             });
         } catch (error) {
-            logger.error('Error rejecting registration request in database:', { 
-                error: error.message, 
-                requestId: req.params.id 
+            logger.error('Error forcing password change:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Erzwingen der Passwortänderung.'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/admin/access-report
+ * Export all accounts with direct permissions, roles and effective permissions for access reviews (requires: view_accounts)
+ * format=csv (default) or json, always as file download
+ */
+router.get('/access-report',
+    requirePermission('view_accounts'),
+    [
+        query('format').optional().isIn(['csv', 'json'])
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültiges Format',
+                    errors: errors.array()
+                });
+            }
+
+            const format = req.query.format || 'csv';
+            const report = await buildAccessReport();
+
+            securityLogger.info('Access report exported', {
+                admin: req.session.username,
+                format,
+                accounts: report.length
             });
+
+            const date = new Date().toISOString().split('T')[0];
+            res.setHeader('Content-Disposition', `attachment; filename="zugriffsbericht-${date}.${format}"`);
+
+            if (format === 'json') {
+                return res.json({
+                    generatedAt: new Date(),
+                    accounts: report
+                });
+            }
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            // BOM so spreadsheet programs detect UTF-8
+            res.send('\uFEFF' + accessReportCsv(report));
+        } catch (error) {
+            logger.error('Error exporting access report:', { error: error.message });
             res.status(500).json({
                 success: false,
-                error: 'Fehler beim Ablehnen der Anfrage.'
+                error: 'Fehler beim Exportieren des Zugriffsberichts.'
+            });
+        }
+    }
+);
+
+// Filters of the audit log endpoints (query string)
+const auditFilterValidation = [
+    query('actor').optional().trim().isLength({ max: 50 }),
+    query('action').optional().trim().isLength({ max: 64 }),
+    query('targetType').optional().trim().isLength({ max: 32 }),
+    query('targetId').optional().trim().isLength({ max: 255 }),
+    query('from').optional({ checkFalsy: true }).isISO8601(),
+    query('to').optional({ checkFalsy: true }).isISO8601()
+];
+
+/**
+ * Reads the audit log filters from the query string
+ * Plain dates cover the whole day (from 00:00, to 23:59:59)
+ * @param {Object} reqQuery - req.query
+ * @returns {Object} { actor, action, targetType, targetId, from, to }
+ */
+function getAuditFilters(reqQuery) {
+    const toDate = (value, endOfDay) => {
+        if (!value) {
+            return null;
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+        }
+        return new Date(value);
+    };
+
+    return {
+        actor: reqQuery.actor || null,
+        action: reqQuery.action || null,
+        targetType: reqQuery.targetType || null,
+        targetId: reqQuery.targetId || null,
+        from: toDate(reqQuery.from, false),
+        to: toDate(reqQuery.to, true)
+    };
+}
+
+/**
+ * GET /api/admin/audit-events
+ * List audit events with filters and paging (requires: view_audit_log)
+ */
+router.get('/audit-events',
+    requirePermission('view_audit_log'),
+    [
+        ...auditFilterValidation,
+        query('page').optional().isInt({ min: 1 }),
+        query('pageSize').optional().isInt({ min: 1, max: 100 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Filter',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await listAuditEvents(getAuditFilters(req.query), {
+                page: req.query.page,
+                pageSize: req.query.pageSize
+            });
+
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Error listing audit events:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Laden des Audit-Logs.'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/admin/audit-events/filters
+ * Get the known actions and target types for the filter dropdowns (requires: view_audit_log)
+ */
+router.get('/audit-events/filters', requirePermission('view_audit_log'), async (req, res) => {
+    try {
+        const options = await getAuditFilterOptions();
+
+        res.json({
+            success: true,
+            ...options
+        });
+    } catch (error) {
+        logger.error('Error loading audit filter options:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Laden der Filter.'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit-events/export
+ * Export the filtered audit events as CSV (requires: view_audit_log)
+ */
+router.get('/audit-events/export',
+    requirePermission('view_audit_log'),
+    auditFilterValidation,
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Filter',
+                    errors: errors.array()
+                });
+            }
+
+            const filters = getAuditFilters(req.query);
+            const csv = await exportAuditEventsCsv(filters);
+
+            securityLogger.info('Audit log exported', {
+                admin: req.session.username,
+                filters
+            });
+
+            const date = new Date().toISOString().split('T')[0];
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+            // BOM so spreadsheet programs detect UTF-8
+            res.send('\uFEFF' + csv);
+        } catch (error) {
+            logger.error('Error exporting audit events:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Exportieren des Audit-Logs.'
             });
         }
     }
@@ -4,21 +4,35 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const bcrypt = require('bcrypt');
+const csurf = require('csurf');
 const crypto = require('crypto');
 const path = require('path');
 const { verifyRecaptcha } = require('../html/utils/recaptcha');
-const { verifyUserPassword, getUserByUsername } = require('./users');
-const { initializeSession } = require('../middleware/sessionValidation');
+const { verifyUserPassword, getUserByUsername, isAccountActive } = require('./users');
+const { initializeSession, forgetSession } = require('../middleware/sessionValidation');
 const loginAttempts = require('../html/utils/loginAttempts');
 const { readJsonFile, updateJsonFile } = require('../html/utils/fileOperations');
 const { logger, securityLogger } = require('../html/utils/logger');
+const { hashPassword } = require('../html/utils/passwordHasher');
 const config = require('../html/utils/config');
 const { getPool } = require('../html/utils/database');
+const { isTwoFactorRequired, verifyTotp, consumeRecoveryCode } = require('../html/utils/twoFactor');
+const webauthn = require('../html/utils/webauthn');
+const { createResetToken, consumeResetToken, cleanupResetTokens } = require('../html/utils/passwordReset');
+const { POLICY_ERROR, getPasswordPolicy, validatePasswordPolicy } = require('../html/utils/passwordPolicy');
+const { REUSE_ERROR, isPasswordReused, archiveCurrentPassword, isPasswordExpired } = require('../html/utils/passwordHistory');
+const { isPasswordBreached, markPasswordBreached } = require('../html/utils/breachedPasswords');
+const { isMailConfigured, sendMail, buildAppUrl } = require('../html/utils/mailer');
+const { decryptEmail } = require('../html/utils/encryption');
+const { registerSession, revokeUserSessions, bumpSessionVersion } = require('../html/utils/sessionRegistry');
+const { recordAuditEvent } = require('../html/utils/auditLog');
+const { findValidInvitation, acceptInvitation } = require('../html/utils/invitations');
+const { sendVerificationMail, verifyRegistrationRequest } = require('../html/utils/registrationVerification');
 
 const router = express.Router();
+const csrfProtection = csurf({ cookie: true });
 const REQUESTS_FILE = path.join(__dirname, '../data/registration-requests.json');
 
 // Rate limiter for login endpoint
@@ -60,9 +74,162 @@ const registrationLimiter = rateLimit({
     }
 });
 
+// Rate limiter for registration email verification (own budget, separate from password resets)
+const verificationLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 verification attempts per window per IP
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        securityLogger.warn('Registration verification rate limit exceeded', {
+            ip: req.ip
+        });
+        res.status(429).json({
+            success: false,
+            error: 'Zu viele Anfragen. Bitte versuchen Sie es später erneut.'
+        });
+    }
+});
+
+// Rate limiter for password reset requests
+const passwordResetLimiter = rateLimit({
+    windowMs: config.passwordReset.requestWindowMs,
+    max: config.passwordReset.maxRequests,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        securityLogger.warn('Password reset rate limit exceeded', {
+            ip: req.ip
+        });
+        res.status(429).json({
+            success: false,
+            error: 'Zu viele Anfragen. Bitte versuchen Sie es später erneut.'
+        });
+    }
+});
+
+/**
+ * Refuses the login of a suspended or deactivated account
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Verified user object
+ * @returns {boolean} True if the login was refused (response already sent)
+ */
+function rejectInactiveAccount(req, res, user) {
+    if (isAccountActive(user)) {
+        return false;
+    }
+
+    securityLogger.warn('Login attempt for inactive account', {
+        username: user.username,
+        status: user.status,
+        ip: req.ip
+    });
+
+    res.status(403).json({
+        success: false,
+        error: 'Dieses Konto ist gesperrt oder deaktiviert. Bitte wenden Sie sich an einen Administrator.',
+        reason: 'account_inactive'
+    });
+    return true;
+}
+
+/**
+ * Replaces the session with a new one under a new session ID
+ * Drops all pre-login data (e.g. pendingTwoFactor) and prevents session fixation
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+function regenerateSession(req) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Completes a login after all factors have been verified
+ * Resets the failed attempts, regenerates and initializes the session and sends the login response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Verified user object
+ * @param {string} method - Login method ('password', 'totp', 'recovery_code', 'passkey')
+ */
+async function completeLogin(req, res, user, method) {
+    // Only now: a reset after the password step would let password holders brute-force the second factor
+    await loginAttempts.resetAttempts(user.username, req.ip);
+
+    // Roles may require 2FA: users without it get a session restricted to the 2FA setup
+    // Passkeys with user verification already are a second factor
+    // Checked before the session is authenticated, so a failing check cannot skip the restriction
+    const twoFactorSetupRequired = method !== 'passkey'
+        && !user.totpEnabled
+        && await isTwoFactorRequired(user);
+
+    await regenerateSession(req);
+
+    // Initialize session with effective permissions
+    await initializeSession(req.session, user);
+
+    if (twoFactorSetupRequired) {
+        req.session.twoFactorSetupRequired = true;
+    }
+
+    // Accounts flagged by an admin (or the initial admin) must set a new password first
+    // Expired passwords set the flag permanently, so it survives the session
+    let passwordChangeRequired = !!user.mustChangePassword;
+    if (!passwordChangeRequired && isPasswordExpired(user.passwordChangedAt)) {
+        await getPool().query('UPDATE users SET must_change_password = TRUE WHERE id = ?', [user.id]);
+        passwordChangeRequired = true;
+        securityLogger.info('Password expired - password change required', {
+            username: user.username,
+            ip: req.ip
+        });
+    }
+    req.session.passwordChangeRequired = passwordChangeRequired;
+
+    // Record the session so it shows up in the user's session list
+    try {
+        await registerSession(req.sessionID, {
+            userId: user.id,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            createdAt: req.session.loginTime
+        });
+        req.session.registryUpdatedAt = Date.now();
+    } catch (error) {
+        logger.error('Error registering session:', { error: error.message, username: user.username });
+    }
+
+    securityLogger.info('Successful login', {
+        username: user.username,
+        ip: req.ip,
+        method,
+        role: user.role,
+        permissions: req.session.permissions, // Log effective permissions
+        twoFactorSetupRequired,
+        passwordChangeRequired
+    });
+
+    res.json({
+        success: true,
+        message: 'Login erfolgreich',
+        twoFactorSetupRequired,
+        passwordChangeRequired,
+        user: {
+            username: user.username,
+            role: user.role,
+            // Send effective permissions (includes wildcard from roles)
+            permissions: req.session.permissions || [],
+            scopedPermissions: req.session.scopedPermissions || [],
+            roles: user.roles || []
+        }
+    });
+}
+
 /**
  * POST /api/auth/login
  * Authenticates a user with username, password, and optional reCAPTCHA
+ * Users with 2FA enabled get a pending session and must call /login/verify
  */
 router.post('/login',
     loginLimiter,
@@ -87,12 +254,13 @@ router.post('/login',
             const clientIp = req.ip;
 
             // Check if user/IP is locked
-            const lockStatus = loginAttempts.isLocked(username);
+            const lockStatus = await loginAttempts.isLocked(username, clientIp);
             if (lockStatus.isLocked) {
                 const minutes = Math.ceil(lockStatus.remainingTime / 60000);
                 securityLogger.warn('Login attempt while locked', {
                     username,
                     ip: clientIp,
+                    lockedBy: lockStatus.identifierType,
                     remainingTime: minutes + ' minutes'
                 });
                 return res.status(429).json({
@@ -101,7 +269,7 @@ router.post('/login',
                 });
             }
 
-            // Check if user has a pending or rejected registration request
+            // Check if user has an unverified, pending or rejected registration request
             const pool = getPool();
             const [registrationRequests] = await pool.query(
                 `SELECT status, rejection_reason AS rejectionReason
@@ -114,7 +282,17 @@ router.post('/login',
             if (registrationRequests.length > 0) {
                 const registrationRequest = registrationRequests[0];
                 
-                if (registrationRequest.status === 'pending') {
+                if (registrationRequest.status === 'unverified') {
+                    securityLogger.info('Login attempt with unverified registration', {
+                        username,
+                        ip: clientIp
+                    });
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Ihre Registrierungsanfrage wartet auf die Bestätigung der E-Mail-Adresse. Bitte öffnen Sie den Link, den wir Ihnen gesendet haben.',
+                        status: 'unverified'
+                    });
+                } else if (registrationRequest.status === 'pending') {
                     securityLogger.info('Login attempt with pending registration', {
                         username,
                         ip: clientIp
@@ -161,33 +339,51 @@ router.post('/login',
             const user = await verifyUserPassword(username, password);
 
             if (user) {
-                // Successful login
-                loginAttempts.resetAttempts(username);
-                
-                // Initialize session with effective permissions
-                await initializeSession(req.session, user);
+                // Password is correct (attempts are only reset once all factors passed)
+                if (rejectInactiveAccount(req, res, user)) {
+                    return;
+                }
 
-                securityLogger.info('Successful login', {
-                    username,
-                    ip: clientIp,
-                    role: user.role,
-                    permissions: req.session.permissions // Log effective permissions
-                });
+                // Passwords found in the breach corpus show up in the admin report
+                if (!user.passwordBreachedAt) {
+                    try {
+                        if (await isPasswordBreached(password)) {
+                            await markPasswordBreached(user.id);
+                            securityLogger.warn('Login with breached password', {
+                                username,
+                                ip: clientIp
+                            });
+                        }
+                    } catch (error) {
+                        logger.error('Error checking password against breach corpus:', { error: error.message });
+                    }
+                }
 
-                res.json({
-                    success: true,
-                    message: 'Login erfolgreich',
-                    user: {
+                if (user.totpEnabled) {
+                    // Second step required: remember the verified password step only
+                    req.session.pendingTwoFactor = {
+                        userId: user.id,
                         username: user.username,
-                        role: user.role,
-                        // Send effective permissions (includes wildcard from roles)
-                        permissions: req.session.permissions || [],
-                        roles: user.roles || []
-                    }
-                });
+                        createdAt: Date.now(),
+                        attempts: 0
+                    };
+
+                    securityLogger.info('Password verified, awaiting second factor', {
+                        username,
+                        ip: clientIp
+                    });
+
+                    return res.json({
+                        success: true,
+                        requires2fa: true,
+                        message: 'Bitte geben Sie den Code aus Ihrer Authenticator-App ein.'
+                    });
+                }
+
+                await completeLogin(req, res, user, 'password');
             } else {
                 // Failed login
-                const attemptInfo = loginAttempts.recordFailedAttempt(username);
+                const attemptInfo = await loginAttempts.recordFailedAttempt(username, clientIp);
                 
                 securityLogger.warn('Failed login attempt', {
                     username,
@@ -216,6 +412,583 @@ router.post('/login',
     }
 );
 
+/**
+ * POST /api/auth/login/verify
+ * Second login step: verifies a TOTP code or a one-time recovery code
+ */
+router.post('/login/verify',
+    loginLimiter,
+    [
+        body('code').optional().trim(),
+        body('recoveryCode').optional().trim()
+    ],
+    async (req, res) => {
+        try {
+            const pending = req.session && req.session.pendingTwoFactor;
+
+            if (!pending) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Keine ausstehende Anmeldung. Bitte melden Sie sich erneut an.'
+                });
+            }
+
+            if (Date.now() - pending.createdAt > config.twoFactor.pendingTimeout) {
+                delete req.session.pendingTwoFactor;
+                return res.status(401).json({
+                    success: false,
+                    error: 'Die Anmeldung ist abgelaufen. Bitte melden Sie sich erneut an.',
+                    reason: 'two_factor_expired'
+                });
+            }
+
+            const lockStatus = await loginAttempts.isLocked(pending.username, req.ip);
+            if (lockStatus.isLocked) {
+                const minutes = Math.ceil(lockStatus.remainingTime / 60000);
+                return res.status(429).json({
+                    success: false,
+                    error: `Zu viele Fehlversuche. Bitte versuchen Sie es in ${minutes} Minute${minutes !== 1 ? 'n' : ''} erneut.`
+                });
+            }
+
+            const { code, recoveryCode } = req.body;
+
+            if (!code && !recoveryCode) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Bitte geben Sie einen Code ein.'
+                });
+            }
+
+            const valid = recoveryCode
+                ? await consumeRecoveryCode(pending.userId, recoveryCode)
+                : await verifyTotp(pending.userId, code);
+
+            if (!valid) {
+                pending.attempts++;
+                await loginAttempts.recordFailedAttempt(pending.username, req.ip);
+
+                securityLogger.warn('Failed 2FA verification', {
+                    username: pending.username,
+                    ip: req.ip,
+                    method: recoveryCode ? 'recovery_code' : 'totp',
+                    attempts: pending.attempts
+                });
+
+                if (pending.attempts >= config.twoFactor.maxVerifyAttempts) {
+                    delete req.session.pendingTwoFactor;
+                    return res.status(401).json({
+                        success: false,
+                        error: 'Zu viele ungültige Codes. Bitte melden Sie sich erneut an.',
+                        reason: 'two_factor_expired'
+                    });
+                }
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Ungültiger Code.'
+                });
+            }
+
+            const user = await getUserByUsername(pending.username);
+            delete req.session.pendingTwoFactor;
+
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Benutzer nicht gefunden.'
+                });
+            }
+
+            // The account may have been suspended between both steps
+            if (rejectInactiveAccount(req, res, user)) {
+                return;
+            }
+
+            if (recoveryCode) {
+                securityLogger.warn('Recovery code used for login', {
+                    username: user.username,
+                    ip: req.ip
+                });
+            }
+
+            const { passwordHash, ...userWithoutPassword } = user;
+            await completeLogin(req, res, userWithoutPassword, recoveryCode ? 'recovery_code' : 'totp');
+        } catch (error) {
+            logger.error('2FA verification error:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+            });
+        }
+    }
+);
+
+/**
+ * Takes a WebAuthn challenge from the session (single use)
+ * @param {Object} session - Express session object
+ * @param {string} key - Session key of the ceremony
+ * @returns {string|null} Challenge, or null if missing or expired
+ */
+function takeWebAuthnChallenge(session, key) {
+    const pending = session[key];
+    delete session[key];
+
+    if (!pending || Date.now() - pending.createdAt > config.webauthn.challengeTimeout) {
+        return null;
+    }
+
+    return pending.challenge;
+}
+
+/**
+ * POST /api/auth/webauthn/register/options
+ * Creates registration options for a new passkey of the logged-in user
+ */
+router.post('/webauthn/register/options', csrfProtection, async (req, res) => {
+    try {
+        if (!req.session || !req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Nicht authentifiziert'
+            });
+        }
+
+        const user = await getUserByUsername(req.session.username);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Benutzer nicht gefunden'
+            });
+        }
+
+        const options = await webauthn.createRegistrationOptions(user);
+        req.session.webauthnRegistration = {
+            challenge: options.challenge,
+            createdAt: Date.now()
+        };
+
+        res.json({
+            success: true,
+            options
+        });
+    } catch (error) {
+        logger.error('WebAuthn registration options error:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Fehler beim Vorbereiten der Passkey-Registrierung'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/webauthn/register/verify
+ * Verifies the authenticator response and stores the passkey
+ */
+router.post('/webauthn/register/verify',
+    csrfProtection,
+    [
+        body('name')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Name muss zwischen 1 und 50 Zeichen lang sein'),
+        body('response').isObject()
+    ],
+    async (req, res) => {
+        try {
+            if (!req.session || !req.session.userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Nicht authentifiziert'
+                });
+            }
+
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.array()[0].msg
+                });
+            }
+
+            const expectedChallenge = takeWebAuthnChallenge(req.session, 'webauthnRegistration');
+            if (!expectedChallenge) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Die Registrierung ist abgelaufen. Bitte versuchen Sie es erneut.'
+                });
+            }
+
+            const user = await getUserByUsername(req.session.username);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Benutzer nicht gefunden'
+                });
+            }
+
+            let verified;
+            try {
+                verified = await webauthn.verifyRegistration(user, req.body.response, expectedChallenge, req.body.name);
+            } catch (error) {
+                // Library errors describe invalid client data, not server faults
+                logger.warn('WebAuthn registration rejected', { username: user.username, error: error.message });
+                verified = false;
+            }
+
+            if (!verified) {
+                securityLogger.warn('Failed passkey registration', {
+                    username: user.username,
+                    ip: req.ip
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Passkey konnte nicht verifiziert werden'
+                });
+            }
+
+            securityLogger.info('Passkey registered', {
+                username: user.username,
+                name: req.body.name,
+                ip: req.ip
+            });
+
+            await recordAuditEvent(req, {
+                action: 'passkey.register',
+                targetType: 'user',
+                targetId: user.username,
+                after: { name: req.body.name }
+            });
+
+            res.json({
+                success: true,
+                message: 'Passkey erfolgreich hinzugefügt'
+            });
+        } catch (error) {
+            logger.error('WebAuthn registration error:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Fehler beim Registrieren des Passkeys'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/webauthn/login/options
+ * Creates authentication options for a passwordless login
+ */
+router.post('/webauthn/login/options', loginLimiter, async (req, res) => {
+    try {
+        const options = await webauthn.createAuthenticationOptions();
+        req.session.webauthnAuthentication = {
+            challenge: options.challenge,
+            createdAt: Date.now()
+        };
+
+        res.json({
+            success: true,
+            options
+        });
+    } catch (error) {
+        logger.error('WebAuthn login options error:', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/webauthn/login/verify
+ * Verifies a passkey assertion and logs the user in
+ */
+router.post('/webauthn/login/verify',
+    loginLimiter,
+    [
+        body('response').isObject()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültige Anfrage'
+                });
+            }
+
+            const expectedChallenge = takeWebAuthnChallenge(req.session, 'webauthnAuthentication');
+            if (!expectedChallenge) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Die Anmeldung ist abgelaufen. Bitte versuchen Sie es erneut.'
+                });
+            }
+
+            let username;
+            try {
+                username = await webauthn.verifyAuthentication(req.body.response, expectedChallenge);
+            } catch (error) {
+                logger.warn('WebAuthn assertion rejected', { error: error.message });
+                username = null;
+            }
+
+            if (!username) {
+                securityLogger.warn('Failed passkey login', {
+                    ip: req.ip
+                });
+                return res.status(401).json({
+                    success: false,
+                    error: 'Passkey konnte nicht verifiziert werden.'
+                });
+            }
+
+            const user = await getUserByUsername(username);
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Benutzer nicht gefunden.'
+                });
+            }
+
+            if (rejectInactiveAccount(req, res, user)) {
+                return;
+            }
+
+            const { passwordHash, ...userWithoutPassword } = user;
+            await completeLogin(req, res, userWithoutPassword, 'passkey');
+        } catch (error) {
+            logger.error('WebAuthn login error:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+            });
+        }
+    }
+);
+
+/**
+ * Creates a password reset token for an account and emails the link
+ * @param {Object} user - User object
+ * @param {string} email - Decrypted email address
+ * @param {string} ip - Client IP address of the request
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetMail(user, email, ip) {
+    await cleanupResetTokens();
+    const token = await createResetToken(user.id, ip);
+    const link = buildAppUrl(`/html/reset-password.html?token=${token}`);
+    const validMinutes = Math.round(config.passwordReset.tokenTtl / 60000);
+
+    await sendMail({
+        to: email,
+        subject: 'Hive Panel - Passwort zurücksetzen',
+        text: `Hallo ${user.displayName || user.username},\n\n`
+            + `Sie haben das Zurücksetzen Ihres Passworts angefordert. Öffnen Sie diesen Link, um ein neues Passwort zu vergeben:\n\n`
+            + `${link}\n\n`
+            + `Der Link ist ${validMinutes} Minuten gültig und kann nur einmal verwendet werden.\n`
+            + `Falls Sie dies nicht angefordert haben, können Sie diese E-Mail ignorieren.`
+    });
+}
+
+/**
+ * POST /api/auth/password-reset/request
+ * Sends a password reset link to the email address of an account
+ * Always responds the same way so usernames cannot be probed
+ */
+router.post('/password-reset/request',
+    passwordResetLimiter,
+    [
+        body('username').trim().notEmpty().isLength({ max: 50 })
+    ],
+    async (req, res) => {
+        const genericResponse = {
+            success: true,
+            message: 'Falls für dieses Konto eine E-Mail-Adresse hinterlegt ist, wurde ein Link zum Zurücksetzen gesendet.'
+        };
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Bitte geben Sie Ihren Benutzernamen ein.'
+                });
+            }
+
+            const { username } = req.body;
+            const user = await getUserByUsername(username);
+            const email = user ? decryptEmail(user.email) : null;
+
+            if (!user || !email || !isAccountActive(user)) {
+                securityLogger.info('Password reset requested for unknown, inactive or email-less account', {
+                    username,
+                    ip: req.ip
+                });
+                return res.json(genericResponse);
+            }
+
+            securityLogger.info('Password reset requested', {
+                username: user.username,
+                ip: req.ip
+            });
+
+            res.json(genericResponse);
+
+            // Token and mail are created after responding: the response time must not reveal the account
+            sendPasswordResetMail(user, email, req.ip).catch((error) => {
+                logger.error('Error sending password reset mail:', { error: error.message });
+            });
+        } catch (error) {
+            logger.error('Password reset request error:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * Sets a new password with a valid reset token and ends all sessions of the user
+ */
+router.post('/password-reset/confirm',
+    passwordResetLimiter,
+    [
+        body('token').trim().matches(/^[a-f0-9]{64}$/).withMessage('Ungültiger oder abgelaufener Link.'),
+        body('newPassword').isString().withMessage('Neues Passwort ist erforderlich'),
+        body('confirmPassword').isString()
+    ],
+    async (req, res) => {
+        let connection;
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.array()[0].msg
+                });
+            }
+
+            const { token, newPassword, confirmPassword } = req.body;
+
+            if (newPassword !== confirmPassword) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Die Passwörter stimmen nicht überein.'
+                });
+            }
+
+            const policyFailures = await validatePasswordPolicy(newPassword);
+            if (policyFailures.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: POLICY_ERROR,
+                    policyFailures
+                });
+            }
+
+            const passwordHash = await hashPassword(newPassword);
+
+            connection = await getPool().getConnection();
+            await connection.beginTransaction();
+
+            const userId = await consumeResetToken(connection, token);
+            if (!userId) {
+                await connection.rollback();
+                securityLogger.warn('Password reset with invalid or expired token', {
+                    ip: req.ip
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültiger oder abgelaufener Link. Bitte fordern Sie einen neuen an.'
+                });
+            }
+
+            // Tokens issued before a suspension or deactivation must not reset the password
+            const [userRows] = await connection.query(
+                'SELECT username, status, expires_at AS expiresAt FROM users WHERE id = ? LIMIT 1',
+                [userId]
+            );
+            if (!isAccountActive(userRows[0])) {
+                await connection.commit();
+                securityLogger.warn('Password reset for inactive account refused', {
+                    userId,
+                    ip: req.ip
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Dieses Konto ist gesperrt oder deaktiviert. Bitte wenden Sie sich an einen Administrator.',
+                    reason: 'account_inactive'
+                });
+            }
+
+            // The token stays valid (rollback) so the user can pick another password
+            if (await isPasswordReused(userId, newPassword, connection)) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: REUSE_ERROR
+                });
+            }
+
+            await archiveCurrentPassword(connection, userId);
+            await connection.query(
+                `UPDATE users
+                SET password_hash = ?, updated_at = CURRENT_TIMESTAMP, password_changed_at = CURRENT_TIMESTAMP,
+                    password_breached_at = NULL, must_change_password = FALSE
+                WHERE id = ?`,
+                [passwordHash, userId]
+            );
+
+            // Log the user out everywhere - an attacker may hold a session
+            await bumpSessionVersion(connection, userId);
+
+            await connection.commit();
+
+            const { username } = userRows[0];
+
+            // Remove the invalidated sessions from the store and the registry
+            await revokeUserSessions(req.sessionStore, userId);
+            await loginAttempts.resetAttempts(username);
+
+            securityLogger.info('Password reset completed', {
+                username,
+                ip: req.ip
+            });
+
+            // Not signed in: the account itself is recorded as actor
+            await recordAuditEvent(req, {
+                action: 'password.reset',
+                targetType: 'user',
+                targetId: username,
+                actor: { id: userId, username }
+            });
+
+            res.json({
+                success: true,
+                message: 'Ihr Passwort wurde geändert. Sie können sich jetzt anmelden.'
+            });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            logger.error('Password reset confirm error:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+            });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    }
+);
+
 /**
  * POST /api/auth/logout
  * Logs out the current user
@@ -223,6 +996,7 @@ router.post('/login',
 router.post('/logout', (req, res) => {
     const username = req.session?.username;
     
+    forgetSession(req.sessionID);
     req.session.destroy((err) => {
         if (err) {
             logger.error('Error destroying session:', { error: err.message });
@@ -256,7 +1030,10 @@ router.get('/status', (req, res) => {
                 username: req.session.username,
                 role: req.session.role,
                 permissions: req.session.permissions || [],
-                roles: req.session.roles || []
+                scopedPermissions: req.session.scopedPermissions || [],
+                roles: req.session.roles || [],
+                twoFactorSetupRequired: !!req.session.twoFactorSetupRequired,
+                passwordChangeRequired: !!req.session.passwordChangeRequired
             }
         });
     } else {
@@ -266,17 +1043,66 @@ router.get('/status', (req, res) => {
     }
 });
 
+/**
+ * GET /api/auth/password-policy
+ * Get the password rules (public, used for the checklists)
+ */
+router.get('/password-policy', (req, res) => {
+    res.json({
+        success: true,
+        policy: getPasswordPolicy()
+    });
+});
+
+// Error for invitation codes that are unknown, used, revoked or expired
+const INVALID_INVITATION_ERROR = 'Die Einladung ist ungültig, abgelaufen oder wurde bereits verwendet.';
+
+/**
+ * GET /api/auth/registration-info
+ * Registration mode and the state of an invitation code (public, used by the registration form)
+ * Query: invite (optional invitation code)
+ */
+router.get('/registration-info',
+    [
+        query('invite').optional().isString().isLength({ max: 128 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            const inviteCode = errors.isEmpty() ? req.query.invite : null;
+            const invitation = inviteCode ? await findValidInvitation(getPool(), inviteCode) : null;
+
+            res.json({
+                success: true,
+                inviteOnly: config.registration.inviteOnly,
+                invitation: inviteCode
+                    ? { valid: !!invitation, email: invitation ? invitation.email : null }
+                    : null
+            });
+        } catch (error) {
+            logger.error('Error loading registration info:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+            });
+        }
+    }
+);
+
 /**
  * POST /api/auth/register
  * Register a new user account (requires approval from admin)
+ * With SMTP configured the request starts as 'unverified' until the emailed link is opened
+ * With a valid invitation code (inviteCode) the account is created right away with the roles of the invitation
  */
 router.post('/register',
     registrationLimiter,
     [
         body('username').trim().notEmpty().matches(/^[a-zA-Z0-9_-]+$/).isLength({ min: 3, max: 30 }),
         body('email').isEmail(),
-        body('password').isLength({ min: 8 }),
-        body('confirmPassword').isLength({ min: 8 })
+        body('password').isString(),
+        body('confirmPassword').isString(),
+        body('inviteCode').optional({ nullable: true, checkFalsy: true }).isString().isLength({ max: 128 })
     ],
     async (req, res) => {
         try {
@@ -290,7 +1116,7 @@ router.post('/register',
                 });
             }
             
-            const { username, email, password, confirmPassword } = req.body;
+            const { username, email, password, confirmPassword, inviteCode } = req.body;
             const clientIp = req.ip;
             
             // Check if passwords match
@@ -300,6 +1126,15 @@ router.post('/register',
                     error: 'Die Passwörter stimmen nicht überein.'
                 });
             }
+
+            const policyFailures = await validatePasswordPolicy(password);
+            if (policyFailures.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: POLICY_ERROR,
+                    policyFailures
+                });
+            }
             
             // Check if username already exists (in users or requests)
             const existingUser = await getUserByUsername(username);
@@ -310,8 +1145,44 @@ router.post('/register',
                 });
             }
             
-            // Check if username already has a pending/rejected request
             const pool = getPool();
+
+            // Invite-only mode: open registration requests are not accepted
+            const invitation = inviteCode ? await findValidInvitation(pool, inviteCode) : null;
+            if (inviteCode && !invitation) {
+                securityLogger.warn('Registration with invalid invitation', {
+                    username,
+                    ip: clientIp
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: INVALID_INVITATION_ERROR
+                });
+            }
+            if (!invitation && config.registration.inviteOnly) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Die Registrierung ist nur mit einer Einladung möglich.'
+                });
+            }
+            if (invitation && invitation.email && invitation.email.toLowerCase() !== email.trim().toLowerCase()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Diese Einladung gilt für eine andere E-Mail-Adresse.'
+                });
+            }
+
+            if (invitation) {
+                await registerWithInvitation(req, res, {
+                    inviteCode,
+                    username: username.trim(),
+                    email: email.trim(),
+                    passwordHash: await hashPassword(password)
+                });
+                return;
+            }
+            
+            // Check if username already has a pending/rejected request
             const [existingRequests] = await pool.query(
                 `SELECT status
                 FROM registration_requests
@@ -323,7 +1194,12 @@ router.post('/register',
             if (existingRequests.length > 0) {
                 const existingRequest = existingRequests[0];
                 
-                if (existingRequest.status === 'pending') {
+                if (existingRequest.status === 'unverified') {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Eine Registrierungsanfrage mit diesem Benutzernamen oder dieser E-Mail wartet auf die Bestätigung der E-Mail-Adresse.'
+                    });
+                } else if (existingRequest.status === 'pending') {
                     return res.status(409).json({
                         success: false,
                         error: 'Eine Registrierungsanfrage mit diesem Benutzernamen oder dieser E-Mail ist bereits ausstehend.'
@@ -337,29 +1213,46 @@ router.post('/register',
             }
             
             // Hash password
-            const salt = await bcrypt.genSalt(10);
-            const passwordHash = await bcrypt.hash(password, salt);
+            const passwordHash = await hashPassword(password);
             
             // Generate unique request ID
             const requestId = `req-${crypto.randomBytes(12).toString('hex')}`;
 
+            // Without SMTP no link can be sent, the request goes straight to the admin queue
+            const verificationRequired = isMailConfigured();
+
             // Insert registration request into database
             await pool.query(
                 `INSERT INTO registration_requests 
                 (id, username, email, password_hash, status, ip)
-                VALUES (?, ?, ?, ?, 'pending', ?)`,
-                [requestId, username.trim(), email.trim(), passwordHash, clientIp]
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [requestId, username.trim(), email.trim(), passwordHash, verificationRequired ? 'unverified' : 'pending', clientIp]
             );
 
+            if (verificationRequired) {
+                const sent = await sendVerificationMail({ id: requestId, username: username.trim(), email: email.trim() });
+                if (!sent) {
+                    await pool.query('DELETE FROM registration_requests WHERE id = ?', [requestId]);
+                    return res.status(500).json({
+                        success: false,
+                        error: 'Die Bestätigungs-E-Mail konnte nicht gesendet werden. Bitte versuchen Sie es später erneut.'
+                    });
+                }
+            }
+
             securityLogger.info('New registration request created', {
                 requestId,
                 username,
+                verificationRequired,
                 ip: clientIp
             });
 
             res.json({
                 success: true,
-                message: 'Registrierungsanfrage erfolgreich eingereicht. Sie erhalten eine Benachrichtigung, sobald Ihr Account genehmigt wurde.'
+                verificationRequired,
+                message: verificationRequired
+                    ? 'Registrierungsanfrage eingereicht. Bitte bestätigen Sie Ihre E-Mail-Adresse über den Link, den wir Ihnen gesendet haben.'
+                    : 'Registrierungsanfrage erfolgreich eingereicht. Sie erhalten eine Benachrichtigung, sobald Ihr Account genehmigt wurde.'
             });
             
         } catch (error) {
@@ -372,4 +1265,106 @@ router.post('/register',
     }
 );
 
+/**
+ * POST /api/auth/register/verify
+ * Confirms the email address of a registration request with the token from the emailed link
+ */
+router.post('/register/verify',
+    verificationLimiter,
+    [
+        body('token').trim().matches(/^[a-f0-9]{64}$/)
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            const request = errors.isEmpty() ? await verifyRegistrationRequest(req.body.token) : null;
+
+            if (!request) {
+                securityLogger.warn('Registration verification with invalid or expired token', {
+                    ip: req.ip
+                });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Ungültiger oder abgelaufener Link. Bitte registrieren Sie sich erneut.'
+                });
+            }
+
+            securityLogger.info('Registration request email verified', {
+                requestId: request.id,
+                username: request.username,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: 'Ihre E-Mail-Adresse wurde bestätigt. Sie erhalten eine Benachrichtigung, sobald Ihr Account genehmigt wurde.'
+            });
+        } catch (error) {
+            logger.error('Registration verification error:', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.'
+            });
+        }
+    }
+);
+
+/**
+ * Creates the account of a registration with a valid invitation (auto-approved)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} registration - { inviteCode, username, email, passwordHash }
+ * @returns {Promise<void>}
+ */
+async function registerWithInvitation(req, res, { inviteCode, username, email, passwordHash }) {
+    let accepted;
+    try {
+        accepted = await acceptInvitation(inviteCode, { username, email, passwordHash });
+    } catch (error) {
+        // Another registration took the username between the check and the account creation
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Dieser Benutzername ist bereits vergeben.'
+            });
+        }
+        throw error;
+    }
+
+    // Used or revoked between the check and the account creation
+    if (!accepted) {
+        return res.status(400).json({
+            success: false,
+            error: INVALID_INVITATION_ERROR
+        });
+    }
+
+    securityLogger.info('Account created with invitation', {
+        invitationId: accepted.invitation.id,
+        invitedBy: accepted.invitation.createdBy,
+        username,
+        roles: accepted.invitation.roles,
+        ip: req.ip
+    });
+
+    await recordAuditEvent(req, {
+        action: 'invitation.accept',
+        targetType: 'invitation',
+        targetId: accepted.invitation.id,
+        actor: { id: accepted.userId, username },
+        after: {
+            username,
+            userId: accepted.userId,
+            invitedBy: accepted.invitation.createdBy,
+            roles: accepted.invitation.roles
+        }
+    });
+
+    res.json({
+        success: true,
+        approved: true,
+        message: 'Registrierung erfolgreich. Sie können sich jetzt anmelden.'
+    });
+}
+
 module.exports = router;
@@ -4,17 +4,20 @@
  */
 
 const express = require('express');
-const bcrypt = require('bcrypt');
 const path = require('path');
 const crypto = require('crypto');
 const { readJsonFile, writeJsonFile } = require('../html/utils/fileOperations');
 const { logger, securityLogger } = require('../html/utils/logger');
+const { hashPassword, verifyPassword, needsRehash } = require('../html/utils/passwordHasher');
 const config = require('../html/utils/config');
 const { getPool } = require('../html/utils/database');
 
 const router = express.Router();
 const USERS_FILE = path.join(__dirname, '../data/users.json');
 
+// Account states (users.status); only active accounts can log in
+const ACCOUNT_STATUSES = ['active', 'suspended', 'deactivated'];
+
 /**
  * Generates a secure random password
  * @returns {string} Secure password
@@ -87,8 +90,7 @@ async function ensureDefaultAdmin() {
         const password = generateSecurePassword();
 
         // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const passwordHash = await bcrypt.hash(password, salt);
+        const passwordHash = await hashPassword(password);
 
         // Create admin user with superadmin role
         const [result] = await connection.query(
@@ -163,7 +165,14 @@ async function getUserByUsername(username) {
                 u.created_at AS createdAt,
                 u.created_by AS createdBy,
                 u.updated_at AS updatedAt,
-                u.must_change_password AS mustChangePassword
+                u.must_change_password AS mustChangePassword,
+                u.totp_enabled AS totpEnabled,
+                u.session_version AS sessionVersion,
+                u.password_changed_at AS passwordChangedAt,
+                u.password_breached_at AS passwordBreachedAt,
+                u.status,
+                u.deactivated_at AS deactivatedAt,
+                u.expires_at AS expiresAt
             FROM users u
             WHERE u.username = ?
             LIMIT 1`,
@@ -175,6 +184,7 @@ async function getUserByUsername(username) {
         }
 
         const user = rows[0];
+        user.totpEnabled = !!user.totpEnabled;
 
         // Get user's direct permissions
         const [permRows] = await pool.query(
@@ -186,14 +196,32 @@ async function getUserByUsername(username) {
         );
         user.permissions = permRows.map(row => row.name);
 
-        // Get user's roles
+        // Get user's roles (expired assignments are ignored by getAllUserPermissions)
         const [roleRows] = await pool.query(
-            `SELECT ur.role_id
+            `SELECT ur.role_id, ur.expires_at AS expiresAt
             FROM user_roles ur
             WHERE ur.user_id = ?`,
             [user.id]
         );
         user.roles = roleRows.map(row => row.role_id);
+        user.roleAssignments = roleRows.map(row => ({ roleId: row.role_id, expiresAt: row.expiresAt }));
+
+        // Get user's teams and the permissions granted only for certain teams
+        const [teamRows] = await pool.query(
+            'SELECT team_id AS teamId FROM team_members WHERE user_id = ? ORDER BY team_id',
+            [user.id]
+        );
+        user.teams = teamRows.map(row => row.teamId);
+
+        const [teamPermRows] = await pool.query(
+            `SELECT p.name AS permission, utp.team_id AS teamId
+            FROM user_team_permissions utp
+            JOIN permissions p ON utp.permission_id = p.id
+            WHERE utp.user_id = ?
+            ORDER BY p.name, utp.team_id`,
+            [user.id]
+        );
+        user.teamPermissions = teamPermRows;
 
         return user;
     } catch (error) {
@@ -205,6 +233,43 @@ async function getUserByUsername(username) {
     }
 }
 
+/**
+ * Checks if an account is active (not suspended, deactivated or expired)
+ * Expired accounts count as inactive before the expiry job has deactivated them
+ * @param {Object} user - User object (or session state) with status and expiresAt
+ * @returns {boolean} True if the account may log in and use the panel
+ */
+function isAccountActive(user) {
+    if (!user || (user.status && user.status !== 'active')) {
+        return false;
+    }
+    return !user.expiresAt || new Date(user.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Replaces a user's password hash with one using the current hashing parameters
+ * Failures are only logged - the login itself already succeeded
+ * @param {Object} user - User object with id, username and passwordHash
+ * @param {string} password - Verified password (plain text)
+ * @returns {Promise<void>}
+ */
+async function rehashPassword(user, password) {
+    try {
+        const passwordHash = await hashPassword(password);
+        const pool = getPool();
+
+        // Only replace the hash that was verified (a concurrent password change wins)
+        await pool.query(
+            'UPDATE users SET password_hash = ? WHERE id = ? AND password_hash = ?',
+            [passwordHash, user.id, user.passwordHash]
+        );
+
+        logger.info('Password hash upgraded to current parameters', { username: user.username });
+    } catch (error) {
+        logger.error('Error upgrading password hash:', { error: error.message, username: user.username });
+    }
+}
+
 /**
  * Verifies a user's password
  * @param {string} username - Username
@@ -219,10 +284,15 @@ async function verifyUserPassword(username, password) {
             return null;
         }
         
-        // Compare password with bcrypt
-        const isValid = await bcrypt.compare(password, user.passwordHash);
+        // Compare password with the stored hash (any supported format)
+        const isValid = await verifyPassword(password, user.passwordHash);
         
         if (isValid) {
+            // Upgrade hashes with outdated parameters while the plain password is known
+            if (needsRehash(user.passwordHash)) {
+                await rehashPassword(user, password);
+            }
+
             // Return user without password hash
             const { passwordHash, ...userWithoutPassword } = user;
             return userWithoutPassword;
@@ -275,8 +345,7 @@ async function createUser(username, password, role = 'user', permissions = [], r
         }
 
         // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const passwordHash = await bcrypt.hash(password, salt);
+        const passwordHash = await hashPassword(password);
 
         // Insert user
         const [result] = await connection.query(
@@ -348,7 +417,9 @@ async function createUser(username, password, role = 'user', permissions = [], r
 module.exports = {
     router,
     ensureDefaultAdmin,
+    ACCOUNT_STATUSES,
     getUserByUsername,
+    isAccountActive,
     verifyUserPassword,
     createUser,
     generateSecurePassword
@@ -7,7 +7,6 @@ require('dotenv').config();
 
 const express = require('express');
 const session = require('express-session');
-const FileStore = require('session-file-store')(session);
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
@@ -22,6 +21,10 @@ const { validateEnv, getEnvInfo } = require('./html/utils/validateEnv');
 const config = require('./html/utils/config');
 const { getRecaptchaConfig } = require('./html/utils/recaptcha');
 const { startPeriodicCleanup } = require('./html/utils/registrationCleanup');
+const loginAttempts = require('./html/utils/loginAttempts');
+const sessionRegistry = require('./html/utils/sessionRegistry');
+const breachedPasswords = require('./html/utils/breachedPasswords');
+const accountExpiry = require('./html/utils/accountExpiry');
 const { initializeDatabase } = require('./html/utils/database');
 
 // Import middleware
@@ -67,51 +70,71 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // Cookie parser middleware
 app.use(cookieParser());
 
-// Ensure sessions directory exists with proper error handling
-const sessionsDir = path.join(__dirname, 'sessions');
-try {
-    if (!fs.existsSync(sessionsDir)) {
-        fs.mkdirSync(sessionsDir, { recursive: true, mode: 0o755 });
-        logger.info('Sessions directory created', { path: sessionsDir });
+/**
+ * Creates the session store configured in config.session.store
+ * @returns {Object} express-session store
+ */
+function createSessionStore() {
+    if (config.session.store !== 'file') {
+        const MySQLStore = require('./html/utils/mysqlSessionStore')(session);
+        return new MySQLStore({
+            ttl: config.session.cookie.maxAge / 1000, // Convert to seconds
+            reapInterval: config.session.reapInterval
+        });
     }
-    // Verify write permissions
-    fs.accessSync(sessionsDir, fs.constants.W_OK | fs.constants.R_OK);
-} catch (error) {
-    logger.error('Failed to create or access sessions directory', { 
-        error: error.message,
-        path: sessionsDir 
+
+    // Only loaded for the development file store
+    const FileStore = require('session-file-store')(session);
+
+    // Ensure sessions directory exists with proper error handling
+    const sessionsDir = path.join(__dirname, 'sessions');
+    try {
+        if (!fs.existsSync(sessionsDir)) {
+            fs.mkdirSync(sessionsDir, { recursive: true, mode: 0o755 });
+            logger.info('Sessions directory created', { path: sessionsDir });
+        }
+        // Verify write permissions
+        fs.accessSync(sessionsDir, fs.constants.W_OK | fs.constants.R_OK);
+    } catch (error) {
+        logger.error('Failed to create or access sessions directory', { 
+            error: error.message,
+            path: sessionsDir 
+        });
+        console.error('Error: Cannot create or access sessions directory. Please check permissions.');
+        process.exit(1);
+    }
+
+    return new FileStore({
+        path: sessionsDir,
+        ttl: config.session.cookie.maxAge / 1000, // Convert to seconds
+        retries: 3,
+        retryDelay: 100,
+        reapInterval: config.session.reapInterval,
+        logFn: (error) => {
+            // Custom error logging for session store
+            if (error) {
+                const errorStr = String(error);
+                // Ignoriere ENOENT-Fehler (Session existiert nicht mehr)
+                if (errorStr.includes('ENOENT') || error.code === 'ENOENT') {
+                    // Diese Fehler sind normal, wenn Sessions ablaufen/gelöscht werden
+                    return;
+                }
+                // Logge nur echte Fehler
+                logger.error('Session file store error', { 
+                    error: error.message || errorStr,
+                    code: error.code
+                });
+            }
+        }
     });
-    console.error('Error: Cannot create or access sessions directory. Please check permissions.');
-    process.exit(1);
 }
 
 // Session middleware with error handling
-const fileStore = new FileStore({
-    path: sessionsDir,
-    ttl: config.session.cookie.maxAge / 1000, // Convert to seconds
-    retries: 3,
-    retryDelay: 100,
-    reapInterval: 60 * 60, // Clean up every hour
-    logFn: (error) => {
-        // Custom error logging for session store
-        if (error) {
-            const errorStr = String(error);
-            // Ignoriere ENOENT-Fehler (Session existiert nicht mehr)
-            if (errorStr.includes('ENOENT') || error.code === 'ENOENT') {
-                // Diese Fehler sind normal, wenn Sessions ablaufen/gelöscht werden
-                return;
-            }
-            // Logge nur echte Fehler
-            logger.error('Session file store error', { 
-                error: error.message || errorStr,
-                code: error.code
-            });
-        }
-    }
-});
+const sessionStore = createSessionStore();
+logger.info('Session store configured', { store: config.session.store });
 
 app.use(session({
-    store: fileStore,
+    store: sessionStore,
     secret: config.session.secret,
     name: config.session.name,
     resave: config.session.resave,
@@ -208,11 +231,25 @@ app.get('/account.html', pageAccessLimiter, (req, res) => {
     res.sendFile(path.join(__dirname, 'html/account.html'));
 });
 
+// Protected route for the forced password change
+app.get('/html/change-password.html', pageAccessLimiter, (req, res) => {
+    // Check if user is authenticated
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/');
+    }
+    res.sendFile(path.join(__dirname, 'html/change-password.html'));
+});
+
 // Protected route for account management (admin only)
-app.get('/html/admin/accounts.html', pageAccessLimiter, requirePermission(['manage_accounts', 'view_accounts']), (req, res) => {
+app.get('/html/admin/accounts.html', pageAccessLimiter, requirePermission(['manage_accounts', 'view_accounts'], { scoped: true }), (req, res) => {
     res.sendFile(path.join(__dirname, 'html/admin/accounts.html'));
 });
 
+// Protected route for the audit log
+app.get('/html/admin/audit-log.html', pageAccessLimiter, requirePermission('view_audit_log'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'html/admin/audit-log.html'));
+});
+
 // Protected route for absences
 app.get('/html/absences.html', pageAccessLimiter, (req, res) => {
     // Check if user is authenticated
@@ -261,9 +298,26 @@ async function startServer() {
         // Ensure default admin exists
         await ensureDefaultAdmin();
 
+        // Load the local breached password corpus (optional)
+        await breachedPasswords.loadCorpus();
+
         // Start periodic cleanup for old registration requests
         startPeriodicCleanup();
 
+        // Start periodic cleanup for expired login attempt entries
+        loginAttempts.startPeriodicCleanup();
+
+        // Start periodic cleanup for registry entries of expired sessions
+        sessionRegistry.startPeriodicCleanup();
+
+        // Start deactivating time-limited accounts after their expiry date
+        accountExpiry.startPeriodicExpiryCheck();
+
+        // Start removing expired sessions from the database (the file store reaps itself)
+        if (typeof sessionStore.startReaper === 'function') {
+            sessionStore.startReaper();
+        }
+
         // Start listening
         server = app.listen(PORT, () => {
             const envInfo = getEnvInfo();